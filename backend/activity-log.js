@@ -0,0 +1,18 @@
+// ========== MONGODB ACTIVITY LOGGER ==========
+const connectMongo = require('./mongo-connection');
+
+async function logActivity(action, data) {
+  try {
+    const db = await connectMongo();
+    await db.collection('activity_logs').insertOne({
+      timestamp: new Date(),
+      action: action,
+      data: data
+    });
+  } catch (err) {
+    console.error('Failed to log activity:', err);
+    // Don't throw error - logging shouldn't break the main functionality
+  }
+}
+
+module.exports = { logActivity };
@@ -0,0 +1,121 @@
+// ========== API ACCESS ==========
+// Middleware in front of the /api/v1 routers, deciding who may call what and
+// how often:
+//   - Every request takes a token from the bucket of its IP address.
+//   - A request with an X-API-Key header needs an active key whose scopes
+//     include the operation's x-api-key-scope (see openapi.js). It then
+//     takes a token from the key's own bucket and is counted in api_usage.
+//   - A scoped operation called without a key needs a valid token, as the
+//     app and the explorer send when signed in.
+// Admin operations have no scope and are left to requireAuth/requireAdmin;
+// paths that are not operations (the documentation, or a 404) pass through.
+// The same operations reached under /api, as the app calls them, need no key
+// but take a token from their IP's bucket (unversionedAccess).
+
+const pool = require('./pg-connection');
+const { verifyToken } = require('./auth');
+const { sendError } = require('./api-errors');
+const { API_KEY_RATE_LIMIT, findApiKey, recordApiUsage } = require('./api-keys');
+const { PRUNE_INTERVAL_MS, createRateLimiter } = require('./rate-limit');
+
+// Requests per minute from one IP address, keys or not
+const configuredIpLimit = parseInt(process.env.API_IP_RATE_LIMIT, 10);
+const API_IP_RATE_LIMIT = Number.isNaN(configuredIpLimit) ? 300 : configuredIpLimit;
+
+function hasValidToken(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
+  return Boolean(token && verifyToken(token));
+}
+
+function setRateLimitHeaders(res, outcome) {
+  res.set('RateLimit-Limit', String(outcome.limit));
+  res.set('RateLimit-Remaining', String(outcome.remaining));
+}
+
+function rejectRateLimited(res, outcome, subject) {
+  res.set('Retry-After', String(outcome.retryAfter));
+  return sendError(res, 429, 'rate_limited',
+    `Rate limit of ${outcome.limit} requests per minute reached for this ${subject}`,
+    { retry_after: outcome.retryAfter });
+}
+
+// A limiter whose full buckets are pruned in the background
+function prunedLimiter() {
+  const limiter = createRateLimiter();
+  const timer = setInterval(() => limiter.prune(), PRUNE_INTERVAL_MS);
+  timer.unref();
+  return limiter;
+}
+
+// findOperation: the operationMatcher() of the v1 document
+function apiAccess(findOperation) {
+  const limiter = prunedLimiter();
+
+  return async (req, res, next) => {
+    const byIp = limiter.take(`ip:${req.ip}`, API_IP_RATE_LIMIT);
+    setRateLimitHeaders(res, byIp);
+    if (!byIp.allowed) return rejectRateLimited(res, byIp, 'IP address');
+
+    const matched = findOperation(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+    const scope = matched && matched.operation['x-api-key-scope'];
+    const presented = req.get('X-API-Key');
+
+    if (!presented) {
+      if (!scope || hasValidToken(req)) return next();
+      return sendError(res, 401, 'api_key_required', 'An API key (X-API-Key header) or a token is required');
+    }
+
+    const apiKey = await findApiKey(pool, presented);
+    if (!apiKey) {
+      return sendError(res, 401, 'invalid_api_key', 'Unknown API key');
+    }
+    if (apiKey.revoked_at) {
+      return sendError(res, 401, 'api_key_revoked', 'This API key has been revoked');
+    }
+
+    // Counted whatever the outcome, rejections included
+    const route = matched ? `${matched.method} ${matched.path}` : 'other';
+    res.on('finish', () => recordApiUsage({ apiKey, route, status: res.statusCode }));
+    req.apiKey = apiKey;
+
+    if (scope && !apiKey.scopes.includes(scope)) {
+      return sendError(res, 403, 'api_key_scope', `This API key does not have the ${scope} scope`,
+        { required_scope: scope, scopes: apiKey.scopes });
+    }
+
+    const byKey = limiter.take(`key:${apiKey.key_id}`, apiKey.rate_limit || API_KEY_RATE_LIMIT);
+    setRateLimitHeaders(res, byKey);
+    if (!byKey.allowed) return rejectRateLimited(res, byKey, 'API key');
+
+    next();
+  };
+}
+
+// Middleware giving each IP address its own bucket of `limit` requests per
+// minute, apart from the apiAccess buckets; for routes that are costly to
+// answer, or are reachable outside /api/v1
+function limitByIp(limit) {
+  const limiter = prunedLimiter();
+
+  return (req, res, next) => {
+    const byIp = limiter.take(`ip:${req.ip}`, limit);
+    setRateLimitHeaders(res, byIp);
+    if (!byIp.allowed) return rejectRateLimited(res, byIp, 'IP address');
+    next();
+  };
+}
+
+// Middleware for the unversioned /api mounts of the v1 routers: requests
+// to v1 operations take a token from their IP's bucket, kept apart from the
+// /api/v1 buckets; other /api paths (admin, dropdowns) pass through.
+// findOperation: the operationMatcher() of the v1 document
+function unversionedAccess(findOperation) {
+  const limit = limitByIp(API_IP_RATE_LIMIT);
+
+  return (req, res, next) => {
+    const matched = findOperation(req.method === 'HEAD' ? 'GET' : req.method, req.path);
+    return matched ? limit(req, res, next) : next();
+  };
+}
+
+module.exports = { API_IP_RATE_LIMIT, apiAccess, limitByIp, unversionedAccess };
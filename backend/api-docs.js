@@ -0,0 +1,520 @@
+// ========== API v1 DOCUMENTATION ==========
+// What openapi.js cannot read off the routes: a summary, tag and response
+// shape for each /api/v1 operation, keyed 'METHOD /path' as the path appears
+// under /api/v1. Parameters and request bodies come from the routes'
+// validate() schemas; an entry only gives `body` for routes that check their
+// body by hand. Every v1 route needs an entry (the server refuses to start
+// otherwise), and v1 response shapes may only gain fields: a change that
+// removes or renames one belongs in a new version.
+//
+// Entry keys: tag, summary, description?, response? (schema; default Success),
+// status? (default 200), body?, errors? ({ status: description }).
+//
+// API keys (api-keys.js) reach the operations that need no admin, by the
+// scope of their tag in TAG_SCOPES.
+
+const { OFFERING_TYPES } = require('./offerings');
+const { SCHOOL_FIELD_RULES } = require('./validation');
+
+const API_VERSION = 'v1';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+const anyObject = { type: 'object', additionalProperties: true };
+
+// { success: true, ...properties }
+function envelope(properties) {
+  return {
+    type: 'object',
+    properties: { success: { type: 'boolean', enum: [true] }, ...properties },
+    required: ['success', ...Object.keys(properties)]
+  };
+}
+
+// A page of a list endpoint (see list-options.js); `extra` adds keys
+const page = (items, extra = {}) => envelope({ data: arrayOf(items), pagination: ref('Pagination'), ...extra });
+
+const TAGS = [
+  { name: 'Schools', description: 'School records' },
+  { name: 'Offerings', description: 'Subjects, CCAs, MOE programmes and distinctive programmes (ALP/LLP) of schools' },
+  { name: 'Comparison', description: 'Two schools side by side' },
+  { name: 'Search', description: 'Universal and advanced search' },
+  { name: 'Geo', description: 'Postal codes, distances and map data' },
+  { name: 'Analytics', description: 'Reports over the dataset and, for admins, over activity logs' },
+  { name: 'School administration', description: 'Edit history, bulk edits and spreadsheet imports (admins)' }
+];
+
+// The API key scope that opens each tag's non-admin operations
+const TAG_SCOPES = {
+  Schools: 'read',
+  Offerings: 'read',
+  Comparison: 'read',
+  Search: 'read',
+  Geo: 'geo',
+  Analytics: 'analytics'
+};
+
+const SCHOOL_PROPERTIES = {
+  school_id: integer,
+  school_name: string,
+  address: string,
+  postal_code: string,
+  zone_code: string,
+  mainlevel_code: string,
+  principal_name: string
+};
+
+const SCHEMAS = {
+  Success: envelope({}),
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { ...string, description: 'Message to show' },
+      code: { ...string, description: 'Error code to branch on, e.g. validation_failed, not_found' },
+      request_id: { ...string, description: 'Also in the X-Request-Id header and the server log' },
+      details: { description: 'More about the error; for validation_failed, an array of FieldError' }
+    },
+    required: ['success', 'error', 'code', 'request_id']
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      field: string,
+      code: { ...string, description: 'e.g. required, too_long, invalid_postal_code' },
+      message: string
+    },
+    required: ['location', 'field', 'code', 'message']
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      total: { ...integer, description: 'Rows matching the request' },
+      count: { ...integer, description: 'Rows in this page' },
+      limit: nullable({ ...integer, description: 'null: no limit' }),
+      offset: integer,
+      next_offset: nullable({ ...integer, description: 'Offset of the next page; null on the last page' }),
+      sort: nullable({ ...string, description: 'Sort key, - for descending' })
+    },
+    required: ['total', 'count', 'limit', 'offset', 'next_offset', 'sort']
+  },
+  School: { type: 'object', properties: SCHOOL_PROPERTIES },
+  MapSchool: {
+    type: 'object',
+    description: 'A school with its stored coordinates (null until it is geocoded)',
+    properties: { ...SCHOOL_PROPERTIES, latitude: nullable(number), longitude: nullable(number) }
+  },
+  LocatedSchool: {
+    type: 'object',
+    description: 'A geocoded school, with some contact details',
+    properties: { ...SCHOOL_PROPERTIES, latitude: number, longitude: number },
+    additionalProperties: true
+  },
+  NearbySchool: {
+    type: 'object',
+    properties: {
+      ...SCHOOL_PROPERTIES,
+      latitude: number,
+      longitude: number,
+      distance_km: { ...number, description: 'Distance on the WGS 84 spheroid from the search centre, rounded to 10 m' }
+    },
+    additionalProperties: true
+  },
+  GeocodeResult: {
+    type: 'object',
+    properties: {
+      postal_code: string,
+      status: { type: 'string', enum: ['ok', 'not_found', 'failed'] },
+      latitude: number,
+      longitude: number,
+      address: string,
+      source: { ...string, description: 'schools (a school\'s stored coordinates), onemap, local or district' },
+      approximate: { type: 'boolean', description: 'true for the centre of the postal sector (district)' },
+      code: { ...string, description: 'Set when the lookup failed: geocoder_unavailable' },
+      error: { ...string, description: 'Why the lookup failed' }
+    },
+    required: ['postal_code', 'status']
+  },
+  SchoolDetails: {
+    type: 'object',
+    description: 'A school with its extended attributes, offerings and edit version',
+    properties: {
+      school_id: integer,
+      ...Object.fromEntries(Object.entries(SCHOOL_FIELD_RULES).map(([field, fieldRule]) => [field, fieldRule.schema])),
+      version: { ...integer, description: 'Send back as version when updating the school' }
+    },
+    additionalProperties: true
+  },
+  OfferingMatch: {
+    type: 'object',
+    description: 'A school and one of its offerings; the offering columns depend on the type',
+    properties: {
+      school_id: integer,
+      school_name: string,
+      zone_code: string,
+      mainlevel_code: string
+    },
+    additionalProperties: true
+  },
+  Offering: { ...anyObject, description: 'An offering row, with its master id (subject_id, cca_id, ...)' },
+  OfferingChange: {
+    type: 'object',
+    description: 'Master id (item_id) or description columns of the entry, e.g. subject_desc',
+    properties: { item_id: integer },
+    additionalProperties: true
+  },
+  OfferingResult: envelope({
+    message: string,
+    type: { type: 'string', enum: Object.keys(OFFERING_TYPES) },
+    action: { type: 'string', enum: ['add', 'update', 'remove'] },
+    offering: ref('Offering'),
+    master_created: { type: 'boolean', description: 'A new master entry was created for the offering' }
+  }),
+  ComparedSchool: {
+    type: 'object',
+    properties: {
+      ...SCHOOL_PROPERTIES,
+      subjects: arrayOf(string),
+      ccas: arrayOf(anyObject),
+      programmes: arrayOf(string),
+      distinctives: arrayOf(anyObject)
+    },
+    additionalProperties: true
+  },
+  UniversalResult: {
+    type: 'object',
+    properties: {
+      type: string,
+      id: integer,
+      school_id: integer,
+      name: string,
+      description: nullable(string),
+      zone_code: string,
+      mainlevel_code: string
+    },
+    additionalProperties: true
+  },
+  ReportRow: { ...anyObject, description: 'One row of the report; its columns are the values of the fields parameter' },
+  SchoolChange: {
+    type: 'object',
+    properties: {
+      change_id: integer,
+      action: string,
+      changed_by: string,
+      changed_at: { type: 'string', format: 'date-time' },
+      fields: arrayOf(anyObject)
+    }
+  }
+};
+
+const OPERATIONS = {
+  // ----- Schools -----
+  'GET /schools': {
+    tag: 'Schools',
+    summary: 'List schools, optionally by name',
+    response: page(ref('School'))
+  },
+  'GET /schools/{id}/details': {
+    tag: 'Schools',
+    summary: 'A school with its extended attributes and offerings',
+    response: envelope({ school: ref('SchoolDetails') }),
+    errors: { 404: 'No such school' }
+  },
+  'GET /schools/recent': {
+    tag: 'Schools',
+    summary: 'Recently added schools',
+    response: envelope({ schools: arrayOf(ref('School')) })
+  },
+  'POST /schools': {
+    tag: 'Schools',
+    summary: 'Create a school',
+    response: envelope({ data: anyObject, message: string }),
+    errors: { 409: 'school_name is already used (code validation_failed, field code duplicate)' }
+  },
+  'PUT /schools/{id}': {
+    tag: 'Schools',
+    summary: 'Update a school',
+    description: 'Send the version from GET /schools/{id}/details. If the school changed since, the 409 ' +
+      'response (code version_conflict) has the current values in details.current and the latest ' +
+      'change in details.last_change.',
+    response: envelope({ data: anyObject, message: string }),
+    errors: {
+      404: 'No such school',
+      409: 'The school changed since the given version, or school_name is already used',
+      428: 'version is missing (code version_required)'
+    }
+  },
+  'DELETE /schools/{id}': {
+    tag: 'Schools',
+    summary: 'Move a school and its offerings to the recycle bin',
+    response: envelope({ message: string, archive: anyObject }),
+    errors: { 404: 'No such school' }
+  },
+
+  // ----- Offerings -----
+  'POST /schools/{id}/offerings': {
+    tag: 'Offerings',
+    summary: 'Apply a batch of offering changes in one transaction',
+    response: envelope({ message: string, results: arrayOf(anyObject) }),
+    errors: { 404: 'No such school', 409: 'A change conflicts with the current offerings' }
+  },
+
+  // ----- Comparison -----
+  'POST /schools/compare': {
+    tag: 'Comparison',
+    summary: 'Compare two schools and their offerings',
+    response: envelope({ school1: ref('ComparedSchool'), school2: ref('ComparedSchool') }),
+    errors: { 404: 'One or both schools do not exist' }
+  },
+
+  // ----- Search -----
+  'GET /search/universal': {
+    tag: 'Search',
+    summary: 'Search schools and offerings by a term',
+    description: 'Each category is paged on its own; limit and offset apply per category, and type asks for ' +
+      'one category (e.g. the next page of subjects).',
+    response: envelope({
+      query: string,
+      results: {
+        type: 'object',
+        properties: {
+          total: { ...integer, description: 'Matches over all categories' },
+          ...Object.fromEntries(Object.keys(OFFERING_TYPES).concat('schools')
+            .map(category => [category, arrayOf(ref('UniversalResult'))]))
+        }
+      },
+      pagination: { type: 'object', additionalProperties: ref('Pagination') }
+    })
+  },
+  'GET /search/details/{type}/{id}': {
+    tag: 'Search',
+    summary: 'Details of a universal search result',
+    response: envelope({ type: string, data: anyObject }),
+    errors: { 404: 'No such item' }
+  },
+  'POST /search/advanced': {
+    tag: 'Search',
+    summary: 'Find schools matching several criteria',
+    description: 'The criteria are in the body; limit, offset, sort and fields are query parameters. ' +
+      'near, bbox and polygon limit the results to geocoded schools in that area.',
+    response: envelope({
+      results: arrayOf(anyObject),
+      count: { ...integer, description: 'Schools matching the criteria' },
+      criteria: anyObject,
+      pagination: ref('Pagination')
+    })
+  },
+
+  // ----- Geo -----
+  'GET /reverse-geocode': {
+    tag: 'Geo',
+    summary: 'The postal code nearest to coordinates',
+    description: 'data.source names the geocoder that answered.',
+    response: envelope({ data: anyObject }),
+    errors: {
+      404: 'No postal code found (code postal_code_not_found)',
+      502: 'Every geocoder failed (code geocoder_unavailable)'
+    }
+  },
+  'GET /postal-code/{postalCode}': {
+    tag: 'Geo',
+    summary: 'Coordinates and address of a postal code',
+    response: envelope({
+      postal_code: string,
+      latitude: number,
+      longitude: number,
+      address: string,
+      source: { ...string, description: 'The geocoder that answered: onemap, local or district' },
+      approximate: { type: 'boolean', description: 'true for the centre of the postal sector (district)' }
+    }),
+    errors: {
+      404: 'Unknown postal code (code postal_code_not_found)',
+      502: 'Every geocoder failed (code geocoder_unavailable)'
+    }
+  },
+  'POST /geocode/batch': {
+    tag: 'Geo',
+    summary: 'Coordinates of up to 100 postal codes',
+    description: 'One result per distinct postal code; a lookup that fails is reported in its result ' +
+      '(status failed) rather than failing the request. Each IP address may send ' +
+      'GEOCODE_BATCH_RATE_LIMIT batches per minute (20 by default).',
+    response: envelope({
+      count: integer,
+      results: arrayOf(ref('GeocodeResult')),
+      summary: {
+        type: 'object',
+        properties: {
+          ok: integer, not_found: integer, failed: integer,
+          from_schools: integer, from_cache: integer, looked_up: integer
+        }
+      }
+    })
+  },
+  'POST /schools/search-by-postal-code': {
+    tag: 'Geo',
+    summary: 'Schools within a radius of a postal code, nearest first',
+    description: 'Distances come from the stored school coordinates; schools not geocoded yet are ' +
+      'counted in metadata.schools_without_coordinates.',
+    response: envelope({ results: arrayOf(ref('NearbySchool')), search_params: anyObject, metadata: anyObject }),
+    errors: {
+      404: 'Unknown postal code (code postal_code_not_found)',
+      502: 'The geocoder could not be reached (code geocoder_unavailable)'
+    }
+  },
+  'GET /schools/nearest': {
+    tag: 'Geo',
+    summary: 'The schools nearest to a point or postal code, nearest first',
+    description: 'Give lat and lng, or postal_code. limit defaults to 10.',
+    response: envelope({ count: integer, results: arrayOf(ref('NearbySchool')), search_params: anyObject, metadata: anyObject }),
+    errors: {
+      404: 'Unknown postal code (code postal_code_not_found)',
+      502: 'The geocoder could not be reached (code geocoder_unavailable)'
+    }
+  },
+  'GET /schools/within-radius': {
+    tag: 'Geo',
+    summary: 'Schools within a radius of a point or postal code, nearest first',
+    description: 'Give lat and lng, or postal_code.',
+    response: envelope({ count: integer, results: arrayOf(ref('NearbySchool')), search_params: anyObject, metadata: anyObject }),
+    errors: {
+      404: 'Unknown postal code (code postal_code_not_found)',
+      502: 'The geocoder could not be reached (code geocoder_unavailable)'
+    }
+  },
+  'POST /schools/within-area': {
+    tag: 'Geo',
+    summary: 'Schools inside a bounding box and/or a polygon, by name',
+    description: 'Positions are [longitude, latitude], as in GeoJSON. An open polygon is closed.',
+    response: envelope({ count: integer, results: arrayOf(ref('LocatedSchool')), search_params: anyObject, metadata: anyObject })
+  },
+  'GET /schools/map': {
+    tag: 'Geo',
+    summary: 'Schools to show on the map (all of them unless limit is given)',
+    response: envelope({ count: integer, schools: arrayOf(ref('MapSchool')), pagination: ref('Pagination') })
+  },
+  'GET /schools/map-stats': {
+    tag: 'Geo',
+    summary: 'School counts by zone and level',
+    response: envelope({ total: integer, byZone: arrayOf(anyObject), byLevel: arrayOf(anyObject) })
+  },
+
+  // ----- School administration -----
+  'POST /schools/bulk': {
+    tag: 'School administration',
+    summary: 'Preview (dry_run, the default) or apply one patch to many schools',
+    response: envelope({
+      dry_run: { type: 'boolean' },
+      message: string,
+      bulk_id: nullable(integer),
+      matched_count: integer,
+      changed_count: integer,
+      operations: arrayOf(anyObject),
+      schools: arrayOf(anyObject)
+    })
+  },
+  'POST /schools/import/validate': {
+    tag: 'School administration',
+    summary: 'Row-by-row validation report for a CSV / .xlsx upload or edited rows',
+    response: envelope({ counts: anyObject, rows: arrayOf(anyObject) })
+  },
+  'POST /schools/import': {
+    tag: 'School administration',
+    summary: 'Import validated spreadsheet rows in one transaction',
+    response: envelope({ message: string, created: arrayOf(anyObject), updated: arrayOf(anyObject), counts: anyObject }),
+    errors: {
+      400: 'A row has errors (code import_rejected); details has the counts and rows of the report',
+      409: 'A school changed since validation (code version_conflict); details has the counts and rows'
+    }
+  },
+  'GET /schools/{id}/history': {
+    tag: 'School administration',
+    summary: 'Field-level change history of a school, newest first',
+    response: envelope({ school_id: integer, count: integer, changes: arrayOf(ref('SchoolChange')) })
+  },
+  'POST /schools/{id}/history/{changeId}/revert': {
+    tag: 'School administration',
+    summary: 'Revert a school to the version saved with a change',
+    response: envelope({ message: string, school: anyObject, change: anyObject, skipped: arrayOf(anyObject) }),
+    errors: { 404: 'No such school or change', 409: 'The school cannot be reverted to that version' }
+  },
+
+  // ----- Analytics -----
+  'GET /analytics/schools-by-zone': { tag: 'Analytics', summary: 'Schools per zone', response: page(ref('ReportRow')) },
+  'GET /analytics/schools-subject-count': {
+    tag: 'Analytics',
+    summary: 'Subjects offered per school',
+    response: page(ref('ReportRow'), { summary: anyObject })
+  },
+  'GET /analytics/above-average-subjects': {
+    tag: 'Analytics',
+    summary: 'Schools offering more subjects than average',
+    response: page(ref('ReportRow'))
+  },
+  'GET /analytics/cca-participation': { tag: 'Analytics', summary: 'Schools offering each CCA', response: page(ref('ReportRow')) },
+  'GET /analytics/programme-distribution': {
+    tag: 'Analytics',
+    summary: 'MOE programmes by level and zone',
+    response: page(ref('ReportRow'))
+  },
+  'GET /analytics/data-completeness': {
+    tag: 'Analytics',
+    summary: 'How complete each school\'s offerings data is',
+    response: page(ref('ReportRow'), { summary: anyObject })
+  },
+  'GET /analytics/zone-comparison': { tag: 'Analytics', summary: 'Offerings compared across zones', response: page(ref('ReportRow')) },
+  'GET /analytics/rare-offerings': {
+    tag: 'Analytics',
+    summary: 'Subjects or CCAs offered by three schools or fewer',
+    response: page(ref('ReportRow'))
+  },
+  'GET /analytics/logs': { tag: 'Analytics', summary: 'Activity logs, newest first', response: page(anyObject) },
+  'GET /analytics/popular': { tag: 'Analytics', summary: 'Most searched terms', response: page(ref('ReportRow')) },
+  'GET /analytics/activity-trends': { tag: 'Analytics', summary: 'Activity per month and action', response: page(ref('ReportRow')) },
+  'GET /analytics/search-patterns': {
+    tag: 'Analytics',
+    summary: 'Search terms with their result counts',
+    response: page(ref('ReportRow'))
+  }
+};
+
+// The routes schools.js registers for each offering type
+Object.entries(OFFERING_TYPES).forEach(([type, { label }]) => {
+  OPERATIONS[`GET /schools/${type}`] = {
+    tag: 'Offerings',
+    summary: `Schools and their ${label}s, optionally by school name`,
+    response: page(ref('OfferingMatch'))
+  };
+  OPERATIONS[`GET /schools/{id}/${type}`] = {
+    tag: 'Offerings',
+    summary: `The ${label}s of a school`,
+    response: envelope({ count: integer, data: arrayOf(ref('Offering')) })
+  };
+  OPERATIONS[`POST /schools/{id}/${type}`] = {
+    tag: 'Offerings',
+    summary: `Add a ${label} to a school, by master id or description`,
+    status: 201,
+    body: ref('OfferingChange'),
+    response: ref('OfferingResult'),
+    errors: { 404: 'No such school', 409: `The school already offers the ${label}` }
+  };
+  OPERATIONS[`PUT /schools/{id}/${type}/{itemId}`] = {
+    tag: 'Offerings',
+    summary: `Point a school's ${label} at another entry, or edit its own columns`,
+    body: ref('OfferingChange'),
+    response: ref('OfferingResult'),
+    errors: { 404: `No such school or ${label}`, 409: `The school already offers the other ${label}` }
+  };
+  OPERATIONS[`DELETE /schools/{id}/${type}/{itemId}`] = {
+    tag: 'Offerings',
+    summary: `Remove a ${label} from a school`,
+    response: ref('OfferingResult'),
+    errors: { 404: `No such school or ${label}` }
+  };
+});
+
+module.exports = { API_VERSION, TAGS, TAG_SCOPES, SCHEMAS, OPERATIONS };
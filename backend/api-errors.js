@@ -0,0 +1,133 @@
+// ========== API ERRORS ==========
+// The envelope API errors are sent in:
+//   { success: false, error: <message>, code: <error code>, request_id, details? }
+// `error` is the message to show; clients branch on `code` (e.g.
+// validation_failed, not_found, invalid_json). `details` carries extra data
+// such as per-field validation errors. Every response also has the request
+// id in an X-Request-Id header, and server logs quote it.
+
+const crypto = require('crypto');
+
+// Default code for each status
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'service_unavailable'
+};
+
+// Ids from a proxy or client are kept when they look like ids
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Middleware giving each request an id (req.id), echoed in X-Request-Id
+function assignRequestId(req, res, next) {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Middleware completing error bodies a route builds itself, such as
+// { success: false, error, current } for an edit conflict: the code of the
+// status and the request id are filled in, and extra keys are kept
+function completeErrorBodies(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      body = {
+        success: false,
+        error: body.error || body.message,
+        code: STATUS_CODES[res.statusCode] || 'error',
+        request_id: req.id,
+        ...body
+      };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Send an error envelope; `code` defaults to the one of the status
+function sendError(res, status, code, message, details) {
+  res.status(status).json({
+    success: false,
+    error: message,
+    code: code || STATUS_CODES[status] || 'error',
+    request_id: res.req.id,
+    ...(details !== undefined && { details })
+  });
+}
+
+// Log an unexpected error with the request id and send a 500 whose message
+// says what failed, without the internals of `err`
+function sendServerError(res, err, message) {
+  console.error(`❌ ${message} [${res.req.id}]:`, err);
+  sendError(res, 500, 'internal_error', message);
+}
+
+// PostgreSQL errors caused by the submitted data rather than the server:
+// [status, code, message] by SQLSTATE
+const DATABASE_ERRORS = {
+  '22001': [400, 'value_too_long', 'A value is longer than its field allows'],
+  '22P02': [400, 'invalid_value', 'A value has the wrong type for its field'],
+  '23502': [400, 'missing_value', 'A required value is missing'],
+  '23503': [409, 'reference_not_found', 'The record refers to an entry that does not exist'],
+  '23505': [409, 'duplicate', 'A record with the same value already exists'],
+  '23514': [400, 'invalid_value', 'A value is not allowed by the database']
+};
+
+// Send the error of a failed database write: a 400 or 409 for data the
+// database refused (any other integrity violation, class 23, is a 409
+// constraint_violation), with the constraint in details, and a 500 through
+// sendServerError for anything else
+function sendDatabaseError(res, err, message) {
+  const known = DATABASE_ERRORS[err.code] ||
+    (/^23/.test(err.code || '') && [409, 'constraint_violation', 'The change breaks a rule of the database']);
+  if (!known) return sendServerError(res, err, message);
+
+  const [status, code, text] = known;
+  console.error(`⚠️  ${message} [${res.req.id}]: ${err.code} ${err.message}`);
+  sendError(res, status, code, text, err.constraint ? { constraint: err.constraint } : undefined);
+}
+
+// ========== FALLBACK HANDLERS ==========
+
+// /api paths no router answered
+function apiNotFound(req, res) {
+  sendError(res, 404, 'route_not_found', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+// Final error handler: body parser errors keep their status, anything
+// else a route let through is a 500
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'payload_too_large', 'The request body is too large');
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, null, err.expose ? err.message : 'Bad request');
+  }
+
+  sendServerError(res, err, 'Internal server error');
+}
+
+module.exports = {
+  assignRequestId,
+  completeErrorBodies,
+  sendError,
+  sendServerError,
+  sendDatabaseError,
+  apiNotFound,
+  handleErrors
+};
@@ -0,0 +1,214 @@
+// ========== API KEYS ==========
+// Partner applications call /api/v1 with a key in the X-API-Key header.
+// Keys look like eq_<prefix>_<secret>. Api_Keys (migration 0013) stores the
+// prefix and a SHA-256 hash of the whole key, so the key itself is only
+// shown when it is issued or rotated. Each key has one or more scopes:
+//   read       schools, offerings, comparison and search
+//   analytics  the public analytics reports
+//   geo        postal codes, nearby schools and map data
+// api-docs.js gives the scope of each v1 operation. Admins manage keys
+// under /api/admin/api-keys; api-access.js checks them on each request.
+//
+// Usage is counted in the MongoDB api_usage collection, one document per
+// key and day: { key_id, key_prefix, day: 'YYYY-MM-DD', requests, errors,
+// rejected, routes: { 'GET /schools': n }, last_used_at }.
+
+const crypto = require('crypto');
+const connectMongo = require('./mongo-connection');
+
+const API_KEY_SCOPES = ['read', 'analytics', 'geo'];
+
+// Requests per minute of a key without its own rate_limit
+const configuredRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT, 10);
+const API_KEY_RATE_LIMIT = Number.isNaN(configuredRateLimit) ? 120 : configuredRateLimit;
+
+const KEY_PATTERN = /^eq_([0-9a-f]{12})_[0-9a-f]{40}$/;
+
+// Columns sent to the admin area (never key_hash)
+const KEY_COLUMNS = `key_id, name, key_prefix, scopes, rate_limit, created_by, created_at,
+  rotated_at, revoked_at, revoked_by`;
+
+// Known keys are reused for this long; changes made here clear them at once.
+// Unknown keys are not cached, so made-up keys cannot fill the cache.
+const KEY_CACHE_MS = 30 * 1000;
+const MAX_CACHED_KEYS = 1000;
+const keyCache = new Map();
+
+// Make room for one more entry: expired entries go first, then the oldest
+function makeCacheRoom(now) {
+  if (keyCache.size < MAX_CACHED_KEYS) return;
+
+  keyCache.forEach((cached, hash) => {
+    if (now - cached.at >= KEY_CACHE_MS) keyCache.delete(hash);
+  });
+  if (keyCache.size >= MAX_CACHED_KEYS) {
+    keyCache.delete(keyCache.keys().next().value);
+  }
+}
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function generateKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `eq_${prefix}_${crypto.randomBytes(20).toString('hex')}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+// ========== KEY MANAGEMENT ==========
+
+async function listApiKeys(db) {
+  const result = await db.query(`SELECT ${KEY_COLUMNS} FROM Api_Keys ORDER BY revoked_at IS NOT NULL, created_at DESC`);
+  return result.rows;
+}
+
+// Issue a key. Returns { apiKey: row, key } — the only time the key is readable.
+async function createApiKey(db, { name, scopes, rateLimit = null }, createdBy) {
+  const { key, prefix, hash } = generateKey();
+  const result = await db.query(
+    `INSERT INTO Api_Keys (name, key_prefix, key_hash, scopes, rate_limit, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, prefix, hash, scopes, rateLimit, createdBy]
+  );
+  return { apiKey: result.rows[0], key };
+}
+
+// Change the name, scopes or rate limit of an active key. `changes` holds
+// the given fields only; a null rate_limit goes back to the default.
+// Returns the row, or null if there is no active key with that id.
+async function updateApiKey(db, keyId, changes) {
+  const result = await db.query(
+    `UPDATE Api_Keys SET
+       name = COALESCE($2, name),
+       scopes = COALESCE($3, scopes),
+       rate_limit = CASE WHEN $4 THEN $5 ELSE rate_limit END
+     WHERE key_id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [keyId, changes.name ?? null, changes.scopes ?? null, 'rateLimit' in changes, changes.rateLimit ?? null]
+  );
+  keyCache.clear();
+  return result.rows[0] || null;
+}
+
+// Replace the key of an active entry: the old key stops working at once.
+// Returns { apiKey, key }, or null if there is no active key with that id.
+async function rotateApiKey(db, keyId) {
+  const { key, prefix, hash } = generateKey();
+  const result = await db.query(
+    `UPDATE Api_Keys SET key_prefix = $2, key_hash = $3, rotated_at = CURRENT_TIMESTAMP
+     WHERE key_id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [keyId, prefix, hash]
+  );
+  keyCache.clear();
+  return result.rows[0] ? { apiKey: result.rows[0], key } : null;
+}
+
+// Returns the revoked row, or null if there is no active key with that id
+async function revokeApiKey(db, keyId, revokedBy) {
+  const result = await db.query(
+    `UPDATE Api_Keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+     WHERE key_id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [keyId, revokedBy]
+  );
+  keyCache.clear();
+  return result.rows[0] || null;
+}
+
+// The Api_Keys row of a presented key (revoked ones included), or null
+// when the key is malformed or unknown
+async function findApiKey(db, presented, now = Date.now()) {
+  const match = KEY_PATTERN.exec(presented);
+  if (!match) return null;
+
+  const hash = hashKey(presented);
+  const cached = keyCache.get(hash);
+  if (cached && now - cached.at < KEY_CACHE_MS) return cached.apiKey;
+
+  const result = await db.query(`SELECT ${KEY_COLUMNS}, key_hash FROM Api_Keys WHERE key_prefix = $1`, [match[1]]);
+  const row = result.rows[0];
+  const valid = row && crypto.timingSafeEqual(Buffer.from(row.key_hash), Buffer.from(hash));
+
+  if (!valid) return null;
+
+  const apiKey = { ...row, key_hash: undefined };
+  keyCache.delete(hash);
+  makeCacheRoom(now);
+  keyCache.set(hash, { apiKey, at: now });
+  return apiKey;
+}
+
+// ========== USAGE ==========
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Count one request of a key. Never throws: usage must not fail a request.
+async function recordApiUsage({ apiKey, route, status }) {
+  try {
+    const db = await connectMongo();
+    await db.collection('api_usage').updateOne(
+      { key_id: apiKey.key_id, day: usageDay() },
+      {
+        $inc: {
+          requests: 1,
+          errors: status >= 400 && status !== 429 ? 1 : 0,
+          rejected: status === 429 ? 1 : 0,
+          [`routes.${route}`]: 1
+        },
+        $set: { key_prefix: apiKey.key_prefix, last_used_at: new Date() }
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error('Failed to record API usage:', err.message);
+  }
+}
+
+// Totals per key over the last `days` days (today included), as
+// Map(key_id -> { today, requests, errors, rejected, last_used_at })
+async function apiUsageTotals(keyIds, days = 30) {
+  const db = await connectMongo();
+  const since = usageDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+  const today = usageDay();
+
+  const rows = await db.collection('api_usage').aggregate([
+    { $match: { key_id: { $in: keyIds }, day: { $gte: since } } },
+    {
+      $group: {
+        _id: '$key_id',
+        today: { $sum: { $cond: [{ $eq: ['$day', today] }, '$requests', 0] } },
+        requests: { $sum: '$requests' },
+        errors: { $sum: '$errors' },
+        rejected: { $sum: '$rejected' },
+        last_used_at: { $max: '$last_used_at' }
+      }
+    }
+  ]).toArray();
+
+  return new Map(rows.map(({ _id, ...totals }) => [_id, totals]));
+}
+
+// One key's counters per day, newest first
+async function apiUsageByDay(keyId, days = 30) {
+  const db = await connectMongo();
+  const since = usageDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+  return db.collection('api_usage')
+    .find({ key_id: keyId, day: { $gte: since } }, { projection: { _id: 0, key_id: 0 } })
+    .sort({ day: -1 })
+    .toArray();
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_RATE_LIMIT,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  findApiKey,
+  recordApiUsage,
+  apiUsageTotals,
+  apiUsageByDay
+};
@@ -0,0 +1,79 @@
+// ========== AUTHENTICATION ==========
+// Password hashing, JWT helpers and the requireAuth / requireAdmin middleware
+// shared by every router.
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { sendError } = require('./api-errors');
+require('dotenv').config();
+
+// Password utility functions
+const passwordUtils = {
+  async hashPassword(password) {
+    const saltRounds = 12;
+    return await bcrypt.hash(password, saltRounds);
+  },
+
+  async verifyPassword(password, hash) {
+    return await bcrypt.compare(password, hash);
+  }
+};
+
+// JWT secret (use environment variable in production)
+const JWT_SECRET = process.env.JWT_SECRET || 'eduquery-secret-key';
+
+// Generate JWT token
+function generateToken(user) {
+  return jwt.sign(
+    {
+      user_id: user.id,
+      username: user.username,
+      is_admin: user.is_admin
+    },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+}
+
+// Verify JWT token
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Authentication middleware for ADMIN API routes only
+const requireAuth = (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '') ||
+    req.query.token;
+
+  if (!token) {
+    return sendError(res, 401, 'auth_required', 'Authentication token required');
+  }
+
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    return sendError(res, 401, 'invalid_token', 'Invalid or expired token');
+  }
+
+  // Tokens carry user_id; routes read req.user.id
+  req.user = { ...decoded, id: decoded.user_id };
+  next();
+};
+
+// Middleware to check if user is admin (requires requireAuth first)
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return sendError(res, 403, 'admin_required', 'Admin privileges required');
+  }
+  next();
+};
+
+module.exports = {
+  passwordUtils,
+  generateToken,
+  verifyToken,
+  requireAuth,
+  requireAdmin
+};
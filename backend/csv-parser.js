@@ -0,0 +1,77 @@
+// ========== CSV PARSER ==========
+// Minimal RFC 4180 parser for the MOE dataset files.
+// Handles quoted fields, escaped quotes ("") and CRLF line endings.
+
+// Split CSV text into an array of rows (each row is an array of strings)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 byte order mark if present
+  if (text.charCodeAt(0) === 0xFEFF) {
+    text = text.slice(1);
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+// Parse CSV text into objects keyed by lower-cased header names
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(h => h.trim().toLowerCase());
+
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] !== undefined ? values[index] : '';
+    });
+    return record;
+  });
+}
+
+module.exports = { parseCsv, parseCsvRows };
@@ -0,0 +1,761 @@
+// ========== MOE DATASET LOADER ==========
+// Reads the five CSV files published by MOE (see dataset/) and loads them
+// into the PostgreSQL schema defined in backend/schema.sql.
+//
+// Loading is idempotent: existing rows are matched by school name (or by
+// description for the master tables) and only updated when a value changed.
+// A school whose name is gone from the file is matched as renamed when an
+// alias or its postal code and level point to it. In refresh mode schools
+// missing from a new edition move to the recycle bin and offerings missing
+// from it are removed, and every addition, removal and field change is
+// recorded in report.changes.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv-parser');
+const { createNameMatcher, nameKey } = require('./name-matcher');
+const {
+  VALID_ZONES, VALID_MAINLEVELS, SCHOOL_COLUMNS, GENERAL_INFO_COLUMNS, EXTENDED_INFO_COLUMNS,
+  DISTINCTIVE_COLUMNS, normaliseValue
+} = require('./school-columns');
+const { archiveSchool } = require('./school-archive');
+const { recordChange } = require('./school-history');
+
+const DEFAULT_DATASET_DIR = path.join(__dirname, '../dataset');
+
+const DATASET_FILES = {
+  general: 'General information of schools.csv',
+  subjects: 'Subjects Offered.csv',
+  ccas: 'Co-curricular activities (CCAs).csv',
+  programmes: 'MOE Programmes.csv',
+  distinctives: 'School Distinctive Programmes.csv'
+};
+
+const JUNCTION_TABLES = ['School_Subjects', 'School_CCAs', 'School_Programmes', 'School_Distinctives'];
+
+// ========== VALUE NORMALISATION ==========
+
+// Key used to match school names across files and against the database
+function schoolKey(name) {
+  const value = normaliseValue(name);
+  return value ? value.toUpperCase() : null;
+}
+
+// Excel drops leading zeros from postal codes (e.g. 088256 -> 88256)
+function normalisePostalCode(value) {
+  const cleaned = normaliseValue(value);
+  if (!cleaned) return null;
+
+  const digits = cleaned.replace(/\D/g, '');
+  if (digits.length === 0 || digits.length > 6) return cleaned;
+  return digits.padStart(6, '0');
+}
+
+// Map MOE level descriptions such as 'SECONDARY (S1-S5)' or
+// 'MIXED LEVEL (P1-S4)' onto the values allowed by chk_mainlevel.
+// Mixed-level schools are filed under the level they start at.
+function normaliseMainlevel(value) {
+  const cleaned = normaliseValue(value);
+  if (!cleaned) return null;
+
+  const upper = cleaned.toUpperCase();
+  if (VALID_MAINLEVELS.includes(upper)) return upper;
+  if (upper.startsWith('SECONDARY')) return 'SECONDARY';
+  if (upper.startsWith('PRIMARY')) return 'PRIMARY';
+  if (upper.startsWith('MIXED LEVEL (P')) return 'PRIMARY';
+  if (upper.startsWith('MIXED LEVEL (S')) return 'SECONDARY';
+  if (upper.startsWith('MIXED LEVEL (JC')) return 'JUNIOR COLLEGE';
+  return null;
+}
+
+// ========== READING THE FILES ==========
+
+function readCsvFile(dir, fileName) {
+  const filePath = path.join(dir, fileName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Dataset file not found: ${filePath}`);
+  }
+  return parseCsv(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Read all five files and normalise every record.
+// Each record keeps its source line number for error reporting.
+function readDataset(dir = DEFAULT_DATASET_DIR) {
+  const withLine = (records, mapper) =>
+    records.map((record, index) => ({ line: index + 2, ...mapper(record) }));
+
+  const general = withLine(readCsvFile(dir, DATASET_FILES.general), record => {
+    const row = {};
+    GENERAL_INFO_COLUMNS.forEach(column => {
+      row[column] = normaliseValue(record[column]);
+    });
+    row.postal_code = normalisePostalCode(record.postal_code);
+    row.zone_code = row.zone_code ? row.zone_code.toUpperCase() : null;
+    // raw_general_info keeps the original MOE level description
+    row.mainlevel_desc = row.mainlevel_code;
+    row.mainlevel_code = normaliseMainlevel(record.mainlevel_code);
+    return row;
+  });
+
+  const subjects = withLine(readCsvFile(dir, DATASET_FILES.subjects), record => ({
+    school_name: normaliseValue(record.school_name),
+    subject_desc: normaliseValue(record.subject_desc)
+  }));
+
+  const ccas = withLine(readCsvFile(dir, DATASET_FILES.ccas), record => ({
+    school_name: normaliseValue(record.school_name),
+    school_section: normaliseValue(record.school_section),
+    cca_grouping_desc: normaliseValue(record.cca_grouping_desc),
+    cca_generic_name: normaliseValue(record.cca_generic_name),
+    cca_customized_name: normaliseValue(record.cca_customized_name)
+  }));
+
+  const programmes = withLine(readCsvFile(dir, DATASET_FILES.programmes), record => ({
+    school_name: normaliseValue(record.school_name),
+    moe_programme_desc: normaliseValue(record.moe_programme_desc)
+  }));
+
+  const distinctives = withLine(readCsvFile(dir, DATASET_FILES.distinctives), record => {
+    const row = { school_name: normaliseValue(record.school_name) };
+    DISTINCTIVE_COLUMNS.forEach(column => {
+      row[column] = normaliseValue(record[column]);
+    });
+    return row;
+  });
+
+  return { general, subjects, ccas, programmes, distinctives };
+}
+
+// ========== VALIDATION ==========
+
+// Problems that would violate the Schools constraints, as
+// { field, constraint, code, message }; constraint is null for missing values
+function checkSchoolRecord(record) {
+  const problems = [];
+
+  SCHOOL_COLUMNS.forEach(column => {
+    if (!record[column]) problems.push({ field: column, constraint: null, code: 'required', message: `missing ${column}` });
+  });
+
+  if (record.postal_code && !/^\d{6}$/.test(record.postal_code)) {
+    problems.push({
+      field: 'postal_code',
+      constraint: 'chk_postal_code',
+      code: 'invalid_postal_code',
+      message: `invalid postal_code '${record.postal_code}'`
+    });
+  }
+  if (record.zone_code && !VALID_ZONES.includes(record.zone_code)) {
+    problems.push({
+      field: 'zone_code',
+      constraint: 'chk_zone_code',
+      code: 'invalid_zone',
+      message: `invalid zone_code '${record.zone_code}'`
+    });
+  }
+  if (!record.mainlevel_code && record.mainlevel_desc) {
+    problems.push({
+      field: 'mainlevel_code',
+      constraint: 'chk_mainlevel',
+      code: 'invalid_mainlevel',
+      message: `unknown mainlevel_code '${record.mainlevel_desc}'`
+    });
+  }
+
+  return problems;
+}
+
+// Returns a list of problems that would violate the Schools constraints
+function validateSchoolRecord(record) {
+  return checkSchoolRecord(record).map(problem => problem.message);
+}
+
+// ========== LOADING ==========
+
+function createReport() {
+  const tables = [
+    'Schools', 'raw_general_info',
+    'Subjects', 'CCAs', 'Programmes', 'Distinctive_Programmes',
+    'School_Subjects', 'School_CCAs', 'School_Programmes', 'School_Distinctives'
+  ];
+
+  const counts = {};
+  tables.forEach(table => {
+    counts[table] = { inserted: 0, updated: 0, unchanged: 0, removed: 0, rejected: 0 };
+  });
+
+  // Distinct school names seen in the offering files, by how they were matched
+  const nameMatches = { exact: 0, alias: 0, normalised: 0, fuzzy: 0, review: 0, unmatched: 0 };
+
+  // Row-level diff against the database, keyed by school name
+  const changes = {
+    Schools: { added: [], removed: [], changed: [] }
+  };
+  JUNCTION_TABLES.forEach(table => {
+    changes[table] = { added: [], removed: [], changed: [] };
+  });
+
+  return { counts, nameMatches, changes, rejections: [] };
+}
+
+function reject(report, table, file, line, reason) {
+  report.counts[table].rejected++;
+  report.rejections.push({ table, file, line, reason });
+}
+
+function sameValues(a, b, columns) {
+  return columns.every(column => (a[column] ?? null) === (b[column] ?? null));
+}
+
+// List the columns whose value differs as { field, from, to }
+function diffValues(current, next, columns) {
+  return columns
+    .filter(column => (current[column] ?? null) !== (next[column] ?? null))
+    .map(column => ({ field: column, from: current[column] ?? null, to: next[column] ?? null }));
+}
+
+// Match a record whose name no school has to a school whose name is gone
+// from the file (`unclaimed`): through an alias an admin gave the new name,
+// else through the postal code and level when exactly one school has them.
+// The school matched is taken out of `unclaimed`.
+function claimRenamedSchool(record, unclaimed, aliasIds) {
+  const aliasId = aliasIds.get(nameKey(record.school_name));
+  let candidates = unclaimed.filter(row => row.school_id === aliasId);
+  if (candidates.length === 0) {
+    candidates = unclaimed.filter(row =>
+      row.postal_code === record.postal_code && row.mainlevel_code === record.mainlevel_code);
+  }
+  if (candidates.length !== 1) return null;
+
+  unclaimed.splice(unclaimed.indexOf(candidates[0]), 1);
+  return candidates[0];
+}
+
+// Upsert Schools and raw_general_info from the general information file.
+// A renamed school keeps its id (see claimRenamedSchool). With
+// removeMissing, schools absent from the file move to the recycle bin with
+// their offerings and raw_general_info row, as a delete by `changedBy` in
+// their history; schools whose row was rejected are kept.
+// Returns every remaining school as { school_id, school_name } rows.
+async function loadSchools(client, records, report, { removeMissing, changedBy }) {
+  const existing = await client.query(
+    `SELECT school_id, ${SCHOOL_COLUMNS.join(', ')} FROM Schools`
+  );
+  const schoolsByKey = new Map(existing.rows.map(row => [schoolKey(row.school_name), row]));
+
+  const namesInFile = new Set(records.map(record => schoolKey(record.school_name)));
+  const unclaimed = existing.rows.filter(row => !namesInFile.has(schoolKey(row.school_name)));
+  const aliases = await client.query('SELECT alias_name, school_id FROM School_Name_Aliases');
+  const aliasIds = new Map(aliases.rows.map(row => [nameKey(row.alias_name), row.school_id]));
+
+  const existingInfo = await client.query(
+    `SELECT school_id, ${EXTENDED_INFO_COLUMNS.join(', ')} FROM raw_general_info`
+  );
+  const infoById = new Map(existingInfo.rows.map(row => [row.school_id, row]));
+
+  const seen = new Set();
+  const changes = report.changes.Schools;
+
+  for (const record of records) {
+    const key = schoolKey(record.school_name);
+    const errors = validateSchoolRecord(record);
+
+    if (key && seen.has(key)) {
+      errors.push('duplicate school_name');
+    }
+
+    // Rejected rows still count as seen so the school is not removed
+    if (key) seen.add(key);
+
+    if (errors.length > 0) {
+      reject(report, 'Schools', DATASET_FILES.general, record.line, errors.join('; '));
+      report.counts.raw_general_info.rejected++;
+      continue;
+    }
+
+    // 1. Schools
+    let current = schoolsByKey.get(key);
+    if (!current) {
+      current = claimRenamedSchool(record, unclaimed, aliasIds);
+      if (current) {
+        schoolsByKey.delete(schoolKey(current.school_name));
+        schoolsByKey.set(key, current);
+      }
+    }
+    const values = SCHOOL_COLUMNS.map(column => record[column]);
+    const fieldChanges = current ? diffValues(current, record, SCHOOL_COLUMNS) : [];
+
+    if (!current) {
+      const result = await client.query(
+        `INSERT INTO Schools (${SCHOOL_COLUMNS.join(', ')})
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING school_id, ${SCHOOL_COLUMNS.join(', ')}`,
+        values
+      );
+      current = result.rows[0];
+      schoolsByKey.set(key, current);
+      report.counts.Schools.inserted++;
+      changes.added.push({ school_name: record.school_name });
+    } else if (fieldChanges.length > 0) {
+      await client.query(
+        `UPDATE Schools
+         SET school_name = $1, address = $2, postal_code = $3,
+             zone_code = $4, mainlevel_code = $5, principal_name = $6,
+             version = version + 1
+         WHERE school_id = $7`,
+        [...values, current.school_id]
+      );
+      // Later files resolve school names against this row
+      SCHOOL_COLUMNS.forEach(column => { current[column] = record[column]; });
+      report.counts.Schools.updated++;
+    } else {
+      report.counts.Schools.unchanged++;
+    }
+
+    // 2. raw_general_info (keeps the original MOE level description)
+    const info = { ...record, mainlevel_code: record.mainlevel_desc };
+    const infoValues = EXTENDED_INFO_COLUMNS.map(column => info[column]);
+    const currentInfo = infoById.get(current.school_id);
+
+    if (!currentInfo) {
+      const placeholders = EXTENDED_INFO_COLUMNS.map((_, i) => `$${i + 2}`).join(', ');
+      await client.query(
+        `INSERT INTO raw_general_info (school_id, ${EXTENDED_INFO_COLUMNS.join(', ')})
+         VALUES ($1, ${placeholders})`,
+        [current.school_id, ...infoValues]
+      );
+      report.counts.raw_general_info.inserted++;
+    } else if (!sameValues(currentInfo, info, EXTENDED_INFO_COLUMNS)) {
+      // Report fields not already covered by the Schools diff
+      diffValues(currentInfo, info, EXTENDED_INFO_COLUMNS)
+        .filter(change => !SCHOOL_COLUMNS.includes(change.field))
+        .forEach(change => fieldChanges.push(change));
+
+      const assignments = EXTENDED_INFO_COLUMNS
+        .map((column, i) => `${column} = $${i + 2}`)
+        .join(', ');
+      await client.query(
+        `UPDATE raw_general_info SET ${assignments}
+         WHERE school_id = $1`,
+        [current.school_id, ...infoValues]
+      );
+      // Edits based on the old values must not overwrite the import
+      await client.query(
+        'UPDATE Schools SET version = version + 1 WHERE school_id = $1',
+        [current.school_id]
+      );
+      report.counts.raw_general_info.updated++;
+    } else {
+      report.counts.raw_general_info.unchanged++;
+    }
+
+    if (fieldChanges.length > 0) {
+      changes.changed.push({ school_name: record.school_name, fields: fieldChanges });
+    }
+  }
+
+  if (removeMissing) {
+    const missing = [...schoolsByKey.entries()].filter(([key]) => !seen.has(key));
+
+    if (missing.length > 0) {
+      for (const [key, row] of missing) {
+        // The caller's transaction rolls the whole load back
+        const archived = await archiveSchool(client, row.school_id, changedBy);
+        if (archived.error) {
+          throw new Error(`Could not archive ${row.school_name}: ${archived.error.message}`);
+        }
+        await recordChange(client, { schoolId: row.school_id, action: 'delete', changedBy });
+
+        schoolsByKey.delete(key);
+        changes.removed.push({ school_name: row.school_name });
+        if (infoById.has(row.school_id)) report.counts.raw_general_info.removed++;
+      }
+      report.counts.Schools.removed += missing.length;
+    }
+  }
+
+  return [...schoolsByKey.values()].map(row => ({
+    school_id: row.school_id,
+    school_name: row.school_name
+  }));
+}
+
+// Build a resolver that maps the school names used in the offering files
+// onto school ids. Confident fuzzy matches are remembered as aliases;
+// low-confidence ones are queued in School_Name_Reviews for an admin.
+async function createSchoolResolver(client, schools, report) {
+  const aliases = await client.query('SELECT alias_name, school_id FROM School_Name_Aliases');
+  const matcher = createNameMatcher(schools, aliases.rows);
+  const resolved = new Map();
+
+  return async function resolveSchool(name, file) {
+    const key = nameKey(name);
+    if (resolved.has(key)) return resolved.get(key);
+
+    const match = matcher.match(name);
+    let result;
+
+    if (match.status === 'matched') {
+      report.nameMatches[match.method]++;
+      result = { school_id: match.school_id };
+
+      if (match.method === 'fuzzy') {
+        await client.query(
+          `INSERT INTO School_Name_Aliases (alias_name, school_id, source, similarity_score)
+           VALUES ($1, $2, 'AUTO', $3)
+           ON CONFLICT (alias_name) DO NOTHING`,
+          [key, match.school_id, match.score]
+        );
+      }
+    } else if (match.status === 'review') {
+      report.nameMatches.review++;
+      await client.query(
+        `INSERT INTO School_Name_Reviews (raw_name, source_file, suggested_school_id, similarity_score)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (raw_name, source_file)
+         DO UPDATE SET suggested_school_id = EXCLUDED.suggested_school_id,
+                       similarity_score = EXCLUDED.similarity_score
+         WHERE School_Name_Reviews.status = 'PENDING'`,
+        [key, file, match.school_id, match.score]
+      );
+      result = {
+        error: `low-confidence match '${name}' ~ '${match.school_name}' (${match.score}), queued for review`
+      };
+    } else {
+      report.nameMatches.unmatched++;
+      result = { error: `unknown school '${name}'` };
+    }
+
+    resolved.set(key, result);
+    return result;
+  };
+}
+
+// Resolve (or create) master table ids for the entries referenced by a file.
+// `definition` names the master table, its id column and the columns that
+// identify an entry (compared case-insensitively). An entry merged by an
+// admin resolves to the entry that replaced it; retiredIds holds the ids
+// of retired entries, which must not be linked.
+async function resolveMasterIds(client, definition, entries, report) {
+  const { table, idColumn, columns } = definition;
+  const keyOf = entry => columns.map(c => (entry[c] || '').toUpperCase()).join('|');
+
+  const labelOf = entry => columns.map(c => entry[c]).filter(Boolean).join(' / ');
+
+  // Active entries first so they win over retired ones with the same key
+  const existing = await client.query(
+    `SELECT ${idColumn}, ${columns.join(', ')}, retired_at, merged_into
+     FROM ${table}
+     ORDER BY retired_at IS NOT NULL, ${idColumn}`
+  );
+  const idsByKey = new Map();
+  existing.rows.forEach(row => {
+    const key = keyOf(row);
+    if (!idsByKey.has(key)) idsByKey.set(key, row.merged_into || row[idColumn]);
+  });
+  const labelsById = new Map(existing.rows.map(row => [row[idColumn], labelOf(row)]));
+  const retiredIds = new Set(
+    existing.rows.filter(row => row.retired_at && !row.merged_into).map(row => row[idColumn])
+  );
+
+  const referenced = new Set();
+
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (referenced.has(key)) {
+      continue;
+    }
+    referenced.add(key);
+
+    if (idsByKey.has(key)) {
+      report.counts[table].unchanged++;
+      continue;
+    }
+
+    const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+    const result = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')})
+       VALUES (${placeholders})
+       RETURNING ${idColumn}`,
+      columns.map(c => entry[c])
+    );
+    idsByKey.set(key, result.rows[0][idColumn]);
+    labelsById.set(result.rows[0][idColumn], labelOf(entry));
+    report.counts[table].inserted++;
+  }
+
+  return { idsByKey, keyOf, labelsById, retiredIds };
+}
+
+// Link schools to master entries through a junction table.
+// Only pairs that are not already present are inserted. With removeMissing,
+// pairs absent from the file are deleted, but only for schools that have at
+// least one accepted row in it - a school whose rows were all rejected (e.g.
+// its name is awaiting review) keeps what it has.
+async function loadJunction(client, options, records, context, report) {
+  const { table, file, master, idColumn, validate, extraColumns = [] } = options;
+  const { resolveSchool, schoolNames, removeMissing } = context;
+  const changes = report.changes[table];
+
+  // Reject rows we cannot link before touching the master table
+  const accepted = [];
+  for (const record of records) {
+    if (!record.school_name) {
+      reject(report, table, file, record.line, 'missing school_name');
+      continue;
+    }
+
+    const school = await resolveSchool(record.school_name, file);
+    const error = school.error || validate(record);
+
+    if (error) {
+      reject(report, table, file, record.line, error);
+      continue;
+    }
+    accepted.push({ ...record, school_id: school.school_id });
+  }
+
+  const { idsByKey, keyOf, labelsById, retiredIds } = await resolveMasterIds(client, master, accepted, report);
+
+  const existing = await client.query(
+    `SELECT school_id, ${idColumn}${extraColumns.map(c => `, ${c}`).join('')} FROM ${table}`
+  );
+  const existingByPair = new Map(
+    existing.rows.map(row => [`${row.school_id}:${row[idColumn]}`, row])
+  );
+
+  const seen = new Set();
+  const toInsert = [];
+
+  for (const record of accepted) {
+    const masterId = idsByKey.get(keyOf(record));
+    if (retiredIds.has(masterId)) {
+      reject(report, table, file, record.line, `retired entry '${labelsById.get(masterId)}'`);
+      continue;
+    }
+
+    const pair = `${record.school_id}:${masterId}`;
+
+    if (seen.has(pair)) {
+      reject(report, table, file, record.line, 'duplicate row');
+      continue;
+    }
+    seen.add(pair);
+
+    const current = existingByPair.get(pair);
+    const entry = { school_name: schoolNames.get(record.school_id), item: labelsById.get(masterId) };
+
+    if (!current) {
+      toInsert.push({ ...record, master_id: masterId });
+      changes.added.push(entry);
+    } else if (extraColumns.length > 0 && !sameValues(current, record, extraColumns)) {
+      const assignments = extraColumns.map((c, i) => `${c} = $${i + 3}`).join(', ');
+      await client.query(
+        `UPDATE ${table} SET ${assignments}
+         WHERE school_id = $1 AND ${idColumn} = $2`,
+        [record.school_id, masterId, ...extraColumns.map(c => record[c])]
+      );
+      report.counts[table].updated++;
+      changes.changed.push({ ...entry, fields: diffValues(current, record, extraColumns) });
+    } else {
+      report.counts[table].unchanged++;
+    }
+  }
+
+  if (removeMissing) {
+    const covered = new Set(accepted.map(record => record.school_id));
+    const missing = existing.rows.filter(row =>
+      covered.has(row.school_id) && !seen.has(`${row.school_id}:${row[idColumn]}`)
+    );
+
+    if (missing.length > 0) {
+      await client.query(
+        `DELETE FROM ${table}
+         WHERE (school_id, ${idColumn}) IN (
+           SELECT * FROM UNNEST($1::int[], $2::int[])
+         )`,
+        [missing.map(row => row.school_id), missing.map(row => row[idColumn])]
+      );
+
+      missing.forEach(row => {
+        changes.removed.push({
+          school_name: schoolNames.get(row.school_id),
+          item: labelsById.get(row[idColumn])
+        });
+      });
+      report.counts[table].removed += missing.length;
+    }
+  }
+
+  if (toInsert.length > 0) {
+    const columns = ['school_id', idColumn, ...extraColumns];
+    const casts = ['int[]', 'int[]', ...extraColumns.map(() => 'text[]')];
+    const unnestArgs = casts.map((cast, i) => `$${i + 1}::${cast}`).join(', ');
+
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')})
+       SELECT * FROM UNNEST(${unnestArgs})
+       ON CONFLICT DO NOTHING`,
+      [
+        toInsert.map(r => r.school_id),
+        toInsert.map(r => r.master_id),
+        ...extraColumns.map(c => toInsert.map(r => r[c]))
+      ]
+    );
+    report.counts[table].inserted += toInsert.length;
+  }
+}
+
+// Load a parsed dataset (see readDataset) inside the caller's transaction.
+// Options:
+//   removeMissing - archive schools and delete offerings that are not in the files
+//   changedBy     - name recorded on archived schools (default 'dataset-import')
+async function loadDataset(client, data, options = {}) {
+  const report = createReport();
+  const removeMissing = Boolean(options.removeMissing);
+  const changedBy = options.changedBy || 'dataset-import';
+
+  const schools = await loadSchools(client, data.general, report, { removeMissing, changedBy });
+  const context = {
+    resolveSchool: await createSchoolResolver(client, schools, report),
+    schoolNames: new Map(schools.map(school => [school.school_id, school.school_name])),
+    removeMissing
+  };
+
+  await loadJunction(client, {
+    table: 'School_Subjects',
+    file: DATASET_FILES.subjects,
+    idColumn: 'subject_id',
+    master: { table: 'Subjects', idColumn: 'subject_id', columns: ['subject_desc'] },
+    validate: r => (r.subject_desc ? null : 'missing subject_desc')
+  }, data.subjects, context, report);
+
+  await loadJunction(client, {
+    table: 'School_CCAs',
+    file: DATASET_FILES.ccas,
+    idColumn: 'cca_id',
+    master: { table: 'CCAs', idColumn: 'cca_id', columns: ['cca_grouping_desc', 'cca_generic_name'] },
+    extraColumns: ['cca_customized_name', 'school_section'],
+    validate: r => (r.cca_grouping_desc && r.cca_generic_name ? null : 'missing CCA name or grouping')
+  }, data.ccas, context, report);
+
+  await loadJunction(client, {
+    table: 'School_Programmes',
+    file: DATASET_FILES.programmes,
+    idColumn: 'programme_id',
+    master: { table: 'Programmes', idColumn: 'programme_id', columns: ['moe_programme_desc'] },
+    validate: r => (r.moe_programme_desc ? null : 'missing moe_programme_desc')
+  }, data.programmes, context, report);
+
+  await loadJunction(client, {
+    table: 'School_Distinctives',
+    file: DATASET_FILES.distinctives,
+    idColumn: 'distinctive_id',
+    master: { table: 'Distinctive_Programmes', idColumn: 'distinctive_id', columns: DISTINCTIVE_COLUMNS },
+    // Mirrors chk_at_least_one_programme
+    validate: r => (r.alp_domain || r.llp_domain1 ? null : 'no ALP or LLP domain')
+  }, data.distinctives, context, report);
+
+  return report;
+}
+
+// Insert or update a school's raw_general_info row from an edit request.
+// Only columns present in `fields` are written, so callers that send the
+// core fields alone do not wipe contact details or vice-principals.
+async function saveGeneralInfo(client, schoolId, fields) {
+  const columns = EXTENDED_INFO_COLUMNS.filter(column => fields[column] !== undefined);
+  if (columns.length === 0) return;
+
+  const placeholders = columns.map((_, i) => `$${i + 2}`).join(', ');
+  const assignments = columns.map(column => `${column} = EXCLUDED.${column}`).join(', ');
+
+  await client.query(
+    `INSERT INTO raw_general_info (school_id, ${columns.join(', ')})
+     VALUES ($1, ${placeholders})
+     ON CONFLICT (school_id) DO UPDATE SET ${assignments}`,
+    [schoolId, ...columns.map(column => fields[column])]
+  );
+}
+
+// ========== CHANGE REPORT ==========
+
+const OFFERING_LABELS = {
+  School_Subjects: 'subject',
+  School_CCAs: 'CCA',
+  School_Programmes: 'MOE programme',
+  School_Distinctives: 'distinctive programme'
+};
+
+const formatValue = value => (value === null ? 'empty' : `'${value}'`);
+
+// Turn report.changes into readable lines, e.g.
+//   "ADMIRALTY SECONDARY SCHOOL: dropped subject 'LITERATURE IN CHINESE'"
+// Offerings of newly added schools are summarised as a count.
+function describeChanges(report) {
+  const lines = [];
+  const addedSchools = new Set(report.changes.Schools.added.map(c => c.school_name));
+
+  report.changes.Schools.added.forEach(change => {
+    const offerings = JUNCTION_TABLES
+      .map(table => {
+        const count = report.changes[table].added.filter(c => c.school_name === change.school_name).length;
+        return count > 0 ? `${count} ${OFFERING_LABELS[table]}s` : null;
+      })
+      .filter(Boolean);
+    lines.push(`${change.school_name}: new school${offerings.length ? ` (${offerings.join(', ')})` : ''}`);
+  });
+
+  report.changes.Schools.removed.forEach(change => {
+    lines.push(`${change.school_name}: moved to the recycle bin`);
+  });
+
+  report.changes.Schools.changed.forEach(change => {
+    change.fields.forEach(({ field, from, to }) => {
+      lines.push(`${change.school_name}: ${field} changed from ${formatValue(from)} to ${formatValue(to)}`);
+    });
+  });
+
+  JUNCTION_TABLES.forEach(table => {
+    const label = OFFERING_LABELS[table];
+    const changes = report.changes[table];
+
+    changes.added
+      .filter(change => !addedSchools.has(change.school_name))
+      .forEach(change => lines.push(`${change.school_name}: added ${label} '${change.item}'`));
+
+    changes.removed.forEach(change => {
+      lines.push(`${change.school_name}: dropped ${label} '${change.item}'`);
+    });
+
+    changes.changed.forEach(change => {
+      change.fields.forEach(({ field, from, to }) => {
+        lines.push(
+          `${change.school_name}: ${label} '${change.item}' ${field} changed from ${formatValue(from)} to ${formatValue(to)}`
+        );
+      });
+    });
+  });
+
+  return lines.sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+  DEFAULT_DATASET_DIR,
+  DATASET_FILES,
+  SCHOOL_COLUMNS,
+  GENERAL_INFO_COLUMNS,
+  EXTENDED_INFO_COLUMNS,
+  DISTINCTIVE_COLUMNS,
+  VALID_ZONES,
+  VALID_MAINLEVELS,
+  normaliseValue,
+  normalisePostalCode,
+  normaliseMainlevel,
+  schoolKey,
+  checkSchoolRecord,
+  validateSchoolRecord,
+  readDataset,
+  loadDataset,
+  saveGeneralInfo,
+  describeChanges
+};
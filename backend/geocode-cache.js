@@ -0,0 +1,163 @@
+// ========== GEOCODE CACHE ==========
+// Geocoder answers kept in Geocode_Cache (migration 0017), so they survive
+// restarts and are shared by every server process. Two lookups are cached:
+//   postal_code  keyed by the postal code: { latitude, longitude, address }
+//   reverse      keyed by the coordinates to 4 decimals (about 10 m):
+//                { postalCode, address, buildingName }
+// A lookup that found nothing is cached too (result NULL), for a shorter
+// time. Approximate answers (migration 0018) are kept shorter still, so a
+// later lookup soon tries the exact geocoders again.
+//
+// Each entry counts its hits; Geocode_Cache_Stats counts hits and misses
+// per lookup. Admins read both and invalidate entries under
+// /api/admin/geocode-cache.
+
+const LOOKUPS = ['postal_code', 'reverse'];
+
+// Days an answer is kept; 0 turns the cache off
+const configuredTtl = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS, 10);
+const TTL_DAYS = Number.isNaN(configuredTtl) ? 30 : configuredTtl;
+
+// A postal code not found may be a new building that the geocoder learns soon
+const NOT_FOUND_TTL_HOURS = Math.min(24, TTL_DAYS * 24);
+
+// An approximate answer may stand in for an exact geocoder that failed
+const APPROXIMATE_TTL_HOURS = Math.min(1, TTL_DAYS * 24);
+
+// Cache key of a reverse lookup
+const reverseKey = (latitude, longitude) => `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+
+// Cached answers for `keys` of a lookup, as a Map from key to the answer
+// (null when the geocoder found nothing); keys that are not cached, or have
+// expired, are left out. Counts the hits and misses.
+async function readCache(db, lookup, keys) {
+  if (TTL_DAYS <= 0 || keys.length === 0) return new Map();
+
+  const result = await db.query(
+    `WITH hit AS (
+       UPDATE Geocode_Cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP
+       WHERE lookup = $1 AND lookup_key = ANY($2::text[]) AND expires_at > CURRENT_TIMESTAMP
+       RETURNING lookup_key, result, source, approximate
+     ), counted AS (
+       INSERT INTO Geocode_Cache_Stats (lookup, hits, misses)
+       SELECT $1, COUNT(*), cardinality($2::text[]) - COUNT(*) FROM hit
+       ON CONFLICT (lookup) DO UPDATE
+       SET hits = Geocode_Cache_Stats.hits + EXCLUDED.hits,
+           misses = Geocode_Cache_Stats.misses + EXCLUDED.misses
+     )
+     SELECT lookup_key, result, source, approximate FROM hit`,
+    [lookup, keys]
+  );
+
+  return new Map(result.rows.map(row => [
+    row.lookup_key,
+    row.result && { ...row.result, source: row.source, approximate: row.approximate }
+  ]));
+}
+
+// Keep a geocoder answer (null when it found nothing) for its TTL
+async function writeCache(db, lookup, key, found) {
+  if (TTL_DAYS <= 0) return;
+
+  let postalCode = null;
+  let answer = null;
+  let ttlHours = NOT_FOUND_TTL_HOURS;
+  if (found) {
+    const { source, approximate, ...rest } = found;
+    answer = rest;
+    postalCode = lookup === 'postal_code' ? key : found.postalCode;
+    ttlHours = approximate ? APPROXIMATE_TTL_HOURS : TTL_DAYS * 24;
+  } else if (lookup === 'postal_code') {
+    postalCode = key;
+  }
+
+  await db.query(
+    `INSERT INTO Geocode_Cache (lookup, lookup_key, postal_code, result, source, approximate, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(hours => $7::int))
+     ON CONFLICT (lookup, lookup_key) DO UPDATE
+     SET postal_code = EXCLUDED.postal_code, result = EXCLUDED.result, source = EXCLUDED.source,
+         approximate = EXCLUDED.approximate, hits = 0, cached_at = CURRENT_TIMESTAMP,
+         expires_at = EXCLUDED.expires_at, last_hit_at = NULL`,
+    [
+      lookup, key, postalCode, answer && JSON.stringify(answer), found ? found.source : null,
+      Boolean(found && found.approximate), ttlHours
+    ]
+  );
+}
+
+// ========== ADMIN ==========
+
+// Entries and counters per lookup, and the entries hit most
+async function cacheReport(db) {
+  const entries = await db.query(
+    `SELECT lookup,
+            COUNT(*)::int AS entries,
+            COUNT(*) FILTER (WHERE result IS NULL)::int AS not_found,
+            COUNT(*) FILTER (WHERE approximate)::int AS approximate,
+            COUNT(*) FILTER (WHERE expires_at <= CURRENT_TIMESTAMP)::int AS expired
+     FROM Geocode_Cache
+     GROUP BY lookup`
+  );
+  const counters = await db.query('SELECT lookup, hits, misses, counted_since FROM Geocode_Cache_Stats');
+  const top = await db.query(
+    `SELECT lookup, lookup_key, postal_code, source, approximate, hits, cached_at, expires_at, last_hit_at
+     FROM Geocode_Cache
+     WHERE hits > 0
+     ORDER BY hits DESC, lookup_key
+     LIMIT 10`
+  );
+
+  return {
+    lookups: LOOKUPS.map(lookup => {
+      const stored = entries.rows.find(row => row.lookup === lookup) || { entries: 0, not_found: 0, approximate: 0, expired: 0 };
+      const counted = counters.rows.find(row => row.lookup === lookup);
+      // BIGINT arrives as a string
+      const hits = counted ? Number(counted.hits) : 0;
+      const misses = counted ? Number(counted.misses) : 0;
+      return {
+        lookup,
+        entries: stored.entries,
+        not_found: stored.not_found,
+        approximate: stored.approximate,
+        expired: stored.expired,
+        hits,
+        misses,
+        hit_rate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : null,
+        counted_since: counted ? counted.counted_since : null
+      };
+    }),
+    most_hit: top.rows
+  };
+}
+
+// Delete cached answers: those of one postal code (its lookup and the
+// reverse lookups that found it), only the expired ones, or all of them.
+// Returns the number of entries deleted.
+async function invalidateCache(db, { postalCode, expiredOnly = false } = {}) {
+  let result;
+  if (postalCode) {
+    result = await db.query('DELETE FROM Geocode_Cache WHERE postal_code = $1', [postalCode]);
+  } else if (expiredOnly) {
+    result = await db.query('DELETE FROM Geocode_Cache WHERE expires_at <= CURRENT_TIMESTAMP');
+  } else {
+    result = await db.query('DELETE FROM Geocode_Cache');
+  }
+  return result.rowCount;
+}
+
+// Start the hit and miss counters again
+async function resetCounters(db) {
+  await db.query('DELETE FROM Geocode_Cache_Stats');
+}
+
+module.exports = {
+  TTL_DAYS,
+  NOT_FOUND_TTL_HOURS,
+  APPROXIMATE_TTL_HOURS,
+  reverseKey,
+  readCache,
+  writeCache,
+  cacheReport,
+  invalidateCache,
+  resetCounters
+};
@@ -0,0 +1,156 @@
+// ========== GEOCODE LOOKUPS ==========
+// Geocoder lookups for the API (GET /api/postal-code/:postalCode,
+// GET /api/reverse-geocode and POST /api/geocode/batch), so the browser
+// never calls a geocoder itself. Credentials, caching, retries and pacing
+// live here:
+//   - Postal codes of geocoded schools come from Schools, with no lookup.
+//   - Other answers are kept in the geocode cache (geocode-cache.js),
+//     unknown places included.
+//   - At most MAX_CONCURRENT_LOOKUPS geocoder calls run at once, across
+//     all requests; a call that fails is retried once.
+//   - A batch holds at most MAX_BATCH_SIZE postal codes, and each IP may
+//     send GEOCODE_BATCH_RATE_LIMIT batches per minute (see routes/geo.js).
+
+const { getGeocoder } = require('./geocoder');
+const { reverseKey, readCache, writeCache } = require('./geocode-cache');
+
+const MAX_BATCH_SIZE = 100;
+const MAX_CONCURRENT_LOOKUPS = 4;
+const RETRY_DELAY_MS = 500;
+
+// Batches per minute from one IP address
+const configuredBatchLimit = parseInt(process.env.GEOCODE_BATCH_RATE_LIMIT, 10);
+const GEOCODE_BATCH_RATE_LIMIT = Number.isNaN(configuredBatchLimit) ? 20 : configuredBatchLimit;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ========== PACING ==========
+
+let activeLookups = 0;
+const waitingLookups = [];
+
+// A free slot is handed straight to the next waiting lookup
+function acquireSlot() {
+  if (activeLookups < MAX_CONCURRENT_LOOKUPS) {
+    activeLookups++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingLookups.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waitingLookups.shift();
+  if (next) next();
+  else activeLookups--;
+}
+
+// Run one geocoder call in a free slot
+async function lookUp(call) {
+  await acquireSlot();
+  try {
+    try {
+      return await call();
+    } catch (err) {
+      await sleep(RETRY_DELAY_MS);
+      return await call();
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+// ========== LOOKUPS ==========
+
+// { latitude, longitude, address, source, approximate } of a postal code,
+// or null when no geocoder knows it; throws when the geocoder fails
+async function geocodePostalCode(db, postalCode, geocoder = getGeocoder()) {
+  const hits = await readCache(db, 'postal_code', [postalCode]);
+  if (hits.has(postalCode)) return hits.get(postalCode);
+
+  const found = await lookUp(() => geocoder.geocode(postalCode));
+  await writeCache(db, 'postal_code', postalCode, found);
+  return found;
+}
+
+// { postalCode, address, buildingName, source, approximate } near a point,
+// or null when no geocoder knows one; throws when the geocoder fails
+async function reverseGeocodePoint(db, latitude, longitude, geocoder = getGeocoder()) {
+  const key = reverseKey(latitude, longitude);
+  const hits = await readCache(db, 'reverse', [key]);
+  if (hits.has(key)) return hits.get(key);
+
+  const found = await lookUp(() => geocoder.reverseGeocode(latitude, longitude));
+  await writeCache(db, 'reverse', key, found);
+  return found;
+}
+
+// Coordinates of many postal codes. Returns one result per distinct postal
+// code, { postal_code, status: 'ok' | 'not_found' | 'failed', latitude,
+// longitude, address, source, approximate, code, error }, and a summary of where
+// the answers came from.
+async function geocodePostalCodes(db, postalCodes, geocoder = getGeocoder()) {
+  const distinct = [...new Set(postalCodes)];
+  const summary = { ok: 0, not_found: 0, failed: 0, from_schools: 0, from_cache: 0, looked_up: 0 };
+
+  const stored = await db.query(
+    `SELECT DISTINCT ON (postal_code) postal_code, latitude, longitude, address
+     FROM Schools
+     WHERE postal_code = ANY($1) AND geocode_status = 'ok'
+     ORDER BY postal_code, geocoded_at DESC`,
+    [distinct]
+  );
+  const bySchool = new Map(stored.rows.map(row => [row.postal_code.trim(), row]));
+  const byCache = await readCache(db, 'postal_code', distinct.filter(postalCode => !bySchool.has(postalCode)));
+
+  const results = await Promise.all(distinct.map(async postalCode => {
+    let found;
+    if (bySchool.has(postalCode)) {
+      summary.from_schools++;
+      found = { ...bySchool.get(postalCode), source: 'schools', approximate: false };
+    } else if (byCache.has(postalCode)) {
+      summary.from_cache++;
+      found = byCache.get(postalCode);
+    } else {
+      summary.looked_up++;
+      try {
+        found = await lookUp(() => geocoder.geocode(postalCode));
+      } catch (err) {
+        // The geocoder's own message stays in the server log
+        console.error(`Geocoder error for ${postalCode}:`, err.message);
+        summary.failed++;
+        return {
+          postal_code: postalCode,
+          status: 'failed',
+          code: 'geocoder_unavailable',
+          error: 'The geocoding service is unavailable; please try again later'
+        };
+      }
+      await writeCache(db, 'postal_code', postalCode, found);
+    }
+
+    if (!found) {
+      summary.not_found++;
+      return { postal_code: postalCode, status: 'not_found' };
+    }
+    summary.ok++;
+    return {
+      postal_code: postalCode,
+      status: 'ok',
+      latitude: found.latitude,
+      longitude: found.longitude,
+      address: found.address,
+      source: found.source,
+      approximate: found.approximate
+    };
+  }));
+
+  return { results, summary };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  GEOCODE_BATCH_RATE_LIMIT,
+  geocodePostalCode,
+  reverseGeocodePoint,
+  geocodePostalCodes
+};
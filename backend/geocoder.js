@@ -0,0 +1,90 @@
+// ========== GEOCODER ==========
+// Postal code <-> coordinates behind one interface, so providers can be
+// swapped by configuration without touching their callers. A provider is
+//   { name, approximate, geocode(postalCode), reverseGeocode?(latitude, longitude) }
+// where geocode resolves to { latitude, longitude, address } and
+// reverseGeocode to { postalCode, address, buildingName }, or null when the
+// provider does not know the place; both throw when the provider fails, so
+// the lookup can be retried.
+//
+// GEOCODER lists the providers to try, in order (default onemap,local,district):
+//   onemap    OneMap (SLA) search and reverse geocode APIs (onemap.js)
+//   local     the Postal_Codes table (postal-codes.js), no network needed
+//   district  the centre of the postal sector (postal-districts.js); only
+//             approximate, so best kept last
+// e.g. GEOCODER=local,district for development, CI and offline demos.
+
+const pool = require('./pg-connection');
+const { lookupPostalCode, lookupCoordinates } = require('./onemap');
+const { lookupLocalPostalCode, nearestLocalPostalCode } = require('./postal-codes');
+const { districtCentroid } = require('./postal-districts');
+
+const PROVIDERS = {
+  onemap: {
+    name: 'onemap',
+    approximate: false,
+    geocode: lookupPostalCode,
+    reverseGeocode: lookupCoordinates
+  },
+  local: {
+    name: 'local',
+    approximate: false,
+    geocode: postalCode => lookupLocalPostalCode(pool, postalCode),
+    reverseGeocode: (latitude, longitude) => nearestLocalPostalCode(pool, latitude, longitude)
+  },
+  district: {
+    name: 'district',
+    approximate: true,
+    geocode: async postalCode => districtCentroid(postalCode)
+  }
+};
+
+// The configured provider names, checked
+function geocoderNames(setting = process.env.GEOCODER || 'onemap,local,district') {
+  const names = setting.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !PROVIDERS[name]);
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown geocoder '${unknown.join(', ') || setting}' (GEOCODER); use some of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return names;
+}
+
+// Try each provider in turn. The first answer wins, tagged with the
+// provider as `source` and whether it is `approximate`. A provider that
+// fails is passed over; when none answers and one failed, that error is
+// thrown, so the lookup counts as failed rather than unknown.
+function chain(providers, method) {
+  return async (...args) => {
+    let failure = null;
+
+    for (const provider of providers) {
+      if (!provider[method]) continue;
+      try {
+        const found = await provider[method](...args);
+        if (found) return { ...found, source: provider.name, approximate: provider.approximate };
+      } catch (err) {
+        console.error(`Geocoder ${provider.name} failed:`, err.message);
+        failure = failure || err;
+      }
+    }
+
+    if (failure) throw failure;
+    return null;
+  };
+}
+
+// The configured geocoder: { name, geocode, reverseGeocode } over the
+// providers of GEOCODER. `approximate: false` leaves out the approximate
+// ones, for coordinates that are stored (school-geocodes.js).
+// Throws on an unknown provider name.
+function getGeocoder({ approximate = true, names = geocoderNames() } = {}) {
+  const providers = names.map(name => PROVIDERS[name]).filter(provider => approximate || !provider.approximate);
+
+  return {
+    name: providers.map(provider => provider.name).join(','),
+    geocode: chain(providers, 'geocode'),
+    reverseGeocode: chain(providers, 'reverseGeocode')
+  };
+}
+
+module.exports = { PROVIDERS, geocoderNames, getGeocoder };
@@ -0,0 +1,149 @@
+// backend/import-dataset.js
+// Loads the MOE CSV files in dataset/ into PostgreSQL in one transaction.
+//
+// Usage:
+//   node backend/import-dataset.js [--dir <dataset folder>] [--refresh] [--dry-run]
+//
+// --refresh also moves schools that are no longer in the files to the
+// recycle bin and removes offerings that are no longer in them. After a committed import the change report is saved to MongoDB.
+require('dotenv').config();
+
+const pool = require('./pg-connection');
+const connectMongo = require('./mongo-connection');
+const { closeMongo } = connectMongo;
+const {
+  DEFAULT_DATASET_DIR, readDataset, loadDataset, describeChanges
+} = require('./dataset-loader');
+
+// How many rejected rows / change lines to print in detail
+const MAX_REJECTIONS_SHOWN = 25;
+const MAX_CHANGES_SHOWN = 50;
+
+function parseArgs(argv) {
+  const options = { dir: DEFAULT_DATASET_DIR, dryRun: false, refresh: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir' && argv[i + 1]) {
+      options.dir = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--refresh') {
+      options.refresh = true;
+    }
+  }
+
+  return options;
+}
+
+function printReport(report, summary) {
+  console.log('\n=== Import Report ===');
+  console.table(report.counts);
+
+  console.log(`\nChanges (${summary.length}):`);
+  summary.slice(0, MAX_CHANGES_SHOWN).forEach(line => console.log('  ' + line));
+  if (summary.length > MAX_CHANGES_SHOWN) {
+    console.log(`  ... and ${summary.length - MAX_CHANGES_SHOWN} more`);
+  }
+
+  console.log('\nSchool name matching (distinct names in offering files):');
+  console.table(report.nameMatches);
+  if (report.nameMatches.review > 0) {
+    console.log('Low-confidence matches were queued for review: GET /api/admin/name-reviews');
+  }
+
+  if (report.rejections.length > 0) {
+    console.log(`\nRejected rows (${report.rejections.length}):`);
+    console.table(report.rejections.slice(0, MAX_REJECTIONS_SHOWN));
+    if (report.rejections.length > MAX_REJECTIONS_SHOWN) {
+      console.log(`... and ${report.rejections.length - MAX_REJECTIONS_SHOWN} more`);
+    }
+  }
+}
+
+// Store the change report next to activity_logs so admins can see what a
+// new edition changed (e.g. which schools dropped a subject)
+async function saveChangeReport(report, summary, options) {
+  const db = await connectMongo();
+
+  const result = await db.collection('dataset_change_reports').insertOne({
+    timestamp: new Date(),
+    source_dir: options.dir,
+    mode: options.refresh ? 'refresh' : 'load',
+    counts: report.counts,
+    name_matches: report.nameMatches,
+    summary: summary,
+    changes: report.changes,
+    rejections: report.rejections
+  });
+
+  await db.collection('activity_logs').insertOne({
+    timestamp: new Date(),
+    action: 'dataset_import',
+    data: {
+      report_id: result.insertedId,
+      mode: options.refresh ? 'refresh' : 'load',
+      change_count: summary.length
+    }
+  });
+
+  return result.insertedId;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('=== Importing MOE dataset ===');
+  console.log('Source folder:', options.dir);
+  console.log('Mode:', options.refresh ? 'refresh (removes rows missing from the files)' : 'load');
+
+  const data = readDataset(options.dir);
+  console.log(
+    `Parsed ${data.general.length} schools, ${data.subjects.length} subjects, ` +
+    `${data.ccas.length} CCAs, ${data.programmes.length} programmes, ` +
+    `${data.distinctives.length} distinctive programmes`
+  );
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const report = await loadDataset(client, data, { removeMissing: options.refresh });
+    const summary = describeChanges(report);
+
+    if (options.dryRun) {
+      await client.query('ROLLBACK');
+      console.log('\nDry run - all changes rolled back');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    printReport(report, summary);
+
+    if (!options.dryRun) {
+      // The import is already committed; a MongoDB failure only loses the report
+      try {
+        const reportId = await saveChangeReport(report, summary, options);
+        console.log(`\nChange report saved to MongoDB (dataset_change_reports ${reportId})`);
+      } catch (err) {
+        console.error('\nFailed to save change report to MongoDB:', err.message);
+      }
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .then(() => {
+    console.log('\nImport completed.');
+    process.exitCode = 0;
+  })
+  .catch(err => {
+    console.error('\nImport failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([pool.end(), closeMongo()]));
@@ -0,0 +1,70 @@
+// backend/import-postal-codes.js
+// Fills the Postal_Codes table used by the 'local' geocoder (geocoder.js).
+//
+// Usage:
+//   node backend/import-postal-codes.js <file.csv>      add or replace postal codes from a CSV file
+//   node backend/import-postal-codes.js --from-schools  add the postal codes of geocoded schools
+//
+// The CSV file needs postal_code, latitude and longitude columns, and may
+// have an address column. Run --from-schools once while OneMap is reachable
+// to geocode offline afterwards.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('./pg-connection');
+const { parseCsv } = require('./csv-parser');
+const { savePostalCodes, copySchoolPostalCodes } = require('./postal-codes');
+
+// How many skipped rows to print in detail
+const MAX_SKIPPED_SHOWN = 25;
+
+async function importFile(file) {
+  const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+  console.log(`Parsed ${rows.length} rows from ${file}`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { saved, skipped } = await savePostalCodes(client, rows, path.basename(file).slice(0, 30));
+    await client.query('COMMIT');
+
+    console.log(`Saved ${saved} postal codes`);
+    if (skipped.length > 0) {
+      console.log(`\nSkipped rows (${skipped.length}):`);
+      console.table(skipped.slice(0, MAX_SKIPPED_SHOWN));
+      if (skipped.length > MAX_SKIPPED_SHOWN) {
+        console.log(`... and ${skipped.length - MAX_SKIPPED_SHOWN} more`);
+      }
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function main() {
+  const [arg] = process.argv.slice(2);
+
+  if (arg === '--from-schools') {
+    const added = await copySchoolPostalCodes(pool);
+    console.log(`Added ${added} postal codes from geocoded schools`);
+  } else if (arg) {
+    await importFile(arg);
+  } else {
+    throw new Error('Give a CSV file or --from-schools');
+  }
+}
+
+main()
+  .then(() => {
+    console.log('\nPostal code import completed.');
+    process.exitCode = 0;
+  })
+  .catch(err => {
+    console.error('\nPostal code import failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,136 @@
+// ========== LIST OPTIONS (Pagination, sorting, field selection) ==========
+// List endpoints share four query parameters:
+//   ?limit=50&offset=100          one page of the results
+//   ?sort=zone_code               a whitelisted key, prefix - for descending
+//   ?fields=school_id,school_name only these fields in each row
+// and report the page they sent in a pagination block:
+//   { total, count, limit, offset, next_offset, sort }
+// where next_offset is null on the last page.
+//
+// Each endpoint describes its list once:
+//   const SCHOOL_LIST = {
+//     sorts: ['school_name', 'zone_code'],  // sortable columns of the rows
+//     defaultSort: 'school_name',            // optional; rows keep their order without one
+//     tiebreak: 'school_id',                 // optional; keeps pages stable in SQL
+//     fields: ['school_id', 'school_name', 'zone_code'],
+//     defaultLimit: 50                       // null: every row unless ?limit= is given
+//   };
+// and validates the parameters with validate({ query: listQuery(SCHOOL_LIST) }).
+
+const { integer, sortKey, fieldList } = require('./validation');
+
+// Largest page any list sends
+const MAX_LIMIT = 500;
+
+// Query schema of a list's parameters, for validate()
+function listQuery(list) {
+  return {
+    limit: integer({ min: 1, max: list.maxLimit || MAX_LIMIT }),
+    offset: integer({ min: 0 }),
+    sort: sortKey(list.sorts),
+    fields: fieldList(list.fields)
+  };
+}
+
+// The validated parameters as { limit, offset, sort: { key, descending }, fields }
+function readListOptions(query, list) {
+  const sort = (query.sort || list.defaultSort || '').trim();
+  return {
+    limit: query.limit ? parseInt(query.limit, 10) : (list.defaultLimit || null),
+    offset: query.offset ? parseInt(query.offset, 10) : 0,
+    sort: sort ? { key: sort.replace(/^-/, ''), descending: sort.startsWith('-') } : null,
+    fields: query.fields ? query.fields.split(',').map(name => name.trim()) : null
+  };
+}
+
+function pagination(total, count, options) {
+  const { limit, offset, sort } = options;
+  return {
+    total,
+    count,
+    limit,
+    offset,
+    next_offset: offset + count < total ? offset + count : null,
+    sort: sort ? `${sort.descending ? '-' : ''}${sort.key}` : null
+  };
+}
+
+function selectFields(rows, fields) {
+  if (!fields) return rows;
+  return rows.map(row => Object.fromEntries(fields.map(field => [field, row[field]])));
+}
+
+// One page of a SELECT, whose output columns are the list's sort keys and
+// fields. The total comes from a COUNT over the same SELECT.
+// Returns { rows, pagination }.
+async function queryPage(db, select, params, options, list) {
+  const order = [];
+  if (options.sort) order.push(`${options.sort.key} ${options.sort.descending ? 'DESC' : 'ASC'} NULLS LAST`);
+  if (list.tiebreak) order.push(list.tiebreak);
+
+  const [count, page] = await Promise.all([
+    db.query(`SELECT COUNT(*)::int AS total FROM (${select}) matches`, params),
+    db.query(
+      `SELECT * FROM (${select}) matches
+       ${order.length > 0 ? `ORDER BY ${order.join(', ')}` : ''}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, options.limit, options.offset]
+    )
+  ]);
+
+  return {
+    rows: selectFields(page.rows, options.fields),
+    pagination: pagination(count.rows[0].total, page.rows.length, options)
+  };
+}
+
+// Numbers (including PostgreSQL's COUNT strings) compare as numbers;
+// missing values go last either way, as with NULLS LAST
+function compareValues(a, b, descending) {
+  const missing = value => value === null || value === undefined;
+  if (missing(a) || missing(b)) return missing(a) - missing(b);
+
+  const numberA = Number(a);
+  const numberB = Number(b);
+  const order = a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB)
+    ? numberA - numberB
+    : String(a).localeCompare(String(b));
+  return descending ? -order : order;
+}
+
+// One page of rows already in memory (reports whose SQL aggregates the
+// whole table anyway). Returns { rows, pagination }.
+function pageRows(rows, options) {
+  let sorted = rows;
+  if (options.sort) {
+    const { key, descending } = options.sort;
+    sorted = [...rows].sort((a, b) => compareValues(a[key], b[key], descending));
+  }
+
+  const end = options.limit === null ? undefined : options.offset + options.limit;
+  const page = sorted.slice(options.offset, end);
+  return {
+    rows: selectFields(page, options.fields),
+    pagination: pagination(rows.length, page.length, options)
+  };
+}
+
+// A page fetched some other way (e.g. from MongoDB) out of `total` rows
+function fetchedPage(rows, total, options) {
+  return { rows: selectFields(rows, options.fields), pagination: pagination(total, rows.length, options) };
+}
+
+// A page without rows, for requests that cannot match anything
+function emptyPage(options) {
+  return fetchedPage([], 0, options);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  listQuery,
+  readListOptions,
+  queryPage,
+  pageRows,
+  fetchedPage,
+  emptyPage
+};
@@ -0,0 +1,329 @@
+// ========== MASTER DATA ADMINISTRATION ==========
+// List, rename, merge and retire entries in the master tables (Subjects,
+// CCAs, Programmes, Distinctive_Programmes). Types and columns come from
+// OFFERING_TYPES in offerings.js.
+//
+// A retired entry stays in its table but can no longer be linked to a
+// school. A merge moves every school link from the source entry to the
+// target, retires the source with merged_into set and writes a row to
+// Master_Data_Merges.
+//
+// Like offerings.js, every function works on a client inside the caller's
+// transaction and returns { error: { status, message } } for bad input.
+
+const { OFFERING_TYPES, readOfferingInput, describeOffering } = require('./offerings');
+const { normaliseName, similarity } = require('./name-matcher');
+
+// Fuzzy score at which two entries are reported as likely duplicates
+const DUPLICATE_SCORE = 0.9;
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// Master columns plus retirement state, optionally prefixed with a table alias
+function entryColumns(definition, alias = '') {
+  const { idColumn, master } = definition;
+  return [idColumn, ...master.columns, 'retired_at', 'retired_by', 'merged_into']
+    .map(column => `${alias}${column}`)
+    .join(', ');
+}
+
+// One master entry with its school count; FOR UPDATE when lock is set
+async function getMasterEntry(client, type, id, { lock = false } = {}) {
+  const definition = OFFERING_TYPES[type];
+  const { table, idColumn, master } = definition;
+
+  const result = await client.query(
+    `SELECT ${entryColumns(definition, 'm.')},
+            (SELECT COUNT(*) FROM ${table} j WHERE j.${idColumn} = m.${idColumn})::int AS school_count
+     FROM ${master.table} m
+     WHERE m.${idColumn} = $1
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// List entries of a type.
+//   status - 'active' (default), 'retired' or 'all'
+//   q      - substring matched against the descriptive columns
+async function listMasterEntries(client, type, { q = '', status = 'active', limit = 100, offset = 0 } = {}) {
+  const definition = OFFERING_TYPES[type];
+  const { table, idColumn, master } = definition;
+  const columns = master.columns.map(column => `m.${column}`);
+
+  const statusFilter = {
+    active: 'm.retired_at IS NULL',
+    retired: 'm.retired_at IS NOT NULL',
+    all: 'TRUE'
+  }[status];
+  if (!statusFilter) {
+    return failure(400, "status must be 'active', 'retired' or 'all'");
+  }
+
+  const result = await client.query(
+    `SELECT ${entryColumns(definition, 'm.')},
+            (SELECT COUNT(*) FROM ${table} j WHERE j.${idColumn} = m.${idColumn})::int AS school_count,
+            COUNT(*) OVER()::int AS total
+     FROM ${master.table} m
+     WHERE ${statusFilter}
+       AND ($1 = '' OR CONCAT_WS(' ', ${columns.join(', ')}) ILIKE '%' || $1 || '%')
+     ORDER BY ${columns.join(', ')}, m.${idColumn}
+     LIMIT $2 OFFSET $3`,
+    [q, limit, offset]
+  );
+
+  return {
+    total: result.rows.length > 0 ? result.rows[0].total : 0,
+    entries: result.rows.map(({ total, ...entry }) => entry)
+  };
+}
+
+// Group active entries that look like the same thing, e.g.
+// 'ENGLISH LANGUAGE' / 'English  Language' / 'ENGLISH LANGUAGE.'
+// Entries with the same normalised name, or scoring at least minScore,
+// end up in one group. Groups are sorted by size, largest first.
+async function findDuplicateGroups(client, type, minScore = DUPLICATE_SCORE) {
+  const definition = OFFERING_TYPES[type];
+  const { idColumn } = definition;
+  const { entries } = await listMasterEntries(client, type, { limit: null });
+
+  const names = entries.map(entry => describeOffering(definition, entry));
+  const keys = names.map(normaliseName);
+
+  // Union-find over entry indexes
+  const parent = entries.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let a = 0; a < entries.length; a++) {
+    for (let b = a + 1; b < entries.length; b++) {
+      if (keys[a] === keys[b] || similarity(names[a], names[b]) >= minScore) {
+        parent[find(b)] = find(a);
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([, members]) => ({
+      // Suggest keeping the entry most schools already use
+      suggested_target: [...members].sort((x, y) => y.school_count - x.school_count)[0][idColumn],
+      entries: members
+    }))
+    .sort((x, y) => y.entries.length - x.entries.length);
+}
+
+// Another non-merged entry with the same description (case-insensitive)
+async function findSameNamedEntry(client, definition, entry, excludeId) {
+  const { idColumn, master } = definition;
+  const conditions = master.columns
+    .map((column, i) => `UPPER(COALESCE(${column}, '')) = UPPER(COALESCE($${i + 2}, ''))`)
+    .join(' AND ');
+
+  const result = await client.query(
+    `SELECT ${idColumn} FROM ${master.table}
+     WHERE ${idColumn} <> $1 AND merged_into IS NULL AND ${conditions}
+     LIMIT 1`,
+    [excludeId, ...master.columns.map(column => entry[column])]
+  );
+  return result.rows[0] ? result.rows[0][idColumn] : null;
+}
+
+// Change the descriptive columns of an entry; columns missing from the
+// body keep their value. Returns { before, entry }.
+async function renameMasterEntry(client, type, id, body = {}) {
+  const definition = OFFERING_TYPES[type];
+  const { label, idColumn, master, validate } = definition;
+
+  const before = await getMasterEntry(client, type, id, { lock: true });
+  if (!before) return failure(404, `No ${label} with ${idColumn} ${id}`);
+  if (before.merged_into) {
+    return failure(409, `This ${label} was merged into ${idColumn} ${before.merged_into}; rename that entry instead`);
+  }
+
+  const merged = {};
+  master.columns.forEach(column => {
+    merged[column] = body[column] !== undefined ? body[column] : before[column];
+  });
+  const { entry } = readOfferingInput(definition, merged);
+
+  const error = entry ? validate(entry) : `${master.columns.join(' / ')} is required`;
+  if (error) return failure(400, error);
+
+  if (master.columns.every(column => entry[column] === before[column])) {
+    return failure(400, 'Nothing to update');
+  }
+
+  const sameNamed = await findSameNamedEntry(client, definition, entry, id);
+  if (sameNamed) {
+    return failure(409, `Another ${label} (${idColumn} ${sameNamed}) already has this name; merge the two entries instead`);
+  }
+
+  await client.query(
+    `UPDATE ${master.table}
+     SET ${master.columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+     WHERE ${idColumn} = $1`,
+    [id, ...master.columns.map(column => entry[column])]
+  );
+
+  return { before, entry: await getMasterEntry(client, type, id) };
+}
+
+// Move every school link from sourceId to targetId and retire the source.
+// A school that already offers the target keeps its target link; for CCAs
+// its empty customised name / section are filled in from the source link.
+// Returns { source, target, moved, collapsed, merge }.
+async function mergeMasterEntries(client, type, sourceId, targetId, mergedBy) {
+  const definition = OFFERING_TYPES[type];
+  const { label, table, idColumn, master, extraColumns } = definition;
+
+  if (sourceId === targetId) {
+    return failure(400, `Cannot merge a ${label} into itself`);
+  }
+
+  // Lock in id order so two opposite merges cannot deadlock
+  const [first, second] = [sourceId, targetId].sort((a, b) => a - b);
+  const locked = {
+    [first]: await getMasterEntry(client, type, first, { lock: true }),
+    [second]: await getMasterEntry(client, type, second, { lock: true })
+  };
+  const source = locked[sourceId];
+  const target = locked[targetId];
+
+  if (!source) return failure(404, `No ${label} with ${idColumn} ${sourceId}`);
+  if (!target) return failure(404, `No ${label} with ${idColumn} ${targetId}`);
+  if (source.merged_into) {
+    return failure(409, `The ${label} with ${idColumn} ${sourceId} was already merged into ${source.merged_into}`);
+  }
+  if (target.retired_at) {
+    return failure(409, `Cannot merge into a retired ${label}; restore ${idColumn} ${targetId} first`);
+  }
+
+  if (extraColumns.length > 0) {
+    await client.query(
+      `UPDATE ${table} t
+       SET ${extraColumns.map(column => `${column} = COALESCE(t.${column}, s.${column})`).join(', ')}
+       FROM ${table} s
+       WHERE s.school_id = t.school_id AND s.${idColumn} = $1 AND t.${idColumn} = $2`,
+      [sourceId, targetId]
+    );
+  }
+
+  const collapsed = await client.query(
+    `DELETE FROM ${table} s
+     WHERE s.${idColumn} = $1
+       AND EXISTS (SELECT 1 FROM ${table} t WHERE t.school_id = s.school_id AND t.${idColumn} = $2)`,
+    [sourceId, targetId]
+  );
+
+  const moved = await client.query(
+    `UPDATE ${table} SET ${idColumn} = $2 WHERE ${idColumn} = $1`,
+    [sourceId, targetId]
+  );
+
+  // Entries merged into the source earlier now point straight at the target
+  await client.query(
+    `UPDATE ${master.table} SET merged_into = $2 WHERE merged_into = $1`,
+    [sourceId, targetId]
+  );
+
+  await client.query(
+    `UPDATE ${master.table}
+     SET retired_at = COALESCE(retired_at, NOW()), retired_by = $3, merged_into = $2
+     WHERE ${idColumn} = $1`,
+    [sourceId, targetId, mergedBy]
+  );
+
+  const merge = await client.query(
+    `INSERT INTO Master_Data_Merges
+       (entry_type, source_id, source_description, target_id, target_description,
+        moved_rows, collapsed_rows, merged_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      type, sourceId, describeOffering(definition, source), targetId, describeOffering(definition, target),
+      moved.rowCount, collapsed.rowCount, mergedBy
+    ]
+  );
+
+  return {
+    source: await getMasterEntry(client, type, sourceId),
+    target: await getMasterEntry(client, type, targetId),
+    moved: moved.rowCount,
+    collapsed: collapsed.rowCount,
+    merge: merge.rows[0]
+  };
+}
+
+// Retire an entry no school offers any more. Returns { entry }.
+async function retireMasterEntry(client, type, id, retiredBy) {
+  const definition = OFFERING_TYPES[type];
+  const { label, idColumn, master } = definition;
+
+  const current = await getMasterEntry(client, type, id, { lock: true });
+  if (!current) return failure(404, `No ${label} with ${idColumn} ${id}`);
+  if (current.retired_at) return failure(409, `This ${label} is already retired`);
+  if (current.school_count > 0) {
+    return failure(409,
+      `This ${label} is offered by ${current.school_count} school(s); ` +
+      `merge it into another ${label} or remove it from those schools first`);
+  }
+
+  await client.query(
+    `UPDATE ${master.table} SET retired_at = NOW(), retired_by = $2 WHERE ${idColumn} = $1`,
+    [id, retiredBy]
+  );
+
+  return { entry: await getMasterEntry(client, type, id) };
+}
+
+// Make a retired entry available again. Merged entries cannot be restored.
+// Returns { entry }.
+async function restoreMasterEntry(client, type, id) {
+  const definition = OFFERING_TYPES[type];
+  const { label, idColumn, master } = definition;
+
+  const current = await getMasterEntry(client, type, id, { lock: true });
+  if (!current) return failure(404, `No ${label} with ${idColumn} ${id}`);
+  if (!current.retired_at) return failure(409, `This ${label} is not retired`);
+  if (current.merged_into) {
+    return failure(409, `This ${label} was merged into ${idColumn} ${current.merged_into} and cannot be restored`);
+  }
+
+  await client.query(
+    `UPDATE ${master.table} SET retired_at = NULL, retired_by = NULL WHERE ${idColumn} = $1`,
+    [id]
+  );
+
+  return { entry: await getMasterEntry(client, type, id) };
+}
+
+// Merge audit trail, newest first; type is optional
+async function listMerges(client, type, limit = 50) {
+  const result = await client.query(
+    `SELECT * FROM Master_Data_Merges
+     WHERE $1::text IS NULL OR entry_type = $1
+     ORDER BY merged_at DESC, merge_id DESC
+     LIMIT $2`,
+    [type || null, limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  DUPLICATE_SCORE,
+  getMasterEntry,
+  listMasterEntries,
+  findDuplicateGroups,
+  renameMasterEntry,
+  mergeMasterEntries,
+  retireMasterEntry,
+  restoreMasterEntry,
+  listMerges
+};
@@ -0,0 +1,200 @@
+// backend/migrate.js
+// Versioned schema migrations for PostgreSQL.
+//
+// Migrations live in backend/migrations as pairs of files:
+//   0001_core_schema.up.sql / 0001_core_schema.down.sql
+// They are applied in version order and recorded in schema_migrations.
+// Each migration runs in its own transaction.
+//
+// Usage:
+//   node backend/migrate.js up              apply all pending migrations
+//   node backend/migrate.js up <version>    apply pending migrations up to <version>
+//   node backend/migrate.js down [count]    roll back the last <count> migrations (default 1)
+//   node backend/migrate.js status          list applied and pending migrations
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('./pg-connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key so two runners never migrate the same database at once
+const MIGRATION_LOCK_ID = 20031;
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Read the migrations folder into [{ version, name, up, down }] sorted by version
+function readMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) return;
+
+    // Versions compare as numbers, so 10 and 0010 are the same version
+    const [, version, name, direction] = match;
+    const number = Number(version);
+    if (!byVersion.has(number)) {
+      byVersion.set(number, { version, name, up: null, down: null });
+    }
+
+    const migration = byVersion.get(number);
+    if (migration.version !== version) {
+      throw new Error(`Migrations ${migration.version}_${migration.name} and ${version}_${name} have the same version`);
+    }
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+  });
+
+  const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+
+  migrations.forEach(migration => {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both .up.sql and .down.sql`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Applied versions in numeric order (the column is text, so not ORDER BY)
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return result.rows.map(row => row.version).sort((a, b) => Number(a) - Number(b));
+}
+
+// Run one migration file and record (or remove) it in schema_migrations
+async function runMigration(client, migration, direction) {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+  }
+}
+
+// `target` is a version number; versions compare as numbers, so 5 means 0005
+async function migrateUp(client, migrations, applied, target) {
+  const pending = migrations.filter(m =>
+    !applied.includes(m.version) && (target === undefined || Number(m.version) <= target)
+  );
+
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, 'up');
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+}
+
+async function migrateDown(client, migrations, applied, count) {
+  const toRevert = applied.slice(-count).reverse();
+
+  if (toRevert.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+
+  for (const version of toRevert) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its files are missing from ${MIGRATIONS_DIR}`);
+    }
+
+    console.log(`⬇️  Reverting ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, 'down');
+  }
+
+  console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+}
+
+function printStatus(migrations, applied) {
+  const rows = migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    status: applied.includes(m.version) ? 'applied' : 'pending'
+  }));
+
+  // Applied in the database but no longer on disk
+  applied
+    .filter(version => !migrations.some(m => m.version === version))
+    .forEach(version => rows.push({ version, name: '(missing file)', status: 'applied' }));
+
+  console.table(rows);
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const migrations = readMigrations();
+
+  if (command === 'up' && arg !== undefined && !/^\d+$/.test(arg)) {
+    throw new Error(`up expects a migration version number, not '${arg}'`);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    const applied = await getAppliedVersions(client);
+
+    if (command === 'up') {
+      await migrateUp(client, migrations, applied, arg === undefined ? undefined : Number(arg));
+    } else if (command === 'down') {
+      const count = parseInt(arg || '1', 10);
+      if (isNaN(count) || count < 1) {
+        throw new Error('down expects a positive number of migrations');
+      }
+      await migrateDown(client, migrations, applied, count);
+    } else if (command === 'status') {
+      printStatus(migrations, applied);
+    } else {
+      throw new Error(`Unknown command '${command}' (expected up, down or status)`);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+main()
+  .then(() => {
+    process.exitCode = 0;
+  })
+  .catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
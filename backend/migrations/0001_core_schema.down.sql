@@ -0,0 +1,21 @@
+-- ========================================
+-- 0001 CORE SCHEMA (down)
+-- ========================================
+-- Removes everything created by 0001. All school data is lost.
+-- ========================================
+
+DROP VIEW IF EXISTS v_zone_statistics;
+DROP VIEW IF EXISTS v_school_summary;
+
+DROP TRIGGER IF EXISTS update_schools_updated_at ON Schools;
+DROP FUNCTION IF EXISTS update_updated_at_column();
+
+DROP TABLE IF EXISTS School_Distinctives;
+DROP TABLE IF EXISTS School_Programmes;
+DROP TABLE IF EXISTS School_CCAs;
+DROP TABLE IF EXISTS School_Subjects;
+DROP TABLE IF EXISTS Distinctive_Programmes;
+DROP TABLE IF EXISTS Programmes;
+DROP TABLE IF EXISTS CCAs;
+DROP TABLE IF EXISTS Subjects;
+DROP TABLE IF EXISTS Schools;
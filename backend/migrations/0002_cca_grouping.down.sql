@@ -0,0 +1,12 @@
+-- ========================================
+-- 0002 CCA GROUPING (down)
+-- ========================================
+-- Restoring uq_cca_name fails if two CCAs share a generic name;
+-- merge or delete them first.
+-- ========================================
+
+DROP INDEX IF EXISTS uq_cca_grouping_generic;
+
+ALTER TABLE CCAs DROP COLUMN IF EXISTS cca_grouping_desc;
+
+ALTER TABLE CCAs ADD CONSTRAINT uq_cca_name UNIQUE (cca_generic_name);
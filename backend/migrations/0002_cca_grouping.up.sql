@@ -0,0 +1,16 @@
+-- ========================================
+-- 0002 CCA GROUPING (up)
+-- ========================================
+-- The MOE CCA file has two name columns and the API reads both
+-- (cca_grouping_desc is shown as the CCA name). The same generic name
+-- appears under many groupings, so a CCA is identified by the pair.
+-- ========================================
+
+ALTER TABLE CCAs ADD COLUMN IF NOT EXISTS cca_grouping_desc VARCHAR(200);
+
+ALTER TABLE CCAs DROP CONSTRAINT IF EXISTS uq_cca_name;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_cca_grouping_generic
+    ON CCAs (cca_grouping_desc, cca_generic_name);
+
+COMMENT ON COLUMN CCAs.cca_grouping_desc IS 'CCA name as listed by MOE (e.g. BASKETBALL, CHOIR)';
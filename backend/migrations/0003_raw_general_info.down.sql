@@ -0,0 +1,5 @@
+-- ========================================
+-- 0003 RAW_GENERAL_INFO (down)
+-- ========================================
+
+DROP TABLE IF EXISTS raw_general_info;
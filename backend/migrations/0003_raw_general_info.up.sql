@@ -0,0 +1,66 @@
+-- ========================================
+-- 0003 RAW_GENERAL_INFO (up)
+-- ========================================
+-- Every column of the MOE "General information of schools" file.
+-- Schools holds the validated core fields; this table keeps the
+-- contact details, vice-principals, indicators and transport info
+-- shown on the school details page and used by advanced search.
+-- mainlevel_code keeps the original MOE description
+-- (e.g. 'MIXED LEVEL (P1-S4)').
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS raw_general_info (
+    school_name VARCHAR(200) NOT NULL,
+    address VARCHAR(300),
+    postal_code VARCHAR(10),
+    zone_code VARCHAR(20),
+    mainlevel_code VARCHAR(50),
+    principal_name VARCHAR(150),
+
+    -- Classification
+    type_code VARCHAR(50),
+    nature_code VARCHAR(50),
+    session_code VARCHAR(50),
+    dgp_code VARCHAR(100),
+
+    -- Contact details
+    email_address VARCHAR(200),
+    telephone_no VARCHAR(50),
+    telephone_no_2 VARCHAR(50),
+    fax_no VARCHAR(50),
+    url_address VARCHAR(300),
+
+    -- Vice-principals
+    first_vp_name VARCHAR(150),
+    second_vp_name VARCHAR(150),
+    third_vp_name VARCHAR(150),
+    fourth_vp_name VARCHAR(150),
+    fifth_vp_name VARCHAR(150),
+    sixth_vp_name VARCHAR(150),
+
+    -- Indicators ('Yes' / 'No')
+    autonomous_ind VARCHAR(10),
+    gifted_ind VARCHAR(10),
+    ip_ind VARCHAR(10),
+    sap_ind VARCHAR(10),
+
+    -- Mother tongue languages offered
+    mothertongue1_code VARCHAR(50),
+    mothertongue2_code VARCHAR(50),
+    mothertongue3_code VARCHAR(50),
+
+    -- Transport
+    mrt_desc TEXT,
+    bus_desc TEXT
+);
+
+-- Target of ON CONFLICT (school_name) in POST /api/schools
+CREATE UNIQUE INDEX IF NOT EXISTS uq_raw_general_info_school_name
+    ON raw_general_info (school_name);
+
+-- Routes join Schools on LOWER(school_name)
+CREATE INDEX IF NOT EXISTS idx_raw_general_info_lower_name
+    ON raw_general_info (LOWER(school_name));
+
+COMMENT ON TABLE raw_general_info IS 'Extended school attributes from the MOE general information file';
+COMMENT ON COLUMN raw_general_info.mainlevel_code IS 'Original MOE level description, not normalised';
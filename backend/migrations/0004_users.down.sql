@@ -0,0 +1,5 @@
+-- ========================================
+-- 0004 USERS (down)
+-- ========================================
+
+DROP TABLE IF EXISTS Users;
@@ -0,0 +1,20 @@
+-- ========================================
+-- 0004 USERS (up)
+-- ========================================
+-- Accounts for the admin dashboard (see /login and /api/admin/users).
+-- Passwords are bcrypt hashes.
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS Users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uq_username UNIQUE (username)
+);
+
+COMMENT ON TABLE Users IS 'Dashboard user accounts';
+COMMENT ON COLUMN Users.password IS 'bcrypt hash, never the plain password';
@@ -0,0 +1,6 @@
+-- ========================================
+-- 0005 SCHOOL NAME RECONCILIATION (down)
+-- ========================================
+
+DROP TABLE IF EXISTS School_Name_Reviews;
+DROP TABLE IF EXISTS School_Name_Aliases;
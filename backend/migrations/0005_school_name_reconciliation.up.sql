@@ -0,0 +1,68 @@
+-- ========================================
+-- 0005 SCHOOL NAME RECONCILIATION (up)
+-- ========================================
+-- The MOE files spell school names differently
+-- (e.g. 'Admiralty Secondary' vs 'ADMIRALTY SECONDARY SCHOOL').
+-- Aliases map known variants to a school; reviews hold low-confidence
+-- matches found by the dataset loader until an admin decides on them.
+-- ========================================
+
+-- ========================================
+-- SCHOOL_NAME_ALIASES
+-- ========================================
+CREATE TABLE IF NOT EXISTS School_Name_Aliases (
+    alias_id SERIAL PRIMARY KEY,
+    alias_name VARCHAR(200) NOT NULL,
+    school_id INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'MANUAL',
+    similarity_score NUMERIC(4, 3),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uq_alias_name UNIQUE (alias_name),
+    CONSTRAINT chk_alias_source CHECK (source IN ('MANUAL', 'AUTO', 'REVIEW')),
+
+    CONSTRAINT fk_alias_school
+        FOREIGN KEY (school_id)
+        REFERENCES Schools(school_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE
+);
+
+COMMENT ON TABLE School_Name_Aliases IS 'Alternative spellings of school names used in the MOE dataset files';
+COMMENT ON COLUMN School_Name_Aliases.alias_name IS 'Upper-cased, whitespace-collapsed name variant';
+COMMENT ON COLUMN School_Name_Aliases.source IS 'MANUAL (admin), AUTO (confident fuzzy match) or REVIEW (approved from the review queue)';
+
+-- ========================================
+-- SCHOOL_NAME_REVIEWS (Admin review queue)
+-- ========================================
+CREATE TABLE IF NOT EXISTS School_Name_Reviews (
+    review_id SERIAL PRIMARY KEY,
+    raw_name VARCHAR(200) NOT NULL,
+    source_file VARCHAR(200) NOT NULL,
+    suggested_school_id INTEGER,
+    similarity_score NUMERIC(4, 3),
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+    resolved_school_id INTEGER,
+    reviewed_by VARCHAR(100),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uq_review_name UNIQUE (raw_name, source_file),
+    CONSTRAINT chk_review_status CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED')),
+
+    CONSTRAINT fk_review_suggested_school
+        FOREIGN KEY (suggested_school_id)
+        REFERENCES Schools(school_id)
+        ON DELETE SET NULL,
+
+    CONSTRAINT fk_review_resolved_school
+        FOREIGN KEY (resolved_school_id)
+        REFERENCES Schools(school_id)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_name_reviews_status ON School_Name_Reviews(status);
+
+COMMENT ON TABLE School_Name_Reviews IS 'Low-confidence school name matches awaiting admin review';
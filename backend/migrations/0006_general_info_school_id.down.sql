@@ -0,0 +1,24 @@
+-- ========================================
+-- 0006 RAW_GENERAL_INFO KEYED BY SCHOOL_ID (down)
+-- ========================================
+-- Restores the name-keyed layout from 0003, copying names from Schools.
+-- ========================================
+
+ALTER TABLE raw_general_info ADD COLUMN school_name VARCHAR(200);
+
+UPDATE raw_general_info r
+SET school_name = s.school_name
+FROM Schools s
+WHERE r.school_id = s.school_id;
+
+ALTER TABLE raw_general_info ALTER COLUMN school_name SET NOT NULL;
+
+ALTER TABLE raw_general_info DROP CONSTRAINT fk_raw_general_info_school;
+ALTER TABLE raw_general_info DROP CONSTRAINT pk_raw_general_info;
+ALTER TABLE raw_general_info DROP COLUMN school_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_raw_general_info_school_name
+    ON raw_general_info (school_name);
+
+CREATE INDEX IF NOT EXISTS idx_raw_general_info_lower_name
+    ON raw_general_info (LOWER(school_name));
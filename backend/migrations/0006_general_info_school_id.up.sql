@@ -0,0 +1,45 @@
+-- ========================================
+-- 0006 RAW_GENERAL_INFO KEYED BY SCHOOL_ID (up)
+-- ========================================
+-- raw_general_info used to be joined to Schools on LOWER(school_name),
+-- so renaming a school orphaned its extended record. The table is now
+-- keyed by school_id and its school_name column is dropped; the name
+-- lives only in Schools.
+-- ========================================
+
+ALTER TABLE raw_general_info ADD COLUMN IF NOT EXISTS school_id INTEGER;
+
+-- Link existing rows by name
+UPDATE raw_general_info r
+SET school_id = s.school_id
+FROM Schools s
+WHERE r.school_id IS NULL
+  AND LOWER(TRIM(r.school_name)) = LOWER(TRIM(s.school_name));
+
+-- Rows that differ only in case map to the same school; keep one
+DELETE FROM raw_general_info a
+USING raw_general_info b
+WHERE a.school_id = b.school_id
+  AND a.ctid > b.ctid;
+
+-- Rows without a matching school could never be displayed
+DELETE FROM raw_general_info WHERE school_id IS NULL;
+
+ALTER TABLE raw_general_info ALTER COLUMN school_id SET NOT NULL;
+
+ALTER TABLE raw_general_info
+    ADD CONSTRAINT pk_raw_general_info PRIMARY KEY (school_id);
+
+ALTER TABLE raw_general_info
+    ADD CONSTRAINT fk_raw_general_info_school
+        FOREIGN KEY (school_id)
+        REFERENCES Schools(school_id)
+        ON DELETE CASCADE
+        ON UPDATE CASCADE;
+
+DROP INDEX IF EXISTS uq_raw_general_info_school_name;
+DROP INDEX IF EXISTS idx_raw_general_info_lower_name;
+
+ALTER TABLE raw_general_info DROP COLUMN school_name;
+
+COMMENT ON COLUMN raw_general_info.school_id IS 'References Schools table, one row per school';
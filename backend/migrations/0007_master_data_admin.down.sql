@@ -0,0 +1,33 @@
+-- ========================================
+-- 0007 MASTER DATA ADMINISTRATION (down)
+-- ========================================
+-- Drops the merge audit trail and the retirement columns. Placeholder
+-- links removed by the up migration are not restored, and merged or
+-- retired entries become ordinary entries again.
+-- ========================================
+
+DROP TABLE IF EXISTS Master_Data_Merges;
+
+ALTER TABLE Distinctive_Programmes
+    DROP CONSTRAINT IF EXISTS chk_distinctive_merged_retired,
+    DROP COLUMN IF EXISTS merged_into,
+    DROP COLUMN IF EXISTS retired_by,
+    DROP COLUMN IF EXISTS retired_at;
+
+ALTER TABLE Programmes
+    DROP CONSTRAINT IF EXISTS chk_programme_merged_retired,
+    DROP COLUMN IF EXISTS merged_into,
+    DROP COLUMN IF EXISTS retired_by,
+    DROP COLUMN IF EXISTS retired_at;
+
+ALTER TABLE CCAs
+    DROP CONSTRAINT IF EXISTS chk_cca_merged_retired,
+    DROP COLUMN IF EXISTS merged_into,
+    DROP COLUMN IF EXISTS retired_by,
+    DROP COLUMN IF EXISTS retired_at;
+
+ALTER TABLE Subjects
+    DROP CONSTRAINT IF EXISTS chk_subject_merged_retired,
+    DROP COLUMN IF EXISTS merged_into,
+    DROP COLUMN IF EXISTS retired_by,
+    DROP COLUMN IF EXISTS retired_at;
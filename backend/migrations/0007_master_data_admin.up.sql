@@ -0,0 +1,134 @@
+-- ========================================
+-- 0007 MASTER DATA ADMINISTRATION (up)
+-- ========================================
+-- Admins can rename, merge and retire entries in the four master tables.
+-- A retired entry is kept but no longer offered for new links. A merged
+-- entry is retired with merged_into pointing at the entry that replaced
+-- it, so later imports of the old description land on the survivor.
+-- Master_Data_Merges records every merge.
+--
+-- Older imports stored the MOE placeholders ('NA', 'N/A', 'NIL', 'NONE',
+-- '-') as real entries. They are retired and unlinked from schools here,
+-- so queries no longer need to filter them out.
+-- ========================================
+
+-- ========================================
+-- RETIREMENT COLUMNS
+-- ========================================
+ALTER TABLE Subjects
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS retired_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS merged_into INTEGER
+        REFERENCES Subjects(subject_id) ON DELETE SET NULL,
+    ADD CONSTRAINT chk_subject_merged_retired
+        CHECK (merged_into IS NULL OR retired_at IS NOT NULL);
+
+ALTER TABLE CCAs
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS retired_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS merged_into INTEGER
+        REFERENCES CCAs(cca_id) ON DELETE SET NULL,
+    ADD CONSTRAINT chk_cca_merged_retired
+        CHECK (merged_into IS NULL OR retired_at IS NOT NULL);
+
+ALTER TABLE Programmes
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS retired_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS merged_into INTEGER
+        REFERENCES Programmes(programme_id) ON DELETE SET NULL,
+    ADD CONSTRAINT chk_programme_merged_retired
+        CHECK (merged_into IS NULL OR retired_at IS NOT NULL);
+
+ALTER TABLE Distinctive_Programmes
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS retired_by VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS merged_into INTEGER
+        REFERENCES Distinctive_Programmes(distinctive_id) ON DELETE SET NULL,
+    ADD CONSTRAINT chk_distinctive_merged_retired
+        CHECK (merged_into IS NULL OR retired_at IS NOT NULL);
+
+COMMENT ON COLUMN Subjects.retired_at IS 'Set when an admin retires or merges the entry; retired entries cannot be linked to schools';
+COMMENT ON COLUMN Subjects.merged_into IS 'Entry that replaced this one in a merge';
+
+-- ========================================
+-- MASTER_DATA_MERGES (Audit trail)
+-- ========================================
+CREATE TABLE IF NOT EXISTS Master_Data_Merges (
+    merge_id SERIAL PRIMARY KEY,
+    entry_type VARCHAR(20) NOT NULL,
+    source_id INTEGER NOT NULL,
+    source_description VARCHAR(700) NOT NULL,
+    target_id INTEGER NOT NULL,
+    target_description VARCHAR(700) NOT NULL,
+    moved_rows INTEGER NOT NULL DEFAULT 0,
+    collapsed_rows INTEGER NOT NULL DEFAULT 0,
+    merged_by VARCHAR(100) NOT NULL,
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT chk_merge_entry_type
+        CHECK (entry_type IN ('subjects', 'ccas', 'programmes', 'distinctives')),
+    CONSTRAINT chk_merge_distinct_entries CHECK (source_id <> target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_master_merges_type ON Master_Data_Merges(entry_type, merged_at DESC);
+
+COMMENT ON TABLE Master_Data_Merges IS 'Master entries merged into another entry by an admin';
+COMMENT ON COLUMN Master_Data_Merges.moved_rows IS 'School links moved from the source to the target';
+COMMENT ON COLUMN Master_Data_Merges.collapsed_rows IS 'School links dropped because the school already had the target';
+
+-- ========================================
+-- PLACEHOLDER CLEAN-UP
+-- ========================================
+DELETE FROM School_Subjects ss
+USING Subjects s
+WHERE ss.subject_id = s.subject_id
+  AND UPPER(TRIM(s.subject_desc)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+UPDATE Subjects
+SET retired_at = NOW(), retired_by = 'migration 0007'
+WHERE UPPER(TRIM(subject_desc)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+DELETE FROM School_CCAs sc
+USING CCAs c
+WHERE sc.cca_id = c.cca_id
+  AND (UPPER(TRIM(COALESCE(c.cca_grouping_desc, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-')
+       OR UPPER(TRIM(c.cca_generic_name)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-'));
+
+UPDATE CCAs
+SET retired_at = NOW(), retired_by = 'migration 0007'
+WHERE UPPER(TRIM(COALESCE(cca_grouping_desc, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-')
+   OR UPPER(TRIM(cca_generic_name)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+UPDATE School_CCAs
+SET cca_customized_name = NULL
+WHERE UPPER(TRIM(cca_customized_name)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+DELETE FROM School_Programmes sp
+USING Programmes p
+WHERE sp.programme_id = p.programme_id
+  AND UPPER(TRIM(p.moe_programme_desc)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+UPDATE Programmes
+SET retired_at = NOW(), retired_by = 'migration 0007'
+WHERE UPPER(TRIM(moe_programme_desc)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+-- A distinctive programme needs an ALP or LLP domain (chk_at_least_one_programme)
+DELETE FROM School_Distinctives sd
+USING Distinctive_Programmes d
+WHERE sd.distinctive_id = d.distinctive_id
+  AND UPPER(TRIM(COALESCE(d.alp_domain, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-')
+  AND UPPER(TRIM(COALESCE(d.llp_domain1, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+UPDATE Distinctive_Programmes
+SET retired_at = NOW(), retired_by = 'migration 0007'
+WHERE UPPER(TRIM(COALESCE(alp_domain, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-')
+  AND UPPER(TRIM(COALESCE(llp_domain1, ''))) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-');
+
+-- The remaining entries keep their real half, e.g. an LLP with alp_domain 'NA'
+UPDATE Distinctive_Programmes
+SET alp_domain  = CASE WHEN UPPER(TRIM(alp_domain))  IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-') THEN NULL ELSE alp_domain END,
+    alp_title   = CASE WHEN UPPER(TRIM(alp_title))   IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-') THEN NULL ELSE alp_title END,
+    llp_domain1 = CASE WHEN UPPER(TRIM(llp_domain1)) IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-') THEN NULL ELSE llp_domain1 END,
+    llp_title   = CASE WHEN UPPER(TRIM(llp_title))   IN ('', 'NA', 'N/A', 'NIL', 'NONE', '-') THEN NULL ELSE llp_title END
+WHERE retired_at IS NULL;
@@ -0,0 +1,7 @@
+-- ========================================
+-- 0008 SCHOOL ARCHIVE (down)
+-- ========================================
+-- Drops the recycle bin; schools still in it are lost.
+-- ========================================
+
+DROP TABLE IF EXISTS Archived_Schools;
@@ -0,0 +1,30 @@
+-- ========================================
+-- 0008 SCHOOL ARCHIVE (up)
+-- ========================================
+-- Deleting a school used to cascade through its offerings with no way
+-- back. A deleted school is now archived first: the school row, its
+-- raw_general_info, offerings and name aliases are kept as one JSONB
+-- snapshot until an admin restores it or the retention period ends
+-- (SCHOOL_ARCHIVE_RETENTION_DAYS).
+-- ========================================
+
+-- ========================================
+-- ARCHIVED_SCHOOLS (Recycle bin)
+-- ========================================
+CREATE TABLE IF NOT EXISTS Archived_Schools (
+    archive_id SERIAL PRIMARY KEY,
+    school_id INTEGER NOT NULL,
+    school_name VARCHAR(200) NOT NULL,
+    snapshot JSONB NOT NULL,
+    archived_by VARCHAR(100) NOT NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT uq_archived_school UNIQUE (school_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_schools_archived_at ON Archived_Schools(archived_at);
+
+COMMENT ON TABLE Archived_Schools IS 'Deleted schools that can still be restored';
+COMMENT ON COLUMN Archived_Schools.school_id IS 'Original school_id, reused on restore (no foreign key: the school row is gone)';
+COMMENT ON COLUMN Archived_Schools.snapshot IS 'The Schools row plus its rows in raw_general_info, the junction tables and School_Name_Aliases';
@@ -0,0 +1,8 @@
+-- ========================================
+-- 0009 SCHOOL HISTORY (down)
+-- ========================================
+-- Drops the field-level history; the activity log is unaffected.
+-- ========================================
+
+DROP TABLE IF EXISTS School_Change_Fields;
+DROP TABLE IF EXISTS School_Changes;
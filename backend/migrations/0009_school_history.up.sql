@@ -0,0 +1,46 @@
+-- ========================================
+-- 0009 SCHOOL HISTORY (up)
+-- ========================================
+-- The activity log only says that a school was updated. Every write
+-- through the school and offering endpoints now also records which
+-- fields changed, with the old and new value, so admins can see who
+-- changed a principal name or removed a CCA and when.
+-- ========================================
+
+-- ========================================
+-- SCHOOL_CHANGES (One row per write)
+-- ========================================
+CREATE TABLE IF NOT EXISTS School_Changes (
+    change_id SERIAL PRIMARY KEY,
+    school_id INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    changed_by VARCHAR(100) NOT NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT chk_school_change_action CHECK (
+        action IN ('create', 'update', 'offerings', 'delete', 'restore')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_school_changes_school ON School_Changes(school_id, changed_at DESC);
+
+COMMENT ON TABLE School_Changes IS 'Writes to a school record, newest last';
+COMMENT ON COLUMN School_Changes.school_id IS 'No foreign key: the history outlives a deleted school';
+
+-- ========================================
+-- SCHOOL_CHANGE_FIELDS (Before/after per field)
+-- ========================================
+CREATE TABLE IF NOT EXISTS School_Change_Fields (
+    change_field_id SERIAL PRIMARY KEY,
+    change_id INTEGER NOT NULL REFERENCES School_Changes(change_id) ON DELETE CASCADE,
+    field VARCHAR(100) NOT NULL,
+    item_id INTEGER,
+    old_value TEXT,
+    new_value TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_school_change_fields_change ON School_Change_Fields(change_id);
+
+COMMENT ON COLUMN School_Change_Fields.field IS 'A Schools / raw_general_info column, an offering type (subjects, ccas, ...) or <type>.<junction column>';
+COMMENT ON COLUMN School_Change_Fields.item_id IS 'Master id (subject_id, cca_id, ...) for offering fields';
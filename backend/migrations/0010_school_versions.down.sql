@@ -0,0 +1,17 @@
+-- ========================================
+-- 0010 SCHOOL VERSIONS (down)
+-- ========================================
+-- Drops the snapshots. Revert changes are deleted because the 0009
+-- action check does not allow them.
+-- ========================================
+
+DELETE FROM School_Changes WHERE action = 'revert';
+
+ALTER TABLE School_Changes DROP CONSTRAINT IF EXISTS chk_school_change_action;
+ALTER TABLE School_Changes ADD CONSTRAINT chk_school_change_action CHECK (
+    action IN ('create', 'update', 'offerings', 'delete', 'restore')
+);
+
+ALTER TABLE School_Changes
+    DROP COLUMN IF EXISTS reverted_to,
+    DROP COLUMN IF EXISTS snapshot;
@@ -0,0 +1,22 @@
+-- ========================================
+-- 0010 SCHOOL VERSIONS (up)
+-- ========================================
+-- Each recorded school change now keeps a snapshot of the school as it
+-- was after the write: the Schools row, its raw_general_info row and its
+-- offerings. An admin can revert the school to any of these versions;
+-- the revert is recorded as a change of its own.
+-- Changes recorded before this migration have no snapshot and cannot be
+-- reverted to.
+-- ========================================
+
+ALTER TABLE School_Changes
+    ADD COLUMN IF NOT EXISTS snapshot JSONB,
+    ADD COLUMN IF NOT EXISTS reverted_to INTEGER REFERENCES School_Changes(change_id) ON DELETE SET NULL;
+
+ALTER TABLE School_Changes DROP CONSTRAINT IF EXISTS chk_school_change_action;
+ALTER TABLE School_Changes ADD CONSTRAINT chk_school_change_action CHECK (
+    action IN ('create', 'update', 'offerings', 'delete', 'restore', 'revert')
+);
+
+COMMENT ON COLUMN School_Changes.snapshot IS 'The school after the change: Schools row plus its raw_general_info and junction rows (null once deleted)';
+COMMENT ON COLUMN School_Changes.reverted_to IS 'For a revert, the change whose snapshot was restored';
@@ -0,0 +1,5 @@
+-- ========================================
+-- 0011 SCHOOL ROW VERSION (down)
+-- ========================================
+
+ALTER TABLE Schools DROP COLUMN IF EXISTS version;
@@ -0,0 +1,12 @@
+-- ========================================
+-- 0011 SCHOOL ROW VERSION (up)
+-- ========================================
+-- Optimistic concurrency for school edits. Every write to a school's
+-- fields (Schools or raw_general_info) increments Schools.version; an
+-- edit must send the version it was based on and is refused when the
+-- school has changed since.
+-- ========================================
+
+ALTER TABLE Schools ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN Schools.version IS 'Incremented on every change to the school''s fields; sent back by edits to detect conflicts';
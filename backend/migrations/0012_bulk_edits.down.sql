@@ -0,0 +1,17 @@
+-- ========================================
+-- 0012 BULK EDITS (down)
+-- ========================================
+-- Drops the bulk edit audit trail. Per-school bulk changes stay in the
+-- history as ordinary updates.
+-- ========================================
+
+UPDATE School_Changes SET action = 'update' WHERE action = 'bulk';
+
+ALTER TABLE School_Changes DROP CONSTRAINT IF EXISTS chk_school_change_action;
+ALTER TABLE School_Changes ADD CONSTRAINT chk_school_change_action CHECK (
+    action IN ('create', 'update', 'offerings', 'delete', 'restore', 'revert')
+);
+
+ALTER TABLE School_Changes DROP COLUMN IF EXISTS bulk_id;
+
+DROP TABLE IF EXISTS School_Bulk_Edits;
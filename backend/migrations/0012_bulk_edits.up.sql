@@ -0,0 +1,31 @@
+-- ========================================
+-- 0012 BULK EDITS (up)
+-- ========================================
+-- Admins can change many schools in one request: a filter (advanced
+-- search criteria and/or school ids) plus a patch of field values and
+-- offerings to add or remove. Each applied bulk edit is one row here;
+-- the per-school changes in School_Changes point back to it.
+-- ========================================
+
+-- ========================================
+-- SCHOOL_BULK_EDITS (One row per applied bulk edit)
+-- ========================================
+CREATE TABLE IF NOT EXISTS School_Bulk_Edits (
+    bulk_id SERIAL PRIMARY KEY,
+    filter JSONB NOT NULL,
+    patch JSONB NOT NULL,
+    school_count INTEGER NOT NULL DEFAULT 0,
+    applied_by VARCHAR(100) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE School_Bulk_Edits IS 'Audit trail of bulk edits; School_Changes.bulk_id links the per-school changes';
+COMMENT ON COLUMN School_Bulk_Edits.filter IS 'The criteria and school_ids the edit was applied to';
+
+ALTER TABLE School_Changes
+    ADD COLUMN IF NOT EXISTS bulk_id INTEGER REFERENCES School_Bulk_Edits(bulk_id) ON DELETE SET NULL;
+
+ALTER TABLE School_Changes DROP CONSTRAINT IF EXISTS chk_school_change_action;
+ALTER TABLE School_Changes ADD CONSTRAINT chk_school_change_action CHECK (
+    action IN ('create', 'update', 'offerings', 'delete', 'restore', 'revert', 'bulk')
+);
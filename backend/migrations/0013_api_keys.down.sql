@@ -0,0 +1,7 @@
+-- ========================================
+-- 0013 API KEYS (down)
+-- ========================================
+-- Drops the API keys. Their usage counters in MongoDB are left alone.
+-- ========================================
+
+DROP TABLE IF EXISTS Api_Keys;
@@ -0,0 +1,35 @@
+-- ========================================
+-- 0013 API KEYS (up)
+-- ========================================
+-- Keys for partner applications calling /api/v1. Only a SHA-256 hash of
+-- each key is stored; the key itself is shown once, when it is issued or
+-- rotated. key_prefix is the public part of the key, used to find the row
+-- and to tell keys apart in the admin area. Usage counters live in the
+-- MongoDB api_usage collection, next to activity_logs.
+-- ========================================
+
+-- ========================================
+-- API_KEYS (One row per issued key; revoked keys are kept for the audit)
+-- ========================================
+CREATE TABLE IF NOT EXISTS Api_Keys (
+    key_id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL,
+    scopes TEXT[] NOT NULL,
+    rate_limit INTEGER,
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    rotated_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by VARCHAR(100),
+    CONSTRAINT uq_api_key_prefix UNIQUE (key_prefix),
+    CONSTRAINT chk_api_key_scopes CHECK (
+        cardinality(scopes) > 0 AND scopes <@ ARRAY['read', 'analytics', 'geo']::TEXT[]
+    ),
+    CONSTRAINT chk_api_key_rate_limit CHECK (rate_limit IS NULL OR rate_limit > 0)
+);
+
+COMMENT ON TABLE Api_Keys IS 'API keys for /api/v1; usage counters are in MongoDB api_usage';
+COMMENT ON COLUMN Api_Keys.key_hash IS 'SHA-256 of the whole key, hex';
+COMMENT ON COLUMN Api_Keys.rate_limit IS 'Requests per minute; NULL uses API_KEY_RATE_LIMIT';
@@ -0,0 +1,21 @@
+-- ========================================
+-- 0014 SCHOOL GEOCODES (down)
+-- ========================================
+
+DROP TRIGGER IF EXISTS reset_schools_geocode ON Schools;
+DROP FUNCTION IF EXISTS reset_school_geocode();
+
+DROP INDEX IF EXISTS idx_schools_geocode_pending;
+DROP INDEX IF EXISTS idx_schools_coordinates;
+
+ALTER TABLE Schools DROP CONSTRAINT IF EXISTS chk_school_coordinates;
+ALTER TABLE Schools DROP CONSTRAINT IF EXISTS chk_geocode_status;
+
+ALTER TABLE Schools
+    DROP COLUMN IF EXISTS latitude,
+    DROP COLUMN IF EXISTS longitude,
+    DROP COLUMN IF EXISTS geocode_status,
+    DROP COLUMN IF EXISTS geocoder,
+    DROP COLUMN IF EXISTS geocoded_at,
+    DROP COLUMN IF EXISTS geocode_attempts,
+    DROP COLUMN IF EXISTS geocode_error;
@@ -0,0 +1,74 @@
+-- ========================================
+-- 0014 SCHOOL GEOCODES (up)
+-- ========================================
+-- Each school's coordinates are stored instead of being looked up on
+-- OneMap for every nearby-school search and map view. A background job
+-- (backend/school-geocodes.js) geocodes schools whose status is
+-- 'pending'; changing a school's postal code sets it back to 'pending'.
+-- ========================================
+
+ALTER TABLE Schools
+    ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS geocode_status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    ADD COLUMN IF NOT EXISTS geocoder VARCHAR(30),
+    ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS geocode_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS geocode_error TEXT;
+
+ALTER TABLE Schools DROP CONSTRAINT IF EXISTS chk_geocode_status;
+ALTER TABLE Schools ADD CONSTRAINT chk_geocode_status CHECK (
+    geocode_status IN ('pending', 'ok', 'not_found', 'failed')
+);
+
+-- Schools archived before this migration restore as 'pending'
+UPDATE Archived_Schools
+SET snapshot = jsonb_set(snapshot, '{school}',
+    snapshot->'school' || '{"geocode_status": "pending", "geocode_attempts": 0}'::jsonb)
+WHERE NOT (snapshot->'school' ? 'geocode_status');
+
+-- Coordinates come in pairs, within Singapore
+ALTER TABLE Schools DROP CONSTRAINT IF EXISTS chk_school_coordinates;
+ALTER TABLE Schools ADD CONSTRAINT chk_school_coordinates CHECK (
+    (latitude IS NULL AND longitude IS NULL) OR
+    (latitude BETWEEN 1.1 AND 1.5 AND longitude BETWEEN 103.6 AND 104.1)
+);
+
+-- Bounding-box prefilter of radius searches
+CREATE INDEX IF NOT EXISTS idx_schools_coordinates ON Schools(latitude, longitude)
+    WHERE latitude IS NOT NULL;
+
+-- The job's queue
+CREATE INDEX IF NOT EXISTS idx_schools_geocode_pending ON Schools(geocode_attempts, geocoded_at)
+    WHERE geocode_status IN ('pending', 'failed');
+
+COMMENT ON COLUMN Schools.geocode_status IS 'pending: to geocode; ok: coordinates set; not_found: the geocoder does not know the postal code; failed: the geocoder errored, retried later';
+COMMENT ON COLUMN Schools.geocoder IS 'Geocoder that produced the coordinates (see backend/geocoder.js)';
+COMMENT ON COLUMN Schools.geocode_attempts IS 'Failed attempts since the postal code last changed';
+
+-- ========================================
+-- A new postal code needs new coordinates
+-- ========================================
+CREATE OR REPLACE FUNCTION reset_school_geocode()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.postal_code IS DISTINCT FROM OLD.postal_code THEN
+        NEW.latitude = NULL;
+        NEW.longitude = NULL;
+        NEW.geocode_status = 'pending';
+        NEW.geocoder = NULL;
+        NEW.geocoded_at = NULL;
+        NEW.geocode_attempts = 0;
+        NEW.geocode_error = NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS reset_schools_geocode ON Schools;
+CREATE TRIGGER reset_schools_geocode
+BEFORE UPDATE OF postal_code ON Schools
+FOR EACH ROW
+EXECUTE FUNCTION reset_school_geocode();
+
+COMMENT ON FUNCTION reset_school_geocode() IS 'Clears a school''s coordinates and queues it for geocoding when its postal code changes';
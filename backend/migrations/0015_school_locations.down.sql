@@ -0,0 +1,17 @@
+-- ========================================
+-- 0015 SCHOOL LOCATIONS (down)
+-- ========================================
+-- The PostGIS extension stays installed: other schemas may use it.
+-- ========================================
+
+DROP TRIGGER IF EXISTS sync_schools_location ON Schools;
+DROP FUNCTION IF EXISTS sync_school_location();
+
+DROP INDEX IF EXISTS idx_schools_location_geography;
+DROP INDEX IF EXISTS idx_schools_location;
+
+ALTER TABLE Schools DROP COLUMN IF EXISTS location;
+
+-- Bounding-box prefilter of the radius search before PostGIS
+CREATE INDEX IF NOT EXISTS idx_schools_coordinates ON Schools(latitude, longitude)
+    WHERE latitude IS NOT NULL;
@@ -0,0 +1,55 @@
+-- ========================================
+-- 0015 SCHOOL LOCATIONS (up)
+-- ========================================
+-- PostGIS point of each school, for nearest-school, radius, bounding-box
+-- and polygon queries (backend/school-locations.js). It is derived from
+-- latitude/longitude (0014) by a trigger, so only those are ever written.
+-- Needs the PostGIS extension (on Supabase: Database > Extensions).
+-- ========================================
+
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+ALTER TABLE Schools ADD COLUMN IF NOT EXISTS location geometry(Point, 4326);
+
+-- Existing coordinates, without touching updated_at
+ALTER TABLE Schools DISABLE TRIGGER update_schools_updated_at;
+UPDATE Schools
+SET location = ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)
+WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+ALTER TABLE Schools ENABLE TRIGGER update_schools_updated_at;
+
+-- Boxes, polygons and the planar operators
+CREATE INDEX IF NOT EXISTS idx_schools_location ON Schools USING GIST (location);
+
+-- Distances in metres: radius searches (ST_DWithin) and nearest-N (<->)
+CREATE INDEX IF NOT EXISTS idx_schools_location_geography ON Schools USING GIST ((location::geography));
+
+-- Replaced by the indexes above
+DROP INDEX IF EXISTS idx_schools_coordinates;
+
+COMMENT ON COLUMN Schools.location IS 'PostGIS point (WGS 84) of latitude/longitude, set by the sync_schools_location trigger';
+
+-- ========================================
+-- Keep location in step with latitude/longitude
+-- ========================================
+-- Fires on every insert and update, after reset_schools_geocode (triggers
+-- run in name order), so coordinates that trigger clears clear location too.
+CREATE OR REPLACE FUNCTION sync_school_location()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.latitude IS NULL OR NEW.longitude IS NULL THEN
+        NEW.location = NULL;
+    ELSE
+        NEW.location = ST_SetSRID(ST_MakePoint(NEW.longitude, NEW.latitude), 4326);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_schools_location ON Schools;
+CREATE TRIGGER sync_schools_location
+BEFORE INSERT OR UPDATE ON Schools
+FOR EACH ROW
+EXECUTE FUNCTION sync_school_location();
+
+COMMENT ON FUNCTION sync_school_location() IS 'Sets Schools.location from latitude and longitude';
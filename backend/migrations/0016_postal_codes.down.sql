@@ -0,0 +1,5 @@
+-- ========================================
+-- 0016 POSTAL CODES (down)
+-- ========================================
+
+DROP TABLE IF EXISTS Postal_Codes;
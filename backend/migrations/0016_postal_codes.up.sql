@@ -0,0 +1,37 @@
+-- ========================================
+-- 0016 POSTAL CODES (up)
+-- ========================================
+-- Coordinates of postal codes kept in the database, for the 'local'
+-- geocoder (backend/postal-codes.js), so development, CI and offline demos
+-- can geocode without OneMap. Filled with `node backend/import-postal-codes.js`
+-- from a CSV file or from the schools already geocoded.
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS Postal_Codes (
+    postal_code CHAR(6) PRIMARY KEY,
+    latitude DOUBLE PRECISION NOT NULL,
+    longitude DOUBLE PRECISION NOT NULL,
+    address TEXT,
+    location geometry(Point, 4326) GENERATED ALWAYS AS (ST_SetSRID(ST_MakePoint(longitude, latitude), 4326)) STORED,
+    source VARCHAR(30) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_postal_codes_code CHECK (postal_code ~ '^[0-9]{6}$'),
+    CONSTRAINT chk_postal_codes_coordinates CHECK (
+        latitude BETWEEN 1.1 AND 1.5 AND longitude BETWEEN 103.6 AND 104.1
+    )
+);
+
+-- Reverse geocoding: the nearest postal code to a point
+CREATE INDEX IF NOT EXISTS idx_postal_codes_location ON Postal_Codes USING GIST ((location::geography));
+
+COMMENT ON TABLE Postal_Codes IS 'Postal code coordinates for the local geocoder';
+COMMENT ON COLUMN Postal_Codes.source IS 'Where the row came from: a CSV file name, or schools';
+
+-- Start with the schools geocoded so far
+INSERT INTO Postal_Codes (postal_code, latitude, longitude, address, source)
+SELECT DISTINCT ON (postal_code) postal_code, latitude, longitude, address, 'schools'
+FROM Schools
+WHERE geocode_status = 'ok'
+ORDER BY postal_code, geocoded_at DESC
+ON CONFLICT (postal_code) DO NOTHING;
@@ -0,0 +1,6 @@
+-- ========================================
+-- 0017 GEOCODE CACHE (down)
+-- ========================================
+
+DROP TABLE IF EXISTS Geocode_Cache_Stats;
+DROP TABLE IF EXISTS Geocode_Cache;
@@ -0,0 +1,44 @@
+-- ========================================
+-- 0017 GEOCODE CACHE (up)
+-- ========================================
+-- Geocoder answers kept in the database, so they survive restarts and are
+-- shared by every server process (backend/geocode-cache.js). Postal code
+-- lookups are keyed by the postal code; reverse lookups by the coordinates
+-- rounded to about 10 m, with the postal code they found. Entries expire
+-- after GEOCODE_CACHE_TTL_DAYS; admins can invalidate them sooner.
+-- ========================================
+
+-- ========================================
+-- GEOCODE_CACHE (One row per lookup; result is NULL when nothing was found)
+-- ========================================
+CREATE TABLE IF NOT EXISTS Geocode_Cache (
+    lookup VARCHAR(12) NOT NULL,
+    lookup_key VARCHAR(30) NOT NULL,
+    postal_code CHAR(6),
+    result JSONB,
+    source VARCHAR(30),
+    hits INTEGER NOT NULL DEFAULT 0,
+    cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    last_hit_at TIMESTAMP,
+    PRIMARY KEY (lookup, lookup_key),
+    CONSTRAINT chk_geocode_cache_lookup CHECK (lookup IN ('postal_code', 'reverse'))
+);
+
+-- Invalidating a postal code drops its reverse lookups too
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_postal_code ON Geocode_Cache(postal_code);
+CREATE INDEX IF NOT EXISTS idx_geocode_cache_expires ON Geocode_Cache(expires_at);
+
+COMMENT ON TABLE Geocode_Cache IS 'Geocoder answers for /api/postal-code, /api/reverse-geocode and /api/geocode/batch';
+COMMENT ON COLUMN Geocode_Cache.lookup_key IS 'The postal code, or latitude,longitude to 4 decimals';
+COMMENT ON COLUMN Geocode_Cache.hits IS 'Lookups answered by this entry';
+
+-- ========================================
+-- GEOCODE_CACHE_STATS (Hit and miss counters per lookup, since counted_since)
+-- ========================================
+CREATE TABLE IF NOT EXISTS Geocode_Cache_Stats (
+    lookup VARCHAR(12) PRIMARY KEY,
+    hits BIGINT NOT NULL DEFAULT 0,
+    misses BIGINT NOT NULL DEFAULT 0,
+    counted_since TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
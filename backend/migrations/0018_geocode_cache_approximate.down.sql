@@ -0,0 +1,10 @@
+-- ========================================
+-- 0018 GEOCODE CACHE APPROXIMATE (down)
+-- ========================================
+-- Approximate entries are dropped first: without the flag they would be
+-- read back as exact answers.
+-- ========================================
+
+DELETE FROM Geocode_Cache WHERE approximate;
+
+ALTER TABLE Geocode_Cache DROP COLUMN IF EXISTS approximate;
@@ -0,0 +1,11 @@
+-- ========================================
+-- 0018 GEOCODE CACHE APPROXIMATE (up)
+-- ========================================
+-- Approximate answers (the centre of the postal sector) are cached too,
+-- for a short time and flagged, so repeated lookups of a postal code no
+-- exact geocoder knows stop reaching the geocoders.
+-- ========================================
+
+ALTER TABLE Geocode_Cache ADD COLUMN IF NOT EXISTS approximate BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN Geocode_Cache.approximate IS 'true when the answer is the centre of the postal sector (district)';
@@ -39,4 +39,13 @@ process.on('SIGINT', async () => {
   }
 });
 
-module.exports = connectMongo;
\ No newline at end of file
+// Close the shared client (for scripts that exit when done)
+async function closeMongo() {
+  if (cachedDb) {
+    await client.close();
+    cachedDb = null;
+  }
+}
+
+module.exports = connectMongo;
+module.exports.closeMongo = closeMongo;
\ No newline at end of file
@@ -0,0 +1,193 @@
+// ========== SCHOOL NAME MATCHER ==========
+// Reconciles school names written differently across the MOE files, e.g.
+// "Admiralty Secondary" or "St Andrew's Junior" against the official
+// "ADMIRALTY SECONDARY SCHOOL" / "ST ANDREW'S SCHOOL (JUNIOR)".
+//
+// Matching order: exact name -> registered alias -> normalised name -> fuzzy score.
+
+// Scores at or above this are accepted automatically
+const AUTO_ACCEPT_SCORE = 0.93;
+
+// Scores between this and AUTO_ACCEPT_SCORE go to the admin review queue
+const REVIEW_SCORE = 0.75;
+
+// Abbreviations expanded before comparison
+const ABBREVIATIONS = {
+  ST: 'SAINT',
+  STS: 'SAINTS',
+  SEC: 'SECONDARY',
+  SECY: 'SECONDARY',
+  PRI: 'PRIMARY',
+  PRY: 'PRIMARY',
+  SCH: 'SCHOOL',
+  INST: 'INSTITUTION',
+  JC: 'JUNIOR COLLEGE',
+  CI: 'CENTRALISED INSTITUTE',
+  GOVT: 'GOVERNMENT',
+  '&': 'AND'
+};
+
+// Words that carry no identifying information
+const STOP_WORDS = ['SCHOOL', 'THE'];
+
+// Trim and collapse whitespace; the form used for exact and alias lookups
+function nameKey(name) {
+  if (!name) return null;
+  const key = String(name).replace(/\s+/g, ' ').trim().toUpperCase();
+  return key || null;
+}
+
+// Break a name into comparable tokens:
+// "St Andrew's School (Junior)" -> ['SAINT', 'ANDREWS', 'JUNIOR']
+function tokenize(name) {
+  const key = nameKey(name);
+  if (!key) return [];
+
+  return key
+    .replace(/&/g, ' & ')
+    // Drop apostrophes (including mis-encoded ones) so ANDREW'S == ANDREWS
+    .replace(/['‘’�`]/g, '')
+    .replace(/[^A-Z0-9&]+/g, ' ')
+    .trim()
+    .split(' ')
+    .flatMap(token => (ABBREVIATIONS[token] || token).split(' '))
+    .filter(token => token && !STOP_WORDS.includes(token));
+}
+
+// Order-insensitive normalised form used for the 'normalised' match step
+function normaliseName(name) {
+  return [...new Set(tokenize(name))].sort().join(' ');
+}
+
+// Character bigrams of a string, used for typo-tolerant comparison
+function bigrams(text) {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.slice(i, i + 2));
+  }
+  return grams;
+}
+
+// Dice coefficient between two lists (multiset overlap)
+function dice(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+
+  let overlap = 0;
+  b.forEach(item => {
+    const count = counts.get(item);
+    if (count) {
+      overlap++;
+      counts.set(item, count - 1);
+    }
+  });
+
+  return (2 * overlap) / (a.length + b.length);
+}
+
+// Similarity between two names in the range 0..1.
+// Token overlap dominates; the bigram score absorbs small typos.
+function similarity(nameA, nameB) {
+  const tokensA = [...new Set(tokenize(nameA))];
+  const tokensB = [...new Set(tokenize(nameB))];
+
+  const tokenScore = dice(tokensA, tokensB);
+  const charScore = dice(bigrams(tokensA.sort().join(' ')), bigrams(tokensB.sort().join(' ')));
+
+  return Math.round((0.7 * tokenScore + 0.3 * charScore) * 1000) / 1000;
+}
+
+// Build a matcher over the current schools and aliases.
+//   schools: [{ school_id, school_name }]
+//   aliases: [{ alias_name, school_id }]
+function createNameMatcher(schools, aliases = []) {
+  const byKey = new Map();
+  const byNormalised = new Map();
+
+  schools.forEach(school => {
+    byKey.set(nameKey(school.school_name), school);
+
+    const normalised = normaliseName(school.school_name);
+    if (!byNormalised.has(normalised)) byNormalised.set(normalised, []);
+    byNormalised.get(normalised).push(school);
+  });
+
+  const byId = new Map(schools.map(school => [school.school_id, school]));
+  const aliasByKey = new Map();
+  aliases.forEach(alias => {
+    const school = byId.get(alias.school_id);
+    if (school) aliasByKey.set(nameKey(alias.alias_name), school);
+  });
+
+  // Best scoring schools for a name, highest first
+  function candidates(name, limit = 5) {
+    return schools
+      .map(school => ({
+        school_id: school.school_id,
+        school_name: school.school_name,
+        score: similarity(name, school.school_name)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Resolve a name. Always returns { school_id, school_name, score, method, status }
+  // where status is 'matched', 'review' (low confidence) or 'unmatched'.
+  function match(name) {
+    const key = nameKey(name);
+    if (!key) {
+      return { school_id: null, school_name: null, score: 0, method: null, status: 'unmatched' };
+    }
+
+    const exact = byKey.get(key);
+    if (exact) {
+      return { ...pick(exact), score: 1, method: 'exact', status: 'matched' };
+    }
+
+    const alias = aliasByKey.get(key);
+    if (alias) {
+      return { ...pick(alias), score: 1, method: 'alias', status: 'matched' };
+    }
+
+    const normalised = byNormalised.get(normaliseName(name)) || [];
+    if (normalised.length === 1) {
+      return { ...pick(normalised[0]), score: 1, method: 'normalised', status: 'matched' };
+    }
+
+    const [best, runnerUp] = candidates(name, 2);
+    if (!best || best.score < REVIEW_SCORE) {
+      return {
+        school_id: null,
+        school_name: best ? best.school_name : null,
+        score: best ? best.score : 0,
+        method: 'fuzzy',
+        status: 'unmatched'
+      };
+    }
+
+    // Two equally good candidates are never accepted automatically
+    const ambiguous = runnerUp && runnerUp.score === best.score;
+    const status = best.score >= AUTO_ACCEPT_SCORE && !ambiguous ? 'matched' : 'review';
+
+    return { ...best, method: 'fuzzy', status };
+  }
+
+  function pick(school) {
+    return { school_id: school.school_id, school_name: school.school_name };
+  }
+
+  return { match, candidates };
+}
+
+module.exports = {
+  AUTO_ACCEPT_SCORE,
+  REVIEW_SCORE,
+  nameKey,
+  tokenize,
+  normaliseName,
+  similarity,
+  createNameMatcher
+};
@@ -0,0 +1,323 @@
+// ========== SCHOOL OFFERINGS ==========
+// Add, change and remove a school's subjects, CCAs, MOE programmes and
+// distinctive programmes through the junction tables.
+//
+// A master entry (Subjects, CCAs, ...) is referenced either by id or by its
+// descriptive columns. Descriptions are matched case-insensitively and a new
+// master row is created when nothing matches. Entries merged away in
+// master-data.js resolve to the entry that replaced them.
+//
+// Every function works on a client inside the caller's transaction and
+// returns { error: { status, message } } instead of throwing for bad input.
+
+const { normaliseValue, DISTINCTIVE_COLUMNS } = require('./school-columns');
+
+// Keyed by the URL segment used in /api/schools/:id/<type>
+const OFFERING_TYPES = {
+  subjects: {
+    label: 'subject',
+    table: 'School_Subjects',
+    idColumn: 'subject_id',
+    master: { table: 'Subjects', columns: ['subject_desc'] },
+    extraColumns: [],
+    validate: entry => (entry.subject_desc ? null : 'subject_desc is required')
+  },
+  ccas: {
+    label: 'CCA',
+    table: 'School_CCAs',
+    idColumn: 'cca_id',
+    master: { table: 'CCAs', columns: ['cca_grouping_desc', 'cca_generic_name'] },
+    extraColumns: ['cca_customized_name', 'school_section'],
+    validate: entry => (entry.cca_grouping_desc && entry.cca_generic_name
+      ? null
+      : 'cca_grouping_desc and cca_generic_name are required')
+  },
+  programmes: {
+    label: 'programme',
+    table: 'School_Programmes',
+    idColumn: 'programme_id',
+    master: { table: 'Programmes', columns: ['moe_programme_desc'] },
+    extraColumns: [],
+    validate: entry => (entry.moe_programme_desc ? null : 'moe_programme_desc is required')
+  },
+  distinctives: {
+    label: 'distinctive programme',
+    table: 'School_Distinctives',
+    idColumn: 'distinctive_id',
+    master: { table: 'Distinctive_Programmes', columns: DISTINCTIVE_COLUMNS },
+    extraColumns: [],
+    // Mirrors chk_at_least_one_programme
+    validate: entry => (entry.alp_domain || entry.llp_domain1 ? null : 'alp_domain or llp_domain1 is required')
+  }
+};
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// Parse a positive integer id from a URL or body value
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Split a request body into the master reference and the junction columns.
+//   masterId - body[idColumn], when given
+//   entry    - the master's descriptive columns, when any of them is given
+//   extras   - junction columns present in the body (null clears a value)
+function readOfferingInput(definition, body = {}) {
+  const { idColumn, master, extraColumns } = definition;
+
+  const entry = {};
+  master.columns.forEach(column => {
+    entry[column] = normaliseValue(body[column]);
+  });
+
+  const extras = {};
+  extraColumns
+    .filter(column => body[column] !== undefined)
+    .forEach(column => {
+      extras[column] = normaliseValue(body[column]);
+    });
+
+  return {
+    masterId: body[idColumn] !== undefined ? parseId(body[idColumn]) : undefined,
+    entry: master.columns.some(column => entry[column]) ? entry : null,
+    extras
+  };
+}
+
+// Follow a merged entry to the one that replaced it; retired entries
+// cannot be linked. Returns { id, created: false } or { error }.
+function activeMaster(definition, row) {
+  const { label, idColumn } = definition;
+
+  if (row.merged_into) return { id: row.merged_into, created: false };
+  if (row.retired_at) {
+    return failure(409, `The ${label} with ${idColumn} ${row[idColumn]} is retired and cannot be added to a school`);
+  }
+  return { id: row[idColumn], created: false };
+}
+
+// Find the master row for the input, creating it from entry when needed.
+// Returns { id, created } or { error }.
+async function resolveMaster(client, definition, input) {
+  const { label, idColumn, master, validate } = definition;
+
+  if (input.entry) {
+    const error = validate(input.entry);
+    if (error) return failure(400, error);
+
+    const values = master.columns.map(column => input.entry[column]);
+    const conditions = master.columns
+      .map((column, i) => `UPPER(COALESCE(${column}, '')) = UPPER(COALESCE($${i + 1}, ''))`)
+      .join(' AND ');
+
+    // Prefer an active entry over a retired one with the same description
+    const existing = await client.query(
+      `SELECT ${idColumn}, retired_at, merged_into FROM ${master.table}
+       WHERE ${conditions}
+       ORDER BY retired_at IS NOT NULL, ${idColumn}
+       LIMIT 1`,
+      values
+    );
+    if (existing.rows.length > 0) {
+      return activeMaster(definition, existing.rows[0]);
+    }
+
+    const placeholders = master.columns.map((_, i) => `$${i + 1}`).join(', ');
+    const created = await client.query(
+      `INSERT INTO ${master.table} (${master.columns.join(', ')})
+       VALUES (${placeholders})
+       RETURNING ${idColumn}`,
+      values
+    );
+    return { id: created.rows[0][idColumn], created: true };
+  }
+
+  if (input.masterId === null) {
+    return failure(400, `${idColumn} must be a positive integer`);
+  }
+
+  if (input.masterId !== undefined) {
+    const existing = await client.query(
+      `SELECT ${idColumn}, retired_at, merged_into FROM ${master.table} WHERE ${idColumn} = $1`,
+      [input.masterId]
+    );
+    return existing.rows.length > 0
+      ? activeMaster(definition, existing.rows[0])
+      : failure(404, `No ${label} with ${idColumn} ${input.masterId}`);
+  }
+
+  return failure(400, `${idColumn} or ${master.columns.join(' / ')} is required`);
+}
+
+// One junction row with its master columns, or null when the school does not offer it
+async function getOffering(client, definition, schoolId, masterId) {
+  const { table, idColumn, master, extraColumns } = definition;
+  const columns = [
+    'j.school_id', `j.${idColumn}`,
+    ...master.columns.map(column => `m.${column}`),
+    ...extraColumns.map(column => `j.${column}`)
+  ];
+
+  const result = await client.query(
+    `SELECT ${columns.join(', ')}
+     FROM ${table} j
+     JOIN ${master.table} m ON m.${idColumn} = j.${idColumn}
+     WHERE j.school_id = $1 AND j.${idColumn} = $2`,
+    [schoolId, masterId]
+  );
+  return result.rows[0] || null;
+}
+
+// Readable name of an offering for activity logs, e.g. 'BASKETBALL / PHYSICAL SPORTS'
+function describeOffering(definition, offering) {
+  return definition.master.columns.map(column => offering[column]).filter(Boolean).join(' / ');
+}
+
+// Link a school to a master entry. Returns { offering, masterCreated }.
+async function addOffering(client, definition, schoolId, body) {
+  const { label, table, idColumn } = definition;
+  const input = readOfferingInput(definition, body);
+
+  const master = await resolveMaster(client, definition, input);
+  if (master.error) return master;
+
+  const columns = ['school_id', idColumn, ...Object.keys(input.extras)];
+  const values = [schoolId, master.id, ...Object.values(input.extras)];
+  const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${placeholders})
+     ON CONFLICT DO NOTHING`,
+    values
+  );
+  if (result.rowCount === 0) {
+    return failure(409, `The school already offers this ${label}`);
+  }
+
+  return {
+    offering: await getOffering(client, definition, schoolId, master.id),
+    masterCreated: master.created
+  };
+}
+
+// Change an offering: point it at another master entry and/or update the
+// junction columns. Returns { before, offering, masterCreated }.
+async function updateOffering(client, definition, schoolId, masterId, body) {
+  const { label, table, idColumn } = definition;
+
+  const before = await getOffering(client, definition, schoolId, masterId);
+  if (!before) return failure(404, `The school does not offer this ${label}`);
+
+  const input = readOfferingInput(definition, body);
+  const assignments = { ...input.extras };
+  let masterCreated = false;
+
+  if (input.entry || input.masterId !== undefined) {
+    const master = await resolveMaster(client, definition, input);
+    if (master.error) return master;
+
+    if (master.id !== masterId) {
+      if (await getOffering(client, definition, schoolId, master.id)) {
+        return failure(409, `The school already offers this ${label}`);
+      }
+      assignments[idColumn] = master.id;
+      masterCreated = master.created;
+    }
+  }
+
+  const columns = Object.keys(assignments);
+  if (columns.length === 0) {
+    return failure(400, 'Nothing to update');
+  }
+
+  await client.query(
+    `UPDATE ${table}
+     SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+     WHERE school_id = $1 AND ${idColumn} = $2`,
+    [schoolId, masterId, ...Object.values(assignments)]
+  );
+
+  return {
+    before,
+    offering: await getOffering(client, definition, schoolId, assignments[idColumn] || masterId),
+    masterCreated
+  };
+}
+
+// Unlink a school from a master entry; the master row is kept.
+// Returns { offering } with the removed row.
+async function removeOffering(client, definition, schoolId, masterId) {
+  const { label, table, idColumn } = definition;
+
+  const offering = await getOffering(client, definition, schoolId, masterId);
+  if (!offering) return failure(404, `The school does not offer this ${label}`);
+
+  await client.query(
+    `DELETE FROM ${table} WHERE school_id = $1 AND ${idColumn} = $2`,
+    [schoolId, masterId]
+  );
+
+  return { offering };
+}
+
+// Apply one change from a request body or batch:
+//   { type: 'ccas', action: 'add' | 'update' | 'remove', item_id, ...columns }
+// Returns the action's result plus type and action, or { error }.
+async function applyOfferingChange(client, schoolId, change = {}) {
+  const definition = OFFERING_TYPES[change.type];
+  if (!definition) {
+    return failure(400, `Unknown offering type '${change.type}'`);
+  }
+
+  let result;
+  if (change.action === 'add') {
+    result = await addOffering(client, definition, schoolId, change);
+  } else if (change.action === 'update' || change.action === 'remove') {
+    const itemId = parseId(change.item_id);
+    if (!itemId) {
+      return failure(400, `item_id is required to ${change.action} a ${definition.label}`);
+    }
+    result = change.action === 'update'
+      ? await updateOffering(client, definition, schoolId, itemId, change)
+      : await removeOffering(client, definition, schoolId, itemId);
+  } else {
+    return failure(400, `Unknown action '${change.action}' (expected add, update or remove)`);
+  }
+
+  return result.error ? result : { ...result, type: change.type, action: change.action };
+}
+
+// Master entries matching a search term, with the number of schools
+// offering each; used by the offerings editor typeahead
+async function searchMasterEntries(client, definition, term, limit = 20) {
+  const { table, idColumn, master } = definition;
+  const columns = master.columns.map(column => `m.${column}`);
+
+  const result = await client.query(
+    `SELECT m.${idColumn}, ${columns.join(', ')},
+            (SELECT COUNT(*) FROM ${table} j WHERE j.${idColumn} = m.${idColumn})::int AS school_count
+     FROM ${master.table} m
+     WHERE m.retired_at IS NULL
+       AND ($1 = '' OR CONCAT_WS(' ', ${columns.join(', ')}) ILIKE '%' || $1 || '%')
+     ORDER BY school_count DESC, ${columns.join(', ')}
+     LIMIT $2`,
+    [term || '', limit]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  OFFERING_TYPES,
+  parseId,
+  readOfferingInput,
+  resolveMaster,
+  getOffering,
+  describeOffering,
+  addOffering,
+  updateOffering,
+  removeOffering,
+  applyOfferingChange,
+  searchMasterEntries
+};
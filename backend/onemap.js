@@ -0,0 +1,195 @@
+// ========== ONEMAP API ==========
+// Token handling and geocoding helpers for the OneMap (SLA) API.
+require('dotenv').config();
+
+// OneMap API credentials from environment variables
+const ONEMAP_EMAIL = process.env.ONEMAP_EMAIL;
+const ONEMAP_PASSWORD = process.env.ONEMAP_PASSWORD;
+
+// Token cache
+let onemapToken = null;
+let onemapTokenExpiry = null;
+
+// Get or refresh OneMap authentication token
+async function getOneMapToken() {
+  // Return cached token if still valid (with 1 hour buffer)
+  if (onemapToken && onemapTokenExpiry && Date.now() < onemapTokenExpiry - 3600000) {
+    return onemapToken;
+  }
+  
+  if (!ONEMAP_EMAIL || !ONEMAP_PASSWORD) {
+    console.error('❌ OneMap credentials not configured');
+    console.error('   Please set ONEMAP_EMAIL and ONEMAP_PASSWORD in your .env file');
+    return null;
+  }
+  
+  console.log('🔄 Fetching new OneMap token...');
+  console.log('   Email:', ONEMAP_EMAIL.substring(0, 3) + '***');
+  
+  try {
+    const response = await fetch('https://www.onemap.gov.sg/api/auth/post/getToken', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        email: ONEMAP_EMAIL,
+        password: ONEMAP_PASSWORD
+      })
+    });
+    
+    // Get response body for debugging
+    const responseText = await response.text();
+    
+    if (!response.ok) {
+      console.error('❌ OneMap API Response:');
+      console.error('   Status:', response.status, response.statusText);
+      console.error('   Body:', responseText);
+      throw new Error(`OneMap auth failed: ${response.status}`);
+    }
+    
+    const data = JSON.parse(responseText);
+    
+    if (!data.access_token) {
+      console.error('OneMap auth response:', data);
+      throw new Error('No access token in response');
+    }
+    
+    // Store token (expires in 3 days)
+    onemapToken = data.access_token;
+    onemapTokenExpiry = Date.now() + 259200000;
+    
+    console.log('✓ OneMap token obtained successfully');
+    console.log(`  Expires: ${new Date(onemapTokenExpiry).toLocaleString()}`);
+    
+    return onemapToken;
+    
+  } catch (error) {
+    console.error('❌ OneMap authentication error:', error.message);
+    return null;
+  }
+}
+
+// Coordinates of a postal code: { latitude, longitude, address }, or null
+// when OneMap does not know it. Throws when OneMap cannot be reached or
+// answers with an error, so callers can tell "not found" from "try again".
+async function lookupPostalCode(postalCode) {
+  // Get authentication token
+  const token = await getOneMapToken();
+
+  const apiUrl = `https://www.onemap.gov.sg/api/common/elastic/search?searchVal=${postalCode}&returnGeom=Y&getAddrDetails=Y&pageNum=1`;
+
+  const headers = {};
+  if (token) {
+    headers['Authorization'] = token;
+  }
+
+  const response = await fetch(apiUrl, { headers });
+  if (!response.ok) {
+    throw new Error(`OneMap search failed: ${response.status}`);
+  }
+  const data = await response.json();
+
+  if (data.found === 0 || !data.results || data.results.length === 0) {
+    return null;
+  }
+
+  const result = data.results[0];
+
+  return {
+    latitude: parseFloat(result.LATITUDE),
+    longitude: parseFloat(result.LONGITUDE),
+    address: result.ADDRESS
+  };
+}
+
+// HELPER FUNCTION: Convert Singapore Postal Code to Coordinates (with auth)
+async function getCoordinatesFromPostalCode(postalCode) {
+  try {
+    return await lookupPostalCode(postalCode);
+  } catch (error) {
+    console.error('OneMap API error:', error);
+    return null;
+  }
+}
+
+// The postal code nearest to coordinates (within 100 m):
+// { postalCode, address, buildingName }, or null when OneMap finds none.
+// Throws, like lookupPostalCode, when OneMap cannot be used.
+async function lookupCoordinates(latitude, longitude) {
+  const token = await getOneMapToken();
+  if (!token) {
+    throw new Error('No OneMap token (check ONEMAP_EMAIL and ONEMAP_PASSWORD)');
+  }
+
+  console.log(`🔍 Reverse geocoding: ${latitude}, ${longitude}`);
+
+  // Use OneMap's reverse geocode API (better for coordinates)
+  const apiUrl = `https://www.onemap.gov.sg/api/public/revgeocode?location=${latitude},${longitude}&buffer=100&addressType=all`;
+
+  const response = await fetch(apiUrl, {
+    headers: { 'Authorization': token }
+  });
+  if (!response.ok) {
+    throw new Error(`OneMap reverse geocode failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // Check if we have geocode info
+  if (!data.GeocodeInfo || data.GeocodeInfo.length === 0) {
+    console.warn('   No geocode info returned');
+    return null;
+  }
+
+  // Get the first result
+  const geocode = data.GeocodeInfo[0];
+
+  // Validate postal code
+  if (!geocode.POSTALCODE || geocode.POSTALCODE.length !== 6) {
+    console.warn('   No valid postal code in result');
+    return null;
+  }
+
+  const result = {
+    postalCode: geocode.POSTALCODE,
+    address: geocode.BUILDING || geocode.ROAD || geocode.BLOCK || 'Singapore',
+    buildingName: geocode.BUILDING || null
+  };
+
+  console.log(`✓ Found: ${result.postalCode} - ${result.address}`);
+
+  return result;
+}
+
+// REVERSE GEOCODING: Convert coordinates to postal code (with authentication)
+async function getPostalCodeFromCoordinates(latitude, longitude) {
+  try {
+    return await lookupCoordinates(latitude, longitude);
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    return null;
+  }
+}
+
+// Check the OneMap credentials once at startup
+async function testOneMapAuth() {
+  console.log('\n🔐 Testing OneMap API authentication...');
+  const token = await getOneMapToken();
+  if (token) {
+    console.log('✓ OneMap API ready for location services\n');
+  } else {
+    console.error('⚠️  OneMap authentication failed');
+    console.error('   "Use My Location" feature will not work');
+    console.error('   Register at: https://www.onemap.gov.sg/apidocs/register\n');
+  }
+}
+
+module.exports = {
+  getOneMapToken,
+  lookupPostalCode,
+  lookupCoordinates,
+  getCoordinatesFromPostalCode,
+  getPostalCodeFromCoordinates,
+  testOneMapAuth
+};
@@ -0,0 +1,192 @@
+// ========== OPENAPI DOCUMENT ==========
+// GET /api/v1/openapi.json describes the versioned API. The document is
+// built from the routers mounted under /api/v1:
+//   - paths and methods from their routes,
+//   - parameters and request bodies from the schemas of their validate()
+//     middleware (see validation.js),
+//   - security from requireAuth / requireAdmin, and the API key scope of
+//     every other operation from TAG_SCOPES,
+// with summaries and response shapes from api-docs.js. Building throws when a
+// route has no entry in api-docs.js or an entry matches no route, so the
+// server does not start with a document that has drifted from the routes.
+
+const { requireAuth, requireAdmin } = require('./auth');
+const { joinPath } = require('./route-check');
+const { API_VERSION, TAGS, TAG_SCOPES, SCHEMAS, OPERATIONS } = require('./api-docs');
+
+const API_BASE = `/api/${API_VERSION}`;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+// '/api/v1/schools/:id/details' -> '/schools/{id}/details'
+function documentPath(routePath) {
+  return routePath.slice(API_BASE.length).replace(/:(\w+)/g, '{$1}') || '/';
+}
+
+// 'get', '/schools/{id}/history' -> 'getSchoolsByIdHistory'
+function operationId(method, docPath) {
+  const words = docPath.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    const word = param ? `by-${param[1]}` : segment;
+    return word.split(/[-_]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+  });
+  return method + words.join('');
+}
+
+// Every route of the mounted routers, with its middleware
+function versionedRoutes(mounts) {
+  return mounts.flatMap(([mountPath, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: documentPath(joinPath(mountPath, layer.route.path)),
+      handles: layer.route.stack.map(routeLayer => routeLayer.handle)
+    }))));
+}
+
+// The validate() schemas of a route, merged by location
+function routeSchemas(handles) {
+  return handles
+    .filter(handle => handle.schemas)
+    .reduce((merged, { schemas }) => ({
+      params: { ...merged.params, ...schemas.params },
+      query: { ...merged.query, ...schemas.query },
+      body: { ...merged.body, ...schemas.body }
+    }), { params: {}, query: {}, body: {} });
+}
+
+function parameters(docPath, schemas) {
+  const pathParams = [...docPath.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: schemas.params[name] ? schemas.params[name].schema : { type: 'string' }
+  }));
+  const queryParams = Object.entries(schemas.query).map(([name, fieldRule]) => ({
+    name,
+    in: 'query',
+    required: fieldRule.required,
+    schema: fieldRule.schema
+  }));
+  return [...pathParams, ...queryParams];
+}
+
+function bodySchema(bodyRules) {
+  const required = Object.keys(bodyRules).filter(name => bodyRules[name].required);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(bodyRules).map(([name, fieldRule]) => [name, fieldRule.schema])),
+    ...(required.length > 0 && { required })
+  };
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('Error') } } };
+}
+
+function operation(route, doc) {
+  const schemas = routeSchemas(route.handles);
+  const admin = route.handles.includes(requireAdmin);
+  const signedIn = admin || route.handles.includes(requireAuth);
+  const validated = route.handles.some(handle => handle.schemas);
+  const scope = admin ? null : TAG_SCOPES[doc.tag] || null;
+
+  const body = doc.body || (Object.keys(schemas.body).length > 0 ? bodySchema(schemas.body) : null);
+  const params = parameters(route.path, schemas);
+
+  const responses = {
+    [doc.status || 200]: {
+      description: doc.responseDescription || 'Success',
+      content: { 'application/json': { schema: doc.response || ref('Success') } }
+    }
+  };
+  if (validated || doc.body) responses[400] = errorResponse('Invalid request (code validation_failed, with field errors in details)');
+  if (signedIn) responses[401] = errorResponse('No token, or an expired or invalid one');
+  else if (scope) responses[401] = errorResponse('No API key or token, or an unknown or revoked key');
+  if (admin) responses[403] = errorResponse('The user is not an admin');
+  else if (scope) responses[403] = errorResponse(`The API key lacks the ${scope} scope (code api_key_scope)`);
+  Object.entries(doc.errors || {}).forEach(([status, description]) => {
+    responses[status] = errorResponse(description);
+  });
+  responses[429] = errorResponse('Rate limit reached (code rate_limited); retry after the Retry-After header');
+  responses[500] = errorResponse('Unexpected server error (code internal_error)');
+
+  return {
+    tags: [doc.tag],
+    summary: doc.summary,
+    ...(doc.description && { description: doc.description }),
+    operationId: operationId(route.method, route.path),
+    ...(params.length > 0 && { parameters: params }),
+    ...(body && { requestBody: { required: true, content: { 'application/json': { schema: body } } } }),
+    responses,
+    ...(signedIn && { security: [{ bearerAuth: [] }] }),
+    ...(scope && { security: [{ apiKey: [] }, { bearerAuth: [] }], 'x-api-key-scope': scope }),
+    ...(admin && { 'x-admin-only': true })
+  };
+}
+
+// The OpenAPI 3 document of the routers mounted under /api/v1:
+//   mounts: [[mountPath, router]] as passed to app.use()
+function buildOpenApiDocument(mounts) {
+  const routes = versionedRoutes(mounts);
+  const keys = routes.map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+  const undocumented = keys.filter(key => !OPERATIONS[key]);
+  const stale = Object.keys(OPERATIONS).filter(key => !keys.includes(key));
+  if (undocumented.length > 0 || stale.length > 0) {
+    throw new Error([
+      undocumented.length > 0 && `Routes missing from api-docs.js: ${undocumented.join(', ')}`,
+      stale.length > 0 && `api-docs.js entries without a route: ${stale.join(', ')}`
+    ].filter(Boolean).join('; '));
+  }
+
+  const paths = {};
+  routes.forEach((route, index) => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = operation(route, OPERATIONS[keys[index]]);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'EduQuery SG API',
+      version: API_VERSION,
+      description: 'Singapore school data: schools, their subjects, CCAs and programmes, search, ' +
+        'locations and analytics. Responses within v1 only change by adding fields. ' +
+        'Send an API key in the X-API-Key header (or a token when signed in); keys and IPs ' +
+        'are rate limited, with RateLimit-Limit and RateLimit-Remaining on each response.'
+    },
+    servers: [{ url: API_BASE }],
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+// (method, path under /api/v1) -> { method, path, operation } of the
+// document, or null. Paths with fewer parameters are tried first, so
+// /schools/map is not taken for /schools/{id}.
+function operationMatcher(document) {
+  const entries = Object.entries(document.paths)
+    .flatMap(([docPath, methods]) => Object.entries(methods).map(([method, documented]) => ({
+      method: method.toUpperCase(),
+      path: docPath,
+      operation: documented,
+      pattern: new RegExp(`^${docPath.replace(/\{\w+\}/g, '[^/]+')}/?$`),
+      params: (docPath.match(/\{/g) || []).length
+    })))
+    .sort((a, b) => a.params - b.params);
+
+  return (method, requestPath) => {
+    const entry = entries.find(candidate => candidate.method === method && candidate.pattern.test(requestPath));
+    return entry ? { method: entry.method, path: entry.path, operation: entry.operation } : null;
+  };
+}
+
+module.exports = { API_BASE, buildOpenApiDocument, operationMatcher };
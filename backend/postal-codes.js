@@ -0,0 +1,85 @@
+// ========== POSTAL CODES (local geocoder) ==========
+// Lookups in the Postal_Codes table (migration 0016), the 'local' geocoder
+// of geocoder.js: OneMap-free geocoding for development, CI and offline
+// demos. import-postal-codes.js fills the table.
+
+// Within this distance of a point, a postal code answers a reverse lookup
+// (as OneMap's reverse geocode buffer)
+const REVERSE_RADIUS_M = 100;
+
+// { latitude, longitude, address } of a postal code, or null
+async function lookupLocalPostalCode(db, postalCode) {
+  const result = await db.query(
+    'SELECT latitude, longitude, address FROM Postal_Codes WHERE postal_code = $1',
+    [postalCode]
+  );
+  return result.rows[0] || null;
+}
+
+// The postal code nearest to a point, within REVERSE_RADIUS_M:
+// { postalCode, address, buildingName }, or null
+async function nearestLocalPostalCode(db, latitude, longitude) {
+  const result = await db.query(
+    `SELECT postal_code, address
+     FROM Postal_Codes
+     WHERE ST_DWithin(location::geography, ST_SetSRID(ST_MakePoint($2::float8, $1::float8), 4326)::geography, $3::float8)
+     ORDER BY location::geography <-> ST_SetSRID(ST_MakePoint($2::float8, $1::float8), 4326)::geography
+     LIMIT 1`,
+    [latitude, longitude, REVERSE_RADIUS_M]
+  );
+  const row = result.rows[0];
+  return row ? { postalCode: row.postal_code, address: row.address || 'Singapore', buildingName: null } : null;
+}
+
+// Add or replace postal codes from rows of { postal_code, latitude,
+// longitude, address }. Rows that are incomplete or outside Singapore are
+// skipped. Returns { saved, skipped: [{ row, reason }] }.
+async function savePostalCodes(db, rows, source) {
+  const skipped = [];
+  let saved = 0;
+
+  for (const [index, row] of rows.entries()) {
+    const postalCode = String(row.postal_code || '').trim();
+    const latitude = parseFloat(row.latitude);
+    const longitude = parseFloat(row.longitude);
+
+    if (!/^\d{6}$/.test(postalCode)) {
+      skipped.push({ row: index + 1, reason: `postal_code '${postalCode}' is not 6 digits` });
+    } else if (!(latitude >= 1.1 && latitude <= 1.5 && longitude >= 103.6 && longitude <= 104.1)) {
+      skipped.push({ row: index + 1, reason: `${postalCode}: coordinates are not in Singapore` });
+    } else {
+      await db.query(
+        `INSERT INTO Postal_Codes (postal_code, latitude, longitude, address, source)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (postal_code) DO UPDATE
+         SET latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, address = EXCLUDED.address,
+             source = EXCLUDED.source, updated_at = CURRENT_TIMESTAMP`,
+        [postalCode, latitude, longitude, (row.address || '').trim() || null, source]
+      );
+      saved++;
+    }
+  }
+
+  return { saved, skipped };
+}
+
+// Copy the coordinates of geocoded schools; existing rows are kept.
+// Returns the number of postal codes added.
+async function copySchoolPostalCodes(db) {
+  const result = await db.query(
+    `INSERT INTO Postal_Codes (postal_code, latitude, longitude, address, source)
+     SELECT DISTINCT ON (postal_code) postal_code, latitude, longitude, address, 'schools'
+     FROM Schools
+     WHERE geocode_status = 'ok'
+     ORDER BY postal_code, geocoded_at DESC
+     ON CONFLICT (postal_code) DO NOTHING`
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  lookupLocalPostalCode,
+  nearestLocalPostalCode,
+  savePostalCodes,
+  copySchoolPostalCodes
+};
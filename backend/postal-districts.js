@@ -0,0 +1,132 @@
+// ========== POSTAL DISTRICTS ==========
+// Approximate centre of each postal sector (the first two digits of a
+// postal code), for the 'district' geocoder: a last resort that places a
+// postal code somewhere in its neighbourhood when no other geocoder can.
+
+// [latitude, longitude] by sector
+const DISTRICT_CENTROIDS = {
+  // District 01-06: Raffles Place, Cecil, Marina, People's Park
+  '01': [1.2789, 103.8536],
+  '02': [1.2789, 103.8536],
+  '03': [1.2789, 103.8536],
+  '04': [1.2742, 103.8416],
+  '05': [1.2742, 103.8416],
+  '06': [1.2742, 103.8416],
+  // District 07-08: Anson, Tanjong Pagar
+  '07': [1.2741, 103.8454],
+  '08': [1.2741, 103.8454],
+  // District 09-10: Orchard, Cairnhill, River Valley
+  '09': [1.3048, 103.8318],
+  '10': [1.3048, 103.8318],
+  // District 11: Newton, Cairnhill
+  '11': [1.3143, 103.8422],
+  // District 12-13: Balestier, Toa Payoh, Serangoon
+  '12': [1.3265, 103.8506],
+  '13': [1.3294, 103.8563],
+  // District 14-16: Geylang, Eunos, Paya Lebar
+  '14': [1.3162, 103.8821],
+  '15': [1.3149, 103.9120],
+  '16': [1.3349, 103.9093],
+  // District 17-18: Loyang, Changi
+  '17': [1.3143, 103.9448],
+  '18': [1.3404, 103.9915],
+  // District 19-20: Serangoon, Hougang, Sengkang
+  '19': [1.3554, 103.8679],
+  '20': [1.3521, 103.8843],
+  // District 21: Upper Bukit Timah, Clementi Park
+  '21': [1.3329, 103.7835],
+  // District 22-23: Jurong, Tuas
+  '22': [1.3410, 103.7090],
+  '23': [1.3321, 103.7475],
+  // District 24-27: Tengah, Jurong East/West
+  '24': [1.3465, 103.7249],
+  '25': [1.3404, 103.6970],
+  '26': [1.3465, 103.6970],
+  '27': [1.3857, 103.7449],
+  // District 28-30: Sembawang, Yishun
+  '28': [1.3868, 103.8351],
+  '29': [1.4257, 103.8351],
+  '30': [1.4257, 103.8351],
+  // District 31-33: Upper Thomson, Springleaf
+  '31': [1.3831, 103.8188],
+  '32': [1.3831, 103.8188],
+  '33': [1.3831, 103.8188],
+  // District 34-37: Punggol
+  '34': [1.4053, 103.9020],
+  '35': [1.4053, 103.9020],
+  '36': [1.4053, 103.9020],
+  '37': [1.4053, 103.9020],
+  // District 38-41: Pasir Ris
+  '38': [1.3721, 103.9474],
+  '39': [1.3721, 103.9474],
+  '40': [1.3721, 103.9474],
+  '41': [1.3721, 103.9474],
+  // District 42-45: Tampines
+  '42': [1.3541, 103.9434],
+  '43': [1.3541, 103.9434],
+  '44': [1.3541, 103.9434],
+  '45': [1.3541, 103.9434],
+  // District 46-48: Bedok
+  '46': [1.3236, 103.9273],
+  '47': [1.3236, 103.9273],
+  '48': [1.3236, 103.9273],
+  // District 49-50: Sim Lim, Bendemeer
+  '49': [1.3158, 103.8631],
+  '50': [1.3158, 103.8631],
+  // District 51-52: Hougang, Sengkang
+  '51': [1.3710, 103.8926],
+  '52': [1.3710, 103.8926],
+  // District 53-55: Ang Mo Kio, Bishan
+  '53': [1.3691, 103.8454],
+  '54': [1.3691, 103.8454],
+  '55': [1.3691, 103.8454],
+  // District 56-57: Bishan, Ang Mo Kio
+  '56': [1.3526, 103.8352],
+  '57': [1.3526, 103.8352],
+  // District 58-59: Upper Bukit Timah
+  '58': [1.3394, 103.7808],
+  '59': [1.3394, 103.7808],
+  // District 60-64: Jurong
+  '60': [1.3329, 103.7436],
+  '61': [1.3329, 103.7436],
+  '62': [1.3329, 103.7436],
+  '63': [1.3329, 103.7436],
+  '64': [1.3329, 103.7436],
+  // District 65-68: Hillview, Bukit Panjang, Choa Chu Kang
+  '65': [1.3621, 103.7630],
+  '66': [1.3621, 103.7630],
+  '67': [1.3807, 103.7470],
+  '68': [1.3945, 103.7449],
+  // District 69-71: Lim Chu Kang, Tengah
+  '69': [1.4271, 103.7170],
+  '70': [1.4271, 103.7170],
+  '71': [1.4271, 103.7170],
+  // District 72-73: Kranji, Woodlands
+  '72': [1.4382, 103.7470],
+  '73': [1.4355, 103.7859],
+  // District 75-76: Yishun
+  '75': [1.4304, 103.8354],
+  '76': [1.4143, 103.8329],
+  // District 77-78: Sembawang, Seletar
+  '77': [1.4491, 103.8185],
+  '78': [1.4491, 103.8185],
+  // District 79-80: Seletar
+  '79': [1.3875, 103.8709],
+  '80': [1.3875, 103.8709],
+  // District 81: Loyang, Changi
+  '81': [1.3644, 103.9915],
+  // District 82: Punggol, Sengkang
+  '82': [1.3840, 103.9065]
+};
+
+// { latitude, longitude, address } of the postal code's sector, or null
+function districtCentroid(postalCode) {
+  const sector = String(postalCode).substring(0, 2);
+  const centroid = DISTRICT_CENTROIDS[sector];
+  if (!centroid) return null;
+
+  const [latitude, longitude] = centroid;
+  return { latitude, longitude, address: `Postal sector ${sector} (approximate)` };
+}
+
+module.exports = { DISTRICT_CENTROIDS, districtCentroid };
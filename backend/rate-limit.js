@@ -0,0 +1,53 @@
+// ========== RATE LIMITING ==========
+// Token buckets kept in memory, one per subject (an API key or an IP).
+// A bucket holds up to `limit` tokens and refills at `limit` per minute, so
+// a client can burst up to its limit and then sustain it. Each request takes
+// one token; an empty bucket means 429 until the next token arrives.
+// Buckets are per server process: behind several processes each one counts
+// on its own.
+
+const MINUTE_MS = 60 * 1000;
+
+// Buckets that have refilled completely are dropped this often
+const PRUNE_INTERVAL_MS = 5 * MINUTE_MS;
+
+function createRateLimiter() {
+  const buckets = new Map();
+
+  // Take a token for `subject` from a bucket of `limit` per minute.
+  // Returns { allowed, limit, remaining, retryAfter (seconds, when refused) }.
+  function take(subject, limit, now = Date.now()) {
+    const perMs = limit / MINUTE_MS;
+    const bucket = buckets.get(subject) || { tokens: limit, updated: now };
+
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * perMs);
+    bucket.updated = now;
+    bucket.limit = limit;
+    buckets.set(subject, bucket);
+
+    if (bucket.tokens < 1) {
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - bucket.tokens) / perMs / 1000)
+      };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, limit, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  // Forget buckets that would be full by now anyway
+  function prune(now = Date.now()) {
+    buckets.forEach((bucket, subject) => {
+      if (bucket.tokens + (now - bucket.updated) * (bucket.limit / MINUTE_MS) >= bucket.limit) {
+        buckets.delete(subject);
+      }
+    });
+  }
+
+  return { take, prune, size: () => buckets.size };
+}
+
+module.exports = { PRUNE_INTERVAL_MS, createRateLimiter };
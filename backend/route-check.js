@@ -0,0 +1,49 @@
+// ========== ROUTE REGISTRATION CHECK ==========
+// Express happily registers the same method + path twice and silently serves
+// the first handler. The server calls assertNoDuplicateRoutes() before
+// listening so a copy-pasted route fails at startup instead.
+
+// Join a mount prefix and a route path: ('/api/schools', '/:id') -> '/api/schools/:id'
+function joinPath(prefix, routePath) {
+  const joined = `${prefix}/${routePath}`.replace(/\/+/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+// Routes declared directly on a router (or the app's own router)
+function routesOf(router, prefix) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      path: joinPath(prefix, layer.route.path)
+    })));
+}
+
+// List every route as { method, path }.
+//   mounts: [[mountPath, router]] as passed to app.use()
+function listRoutes(app, mounts = []) {
+  return [
+    ...routesOf(app.router, '/'),
+    ...mounts.flatMap(([mountPath, router]) => routesOf(router, mountPath))
+  ];
+}
+
+// Throw if any method + path pair is registered more than once
+function assertNoDuplicateRoutes(app, mounts = []) {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  listRoutes(app, mounts).forEach(({ method, path }) => {
+    const key = `${method} ${path}`;
+    if (seen.has(key)) duplicates.add(key);
+    seen.add(key);
+  });
+
+  if (duplicates.size > 0) {
+    throw new Error(`Duplicate route registrations: ${[...duplicates].join(', ')}`);
+  }
+
+  return seen.size;
+}
+
+module.exports = { joinPath, listRoutes, assertNoDuplicateRoutes };
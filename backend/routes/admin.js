@@ -0,0 +1,1171 @@
+// ========== ADMIN ROUTES ==========
+// User management, school-name reconciliation, master data, the school
+// recycle bin, API keys, school geocodes, the geocode cache and dataset
+// import reports.
+// Mounted at /api/admin; every route requires an admin token.
+const express = require('express');
+const pool = require('../pg-connection');
+const connectMongo = require('../mongo-connection');
+const { ObjectId } = require('mongodb');
+const { passwordUtils, requireAuth, requireAdmin } = require('../auth');
+const { logActivity } = require('../activity-log');
+const { nameKey, createNameMatcher } = require('../name-matcher');
+const { OFFERING_TYPES, parseId, describeOffering } = require('../offerings');
+const masterData = require('../master-data');
+const schoolArchive = require('../school-archive');
+const schoolHistory = require('../school-history');
+const apiKeys = require('../api-keys');
+const schoolGeocodes = require('../school-geocodes');
+const geocodeCache = require('../geocode-cache');
+const {
+  validate, required, text, number, integer, boolean, oneOf, array, recordId, objectId, postalCode,
+  sendValidationError
+} = require('../validation');
+const { sendError, sendServerError } = require('../api-errors');
+
+const router = express.Router();
+
+// ========== REQUEST SCHEMAS ==========
+
+// Routes whose :id is a database id (users, reviews, aliases, entries, archives)
+const RECORD_ID = validate({ params: { id: required(recordId()) } });
+
+// ========== USER MANAGEMENT ==========
+
+// Get all users (Admin only)
+router.get('/users', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, is_admin, created_at FROM Users ORDER BY created_at DESC'
+    );
+
+    res.json({
+      success: true,
+      users: result.rows
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching users');
+  }
+});
+
+// Create new user (Admin only)
+router.post('/users', requireAuth, requireAdmin, validate({
+  body: { username: required(text({ max: 50 })), password: required(text({ max: 200 })), is_admin: boolean() }
+}), async (req, res) => {
+  try {
+    const { username, password, is_admin = false } = req.body;
+
+    // Check if user already exists
+    const existingUser = await pool.query(
+      'SELECT id FROM Users WHERE username = $1',
+      [username]
+    );
+
+    if (existingUser.rows.length > 0) {
+      return sendError(res, 409, 'username_taken', 'Username already exists');
+    }
+
+    // Hash the password
+    const hashedPassword = await passwordUtils.hashPassword(password);
+
+    // Insert new user
+    const result = await pool.query(
+      `INSERT INTO Users (username, password, is_admin) 
+       VALUES ($1, $2, $3) 
+       RETURNING id, username, is_admin, created_at`,
+      [username, hashedPassword, is_admin]
+    );
+
+    const newUser = result.rows[0];
+
+    logActivity('admin_create_user', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      new_user_id: newUser.id,
+      new_username: newUser.username,
+      is_admin: newUser.is_admin
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user: newUser
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error creating user');
+  }
+});
+
+// Delete user (Admin only)
+router.delete('/users/:id', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Prevent admin from deleting themselves
+    if (parseInt(id) === req.user.id) {
+      return sendError(res, 400, 'own_account', 'Cannot delete your own account');
+    }
+
+    const result = await pool.query(
+      'DELETE FROM Users WHERE id = $1 RETURNING username',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'user_not_found', 'User not found');
+    }
+
+    logActivity('admin_delete_user', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      deleted_user_id: id,
+      deleted_username: result.rows[0].username
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error deleting user');
+  }
+});
+
+// Update user role (Admin only)
+router.put('/users/:id/role', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  body: { is_admin: required(boolean()) }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { is_admin } = req.body;
+
+    // Prevent admin from changing their own role
+    if (parseInt(id) === req.user.id) {
+      return sendError(res, 400, 'own_account', 'Cannot change your own role');
+    }
+
+    const result = await pool.query(
+      `UPDATE Users SET is_admin = $1 
+       WHERE id = $2 
+       RETURNING id, username, is_admin`,
+      [is_admin, id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'user_not_found', 'User not found');
+    }
+
+    const updatedUser = result.rows[0];
+
+    logActivity('admin_update_user_role', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      updated_user_id: updatedUser.id,
+      updated_username: updatedUser.username,
+      new_role: updatedUser.is_admin ? 'admin' : 'user'
+    });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error updating user role');
+  }
+});
+
+// ========== SCHOOL NAME RECONCILIATION ==========
+
+// List name matches queued by the dataset import
+router.get('/name-reviews', requireAuth, requireAdmin, validate({
+  query: {
+    status: text({
+      pattern: /^(pending|approved|rejected)$/i,
+      code: 'invalid_value',
+      message: 'must be PENDING, APPROVED or REJECTED'
+    })
+  }
+}), async (req, res) => {
+  try {
+    const status = (req.query.status || 'PENDING').toUpperCase();
+
+    const result = await pool.query(
+      `SELECT r.review_id, r.raw_name, r.source_file, r.similarity_score, r.status,
+              r.suggested_school_id, s.school_name AS suggested_school_name,
+              r.resolved_school_id, r.reviewed_by, r.reviewed_at, r.created_at
+       FROM School_Name_Reviews r
+       LEFT JOIN Schools s ON r.suggested_school_id = s.school_id
+       WHERE r.status = $1
+       ORDER BY r.similarity_score DESC NULLS LAST, r.raw_name`,
+      [status]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      reviews: result.rows
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching name reviews');
+  }
+});
+
+// Approve a queued match; registers the raw name as an alias.
+// Body may contain school_id to pick a different school than the suggestion.
+router.post('/name-reviews/:id/approve', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  body: { school_id: recordId() }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const reviewResult = await client.query(
+      'SELECT * FROM School_Name_Reviews WHERE review_id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (reviewResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'review_not_found', 'Review not found');
+    }
+
+    const review = reviewResult.rows[0];
+    const schoolId = req.body.school_id || review.suggested_school_id;
+
+    if (!schoolId) {
+      await client.query('ROLLBACK');
+      return sendError(res, 400, null, 'school_id is required when the review has no suggestion');
+    }
+
+    const schoolResult = await client.query(
+      'SELECT school_id, school_name FROM Schools WHERE school_id = $1',
+      [schoolId]
+    );
+
+    if (schoolResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'school_not_found', 'School not found');
+    }
+
+    await client.query(
+      `UPDATE School_Name_Reviews
+       SET status = 'APPROVED', resolved_school_id = $1, reviewed_by = $2, reviewed_at = NOW()
+       WHERE review_id = $3`,
+      [schoolId, req.user.username, id]
+    );
+
+    await client.query(
+      `INSERT INTO School_Name_Aliases (alias_name, school_id, source, similarity_score)
+       VALUES ($1, $2, 'REVIEW', $3)
+       ON CONFLICT (alias_name) DO UPDATE
+       SET school_id = EXCLUDED.school_id, source = EXCLUDED.source,
+           similarity_score = EXCLUDED.similarity_score`,
+      [nameKey(review.raw_name), schoolId, review.similarity_score]
+    );
+
+    await client.query('COMMIT');
+
+    logActivity('admin_approve_name_review', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      review_id: review.review_id,
+      raw_name: review.raw_name,
+      school_id: schoolResult.rows[0].school_id,
+      school_name: schoolResult.rows[0].school_name
+    });
+
+    res.json({
+      success: true,
+      message: 'Match approved. Re-run the dataset import to load the affected rows.',
+      alias: { alias_name: nameKey(review.raw_name), school: schoolResult.rows[0] }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendServerError(res, error, 'Error approving name review');
+  } finally {
+    client.release();
+  }
+});
+
+// Reject a queued match; the raw name stays unmatched
+router.post('/name-reviews/:id/reject', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE School_Name_Reviews
+       SET status = 'REJECTED', resolved_school_id = NULL, reviewed_by = $1, reviewed_at = NOW()
+       WHERE review_id = $2
+       RETURNING review_id, raw_name, source_file`,
+      [req.user.username, id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'review_not_found', 'Review not found');
+    }
+
+    logActivity('admin_reject_name_review', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      review_id: result.rows[0].review_id,
+      raw_name: result.rows[0].raw_name
+    });
+
+    res.json({
+      success: true,
+      message: 'Match rejected',
+      review: result.rows[0]
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error rejecting name review');
+  }
+});
+
+// List registered school name aliases
+router.get('/school-aliases', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.alias_id, a.alias_name, a.school_id, s.school_name,
+              a.source, a.similarity_score, a.created_at
+       FROM School_Name_Aliases a
+       JOIN Schools s ON a.school_id = s.school_id
+       ORDER BY s.school_name, a.alias_name`
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      aliases: result.rows
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching school aliases');
+  }
+});
+
+// Register an alias manually
+router.post('/school-aliases', requireAuth, requireAdmin, validate({
+  body: { alias_name: required(text({ max: 200 })), school_id: required(recordId()) }
+}), async (req, res) => {
+  try {
+    const { alias_name, school_id } = req.body;
+    const aliasKey = nameKey(alias_name);
+
+    if (!aliasKey || !school_id) {
+      return sendError(res, 400, null, 'alias_name and school_id are required');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO School_Name_Aliases (alias_name, school_id, source)
+       SELECT $1, school_id, 'MANUAL' FROM Schools WHERE school_id = $2
+       ON CONFLICT (alias_name) DO NOTHING
+       RETURNING alias_id, alias_name, school_id, source`,
+      [aliasKey, school_id]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT alias_id FROM School_Name_Aliases WHERE alias_name = $1',
+        [aliasKey]
+      );
+
+      return existing.rows.length > 0
+        ? sendError(res, 409, 'duplicate', 'Alias already exists')
+        : sendError(res, 404, 'school_not_found', 'School not found');
+    }
+
+    logActivity('admin_create_school_alias', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      alias_name: aliasKey,
+      school_id: result.rows[0].school_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alias created successfully',
+      alias: result.rows[0]
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error creating school alias');
+  }
+});
+
+// Remove an alias
+router.delete('/school-aliases/:id', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM School_Name_Aliases WHERE alias_id = $1 RETURNING alias_name, school_id',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'alias_not_found', 'Alias not found');
+    }
+
+    logActivity('admin_delete_school_alias', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      alias_name: result.rows[0].alias_name,
+      school_id: result.rows[0].school_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Alias deleted successfully'
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error deleting school alias');
+  }
+});
+
+// Show how a name would be matched, with the closest candidates
+router.get('/school-name-match', requireAuth, requireAdmin, validate({
+  query: { name: required(text({ max: 200 })) }
+}), async (req, res) => {
+  try {
+    const { name } = req.query;
+
+    if (!nameKey(name)) {
+      return sendError(res, 400, null, 'name query parameter is required');
+    }
+
+    const [schools, aliases] = await Promise.all([
+      pool.query('SELECT school_id, school_name FROM Schools'),
+      pool.query('SELECT alias_name, school_id FROM School_Name_Aliases')
+    ]);
+
+    const matcher = createNameMatcher(schools.rows, aliases.rows);
+
+    res.json({
+      success: true,
+      name: name,
+      match: matcher.match(name),
+      candidates: matcher.candidates(name, 5)
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error matching school name');
+  }
+});
+
+// ========== MASTER DATA ==========
+// :type is subjects, ccas, programmes or distinctives (see offerings.js)
+
+// Merge audit trail, newest first; ?type= narrows it to one master table
+router.get('/master-data/merges', requireAuth, requireAdmin, validate({
+  query: { type: text(), limit: integer({ min: 1 }) }
+}), async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !OFFERING_TYPES[type]) {
+      return sendError(res, 404, null, `Unknown master data type '${type}'`);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const merges = await masterData.listMerges(pool, type, limit);
+
+    res.json({
+      success: true,
+      count: merges.length,
+      merges: merges
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching master data merges');
+  }
+});
+
+// Reject unknown :type values
+function requireMasterDataType(req, res, next) {
+  if (OFFERING_TYPES[req.params.type]) return next();
+  sendError(res, 404, null, `Unknown master data type '${req.params.type}'`);
+}
+
+// List entries with their school counts
+// ?status=active|retired|all (default active), ?q=, ?limit=, ?offset=
+router.get('/master-data/:type', requireAuth, requireAdmin, requireMasterDataType, validate({
+  query: {
+    q: text({ max: 200 }),
+    status: oneOf(['active', 'retired', 'all']),
+    limit: integer({ min: 1 }),
+    offset: integer({ min: 0 })
+  }
+}), async (req, res) => {
+  try {
+    const result = await masterData.listMasterEntries(pool, req.params.type, {
+      q: (req.query.q || '').trim(),
+      status: req.query.status || 'active',
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    if (result.error) {
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    res.json({
+      success: true,
+      total: result.total,
+      count: result.entries.length,
+      entries: result.entries
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching master data');
+  }
+});
+
+// Groups of active entries that look like duplicates; ?min_score= (0..1)
+router.get('/master-data/:type/duplicates', requireAuth, requireAdmin, requireMasterDataType, validate({
+  query: { min_score: number({ max: 1 }) }
+}), async (req, res) => {
+  try {
+    const minScore = req.query.min_score
+      ? Number(req.query.min_score)
+      : masterData.DUPLICATE_SCORE;
+
+    if (minScore <= 0) {
+      return sendValidationError(res, [
+        { location: 'query', field: 'min_score', code: 'out_of_range', message: 'min_score must be above 0' }
+      ]);
+    }
+
+    const groups = await masterData.findDuplicateGroups(pool, req.params.type, minScore);
+
+    res.json({
+      success: true,
+      min_score: minScore,
+      count: groups.length,
+      groups: groups
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error finding duplicate entries');
+  }
+});
+
+// Run one master data change in a transaction. Responds itself on failure;
+// returns the change's result on success.
+async function applyMasterDataChange(req, res, change) {
+  const id = parseId(req.params.id);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await change(client, id);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      sendError(res, result.error.status, null, result.error.message);
+      return null;
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    // Unique description constraints (e.g. uq_subject_desc)
+    if (error.code === '23505') {
+      sendError(res, 409, 'duplicate', 'Another entry already has this description');
+    } else {
+      sendServerError(res, error, 'Error updating master data');
+    }
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Rename an entry; the body holds the descriptive columns to change
+router.put('/master-data/:type/:id', requireAuth, requireAdmin, requireMasterDataType, RECORD_ID, async (req, res) => {
+  const { type } = req.params;
+  const result = await applyMasterDataChange(req, res,
+    (client, id) => masterData.renameMasterEntry(client, type, id, req.body));
+  if (!result) return;
+
+  const definition = OFFERING_TYPES[type];
+  logActivity('admin_rename_master_entry', {
+    admin_id: req.user.id,
+    admin_username: req.user.username,
+    entry_type: type,
+    entry_id: result.entry[definition.idColumn],
+    previous: describeOffering(definition, result.before),
+    renamed_to: describeOffering(definition, result.entry)
+  });
+
+  res.json({
+    success: true,
+    message: `Renamed ${definition.label} to '${describeOffering(definition, result.entry)}'`,
+    entry: result.entry
+  });
+});
+
+// Merge an entry into another: { "into": <target id> }
+router.post('/master-data/:type/:id/merge', requireAuth, requireAdmin, requireMasterDataType, validate({
+  params: { id: required(recordId()) },
+  body: { into: required(recordId()) }
+}), async (req, res) => {
+  const { type } = req.params;
+  const targetId = parseId(req.body.into);
+
+  const result = await applyMasterDataChange(req, res,
+    (client, id) => masterData.mergeMasterEntries(client, type, id, targetId, req.user.username));
+  if (!result) return;
+
+  logActivity('admin_merge_master_entries', {
+    admin_id: req.user.id,
+    admin_username: req.user.username,
+    entry_type: type,
+    merge_id: result.merge.merge_id,
+    source_id: result.merge.source_id,
+    source: result.merge.source_description,
+    target_id: result.merge.target_id,
+    target: result.merge.target_description,
+    moved_rows: result.moved,
+    collapsed_rows: result.collapsed
+  });
+
+  res.json({
+    success: true,
+    message: `Merged '${result.merge.source_description}' into '${result.merge.target_description}': ` +
+      `${result.moved} school link(s) moved, ${result.collapsed} already present`,
+    merge: result.merge,
+    target: result.target
+  });
+});
+
+// Retire an entry that no school offers
+router.post('/master-data/:type/:id/retire', requireAuth, requireAdmin, requireMasterDataType, RECORD_ID, async (req, res) => {
+  const { type } = req.params;
+  const result = await applyMasterDataChange(req, res,
+    (client, id) => masterData.retireMasterEntry(client, type, id, req.user.username));
+  if (!result) return;
+
+  const definition = OFFERING_TYPES[type];
+  logActivity('admin_retire_master_entry', {
+    admin_id: req.user.id,
+    admin_username: req.user.username,
+    entry_type: type,
+    entry_id: result.entry[definition.idColumn],
+    entry: describeOffering(definition, result.entry)
+  });
+
+  res.json({
+    success: true,
+    message: `Retired ${definition.label} '${describeOffering(definition, result.entry)}'`,
+    entry: result.entry
+  });
+});
+
+// Bring a retired (not merged) entry back
+router.post('/master-data/:type/:id/restore', requireAuth, requireAdmin, requireMasterDataType, RECORD_ID, async (req, res) => {
+  const { type } = req.params;
+  const result = await applyMasterDataChange(req, res,
+    (client, id) => masterData.restoreMasterEntry(client, type, id));
+  if (!result) return;
+
+  const definition = OFFERING_TYPES[type];
+  logActivity('admin_restore_master_entry', {
+    admin_id: req.user.id,
+    admin_username: req.user.username,
+    entry_type: type,
+    entry_id: result.entry[definition.idColumn],
+    entry: describeOffering(definition, result.entry)
+  });
+
+  res.json({
+    success: true,
+    message: `Restored ${definition.label} '${describeOffering(definition, result.entry)}'`,
+    entry: result.entry
+  });
+});
+
+// ========== RECYCLE BIN ==========
+// Schools deleted through DELETE /api/schools/:id (see school-archive.js)
+
+// List archived schools with the date each will be purged
+router.get('/recycle-bin', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const schools = await schoolArchive.listArchivedSchools(pool);
+
+    res.json({
+      success: true,
+      retention_days: schoolArchive.RETENTION_DAYS,
+      count: schools.length,
+      schools: schools
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching the recycle bin');
+  }
+});
+
+// Restore an archived school with its offerings
+router.post('/recycle-bin/:id/restore', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  const archiveId = parseId(req.params.id);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await schoolArchive.restoreSchool(client, archiveId);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    // Offerings left out of the restore read as removals in the history
+    await schoolHistory.recordChange(client, {
+      schoolId: result.school.school_id,
+      action: 'restore',
+      changedBy: req.user.username,
+      fields: result.skipped.map(skipped => {
+        const { idColumn } = OFFERING_TYPES[skipped.type];
+        return {
+          field: skipped.type,
+          item_id: skipped[idColumn],
+          old_value: skipped.item || `${idColumn} ${skipped[idColumn]}`,
+          new_value: null
+        };
+      })
+    });
+
+    await client.query('COMMIT');
+
+    logActivity('restore_school', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      archive_id: archiveId,
+      school_id: result.school.school_id,
+      school_name: result.school.school_name,
+      restored: result.restored,
+      skipped_offerings: result.skipped.length
+    });
+
+    res.json({
+      success: true,
+      message: result.skipped.length > 0
+        ? `School restored; ${result.skipped.length} offering(s) refer to retired or missing entries and were left out`
+        : 'School restored',
+      school: result.school,
+      restored: result.restored,
+      skipped: result.skipped
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendServerError(res, error, 'Error restoring school');
+  } finally {
+    client.release();
+  }
+});
+
+// Purge an archived school permanently
+router.delete('/recycle-bin/:id', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const archiveId = parseId(req.params.id);
+
+    const result = await schoolArchive.purgeArchivedSchool(pool, archiveId);
+    if (result.error) {
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    logActivity('purge_archived_school', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      archive_id: result.archive.archive_id,
+      school_id: result.archive.school_id,
+      school_name: result.archive.school_name
+    });
+
+    res.json({
+      success: true,
+      message: 'School permanently deleted'
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error purging archived school');
+  }
+});
+
+// ========== API KEYS ==========
+// Keys for partner applications calling /api/v1 (see api-keys.js). The key
+// itself is only in the response that creates or rotates it.
+
+const API_KEY_FIELDS = {
+  name: text({ max: 100 }),
+  scopes: array({ max: apiKeys.API_KEY_SCOPES.length }),
+  rate_limit: integer({ min: 1, max: 100000 })
+};
+
+// Field errors for a scopes list: known scopes, at least one
+function scopeErrors(scopes) {
+  const unknown = scopes.filter(scope => !apiKeys.API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return [{
+      location: 'body',
+      field: 'scopes',
+      code: 'invalid_scope',
+      message: `scopes can only list ${apiKeys.API_KEY_SCOPES.join(', ')} (not ${unknown.join(', ')})`
+    }];
+  }
+  return scopes.length === 0
+    ? [{ location: 'body', field: 'scopes', code: 'required', message: 'scopes must list at least one scope' }]
+    : [];
+}
+
+// List keys with their usage today and over the last 30 days
+router.get('/api-keys', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const keys = await apiKeys.listApiKeys(pool);
+
+    let totals = new Map();
+    try {
+      totals = await apiKeys.apiUsageTotals(keys.map(apiKey => apiKey.key_id), 30);
+    } catch (err) {
+      console.error('API usage totals error:', err.message);
+    }
+
+    res.json({
+      success: true,
+      scopes: apiKeys.API_KEY_SCOPES,
+      default_rate_limit: apiKeys.API_KEY_RATE_LIMIT,
+      keys: keys.map(apiKey => ({
+        ...apiKey,
+        usage: totals.get(apiKey.key_id) || { today: 0, requests: 0, errors: 0, rejected: 0, last_used_at: null }
+      }))
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching API keys');
+  }
+});
+
+// Issue a key
+router.post('/api-keys', requireAuth, requireAdmin, validate({
+  body: { ...API_KEY_FIELDS, name: required(API_KEY_FIELDS.name), scopes: required(API_KEY_FIELDS.scopes) }
+}), async (req, res) => {
+  try {
+    const { name, scopes, rate_limit } = req.body;
+    const errors = scopeErrors(scopes);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    const { apiKey, key } = await apiKeys.createApiKey(pool, {
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      rateLimit: rate_limit ? parseInt(rate_limit, 10) : null
+    }, req.user.id);
+
+    logActivity('admin_create_api_key', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      key_id: apiKey.key_id,
+      key_prefix: apiKey.key_prefix,
+      name: apiKey.name,
+      scopes: apiKey.scopes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now: it will not be shown again.',
+      api_key: apiKey,
+      key
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error creating API key');
+  }
+});
+
+// Rename a key or change its scopes or rate limit (null: back to the default)
+router.put('/api-keys/:id', requireAuth, requireAdmin, RECORD_ID, validate({
+  body: API_KEY_FIELDS
+}), async (req, res) => {
+  try {
+    const { name, scopes, rate_limit } = req.body;
+    const changes = {};
+    if (name !== undefined && name !== null && String(name).trim()) changes.name = String(name).trim();
+    if (scopes !== undefined) {
+      const errors = scopeErrors(scopes);
+      if (errors.length > 0) return sendValidationError(res, errors);
+      changes.scopes = [...new Set(scopes)];
+    }
+    if (rate_limit !== undefined) changes.rateLimit = rate_limit === null ? null : parseInt(rate_limit, 10);
+
+    const apiKey = await apiKeys.updateApiKey(pool, req.params.id, changes);
+    if (!apiKey) {
+      return sendError(res, 404, 'api_key_not_found', 'API key not found or revoked');
+    }
+
+    logActivity('admin_update_api_key', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      key_id: apiKey.key_id,
+      key_prefix: apiKey.key_prefix,
+      changes: Object.keys(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'API key updated',
+      api_key: apiKey
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error updating API key');
+  }
+});
+
+// Replace a key; the old one stops working at once
+router.post('/api-keys/:id/rotate', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const rotated = await apiKeys.rotateApiKey(pool, req.params.id);
+    if (!rotated) {
+      return sendError(res, 404, 'api_key_not_found', 'API key not found or revoked');
+    }
+
+    logActivity('admin_rotate_api_key', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      key_id: rotated.apiKey.key_id,
+      key_prefix: rotated.apiKey.key_prefix
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Copy the new key now: it will not be shown again.',
+      api_key: rotated.apiKey,
+      key: rotated.key
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error rotating API key');
+  }
+});
+
+// Revoke a key. The row stays, so its usage remains readable.
+router.delete('/api-keys/:id', requireAuth, requireAdmin, RECORD_ID, async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revokeApiKey(pool, req.params.id, req.user.id);
+    if (!apiKey) {
+      return sendError(res, 404, 'api_key_not_found', 'API key not found or already revoked');
+    }
+
+    logActivity('admin_revoke_api_key', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      key_id: apiKey.key_id,
+      key_prefix: apiKey.key_prefix,
+      name: apiKey.name
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      api_key: apiKey
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error revoking API key');
+  }
+});
+
+// A key's requests per day, with the routes it called
+router.get('/api-keys/:id/usage', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  query: { days: integer({ min: 1, max: 90 }) }
+}), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 30;
+    const usage = await apiKeys.apiUsageByDay(parseInt(req.params.id, 10), days);
+
+    res.json({
+      success: true,
+      days,
+      usage
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching API key usage');
+  }
+});
+
+// ========== SCHOOL GEOCODES ==========
+// Stored school coordinates (see school-geocodes.js)
+
+// Schools per geocode status, and the ones without coordinates
+router.get('/geocoding', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await schoolGeocodes.geocodeReport(pool);
+
+    res.json({
+      success: true,
+      interval_minutes: schoolGeocodes.INTERVAL_MINUTES,
+      max_attempts: schoolGeocodes.MAX_ATTEMPTS,
+      ...report
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching geocoding status');
+  }
+});
+
+// Geocode one batch of queued schools now instead of waiting for the job.
+// ?retry=true first queues the schools marked not_found or out of attempts.
+router.post('/geocoding/run', requireAuth, requireAdmin, validate({
+  query: { retry: boolean() }
+}), async (req, res) => {
+  try {
+    if (req.query.retry === 'true') {
+      await pool.query(
+        `UPDATE Schools SET geocode_status = 'pending', geocode_attempts = 0
+         WHERE geocode_status IN ('not_found', 'failed')`
+      );
+    }
+
+    const summary = await schoolGeocodes.geocodePendingSchools(pool);
+
+    logActivity('admin_geocode_schools', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      retry: req.query.retry === 'true',
+      ...summary
+    });
+
+    res.json({
+      success: true,
+      message: `Geocoded ${summary.processed} school(s): ${summary.ok} located, ` +
+        `${summary.not_found} not found, ${summary.failed} failed`,
+      summary
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error geocoding schools');
+  }
+});
+
+// ========== GEOCODE CACHE ==========
+// Cached geocoder answers (see geocode-cache.js)
+
+// Entries, hit and miss counters per lookup, and the entries hit most
+router.get('/geocode-cache', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await geocodeCache.cacheReport(pool);
+
+    res.json({
+      success: true,
+      ttl_days: geocodeCache.TTL_DAYS,
+      not_found_ttl_hours: geocodeCache.NOT_FOUND_TTL_HOURS,
+      approximate_ttl_hours: geocodeCache.APPROXIMATE_TTL_HOURS,
+      ...report
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching geocode cache');
+  }
+});
+
+// Invalidate cached answers: ?postal_code= drops one postal code (and the
+// reverse lookups that found it), ?expired=true only the expired entries,
+// neither the whole cache. The next lookups ask the geocoder again.
+router.delete('/geocode-cache', requireAuth, requireAdmin, validate({
+  query: { postal_code: postalCode(), expired: boolean() }
+}), async (req, res) => {
+  try {
+    const expiredOnly = req.query.expired === 'true';
+    const deleted = await geocodeCache.invalidateCache(pool, {
+      postalCode: req.query.postal_code,
+      expiredOnly
+    });
+
+    logActivity('admin_invalidate_geocode_cache', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      postal_code: req.query.postal_code || null,
+      expired_only: expiredOnly,
+      deleted
+    });
+
+    res.json({
+      success: true,
+      message: `Removed ${deleted} cached geocode(s)`,
+      deleted
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error invalidating geocode cache');
+  }
+});
+
+// Start the hit and miss counters again
+router.delete('/geocode-cache/counters', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await geocodeCache.resetCounters(pool);
+
+    logActivity('admin_reset_geocode_cache_counters', {
+      admin_id: req.user.id,
+      admin_username: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Geocode cache counters reset'
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error resetting geocode cache counters');
+  }
+});
+
+// ========== DATASET IMPORT REPORTS ==========
+
+// List dataset import change reports, newest first (Admin only)
+router.get('/dataset-reports', requireAuth, requireAdmin, validate({
+  query: { limit: integer({ min: 1 }) }
+}), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = await connectMongo();
+    const reports = await db.collection('dataset_change_reports')
+      .find({}, { projection: { changes: 0, rejections: 0 } })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({
+      success: true,
+      count: reports.length,
+      reports: reports
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Error fetching dataset reports');
+  }
+});
+
+// Get one change report with the full row-level diff (Admin only)
+router.get('/dataset-reports/:id', requireAuth, requireAdmin, validate({
+  params: { id: required(objectId()) }
+}), async (req, res) => {
+  try {
+
+    const db = await connectMongo();
+    const report = await db.collection('dataset_change_reports')
+      .findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!report) {
+      return sendError(res, 404, 'report_not_found', 'Report not found');
+    }
+
+    res.json({
+      success: true,
+      report: report
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Error fetching dataset report');
+  }
+});
+
+module.exports = router;
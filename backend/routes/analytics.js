@@ -1,6 +1,64 @@
-// ========== 1. Schools by Zone with Statistics ==========
-// Demonstrates: GROUP BY, COUNT, aggregate functions
-app.get('/api/analytics/schools-by-zone', async (req, res) => {
+// ========== ANALYTICS ROUTES ==========
+// Aggregate SQL reports (public) and MongoDB activity reports (admin only).
+// Mounted at /api/analytics.
+const express = require('express');
+const pool = require('../pg-connection');
+const connectMongo = require('../mongo-connection');
+const { requireAuth, requireAdmin } = require('../auth');
+const { logActivity } = require('../activity-log');
+const { validate, oneOf } = require('../validation');
+const { sendServerError } = require('../api-errors');
+const { listQuery, readListOptions, pageRows, fetchedPage } = require('../list-options');
+
+const router = express.Router();
+
+// ========== REPORT LISTS ==========
+// Every report takes ?limit=, ?offset=, ?sort= and ?fields= (see
+// list-options.js). Reports keep the order of their query unless sorted;
+// those that used to be cut to a top N send that many rows per page.
+
+const report = (columns, defaultLimit = null) => ({ sorts: columns, fields: columns, defaultLimit });
+
+const REPORTS = {
+  schoolsByZone: report(['zone_code', 'total_schools', 'school_types', 'avg_address_length']),
+  subjectCount: report(['school_id', 'school_name', 'zone_code', 'mainlevel_code', 'subject_count', 'subject_diversity'], 20),
+  aboveAverage: report(['school_name', 'zone_code', 'subject_count', 'system_average', 'difference']),
+  ccaParticipation: report(['cca_generic_name', 'school_count', 'total_offerings', 'zones_offered', 'percentage_of_schools'], 15),
+  programmeDistribution: report(['mainlevel_code', 'zone_code', 'school_count', 'unique_programmes', 'total_programme_offerings']),
+  dataCompleteness: report([
+    'school_id', 'school_name', 'zone_code', 'mainlevel_code', 'subject_count', 'cca_count',
+    'programme_count', 'distinctive_count', 'completeness_score', 'completeness_status'
+  ], 50),
+  zoneComparison: report([
+    'zone_code', 'total_schools', 'school_types', 'unique_subjects', 'unique_ccas', 'unique_programmes',
+    'avg_subjects_per_school', 'avg_ccas_per_school', 'max_subjects', 'min_subjects'
+  ]),
+  rareOfferings: report(['school_name', 'zone_code', 'subject_desc', 'cca_generic_name', 'schools_offering']),
+  popularSearches: report(['_id', 'count'], 10),
+  activityTrends: { sorts: ['count'], fields: ['_id', 'count'], defaultLimit: 50 },
+  searchPatterns: report(['_id', 'search_count', 'avg_results', 'last_searched'], 20)
+};
+
+// Activity logs are paged by MongoDB itself, newest first by default
+const LOG_LIST = {
+  sorts: ['timestamp', 'action'],
+  defaultSort: '-timestamp',
+  fields: ['_id', 'action', 'data', 'timestamp'],
+  defaultLimit: 50
+};
+
+const listed = list => validate({ query: listQuery(list) });
+
+// Answer with a page of a report's rows; `extra` adds summary keys
+function sendReport(req, res, rows, list, extra = {}) {
+  const page = pageRows(rows, readListOptions(req.query, list));
+  res.json({ success: true, data: page.rows, pagination: page.pagination, ...extra });
+}
+
+// ========== SQL ANALYTICS (PUBLIC) ==========
+
+// 1. Schools by Zone with Statistics
+router.get('/schools-by-zone', listed(REPORTS.schoolsByZone), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -12,27 +70,21 @@ app.get('/api/analytics/schools-by-zone', async (req, res) => {
       GROUP BY zone_code
       ORDER BY total_schools DESC
     `;
-    
+
     const result = await pool.query(query);
-    
-    // Log to MongoDB
-    logActivity('view_zone_statistics', { 
-      zones_analyzed: result.rows.length 
-    });
-    
-    res.json({
-      success: true,
-      data: result.rows
+
+    logActivity('view_zone_statistics', {
+      zones_analyzed: result.rows.length
     });
+
+    sendReport(req, res, result.rows, REPORTS.schoolsByZone);
   } catch (err) {
-    console.error('Zone statistics error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load zone statistics');
   }
 });
 
-// ========== 2. Schools with Subject Count (Nested Query with GROUP BY) ==========
-// Demonstrates: Subquery, LEFT JOIN, GROUP BY, aggregate functions
-app.get('/api/analytics/schools-subject-count', async (req, res) => {
+// 2. Schools with Subject Count
+router.get('/schools-subject-count', listed(REPORTS.subjectCount), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -51,34 +103,29 @@ app.get('/api/analytics/schools-subject-count', async (req, res) => {
       GROUP BY s.school_id, s.school_name, s.zone_code, s.mainlevel_code
       HAVING COUNT(ss.subject_id) > 0
       ORDER BY subject_count DESC
-      LIMIT 20
     `;
-    
+
     const result = await pool.query(query);
-    
-    logActivity('view_subject_diversity', { 
-      schools_analyzed: result.rows.length 
+
+    logActivity('view_subject_diversity', {
+      schools_analyzed: result.rows.length
     });
-    
-    res.json({
-      success: true,
-      data: result.rows,
+
+    sendReport(req, res, result.rows, REPORTS.subjectCount, {
       summary: {
         total_schools: result.rows.length,
-        avg_subjects: result.rows.length > 0 
+        avg_subjects: result.rows.length > 0
           ? (result.rows.reduce((sum, row) => sum + parseInt(row.subject_count), 0) / result.rows.length).toFixed(2)
           : 0
       }
     });
   } catch (err) {
-    console.error('Subject count error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load subject counts');
   }
 });
 
-// ========== 3. Schools Offering More Subjects Than Average (Nested Query) ==========
-// Demonstrates: Subquery in WHERE, aggregate comparison
-app.get('/api/analytics/above-average-subjects', async (req, res) => {
+// 3. Schools Offering More Subjects Than Average
+router.get('/above-average-subjects', listed(REPORTS.aboveAverage), async (req, res) => {
   try {
     const query = `
       WITH subject_counts AS (
@@ -106,27 +153,23 @@ app.get('/api/analytics/above-average-subjects', async (req, res) => {
       WHERE sc.subject_count > a.avg_count
       ORDER BY sc.subject_count DESC
     `;
-    
+
     const result = await pool.query(query);
-    
-    logActivity('view_above_average_schools', { 
-      schools_found: result.rows.length 
+
+    logActivity('view_above_average_schools', {
+      schools_found: result.rows.length
     });
-    
-    res.json({
-      success: true,
-      data: result.rows,
+
+    sendReport(req, res, result.rows, REPORTS.aboveAverage, {
       message: `Found ${result.rows.length} schools with above-average subject offerings`
     });
   } catch (err) {
-    console.error('Above average query error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load above-average subject counts');
   }
 });
 
-// ========== 4. CCA Participation Analysis ==========
-// Demonstrates: Multiple JOINs, GROUP BY, HAVING, aggregate functions
-app.get('/api/analytics/cca-participation', async (req, res) => {
+// 4. CCA Participation Analysis
+router.get('/cca-participation', listed(REPORTS.ccaParticipation), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -142,28 +185,21 @@ app.get('/api/analytics/cca-participation', async (req, res) => {
       GROUP BY c.cca_id, c.cca_generic_name
       HAVING COUNT(DISTINCT sc.school_id) >= 3
       ORDER BY school_count DESC
-      LIMIT 15
     `;
-    
+
     const result = await pool.query(query);
-    
-    logActivity('view_cca_participation', { 
-      ccas_analyzed: result.rows.length 
-    });
-    
-    res.json({
-      success: true,
-      data: result.rows
+
+    logActivity('view_cca_participation', {
+      ccas_analyzed: result.rows.length
     });
+
+    sendReport(req, res, result.rows, REPORTS.ccaParticipation);
   } catch (err) {
-    console.error('CCA participation error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load CCA participation');
   }
 });
 
-// ========== 5. Programme Distribution by Level and Zone ==========
-// Demonstrates: Multiple GROUP BY columns, GROUPING SETS concept
-app.get('/api/analytics/programme-distribution', async (req, res) => {
+router.get('/programme-distribution', listed(REPORTS.programmeDistribution), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -184,19 +220,14 @@ app.get('/api/analytics/programme-distribution', async (req, res) => {
       combinations: result.rows.length 
     });
     
-    res.json({
-      success: true,
-      data: result.rows
-    });
+    sendReport(req, res, result.rows, REPORTS.programmeDistribution);
   } catch (err) {
-    console.error('Programme distribution error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load programme distribution');
   }
 });
 
-// ========== 6. Top Schools by Data Completeness ==========
-// Demonstrates: CASE, multiple JOINs, calculated fields, ordering
-app.get('/api/analytics/data-completeness', async (req, res) => {
+// 5. Data Completeness
+router.get('/data-completeness', listed(REPORTS.dataCompleteness), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -242,39 +273,28 @@ app.get('/api/analytics/data-completeness', async (req, res) => {
       LEFT JOIN School_Distinctives sd ON s.school_id = sd.school_id
       GROUP BY s.school_id, s.school_name, s.zone_code, s.mainlevel_code
       ORDER BY completeness_score DESC, subject_count DESC
-      LIMIT 50
     `;
-    
+
     const result = await pool.query(query);
-    
-    // Calculate summary statistics
+
     const summary = {
       total_analyzed: result.rows.length,
       complete_schools: result.rows.filter(r => r.completeness_status === 'Complete').length,
       good_schools: result.rows.filter(r => r.completeness_status === 'Good').length,
       fair_schools: result.rows.filter(r => r.completeness_status === 'Fair').length,
-      incomplete_schools: result.rows.filter(r => r.completeness_status === 'Incomplete').length,
-      avg_completeness: result.rows.length > 0
-        ? (result.rows.reduce((sum, row) => sum + parseInt(row.completeness_score), 0) / result.rows.length).toFixed(2)
-        : 0
+      incomplete_schools: result.rows.filter(r => r.completeness_status === 'Incomplete').length
     };
-    
+
     logActivity('view_data_completeness', summary);
-    
-    res.json({
-      success: true,
-      data: result.rows,
-      summary: summary
-    });
+
+    sendReport(req, res, result.rows, REPORTS.dataCompleteness, { summary });
   } catch (err) {
-    console.error('Data completeness error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load data completeness');
   }
 });
 
-// ========== 7. Zone Comparison Analysis ==========
-// Demonstrates: Multiple aggregates, complex grouping
-app.get('/api/analytics/zone-comparison', async (req, res) => {
+// 6. Zone Comparison Analysis
+router.get('/zone-comparison', listed(REPORTS.zoneComparison), async (req, res) => {
   try {
     const query = `
       SELECT 
@@ -305,26 +325,22 @@ app.get('/api/analytics/zone-comparison', async (req, res) => {
       GROUP BY s.zone_code
       ORDER BY total_schools DESC
     `;
-    
+
     const result = await pool.query(query);
-    
-    logActivity('view_zone_comparison', { 
-      zones: result.rows.length 
-    });
-    
-    res.json({
-      success: true,
-      data: result.rows
+
+    logActivity('view_zone_comparison', {
+      zones: result.rows.length
     });
+
+    sendReport(req, res, result.rows, REPORTS.zoneComparison);
   } catch (err) {
-    console.error('Zone comparison error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load zone comparison');
   }
 });
 
-// ========== 8. Schools with Rare Subjects/CCAs (Nested Query) ==========
-// Demonstrates: Nested subquery, IN clause, complex filtering
-app.get('/api/analytics/rare-offerings', async (req, res) => {
+router.get('/rare-offerings', validate({
+  query: { type: oneOf(['subjects', 'ccas'], 'invalid_type'), ...listQuery(REPORTS.rareOfferings) }
+}), async (req, res) => {
   try {
     const { type = 'subjects' } = req.query; // 'subjects' or 'ccas'
     
@@ -384,20 +400,61 @@ app.get('/api/analytics/rare-offerings', async (req, res) => {
       count: result.rows.length 
     });
     
-    res.json({
-      success: true,
-      data: result.rows,
-      type: type
-    });
+    sendReport(req, res, result.rows, REPORTS.rareOfferings, { type });
   } catch (err) {
-    console.error('Rare offerings error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load rare offerings');
   }
 });
 
-// ========== 9. Monthly Activity Trends (MongoDB Aggregation) ==========
-// Demonstrates: MongoDB aggregation pipeline, date grouping
-app.get('/api/analytics/activity-trends', async (req, res) => {
+// ========== MONGODB ACTIVITY ANALYTICS (Admin only) ==========
+
+// Get activity logs (Admin only)
+router.get('/logs', requireAuth, requireAdmin, listed(LOG_LIST), async (req, res) => {
+  try {
+    const options = readListOptions(req.query, LOG_LIST);
+    const { key, descending } = options.sort;
+
+    const db = await connectMongo();
+    const collection = db.collection('activity_logs');
+    const [total, logs] = await Promise.all([
+      collection.countDocuments({}),
+      collection.find({})
+        .sort({ [key]: descending ? -1 : 1, _id: -1 })
+        .skip(options.offset)
+        .limit(options.limit || 0)
+        .toArray()
+    ]);
+
+    const page = fetchedPage(logs, total, options);
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load activity logs');
+  }
+});
+
+// Get popular searches (Admin only)
+router.get('/popular', requireAuth, requireAdmin, listed(REPORTS.popularSearches), async (req, res) => {
+  try {
+    const db = await connectMongo();
+    const popular = await db.collection('activity_logs')
+      .aggregate([
+        { $match: { action: 'search_schools' } },
+        {
+          $group: {
+            _id: '$data.query',
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]).toArray();
+
+    sendReport(req, res, popular, REPORTS.popularSearches);
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load popular searches');
+  }
+});
+
+router.get('/activity-trends', requireAuth, requireAdmin, listed(REPORTS.activityTrends), async (req, res) => {
   try {
     const db = await connectMongo();
     
@@ -414,25 +471,16 @@ app.get('/api/analytics/activity-trends', async (req, res) => {
       },
       {
         $sort: { '_id.year': -1, '_id.month': -1, count: -1 }
-      },
-      {
-        $limit: 50
       }
     ]).toArray();
     
-    res.json({
-      success: true,
-      data: trends
-    });
+    sendReport(req, res, trends, REPORTS.activityTrends);
   } catch (err) {
-    console.error('Activity trends error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load activity trends');
   }
 });
 
-// ========== 10. Search Pattern Analysis (MongoDB Aggregation) ==========
-// Demonstrates: MongoDB text analysis, grouping, sorting
-app.get('/api/analytics/search-patterns', async (req, res) => {
+router.get('/search-patterns', requireAuth, requireAdmin, listed(REPORTS.searchPatterns), async (req, res) => {
   try {
     const db = await connectMongo();
     
@@ -455,24 +503,13 @@ app.get('/api/analytics/search-patterns', async (req, res) => {
       },
       {
         $sort: { search_count: -1 }
-      },
-      {
-        $limit: 20
       }
     ]).toArray();
     
-    res.json({
-      success: true,
-      data: patterns
-    });
+    sendReport(req, res, patterns, REPORTS.searchPatterns);
   } catch (err) {
-    console.error('Search patterns error:', err);
-    res.status(500).json({ error: err.message });
+    sendServerError(res, err, 'Failed to load search patterns');
   }
 });
 
-// ========== EXPORT NOTE ==========
-// Don't forget to add these to your server.js:
-// 1. Copy all these endpoints into your server.js
-// 2. Make sure pool and connectMongo are available
-// 3. Make sure logActivity function is defined
\ No newline at end of file
+module.exports = router;
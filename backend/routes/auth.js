@@ -0,0 +1,179 @@
+// ========== AUTH & USER ROUTES ==========
+// Login, session status and the signed-in user's own profile.
+// Mounted at / (paths are absolute).
+const express = require('express');
+const pool = require('../pg-connection');
+const { passwordUtils, generateToken, requireAuth } = require('../auth');
+const { logActivity } = require('../activity-log');
+const { validate, required, text } = require('../validation');
+const { sendError, sendServerError } = require('../api-errors');
+
+const router = express.Router();
+
+// ========== LOGIN ==========
+
+// Login authentication route
+router.post('/login', validate({
+  body: { username: required(text({ max: 50 })), password: required(text({ max: 200 })) }
+}), async (req, res) => {
+  try {
+    console.log('Login request received:', {
+      username: req.body.username,
+      timestamp: new Date().toISOString()
+    });
+
+    const { username, password } = req.body;
+
+    console.log('Login attempt for username:', username);
+
+    // Query the database for the user
+    const result = await pool.query(
+      `SELECT id, username, password, is_admin
+             FROM Users 
+             WHERE username = $1`,
+      [username]
+    );
+
+    if (result.rows.length === 0) {
+      console.log('User not found:', username);
+      return sendError(res, 401, 'invalid_credentials', 'Invalid username or password');
+    }
+
+    const user = result.rows[0];
+
+    // Verify password using bcrypt
+    const isPasswordValid = await passwordUtils.verifyPassword(password, user.password);
+
+    if (!isPasswordValid) {
+      console.log('Invalid password for user:', username);
+      return sendError(res, 401, 'invalid_credentials', 'Invalid username or password');
+    }
+
+    // Login successful - generate JWT token
+    const userData = {
+      user_id: user.id,
+      username: user.username,
+      is_admin: user.is_admin
+    };
+
+    // generateToken reads the id column, not user_id
+    const token = generateToken(user);
+
+    console.log('✅ Login successful for user:', username, 'Admin:', user.is_admin);
+
+    // Log the login activity
+    logActivity('user_login', {
+      user_id: user.id,
+      username: user.username,
+      is_admin: user.is_admin
+    });
+
+    // Return success response
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: userData,
+      token: token,
+      redirectUrl: '/index.html' // Redirect back to main app
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Server error during authentication');
+  }
+});
+
+// Check authentication status (for client-side verification)
+router.get('/api/auth/status', requireAuth, (req, res) => {
+  res.json({
+    authenticated: true,
+    user: {
+      id: req.user.id,
+      username: req.user.username,
+      is_admin: req.user.is_admin
+    }
+  });
+});
+
+// Logout route
+router.post('/api/auth/logout', requireAuth, (req, res) => {
+  console.log('Logout request for user:', req.user.username);
+
+  // In a stateless JWT system, we can't invalidate the token on server side
+  // Client should remove the token from localStorage
+  res.json({
+    success: true,
+    message: 'Logout successful'
+  });
+});
+
+// ========== USER PROFILE ==========
+
+// Get user profile (for authenticated admin users)
+router.get('/api/user/profile', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, is_admin, created_at FROM Users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'user_not_found', 'User not found');
+    }
+
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching profile');
+  }
+});
+
+// Update user password (for authenticated admin users)
+router.put('/api/user/password', requireAuth, validate({
+  body: { currentPassword: required(text({ max: 200 })), newPassword: required(text({ max: 200 })) }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Get current user with password
+    const userResult = await pool.query(
+      'SELECT password FROM Users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const user = userResult.rows[0];
+
+    // Verify current password
+    const isCurrentPasswordValid = await passwordUtils.verifyPassword(currentPassword, user.password);
+
+    if (!isCurrentPasswordValid) {
+      return sendError(res, 401, 'invalid_credentials', 'Current password is incorrect');
+    }
+
+    // Hash new password
+    const newHashedPassword = await passwordUtils.hashPassword(newPassword);
+
+    // Update password
+    await pool.query(
+      'UPDATE Users SET password = $1 WHERE id = $2',
+      [newHashedPassword, req.user.id]
+    );
+
+    logActivity('user_password_change', {
+      user_id: req.user.id,
+      username: req.user.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+
+  } catch (error) {
+    sendServerError(res, error, 'Error updating password');
+  }
+});
+
+module.exports = router;
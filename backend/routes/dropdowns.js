@@ -0,0 +1,188 @@
+// ========== DROPDOWN VALUES ==========
+// Distinct code values used to fill the advanced search filters.
+// Mounted at /api/dropdown.
+const express = require('express');
+const pool = require('../pg-connection');
+const { OFFERING_TYPES, searchMasterEntries } = require('../offerings');
+const { validate, text, integer } = require('../validation');
+const { sendError, sendServerError } = require('../api-errors');
+
+const router = express.Router();
+
+// ========== DROPDOWN VALUES ENDPOINTS ==========
+
+// Get distinct type codes
+router.get('/types', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT type_code 
+      FROM raw_general_info 
+      WHERE type_code IS NOT NULL 
+        AND TRIM(type_code) != '' 
+        AND UPPER(type_code) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')
+      ORDER BY type_code
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.type_code) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load type codes');
+  }
+});
+
+// Get distinct nature codes
+router.get('/natures', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT nature_code 
+      FROM raw_general_info 
+      WHERE nature_code IS NOT NULL 
+        AND TRIM(nature_code) != '' 
+        AND UPPER(nature_code) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')
+      ORDER BY nature_code
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.nature_code) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load nature codes');
+  }
+});
+
+// Get distinct session codes
+router.get('/sessions', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT session_code 
+      FROM raw_general_info 
+      WHERE session_code IS NOT NULL 
+        AND TRIM(session_code) != '' 
+        AND UPPER(session_code) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')
+      ORDER BY session_code
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.session_code) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load session codes');
+  }
+});
+
+// Get distinct DGP codes
+router.get('/dgp-codes', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT dgp_code 
+      FROM raw_general_info 
+      WHERE dgp_code IS NOT NULL 
+        AND TRIM(dgp_code) != '' 
+        AND UPPER(dgp_code) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')
+      ORDER BY dgp_code
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.dgp_code) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load DGP codes');
+  }
+});
+
+// Get distinct mother tongue languages
+router.get('/mother-tongues', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT unnest(ARRAY[mothertongue1_code, mothertongue2_code, mothertongue3_code]) as mother_tongue
+      FROM raw_general_info 
+      WHERE unnest(ARRAY[mothertongue1_code, mothertongue2_code, mothertongue3_code]) IS NOT NULL 
+        AND TRIM(unnest(ARRAY[mothertongue1_code, mothertongue2_code, mothertongue3_code])) != '' 
+        AND UPPER(unnest(ARRAY[mothertongue1_code, mothertongue2_code, mothertongue3_code])) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')
+      ORDER BY mother_tongue
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.mother_tongue) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load mother tongues');
+  }
+});
+
+// Get distinct CCA groupings
+router.get('/cca-groupings', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT cca_grouping_desc 
+      FROM ccas 
+      WHERE cca_grouping_desc IS NOT NULL 
+        AND TRIM(cca_grouping_desc) != '' 
+        AND retired_at IS NULL
+      ORDER BY cca_grouping_desc
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.cca_grouping_desc) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load CCA groupings');
+  }
+});
+
+// Get distinct ALP domains
+router.get('/alp-domains', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT alp_domain 
+      FROM distinctive_programmes 
+      WHERE alp_domain IS NOT NULL 
+        AND TRIM(alp_domain) != '' 
+        AND retired_at IS NULL
+      ORDER BY alp_domain
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.alp_domain) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load ALP domains');
+  }
+});
+
+// Get distinct LLP domains
+router.get('/llp-domains', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT llp_domain1 
+      FROM distinctive_programmes 
+      WHERE llp_domain1 IS NOT NULL 
+        AND TRIM(llp_domain1) != '' 
+        AND retired_at IS NULL
+      ORDER BY llp_domain1
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.llp_domain1) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load LLP domains');
+  }
+});
+
+// Get distinct CCA categories (generic names such as PHYSICAL SPORTS)
+router.get('/cca-categories', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT cca_generic_name 
+      FROM ccas 
+      WHERE cca_generic_name IS NOT NULL 
+        AND TRIM(cca_generic_name) != '' 
+        AND retired_at IS NULL
+      ORDER BY cca_generic_name
+    `);
+    res.json({ success: true, data: result.rows.map(r => r.cca_generic_name) });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load CCA categories');
+  }
+});
+
+// Search master entries for the offerings editor typeahead
+// (type: subjects, ccas, programmes or distinctives)
+router.get('/offerings/:type', validate({
+  query: { q: text({ max: 200 }), limit: integer({ min: 1, max: 100 }) }
+}), async (req, res) => {
+  try {
+    const definition = OFFERING_TYPES[req.params.type];
+    if (!definition) {
+      return sendError(res, 404, 'not_found', `Unknown offering type '${req.params.type}'`);
+    }
+
+    const term = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const rows = await searchMasterEntries(pool, definition, term, limit);
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to search offering entries');
+  }
+});
+
+module.exports = router;
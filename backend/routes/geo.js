@@ -0,0 +1,423 @@
+// ========== LOCATION ROUTES ==========
+// Postal code lookups (through the configured geocoder and the geocode
+// cache, see geocode-lookups.js), spatial school queries (PostGIS, see
+// school-locations.js) and map data over the schools' stored coordinates.
+// Mounted at /api.
+const express = require('express');
+const pool = require('../pg-connection');
+const { logActivity } = require('../activity-log');
+const {
+  MAX_BATCH_SIZE, GEOCODE_BATCH_RATE_LIMIT, geocodePostalCode, reverseGeocodePoint, geocodePostalCodes
+} = require('../geocode-lookups');
+const { locatePostalCode } = require('../school-geocodes');
+const {
+  findSchoolsNear, findNearestSchools, findSchoolsInArea, locationCoverage
+} = require('../school-locations');
+const { VALID_ZONES } = require('../school-columns');
+const {
+  validate, required, text, integer, number, array, postalCode, bbox, polygon, checkFields, sendValidationError
+} = require('../validation');
+const { sendError, sendServerError } = require('../api-errors');
+const { limitByIp } = require('../api-access');
+const { listQuery, readListOptions, queryPage } = require('../list-options');
+
+const router = express.Router();
+
+// Every provider of the geocoder failed (none merely did not know the place)
+function sendGeocoderUnavailable(res, err) {
+  console.error('Geocoder error:', err.message);
+  sendError(res, 502, 'geocoder_unavailable', 'The geocoding service is unavailable; please try again later');
+}
+
+// ========== GEOCODING ==========
+
+// API ENDPOINT: Reverse geocoding (coordinates → postal code)
+// Coordinates must lie within Singapore's bounds
+router.get('/reverse-geocode', validate({
+  query: {
+    lat: required(number({ min: 1.1, max: 1.5 })),
+    lng: required(number({ min: 103.6, max: 104.1 }))
+  }
+}), async (req, res) => {
+  try {
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+    
+    let result;
+    try {
+      result = await reverseGeocodePoint(pool, latitude, longitude);
+    } catch (err) {
+      return sendGeocoderUnavailable(res, err);
+    }
+    
+    if (!result) {
+      return sendError(res, 404, 'postal_code_not_found', 'No postal code found for coordinates');
+    }
+    
+    // Log activity
+    if (typeof logActivity === 'function') {
+      logActivity('reverse-geocode', { 
+        latitude, 
+        longitude, 
+        postalCode: result.postalCode 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    sendServerError(res, error, 'Geocoding service failed');
+  }
+});
+
+router.get('/postal-code/:postalCode', validate({ params: { postalCode: required(postalCode()) } }), async (req, res) => {
+  try {
+    const { postalCode } = req.params;
+
+    console.log('Looking up postal code:', postalCode);
+
+    let coordinates;
+    try {
+      coordinates = await geocodePostalCode(pool, postalCode);
+    } catch (err) {
+      return sendGeocoderUnavailable(res, err);
+    }
+
+    if (!coordinates) {
+      return sendError(res, 404, 'postal_code_not_found', 'Postal code not found or coordinates not available');
+    }
+
+    res.json({
+      success: true,
+      postal_code: postalCode,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      address: coordinates.address,
+      source: coordinates.source,
+      approximate: coordinates.approximate
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'Postal code lookup failed');
+  }
+});
+
+// Coordinates of many postal codes in one call (the map uses it for schools
+// without stored coordinates). Each postal code gets a result, 'failed'
+// included, so one bad lookup does not fail the batch. A batch may start
+// many geocoder calls, so each IP gets few of them, keyed or not.
+router.post('/geocode/batch', limitByIp(GEOCODE_BATCH_RATE_LIMIT), validate({
+  body: { postal_codes: required(array({ max: MAX_BATCH_SIZE })) }
+}), async (req, res) => {
+  try {
+    const postalCodes = req.body.postal_codes.map(value => String(value).trim());
+
+    const invalid = checkFields(
+      Object.fromEntries(postalCodes.map((value, index) => [index, required(postalCode())])),
+      postalCodes, 'body', 'postal_codes.'
+    );
+    if (invalid.length > 0) return sendValidationError(res, invalid);
+
+    const { results, summary } = await geocodePostalCodes(pool, postalCodes);
+
+    logActivity('geocode_batch', { postal_codes: postalCodes.length, ...summary });
+
+    res.json({
+      success: true,
+      count: results.length,
+      results,
+      summary
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Batch geocoding failed');
+  }
+});
+
+// ========== NEARBY SCHOOLS ==========
+
+// One PostGIS query over the stored coordinates (see school-locations.js);
+// schools not geocoded yet are left out and counted in metadata
+router.post('/schools/search-by-postal-code', validate({
+  body: { postal_code: required(postalCode()), radius_km: required(number({ min: 0.1, max: 50 })) }
+}), async (req, res) => {
+  try {
+    const { postal_code } = req.body;
+    const radius_km = parseFloat(req.body.radius_km);
+
+    console.log('Postal code search request:', { postal_code, radius_km });
+
+    let searchLocation;
+    try {
+      searchLocation = await locatePostalCode(pool, postal_code);
+    } catch (err) {
+      return sendGeocoderUnavailable(res, err);
+    }
+
+    if (!searchLocation) {
+      return sendError(res, 404, 'postal_code_not_found',
+        `Postal code ${postal_code} not found. Please verify the postal code is correct.`);
+    }
+
+    const { latitude: searchLat, longitude: searchLon } = searchLocation;
+
+    const results = await findSchoolsNear(pool, { latitude: searchLat, longitude: searchLon, radiusKm: radius_km });
+
+    const coverage = await locationCoverage(pool);
+
+    console.log(`Found ${results.length} schools within ${radius_km}km`);
+
+    logActivity('search_by_postal_code', {
+      postal_code,
+      radius_km,
+      results_count: results.length,
+      schools_processed: coverage.schools_with_coordinates,
+      schools_without_coordinates: coverage.schools_without_coordinates
+    });
+
+    res.json({
+      success: true,
+      results,
+      search_params: {
+        postal_code,
+        radius_km,
+        center_latitude: searchLat,
+        center_longitude: searchLon,
+        center_address: searchLocation.address,
+        center_approximate: Boolean(searchLocation.approximate)
+      },
+      metadata: {
+        schools_processed: coverage.schools_with_coordinates,
+        schools_without_coordinates: coverage.schools_without_coordinates,
+        note: 'Distances from stored school coordinates'
+      }
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'Postal code distance search failed');
+  }
+});
+
+// ========== SPATIAL QUERIES ==========
+
+// The centre of a query: ?lat=&lng=, or ?postal_code= located as in the
+// postal code search. Responds with the error and returns null when
+// neither is usable.
+const POINT_QUERY = {
+  lat: number({ min: 1.1, max: 1.5 }),
+  lng: number({ min: 103.6, max: 104.1 }),
+  postal_code: postalCode()
+};
+
+async function readPoint(req, res) {
+  const { lat, lng, postal_code } = req.query;
+
+  if (postal_code) {
+    let located;
+    try {
+      located = await locatePostalCode(pool, postal_code);
+    } catch (err) {
+      sendGeocoderUnavailable(res, err);
+      return null;
+    }
+    if (!located) {
+      sendError(res, 404, 'postal_code_not_found', `Postal code ${postal_code} not found`);
+      return null;
+    }
+    return {
+      latitude: located.latitude,
+      longitude: located.longitude,
+      postal_code,
+      address: located.address,
+      approximate: Boolean(located.approximate)
+    };
+  }
+
+  if (lat === undefined || lng === undefined) {
+    sendValidationError(res, [{
+      location: 'query', field: lat === undefined ? 'lat' : 'lng', code: 'required', message: 'lat and lng, or postal_code, are required'
+    }]);
+    return null;
+  }
+  return { latitude: parseFloat(lat), longitude: parseFloat(lng) };
+}
+
+// The N schools nearest to a point, however far
+router.get('/schools/nearest', validate({
+  query: { ...POINT_QUERY, limit: integer({ min: 1, max: 50 }) }
+}), async (req, res) => {
+  try {
+    const centre = await readPoint(req, res);
+    if (!centre) return;
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 10;
+    const results = await findNearestSchools(pool, { ...centre, limit });
+
+    logActivity('nearest_schools', { ...centre, limit, results_count: results.length });
+
+    res.json({
+      success: true,
+      count: results.length,
+      results,
+      search_params: { ...centre, limit },
+      metadata: await locationCoverage(pool)
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Nearest school search failed');
+  }
+});
+
+// Schools within a radius of a point, nearest first
+router.get('/schools/within-radius', validate({
+  query: { ...POINT_QUERY, radius_km: required(number({ min: 0.1, max: 50 })) }
+}), async (req, res) => {
+  try {
+    const centre = await readPoint(req, res);
+    if (!centre) return;
+
+    const radius_km = parseFloat(req.query.radius_km);
+    const results = await findSchoolsNear(pool, { ...centre, radiusKm: radius_km });
+
+    logActivity('schools_within_radius', { ...centre, radius_km, results_count: results.length });
+
+    res.json({
+      success: true,
+      count: results.length,
+      results,
+      search_params: { ...centre, radius_km },
+      metadata: await locationCoverage(pool)
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Radius search failed');
+  }
+});
+
+// Schools inside a bounding box (e.g. the map's view) and/or a drawn polygon
+router.post('/schools/within-area', validate({
+  body: { bbox: bbox(), polygon: polygon() }
+}), async (req, res) => {
+  try {
+    const { bbox: box, polygon: outline } = req.body;
+    if (!box && !outline) {
+      return sendValidationError(res, [{
+        location: 'body', field: 'bbox', code: 'required', message: 'bbox or polygon is required'
+      }]);
+    }
+
+    const results = await findSchoolsInArea(pool, { bbox: box, polygon: outline });
+
+    logActivity('schools_within_area', {
+      bbox: box || null,
+      polygon_points: outline ? outline.length : null,
+      results_count: results.length
+    });
+
+    res.json({
+      success: true,
+      count: results.length,
+      results,
+      search_params: { bbox: box || null, polygon: outline || null },
+      metadata: await locationCoverage(pool)
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Area search failed');
+  }
+});
+
+// ========== MAP DATA ==========
+
+const MAP_COLUMNS = ['school_id', 'school_name', 'address', 'postal_code', 'zone_code', 'mainlevel_code', 'principal_name'];
+
+// Stored coordinates; null until the school is geocoded
+const MAP_FIELDS = [...MAP_COLUMNS, 'latitude', 'longitude'];
+
+// Every school by default; ?limit= pages them (see list-options.js)
+const MAP_LIST = {
+  sorts: MAP_COLUMNS,
+  defaultSort: 'school_name',
+  tiebreak: 'school_id',
+  fields: MAP_FIELDS,
+  defaultLimit: null
+};
+
+router.get('/schools/map', validate({
+  query: {
+    zone: text({
+      pattern: new RegExp(`^(all|${VALID_ZONES.join('|')})$`, 'i'),
+      code: 'invalid_zone',
+      message: `must be all or one of ${VALID_ZONES.join(', ')}`
+    }),
+    ...listQuery(MAP_LIST)
+  }
+}), async (req, res) => {
+  try {
+    const { zone } = req.query;
+    const options = readListOptions(req.query, MAP_LIST);
+    const zoneCode = zone && zone.toLowerCase() !== 'all' ? zone.toUpperCase() : null;
+
+    const page = await queryPage(pool,
+      `SELECT ${MAP_FIELDS.join(', ')}
+       FROM Schools
+       WHERE $1::text IS NULL OR zone_code = $1`,
+      [zoneCode],
+      options,
+      MAP_LIST
+    );
+    
+    // Log activity to MongoDB
+    logActivity('view_map', { 
+      zone: zone || 'all', 
+      schools_count: page.pagination.total 
+    });
+    
+    res.json({
+      success: true,
+      count: page.rows.length,
+      schools: page.rows,
+      pagination: page.pagination
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load map data');
+  }
+});
+
+router.get('/schools/map-stats', async (req, res) => {
+  try {
+    // Get counts by zone
+    const zoneQuery = `
+      SELECT zone_code, COUNT(*) as count
+      FROM Schools
+      GROUP BY zone_code
+      ORDER BY zone_code
+    `;
+    
+    const zoneResult = await pool.query(zoneQuery);
+    
+    // Get counts by level
+    const levelQuery = `
+      SELECT mainlevel_code, COUNT(*) as count
+      FROM Schools
+      GROUP BY mainlevel_code
+      ORDER BY mainlevel_code
+    `;
+    
+    const levelResult = await pool.query(levelQuery);
+    
+    // Get total count
+    const totalQuery = `SELECT COUNT(*) as total FROM Schools`;
+    const totalResult = await pool.query(totalQuery);
+    
+    res.json({
+      success: true,
+      total: parseInt(totalResult.rows[0].total),
+      byZone: zoneResult.rows,
+      byLevel: levelResult.rows
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load map statistics');
+  }
+});
+
+module.exports = router;
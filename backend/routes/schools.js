@@ -0,0 +1,1166 @@
+// ========== SCHOOL ROUTES ==========
+// School records, their offerings, offering searches and comparison.
+// Mounted at /api/schools. Fixed paths are registered before /:id ones.
+const express = require('express');
+const pool = require('../pg-connection');
+const { requireAuth, requireAdmin } = require('../auth');
+const { logActivity } = require('../activity-log');
+const {
+  OFFERING_TYPES, parseId, describeOffering, applyOfferingChange
+} = require('../offerings');
+const { archiveSchool } = require('../school-archive');
+const schoolHistory = require('../school-history');
+const { createSchool, updateSchool } = require('../school-records');
+const { geocodeInBackground } = require('../school-geocodes');
+const { readBulkRequest, applyBulkEdit } = require('../school-bulk');
+const {
+  MAX_IMPORT_ROWS, readSpreadsheet, readImportRows, validateImportRows, importSchools
+} = require('../school-import');
+const {
+  validate, required, text, integer, boolean, array, object, recordId,
+  SCHOOL_BODY, sendValidationError, constraintErrors
+} = require('../validation');
+const { listQuery, readListOptions, queryPage, emptyPage } = require('../list-options');
+const { sendError, sendServerError, sendDatabaseError } = require('../api-errors');
+
+const router = express.Router();
+
+// ========== REQUEST SCHEMAS ==========
+
+const NAME = text({ max: 200 });
+const SCHOOL_ID = validate({ params: { id: required(recordId()) } });
+const OFFERING_ITEM = validate({ params: { id: required(recordId()), itemId: required(recordId()) } });
+
+// ========== LISTS ==========
+// Pages of GET /api/schools and the offering searches (see list-options.js)
+
+const SCHOOL_COLUMNS = ['school_id', 'school_name', 'address', 'postal_code', 'zone_code', 'mainlevel_code', 'principal_name'];
+
+const SCHOOL_LIST = {
+  sorts: SCHOOL_COLUMNS,
+  defaultSort: 'school_name',
+  tiebreak: 'school_id',
+  fields: SCHOOL_COLUMNS,
+  defaultLimit: 50
+};
+
+// An offering search lists school rows with the offering's own columns
+const offeringList = columns => ({
+  sorts: ['school_name', 'zone_code', 'mainlevel_code', ...columns],
+  defaultSort: 'school_name',
+  tiebreak: ['school_id', ...columns].join(', '),
+  fields: ['school_id', 'school_name', 'zone_code', 'mainlevel_code', ...columns],
+  defaultLimit: 100
+});
+
+const SUBJECT_LIST = offeringList(['subject_desc']);
+const CCA_LIST = offeringList(['cca_name', 'cca_category']);
+const PROGRAMME_LIST = offeringList(['moe_programme_desc']);
+const DISTINCTIVE_LIST = offeringList(['distinctive_name', 'alp_domain', 'llp_domain1']);
+
+const listRequest = list => validate({ query: { name: NAME, ...listQuery(list) } });
+
+// ========== OFFERING SEARCHES ==========
+
+// School subjects - SEARCH BY SUBJECT, NOT SCHOOL
+router.get('/subjects', listRequest(SUBJECT_LIST), async (req, res) => {
+  try {
+    const { name } = req.query;
+    const options = readListOptions(req.query, SUBJECT_LIST);
+
+    if (!name || name.trim() === '') {
+      const page = emptyPage(options);
+      return res.json({ success: true, data: page.rows, pagination: page.pagination });
+    }
+
+    const page = await queryPage(pool,
+      `SELECT DISTINCT
+        s.school_id,
+        s.school_name,
+        s.zone_code,
+        s.mainlevel_code,
+        subj.subject_desc
+       FROM Schools s
+       JOIN School_Subjects ss ON s.school_id = ss.school_id
+       JOIN Subjects subj ON subj.subject_id = ss.subject_id
+       WHERE LOWER(subj.subject_desc) LIKE LOWER($1)
+         AND subj.subject_desc IS NOT NULL
+         AND TRIM(subj.subject_desc) != ''`,
+      [`%${name}%`],
+      options,
+      SUBJECT_LIST
+    );
+
+    logActivity('search_subjects', { query: name, results_count: page.pagination.total });
+
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'Subject search failed');
+  }
+});
+
+// School CCAs - SEARCH BY CCA, NOT SCHOOL
+router.get('/ccas', listRequest(CCA_LIST), async (req, res) => {
+  try {
+    const { name } = req.query;
+    const options = readListOptions(req.query, CCA_LIST);
+
+    if (!name || name.trim() === '') {
+      const page = emptyPage(options);
+      return res.json({ success: true, data: page.rows, pagination: page.pagination });
+    }
+
+    const page = await queryPage(pool,
+      `SELECT DISTINCT
+        s.school_id,
+        s.school_name,
+        s.zone_code,
+        s.mainlevel_code,
+        c.cca_grouping_desc as cca_name,
+        c.cca_generic_name as cca_category
+       FROM Schools s
+       JOIN School_CCAs sca ON s.school_id = sca.school_id
+       JOIN CCAs c ON c.cca_id = sca.cca_id
+       WHERE (
+         LOWER(c.cca_grouping_desc) LIKE LOWER($1) OR
+         LOWER(c.cca_generic_name) LIKE LOWER($1) OR
+         LOWER(sca.cca_customized_name) LIKE LOWER($1)
+       )
+       AND c.cca_grouping_desc IS NOT NULL
+       AND TRIM(c.cca_grouping_desc) != ''`,
+      [`%${name}%`],
+      options,
+      CCA_LIST
+    );
+
+    logActivity('search_ccas', { query: name, results_count: page.pagination.total });
+
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'CCA search failed');
+  }
+});
+
+// School Programmes - SEARCH BY PROGRAMME, NOT SCHOOL
+router.get('/programmes', listRequest(PROGRAMME_LIST), async (req, res) => {
+  try {
+    const { name } = req.query;
+    const options = readListOptions(req.query, PROGRAMME_LIST);
+
+    if (!name || name.trim() === '') {
+      const page = emptyPage(options);
+      return res.json({ success: true, data: page.rows, pagination: page.pagination });
+    }
+
+    const page = await queryPage(pool,
+      `SELECT DISTINCT
+        s.school_id,
+        s.school_name,
+        s.zone_code,
+        s.mainlevel_code,
+        p.moe_programme_desc
+       FROM Schools s
+       JOIN School_Programmes sp ON s.school_id = sp.school_id
+       JOIN Programmes p ON p.programme_id = sp.programme_id
+       WHERE LOWER(p.moe_programme_desc) LIKE LOWER($1)
+         AND p.moe_programme_desc IS NOT NULL
+         AND TRIM(p.moe_programme_desc) != ''`,
+      [`%${name}%`],
+      options,
+      PROGRAMME_LIST
+    );
+
+    logActivity('search_programmes', { query: name, results_count: page.pagination.total });
+
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'Programme search failed');
+  }
+});
+
+// School Distinctives - SEARCH BY DISTINCTIVE, NOT SCHOOL (FIX THIS!)
+router.get('/distinctives', listRequest(DISTINCTIVE_LIST), async (req, res) => {
+  try {
+    const { name } = req.query;
+    const options = readListOptions(req.query, DISTINCTIVE_LIST);
+
+    if (!name || name.trim() === '') {
+      const page = emptyPage(options);
+      return res.json({ success: true, data: page.rows, pagination: page.pagination });
+    }
+
+    const page = await queryPage(pool,
+      `SELECT DISTINCT
+        s.school_id,
+        s.school_name,
+        s.zone_code,
+        s.mainlevel_code,
+        COALESCE(d.alp_title, d.llp_title) as distinctive_name,
+        d.alp_domain,
+        d.llp_domain1
+       FROM Schools s
+       JOIN School_Distinctives sd ON s.school_id = sd.school_id
+       JOIN Distinctive_Programmes d ON d.distinctive_id = sd.distinctive_id
+       WHERE (
+         LOWER(d.alp_domain) LIKE LOWER($1) OR
+         LOWER(d.alp_title) LIKE LOWER($1) OR
+         LOWER(d.llp_domain1) LIKE LOWER($1) OR
+         LOWER(d.llp_title) LIKE LOWER($1)
+       )`,
+      [`%${name}%`],
+      options,
+      DISTINCTIVE_LIST
+    );
+
+    logActivity('search_distinctives', { query: name, results_count: page.pagination.total });
+
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'Distinctive programme search failed');
+  }
+});
+
+// ========== SCHOOL COMPARISON ==========
+
+router.post('/compare', validate({
+  body: { school1_id: required(recordId()), school2_id: required(recordId()) }
+}), async (req, res) => {
+  try {
+    const { school1_id, school2_id } = req.body;
+
+    // Fetch comprehensive data for both schools
+    const schoolQuery = `
+      SELECT 
+        s.*,
+        r.type_code,
+        r.nature_code,
+        r.session_code,
+        r.dgp_code,
+        r.email_address,
+        r.telephone_no,
+        r.telephone_no_2,
+        r.fax_no,
+        r.url_address,
+        r.first_vp_name,
+        r.second_vp_name,
+        r.third_vp_name,
+        r.fourth_vp_name,
+        r.fifth_vp_name,
+        r.sixth_vp_name,
+        r.autonomous_ind,
+        r.gifted_ind,
+        r.ip_ind,
+        r.sap_ind,
+        r.mothertongue1_code,
+        r.mothertongue2_code,
+        r.mothertongue3_code,
+        r.bus_desc,
+        r.mrt_desc,
+        COUNT(DISTINCT ss.subject_id) as subject_count,
+        COUNT(DISTINCT sc.cca_id) as cca_count,
+        COUNT(DISTINCT sp.programme_id) as programme_count,
+        COUNT(DISTINCT sd.distinctive_id) as distinctive_count
+      FROM Schools s
+      LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+      LEFT JOIN School_Subjects ss ON s.school_id = ss.school_id
+      LEFT JOIN School_CCAs sc ON s.school_id = sc.school_id
+      LEFT JOIN School_Programmes sp ON s.school_id = sp.school_id
+      LEFT JOIN School_Distinctives sd ON s.school_id = sd.school_id
+      WHERE s.school_id = $1
+      GROUP BY s.school_id, r.school_id
+    `;
+
+    const subjectsQuery = `
+      SELECT DISTINCT subj.subject_desc
+      FROM school_subjects ss
+      JOIN subjects subj ON ss.subject_id = subj.subject_id
+      WHERE ss.school_id = $1
+      AND subj.subject_desc IS NOT NULL
+      AND TRIM(subj.subject_desc) != ''
+      ORDER BY subj.subject_desc
+    `;
+
+    const ccasQuery = `
+      SELECT 
+        c.cca_grouping_desc,
+        c.cca_generic_name,
+        sc.cca_customized_name
+      FROM school_ccas sc
+      JOIN ccas c ON sc.cca_id = c.cca_id
+      WHERE sc.school_id = $1
+      AND c.cca_grouping_desc IS NOT NULL
+      ORDER BY c.cca_generic_name, c.cca_grouping_desc
+    `;
+
+    const programmesQuery = `
+      SELECT DISTINCT p.moe_programme_desc
+      FROM school_programmes sp
+      JOIN programmes p ON sp.programme_id = p.programme_id
+      WHERE sp.school_id = $1
+      AND p.moe_programme_desc IS NOT NULL
+      ORDER BY p.moe_programme_desc
+    `;
+
+    const distinctivesQuery = `
+      SELECT DISTINCT
+        d.alp_domain,
+        d.alp_title,
+        d.llp_domain1,
+        d.llp_title
+      FROM school_distinctives sd
+      JOIN distinctive_programmes d ON sd.distinctive_id = d.distinctive_id
+      WHERE sd.school_id = $1
+    `;
+
+    // Fetch all data in parallel
+    const [
+      school1Result,
+      school2Result,
+      subjects1,
+      subjects2,
+      ccas1,
+      ccas2,
+      programmes1,
+      programmes2,
+      distinctives1,
+      distinctives2
+    ] = await Promise.all([
+      pool.query(schoolQuery, [school1_id]),
+      pool.query(schoolQuery, [school2_id]),
+      pool.query(subjectsQuery, [school1_id]),
+      pool.query(subjectsQuery, [school2_id]),
+      pool.query(ccasQuery, [school1_id]),
+      pool.query(ccasQuery, [school2_id]),
+      pool.query(programmesQuery, [school1_id]),
+      pool.query(programmesQuery, [school2_id]),
+      pool.query(distinctivesQuery, [school1_id]),
+      pool.query(distinctivesQuery, [school2_id])
+    ]);
+
+    if (school1Result.rows.length === 0 || school2Result.rows.length === 0) {
+      return sendError(res, 404, 'school_not_found', 'One or both schools not found');
+    }
+
+    // Log activity
+    logActivity('school_comparison', {
+      school1_id,
+      school2_id,
+      school1_name: school1Result.rows[0].school_name,
+      school2_name: school2Result.rows[0].school_name
+    });
+
+    res.json({
+      success: true,
+      school1: {
+        ...school1Result.rows[0],
+        subjects: subjects1.rows.map(r => r.subject_desc),
+        ccas: ccas1.rows,
+        programmes: programmes1.rows.map(r => r.moe_programme_desc),
+        distinctives: distinctives1.rows
+      },
+      school2: {
+        ...school2Result.rows[0],
+        subjects: subjects2.rows.map(r => r.subject_desc),
+        ccas: ccas2.rows,
+        programmes: programmes2.rows.map(r => r.moe_programme_desc),
+        distinctives: distinctives2.rows
+      }
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'School comparison failed');
+  }
+});
+
+// ========== RECENTLY ADDED SCHOOLS (Admin only) ==========
+
+// Get recently added schools (last 10)
+router.get('/recent', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const query = `
+      SELECT school_id, school_name, address, postal_code, zone_code, 
+             mainlevel_code, principal_name
+      FROM Schools
+      ORDER BY school_id DESC
+      LIMIT 10
+    `;
+    
+    const result = await pool.query(query);
+    
+    res.json({
+      success: true,
+      schools: result.rows
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load recent schools');
+  }
+});
+
+// ========== BULK EDIT (Admin only) ==========
+
+// Apply one patch to every school matching a filter (see school-bulk.js).
+// Body: { filter: { ...advanced search criteria, school_ids }, patch: { fields, offerings }, dry_run }
+// Runs as a dry run unless dry_run is false: the edit is applied and rolled
+// back, and the response previews every school it would change.
+router.post('/bulk', requireAuth, requireAdmin, validate({
+  body: { filter: required(object()), patch: required(object()), dry_run: boolean() }
+}), async (req, res) => {
+  const request = readBulkRequest(req.body);
+  if (request.error) {
+    if (request.error.errors) return sendValidationError(res, request.error.errors, request.error.status);
+    return sendError(res, request.error.status, null, request.error.message);
+  }
+
+  const dryRun = req.body.dry_run !== false;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await applyBulkEdit(client, request, req.user.username);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    const changed = result.schools.filter(school => school.fields.length > 0);
+    if (dryRun || changed.length === 0) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+
+      logActivity('bulk_edit_schools', {
+        admin_id: req.user.id,
+        admin_username: req.user.username,
+        bulk_id: result.bulk.bulk_id,
+        filter: request.filter,
+        patch: request.patch,
+        matched_count: result.schools.length,
+        changed_count: changed.length
+      });
+    }
+
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      message: dryRun
+        ? `${changed.length} of ${result.schools.length} matching school(s) would change`
+        : `${changed.length} of ${result.schools.length} matching school(s) changed`,
+      bulk_id: dryRun || changed.length === 0 ? null : result.bulk.bulk_id,
+      matched_count: result.schools.length,
+      changed_count: changed.length,
+      operations: result.operations,
+      schools: result.schools.map(school => (dryRun ? { ...school, change_id: null } : school))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendDatabaseError(res, err, 'Bulk edit failed');
+  } finally {
+    client.release();
+  }
+});
+
+// ========== SPREADSHEET IMPORT (Admin only) ==========
+
+// Validate a CSV / .xlsx upload or edited rows (see school-import.js).
+// Body: { file_name, content: <base64 file> } for an upload, or
+// { rows: [{ row, values, version }] } to check rows fixed in the UI.
+// Nothing is written; the response is the row-by-row report.
+router.post('/import/validate', requireAuth, requireAdmin, validate({
+  body: { file_name: text({ max: 255 }), content: text(), rows: array({ max: MAX_IMPORT_ROWS }) }
+}), async (req, res) => {
+  let rows;
+  let file = null;
+
+  if (req.body.content !== undefined) {
+    if (!req.body.file_name) {
+      return sendError(res, 400, null, 'file_name and base64 content are required');
+    }
+    file = readSpreadsheet(req.body.file_name, Buffer.from(req.body.content, 'base64'));
+    if (file.error) {
+      return sendError(res, file.error.status, null, file.error.message);
+    }
+    rows = file.rows;
+  } else {
+    rows = readImportRows(req.body.rows);
+    if (rows.error) {
+      return sendError(res, rows.error.status, null, rows.error.message);
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    const report = await validateImportRows(client, rows);
+
+    res.json({
+      success: true,
+      columns: file ? file.columns : undefined,
+      ignored_columns: file ? file.ignored_columns : undefined,
+      counts: report.counts,
+      rows: report.rows
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Import validation failed');
+  } finally {
+    client.release();
+  }
+});
+
+// Import validated rows in one transaction. Rows are checked again; if any
+// has an error (including a school saved since validation, 409) nothing is
+// written and the report comes back for the admin to fix or skip the rows.
+// Body: { rows: [{ row, values, version }] }
+router.post('/import', requireAuth, requireAdmin, validate({
+  body: { rows: required(array({ max: MAX_IMPORT_ROWS })) }
+}), async (req, res) => {
+  const rows = readImportRows(req.body.rows);
+  if (rows.error) {
+    return sendError(res, rows.error.status, null, rows.error.message);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await importSchools(client, rows, req.user.username);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error.status,
+        result.error.status === 409 ? 'version_conflict' : 'import_rejected', result.error.message,
+        { counts: result.report.counts, rows: result.report.rows });
+    }
+
+    await client.query('COMMIT');
+
+    logActivity('import_schools', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      created: result.created.map(school => ({ school_id: school.school_id, school_name: school.school_name })),
+      updated: result.updated.map(school => ({ school_id: school.school_id, school_name: school.school_name })),
+      unchanged_count: result.report.counts.unchanged
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${result.created.length} new and ${result.updated.length} changed school(s)`,
+      created: result.created,
+      updated: result.updated,
+      counts: result.report.counts
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // 23505 (409): another admin created a school with one of the names meanwhile
+    sendDatabaseError(res, err, 'School import failed');
+  } finally {
+    client.release();
+  }
+});
+
+// ========== CRUD OPERATIONS FOR SCHOOLS ==========
+
+// READ - A page of schools, optionally matching a name
+router.get('/', listRequest(SCHOOL_LIST), async (req, res) => {
+  try {
+    const { name } = req.query;
+    const options = readListOptions(req.query, SCHOOL_LIST);
+    const search = name && name.trim() !== '';
+
+    const page = await queryPage(pool,
+      `SELECT ${SCHOOL_COLUMNS.join(', ')}
+       FROM Schools
+       WHERE $1::text IS NULL OR LOWER(school_name) LIKE LOWER($1)`,
+      [search ? `%${name.trim()}%` : null],
+      options,
+      SCHOOL_LIST
+    );
+
+    // Log search activity to MongoDB
+    if (search) {
+      logActivity('search_schools', { query: name, results_count: page.pagination.total });
+    }
+
+    res.json({ success: true, data: page.rows, pagination: page.pagination });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load schools');
+  }
+});
+
+// CREATE - Add new school
+router.post('/', requireAuth, requireAdmin, validate({ body: SCHOOL_BODY }), async (req, res) => {
+  try {
+    // Basic information (required, checked by SCHOOL_BODY); the remaining
+    // raw_general_info fields are read from req.body by saveGeneralInfo
+    const { school_name } = req.body;
+
+    // Start a transaction
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+
+      // Schools row, extended attributes and the 'create' history entry
+      const newSchool = await createSchool(client, req.body, req.user.username);
+      const schoolId = newSchool.school_id;
+
+      await client.query('COMMIT');
+
+      // Coordinates for the map and nearby searches
+      geocodeInBackground(pool, schoolId);
+
+      // Log activity to MongoDB
+      logActivity('create_school', {
+        admin_id: req.user.user_id,
+        admin_username: req.user.username,
+        school_id: schoolId,
+        school_name: school_name
+      });
+
+      res.json({ 
+        success: true, 
+        data: newSchool,
+        message: 'School created successfully'
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    // A constraint the schema does not cover, e.g. a name taken meanwhile
+    const errors = constraintErrors(err);
+    if (errors) {
+      return sendValidationError(res, errors, err.code === '23505' ? 409 : 400);
+    }
+
+    sendDatabaseError(res, err, 'Failed to create school');
+  }
+});
+
+// UPDATE - Edit existing school
+router.put('/:id', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  body: { ...SCHOOL_BODY, version: recordId() }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Basic information (required, checked by SCHOOL_BODY); the remaining
+    // raw_general_info fields are read from req.body by saveGeneralInfo
+    const { school_name } = req.body;
+
+    // The school version the edit is based on (from GET /:id/details)
+    const version = req.body.version === undefined ? null : parseId(req.body.version);
+    if (!version) {
+      return sendError(res, 428, 'version_required', 'version is required: send the version of the school being edited');
+    }
+
+    // Start a transaction
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT version FROM Schools WHERE school_id = $1 FOR UPDATE',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendError(res, 404, 'school_not_found', 'School not found');
+      }
+
+      const before = await schoolHistory.readSchoolFields(client, id);
+
+      // Someone else saved the school since this edit was loaded: send back
+      // the current values so the client can merge instead of overwriting
+      if (current.rows[0].version !== version) {
+        const [lastChange] = await schoolHistory.getSchoolHistory(client, id, { limit: 1 });
+        await client.query('ROLLBACK');
+        return sendError(res, 409, 'version_conflict', 'This school was changed by someone else after you opened it', {
+          current: { ...before, version: current.rows[0].version },
+          last_change: lastChange || null
+        });
+      }
+
+      // Schools row and extended attributes (fields missing from the
+      // request are left unchanged), with the 'update' history entry
+      const { school, fields } = await updateSchool(client, parseInt(id), before, req.body, req.user.username);
+
+      await client.query('COMMIT');
+
+      // A new postal code was queued for geocoding by the database; do it now
+      if (fields.some(change => change.field === 'postal_code')) {
+        geocodeInBackground(pool, parseInt(id));
+      }
+
+      // Log activity to MongoDB
+      logActivity('update_school', {
+        admin_id: req.user.user_id,
+        admin_username: req.user.username,
+        school_id: parseInt(id),
+        school_name: school_name,
+        changed_fields: fields.map(change => change.field)
+      });
+
+      res.json({ 
+        success: true, 
+        data: school,
+        message: 'School updated successfully'
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (err) {
+    const errors = constraintErrors(err);
+    if (errors) {
+      return sendValidationError(res, errors, err.code === '23505' ? 409 : 400);
+    }
+
+    sendDatabaseError(res, err, 'Failed to update school');
+  }
+});
+
+// DELETE - Archive school and all related data to the recycle bin (Admin only)
+router.delete('/:id', requireAuth, requireAdmin, SCHOOL_ID, async (req, res) => {
+  const schoolId = parseId(req.params.id);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // The school and its offerings move to the recycle bin (see school-archive.js)
+    const result = await archiveSchool(client, schoolId, req.user.username);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    await schoolHistory.recordChange(client, {
+      schoolId,
+      action: 'delete',
+      changedBy: req.user.username
+    });
+
+    await client.query('COMMIT');
+
+    // Log activity to MongoDB
+    logActivity('delete_school', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      school_id: schoolId,
+      school_name: result.archive.school_name,
+      archive_id: result.archive.archive_id
+    });
+
+    res.json({
+      success: true,
+      message: 'School moved to the recycle bin',
+      archive: result.archive
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendServerError(res, err, 'Failed to delete school');
+  } finally {
+    client.release();
+  }
+});
+
+// ========== OFFERINGS BY SCHOOL ==========
+
+// Get school subjects by ID
+router.get('/:id/subjects', SCHOOL_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+            SELECT DISTINCT subj.subject_id, subj.subject_desc
+            FROM school_subjects ss
+            JOIN subjects subj ON ss.subject_id = subj.subject_id
+            WHERE ss.school_id = $1
+            AND subj.subject_desc IS NOT NULL
+            AND TRIM(subj.subject_desc) != ''
+            ORDER BY subj.subject_desc
+        `, [id]);
+
+    res.json({ success: true, count: result.rows.length, data: result.rows });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school subjects');
+  }
+});
+
+// Get school CCAs by ID
+router.get('/:id/ccas', SCHOOL_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+            SELECT 
+                c.cca_id,
+                c.cca_grouping_desc,
+                c.cca_generic_name,
+                sc.cca_customized_name,
+                sc.school_section
+            FROM school_ccas sc
+            JOIN ccas c ON sc.cca_id = c.cca_id
+            WHERE sc.school_id = $1
+            AND c.cca_grouping_desc IS NOT NULL
+            AND TRIM(c.cca_grouping_desc) != ''
+            ORDER BY c.cca_generic_name, c.cca_grouping_desc
+        `, [id]);
+
+    res.json({ success: true, count: result.rows.length, data: result.rows });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school CCAs');
+  }
+});
+
+// Get school programmes by ID
+router.get('/:id/programmes', SCHOOL_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+            SELECT DISTINCT p.programme_id, p.moe_programme_desc
+            FROM school_programmes sp
+            JOIN programmes p ON sp.programme_id = p.programme_id
+            WHERE sp.school_id = $1
+            AND p.moe_programme_desc IS NOT NULL
+            AND TRIM(p.moe_programme_desc) != ''
+            ORDER BY p.moe_programme_desc
+        `, [id]);
+
+    res.json({ success: true, count: result.rows.length, data: result.rows });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school programmes');
+  }
+});
+
+// Get school distinctive programmes by ID
+router.get('/:id/distinctives', SCHOOL_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(`
+            SELECT DISTINCT
+                d.distinctive_id,
+                d.alp_domain,
+                d.alp_title,
+                d.llp_domain1,
+                d.llp_title
+            FROM school_distinctives sd
+            JOIN distinctive_programmes d ON sd.distinctive_id = d.distinctive_id
+            WHERE sd.school_id = $1
+            ORDER BY d.alp_title, d.llp_title
+        `, [id]);
+
+    res.json({ success: true, count: result.rows.length, data: result.rows });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school distinctive programmes');
+  }
+});
+
+router.get('/:id/details', SCHOOL_ID, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const query = `
+      SELECT 
+        s.*,
+        r.type_code,
+        r.nature_code,
+        r.session_code,
+        r.dgp_code,
+        r.email_address,
+        r.telephone_no,
+        r.telephone_no_2,
+        r.fax_no,
+        r.url_address,
+        r.first_vp_name,
+        r.second_vp_name,
+        r.third_vp_name,
+        r.fourth_vp_name,
+        r.fifth_vp_name,
+        r.sixth_vp_name,
+        r.autonomous_ind,
+        r.gifted_ind,
+        r.ip_ind,
+        r.sap_ind,
+        r.mothertongue1_code,
+        r.mothertongue2_code,
+        r.mothertongue3_code,
+        r.bus_desc,
+        r.mrt_desc,
+        COUNT(DISTINCT ss.subject_id) as subject_count,
+        COUNT(DISTINCT sc.cca_id) as cca_count,
+        COUNT(DISTINCT sp.programme_id) as programme_count,
+        COUNT(DISTINCT sd.distinctive_id) as distinctive_count
+      FROM Schools s
+      LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+      LEFT JOIN School_Subjects ss ON s.school_id = ss.school_id
+      LEFT JOIN School_CCAs sc ON s.school_id = sc.school_id
+      LEFT JOIN School_Programmes sp ON s.school_id = sp.school_id
+      LEFT JOIN School_Distinctives sd ON s.school_id = sd.school_id
+      WHERE s.school_id = $1
+      GROUP BY s.school_id, r.school_id
+    `;
+
+    const result = await pool.query(query, [id]);
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'school_not_found', 'School not found');
+    }
+
+    res.json({
+      success: true,
+      school: result.rows[0]
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school details');
+  }
+});
+
+// ========== CHANGE HISTORY (Admin only) ==========
+
+// Field-level history of a school, newest first (see school-history.js).
+// Query: field (e.g. principal_name, ccas) and limit. Kept after the
+// school is deleted, so it also answers what a deleted school looked like.
+router.get('/:id/history', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  query: { field: text(), limit: integer({ min: 1, max: schoolHistory.MAX_HISTORY_LIMIT }) }
+}), async (req, res) => {
+  const schoolId = parseId(req.params.id);
+
+  const field = req.query.field || null;
+  if (field && !schoolHistory.isHistoryField(field)) {
+    return sendValidationError(res, [
+      { location: 'query', field: 'field', code: 'invalid_value', message: `Unknown field '${field}'` }
+    ]);
+  }
+
+  const limit = req.query.limit ? parseId(req.query.limit) : schoolHistory.DEFAULT_HISTORY_LIMIT;
+
+  try {
+    const changes = await schoolHistory.getSchoolHistory(pool, schoolId, { field, limit });
+
+    res.json({
+      success: true,
+      school_id: schoolId,
+      count: changes.length,
+      changes
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load school history');
+  }
+});
+
+// REVERT - Put a school back to the version saved with one of its changes
+router.post('/:id/history/:changeId/revert', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()), changeId: required(recordId()) }
+}), async (req, res) => {
+  const schoolId = parseId(req.params.id);
+  const changeId = parseId(req.params.changeId);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await schoolHistory.revertSchool(client, schoolId, changeId, req.user.username);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, result.error.status, null, result.error.message);
+    }
+
+    await client.query('COMMIT');
+
+    logActivity('revert_school', {
+      admin_id: req.user.id,
+      admin_username: req.user.username,
+      school_id: schoolId,
+      school_name: result.school.school_name,
+      reverted_to: changeId,
+      changed_fields: result.change.fields.map(change => change.field),
+      skipped_offerings: result.skipped.length
+    });
+
+    res.json({
+      success: true,
+      message: result.skipped.length > 0
+        ? `School reverted; ${result.skipped.length} offering(s) refer to retired or missing entries and were left out`
+        : 'School reverted',
+      school: result.school,
+      change: result.change,
+      skipped: result.skipped
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    // uq_school_name (409): another school took the name in the meantime
+    sendDatabaseError(res, err, 'Failed to revert school');
+  } finally {
+    client.release();
+  }
+});
+
+// ========== OFFERINGS MANAGEMENT (Admin only) ==========
+// POST   /:id/<type>          add an offering (by master id or description)
+// PUT    /:id/<type>/:itemId  point it at another entry / edit CCA details
+// DELETE /:id/<type>/:itemId  remove it
+// POST   /:id/offerings       apply a list of the above in one transaction
+// where <type> is subjects, ccas, programmes or distinctives and :itemId is
+// the master id (subject_id, cca_id, ...) returned by GET /:id/<type>.
+
+// Upper bound for one batch from the offerings editor
+const MAX_BATCH_CHANGES = 200;
+
+// Apply offering changes for one school in a single transaction and log each
+// of them. Responds itself on failure; returns the results on success.
+async function applyOfferingChanges(req, res, changes) {
+  const schoolId = parseId(req.params.id);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const schoolResult = await client.query(
+      'SELECT school_id, school_name FROM Schools WHERE school_id = $1 FOR UPDATE',
+      [schoolId]
+    );
+
+    if (schoolResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      sendError(res, 404, 'school_not_found', 'School not found');
+      return null;
+    }
+
+    const results = [];
+    for (const [index, change] of changes.entries()) {
+      const result = await applyOfferingChange(client, schoolId, change);
+
+      if (result.error) {
+        await client.query('ROLLBACK');
+        if (changes.length > 1) {
+          sendError(res, result.error.status, null, `Change ${index + 1}: ${result.error.message}`, { failed_index: index });
+        } else {
+          sendError(res, result.error.status, null, result.error.message);
+        }
+        return null;
+      }
+      results.push(result);
+    }
+
+    await schoolHistory.recordChange(client, {
+      schoolId,
+      action: 'offerings',
+      changedBy: req.user.username,
+      fields: results.flatMap(schoolHistory.offeringFieldChanges)
+    });
+
+    await client.query('COMMIT');
+
+    const school = schoolResult.rows[0];
+    results.forEach(result => {
+      logActivity(`${result.action}_school_offering`, {
+        admin_id: req.user.id,
+        admin_username: req.user.username,
+        school_id: school.school_id,
+        school_name: school.school_name,
+        offering_type: result.type,
+        item: describeOffering(OFFERING_TYPES[result.type], result.offering),
+        ...(result.before && { previous: result.before }),
+        master_created: Boolean(result.masterCreated)
+      });
+    });
+
+    return results;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    sendDatabaseError(res, err, 'Failed to save offering changes');
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Shape of one applied change in API responses
+const offeringResponse = result => ({
+  type: result.type,
+  action: result.action,
+  offering: result.offering,
+  master_created: Boolean(result.masterCreated)
+});
+
+// BATCH - Apply the offerings editor's pending changes (Admin only)
+// Body: { changes: [{ type, action: 'add' | 'update' | 'remove', item_id, ...columns }] }
+router.post('/:id/offerings', requireAuth, requireAdmin, validate({
+  params: { id: required(recordId()) },
+  body: { changes: required(array({ max: MAX_BATCH_CHANGES })) }
+}), async (req, res) => {
+  const { changes } = req.body;
+
+  if (changes.length === 0) {
+    return sendValidationError(res, [
+      { location: 'body', field: 'changes', code: 'required', message: 'changes must not be empty' }
+    ]);
+  }
+
+  const results = await applyOfferingChanges(req, res, changes);
+  if (!results) return;
+
+  res.json({
+    success: true,
+    message: `${results.length} offering change(s) saved`,
+    results: results.map(offeringResponse)
+  });
+});
+
+Object.keys(OFFERING_TYPES).forEach(type => {
+  const { label } = OFFERING_TYPES[type];
+
+  // CREATE - Add an offering to a school (Admin only)
+  router.post(`/:id/${type}`, requireAuth, requireAdmin, SCHOOL_ID, async (req, res) => {
+    const results = await applyOfferingChanges(req, res, [{ ...req.body, type, action: 'add' }]);
+    if (!results) return;
+
+    res.status(201).json({
+      success: true,
+      message: `School ${label} added successfully`,
+      ...offeringResponse(results[0])
+    });
+  });
+
+  // UPDATE - Change an existing offering (Admin only)
+  router.put(`/:id/${type}/:itemId`, requireAuth, requireAdmin, OFFERING_ITEM, async (req, res) => {
+    const results = await applyOfferingChanges(req, res, [
+      { ...req.body, type, action: 'update', item_id: req.params.itemId }
+    ]);
+    if (!results) return;
+
+    res.json({
+      success: true,
+      message: `School ${label} updated successfully`,
+      ...offeringResponse(results[0])
+    });
+  });
+
+  // DELETE - Remove an offering from a school (Admin only)
+  router.delete(`/:id/${type}/:itemId`, requireAuth, requireAdmin, OFFERING_ITEM, async (req, res) => {
+    const results = await applyOfferingChanges(req, res, [
+      { type, action: 'remove', item_id: req.params.itemId }
+    ]);
+    if (!results) return;
+
+    res.json({
+      success: true,
+      message: `School ${label} removed successfully`,
+      ...offeringResponse(results[0])
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,394 @@
+// ========== SEARCH ROUTES ==========
+// Universal search across schools and offerings, plus advanced search.
+// Mounted at /api/search.
+const express = require('express');
+const pool = require('../pg-connection');
+const { logActivity } = require('../activity-log');
+const { buildSchoolFilter } = require('../school-filter');
+const {
+  validate, required, text, oneOf, recordId, SEARCH_CRITERIA_RULES
+} = require('../validation');
+const { listQuery, readListOptions, queryPage } = require('../list-options');
+const { sendError, sendServerError } = require('../api-errors');
+
+const router = express.Router();
+
+// ========== UNIVERSAL SEARCH ==========
+
+// One query per result category; $1 is the search pattern
+const UNIVERSAL_QUERIES = {
+  // --- Schools ---
+  schools: `
+      SELECT 
+        'school' AS type,
+        s.school_id AS id,
+        s.school_name AS name,
+        s.address AS description,
+        s.zone_code,
+        s.mainlevel_code,
+        s.principal_name,
+        s.school_id
+      FROM schools s
+      WHERE s.school_name ILIKE $1
+         OR s.address ILIKE $1
+         OR s.principal_name ILIKE $1
+  `,
+
+  // --- Subjects ---
+  subjects: `
+      SELECT 
+        'subject' AS type,
+        s.school_id,
+        s.school_name AS name,
+        subj.subject_desc AS description,
+        s.zone_code,
+        s.mainlevel_code
+      FROM subjects subj
+        JOIN school_subjects ss ON subj.subject_id = ss.subject_id
+        JOIN schools s ON ss.school_id = s.school_id
+      WHERE subj.subject_desc ILIKE $1
+        AND subj.subject_desc IS NOT NULL
+        AND TRIM(subj.subject_desc) != ''
+  `,
+
+  // --- CCAs ---
+  ccas: `
+      SELECT 
+        'cca' AS type,
+        sch.school_id,
+        sch.school_name AS name,
+        c.cca_grouping_desc AS description,
+        c.cca_generic_name AS cca_category,
+        sch.zone_code,
+        sch.mainlevel_code
+      FROM CCAs c
+      JOIN School_CCAs sc ON c.cca_id = sc.cca_id
+      JOIN Schools sch ON sc.school_id = sch.school_id
+      WHERE 
+        c.cca_grouping_desc ILIKE $1
+        OR c.cca_generic_name ILIKE $1
+        OR sc.cca_customized_name ILIKE $1
+  `,
+
+  // --- Programmes ---
+  programmes: `
+      SELECT 
+        'programme' AS type,
+        sch.school_id,
+        sch.school_name AS name,
+        p.moe_programme_desc AS description,
+        sch.zone_code,
+        sch.mainlevel_code
+      FROM programmes p
+      JOIN school_programmes sp ON p.programme_id = sp.programme_id
+      JOIN schools sch ON sp.school_id = sch.school_id
+      WHERE p.moe_programme_desc ILIKE $1
+        AND p.moe_programme_desc IS NOT NULL
+        AND TRIM(p.moe_programme_desc) != ''
+  `,
+
+  // --- Distinctive Programmes (ALP / LLP) ---
+  distinctives: `
+      SELECT 
+        'distinctive' AS type,
+        sch.school_id,
+        sch.school_name AS name,
+        COALESCE(d.alp_title, d.llp_title, 'Distinctive Programme') AS description,
+        sch.zone_code,
+        sch.mainlevel_code
+      FROM distinctive_programmes d
+      JOIN school_distinctives sd ON d.distinctive_id = sd.distinctive_id
+      JOIN schools sch ON sd.school_id = sch.school_id
+      WHERE 
+        COALESCE(d.alp_title, '') ILIKE $1 OR
+        COALESCE(d.llp_title, '') ILIKE $1 OR
+        COALESCE(d.alp_domain, '') ILIKE $1 OR
+        COALESCE(d.llp_domain1, '') ILIKE $1
+  `
+};
+
+// Each category is paged on its own (?limit= / ?offset= apply per category);
+// ?type= asks for one category, e.g. the next page of subjects
+const UNIVERSAL_LIST = {
+  sorts: ['name', 'description', 'zone_code', 'mainlevel_code'],
+  defaultSort: 'name',
+  tiebreak: 'school_id, description',
+  fields: ['type', 'id', 'school_id', 'name', 'description', 'zone_code', 'mainlevel_code', 'principal_name', 'cca_category'],
+  defaultLimit: 20
+};
+
+// Universal Search - search across all tables
+router.get('/universal', validate({
+  query: {
+    query: required(text({ max: 200 })),
+    type: oneOf(Object.keys(UNIVERSAL_QUERIES), 'invalid_type'),
+    ...listQuery(UNIVERSAL_LIST)
+  }
+}), async (req, res) => {
+  try {
+    const { query, type } = req.query;
+    const options = readListOptions(req.query, UNIVERSAL_LIST);
+
+    const searchTerm = `%${query.trim()}%`;
+    const categories = type ? [type] : Object.keys(UNIVERSAL_QUERIES);
+
+    // --- Execute all in parallel ---
+    const pages = await Promise.all(categories.map(category =>
+      queryPage(pool, UNIVERSAL_QUERIES[category], [searchTerm], options, UNIVERSAL_LIST)
+    ));
+
+    // --- Combine results: a page of each category, totals over all matches ---
+    const results = { total: 0 };
+    const pagination = {};
+    categories.forEach((category, index) => {
+      results[category] = pages[index].rows;
+      pagination[category] = pages[index].pagination;
+      results.total += pages[index].pagination.total;
+    });
+
+    // --- Optional MongoDB logging ---
+    if (typeof logActivity === 'function') {
+      logActivity('universal_search', {
+        query,
+        total_results: results.total,
+        breakdown: Object.fromEntries(categories.map(category => [category, pagination[category].total]))
+      });
+    }
+
+    return res.json({
+      success: true,
+      query,
+      results,
+      pagination
+    });
+  } catch (err) {
+    sendServerError(res, err, 'Universal search failed');
+  }
+});
+
+// Get details for a specific item found in universal search (PUBLIC)
+router.get('/details/:type/:id', validate({
+  params: {
+    type: required(oneOf(['school', 'subject', 'cca', 'programme', 'distinctive'], 'invalid_type')),
+    id: required(recordId())
+  }
+}), async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    let query, params;
+
+    switch (type) {
+      case 'school':
+        query = `
+          SELECT 
+            s.*,
+            COUNT(DISTINCT ss.subject_id) as subject_count,
+            COUNT(DISTINCT sc.cca_id) as cca_count,
+            COUNT(DISTINCT sp.programme_id) as programme_count
+          FROM Schools s
+          LEFT JOIN School_Subjects ss ON s.school_id = ss.school_id
+          LEFT JOIN School_CCAs sc ON s.school_id = sc.school_id
+          LEFT JOIN School_Programmes sp ON s.school_id = sp.school_id
+          WHERE s.school_id = $1
+          GROUP BY s.school_id
+        `;
+        params = [id];
+        break;
+
+      case 'subject':
+        query = `
+          SELECT 
+            s.subject_desc,
+            JSON_AGG(
+              JSON_BUILD_OBJECT(
+                'school_id', sch.school_id,
+                'school_name', sch.school_name,
+                'zone_code', sch.zone_code
+              )
+            ) as schools
+          FROM Subjects s
+          LEFT JOIN School_Subjects ss ON s.subject_id = ss.subject_id
+          LEFT JOIN Schools sch ON ss.school_id = sch.school_id
+          WHERE s.subject_id = $1
+          GROUP BY s.subject_id, s.subject_desc
+        `;
+        params = [id];
+        break;
+
+      case 'cca':
+        query = `
+          SELECT 
+            c.cca_generic_name,
+            JSON_AGG(
+              JSON_BUILD_Object(
+                'school_id', sch.school_id,
+                'school_name', sch.school_name,
+                'customized_name', sc.cca_customized_name,
+                'zone_code', sch.zone_code
+              )
+            ) as schools
+          FROM CCAs c
+          LEFT JOIN School_CCAs sc ON c.cca_id = sc.cca_id
+          LEFT JOIN Schools sch ON sc.school_id = sch.school_id
+          WHERE c.cca_id = $1
+          GROUP BY c.cca_id, c.cca_generic_name
+        `;
+        params = [id];
+        break;
+
+      case 'programme':
+        query = `
+          SELECT 
+            p.moe_programme_desc,
+            JSON_AGG(
+              JSON_BUILD_OBJECT(
+                'school_id', sch.school_id,
+                'school_name', sch.school_name,
+                'zone_code', sch.zone_code
+              )
+            ) as schools
+          FROM Programmes p
+          LEFT JOIN School_Programmes sp ON p.programme_id = sp.programme_id
+          LEFT JOIN Schools sch ON sp.school_id = sch.school_id
+          WHERE p.programme_id = $1
+          GROUP BY p.programme_id, p.moe_programme_desc
+        `;
+        params = [id];
+        break;
+
+      case 'distinctive':
+        query = `
+          SELECT 
+            d.*,
+            JSON_AGG(
+              JSON_BUILD_OBJECT(
+                'school_id', sch.school_id,
+                'school_name', sch.school_name,
+                'zone_code', sch.zone_code
+              )
+            ) as schools
+          FROM Distinctive_Programmes d
+          LEFT JOIN School_Distinctives sd ON d.distinctive_id = sd.distinctive_id
+          LEFT JOIN Schools sch ON sd.school_id = sch.school_id
+          WHERE d.distinctive_id = $1
+          GROUP BY d.distinctive_id
+        `;
+        params = [id];
+        break;
+
+      default:
+        return sendError(res, 400, 'invalid_type', 'Invalid type');
+    }
+
+    const result = await pool.query(query, params);
+
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'not_found', 'Item not found');
+    }
+
+    res.json({
+      success: true,
+      type: type,
+      data: result.rows[0]
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'Failed to load item details');
+  }
+});
+
+// ========== ADVANCED SEARCH ==========
+
+// Pages of matching schools; the criteria are in the body, the list
+// options in the query string (POST /api/search/advanced?limit=50&offset=50)
+const ADVANCED_LIST = {
+  sorts: ['school_name', 'principal_name', 'postal_code', 'zone_code', 'mainlevel_code'],
+  defaultSort: 'school_name',
+  tiebreak: 'school_id',
+  fields: [
+    'school_id', 'school_name', 'principal_name', 'address', 'postal_code', 'zone_code', 'mainlevel_code',
+    'email_address', 'telephone_no', 'first_vp_name', 'second_vp_name', 'type_code', 'nature_code',
+    'session_code', 'dgp_code', 'mothertongue1_code', 'mothertongue2_code', 'mothertongue3_code',
+    'autonomous_ind', 'gifted_ind', 'ip_ind', 'sap_ind', 'bus_desc', 'mrt_desc'
+  ],
+  defaultLimit: 100
+};
+
+router.post('/advanced', validate({
+  query: listQuery(ADVANCED_LIST),
+  body: SEARCH_CRITERIA_RULES
+}), async (req, res) => {
+  try {
+    const searchParams = req.body;
+    const options = readListOptions(req.query, ADVANCED_LIST);
+
+    if (Object.keys(searchParams).length === 0) {
+      return sendError(res, 400, 'criteria_required', 'At least one search parameter is required');
+    }
+
+    // Criteria, joins and parameters (see school-filter.js)
+    const filter = buildSchoolFilter(searchParams);
+
+    // ===== BASE QUERY WITH RAW_GENERAL_INFO JOIN =====
+    let query = `
+      SELECT DISTINCT
+        s.school_id,
+        s.school_name,
+        s.principal_name,
+        s.address,
+        s.postal_code,
+        s.zone_code,
+        s.mainlevel_code,
+        NULLIF(NULLIF(TRIM(r.email_address), ''), 'NA') as email_address,
+        NULLIF(NULLIF(TRIM(r.telephone_no), ''), 'NA') as telephone_no,
+        NULLIF(NULLIF(TRIM(r.first_vp_name), ''), 'NA') as first_vp_name,
+        NULLIF(NULLIF(TRIM(r.second_vp_name), ''), 'NA') as second_vp_name,
+        NULLIF(NULLIF(TRIM(r.type_code), ''), 'NA') as type_code,
+        NULLIF(NULLIF(TRIM(r.nature_code), ''), 'NA') as nature_code,
+        NULLIF(NULLIF(TRIM(r.session_code), ''), 'NA') as session_code,
+        NULLIF(NULLIF(TRIM(r.dgp_code), ''), 'NA') as dgp_code,
+        NULLIF(NULLIF(TRIM(r.mothertongue1_code), ''), 'NA') as mothertongue1_code,
+        NULLIF(NULLIF(TRIM(r.mothertongue2_code), ''), 'NA') as mothertongue2_code,
+        NULLIF(NULLIF(TRIM(r.mothertongue3_code), ''), 'NA') as mothertongue3_code,
+        r.autonomous_ind,
+        r.gifted_ind,
+        r.ip_ind,
+        r.sap_ind,
+        NULLIF(NULLIF(TRIM(r.bus_desc), ''), 'NA') as bus_desc,
+        NULLIF(NULLIF(TRIM(r.mrt_desc), ''), 'NA') as mrt_desc
+      ${filter.from}
+    `;
+
+    // ===== WHERE CLAUSE =====
+    if (filter.where.length > 0) {
+      query += ` WHERE ${filter.where.join(' AND ')}`;
+    }
+
+    console.log('Advanced Search Query:', query);
+    console.log('Parameters:', filter.params);
+    console.log('Criteria count:', Object.keys(searchParams).length);
+
+    // ===== ORDER AND PAGE (see list-options.js) =====
+    const page = await queryPage(pool, query, filter.params, options, ADVANCED_LIST);
+
+    // Log to MongoDB
+    await logActivity('advanced_search', {
+      criteria_count: Object.keys(searchParams).length,
+      criteria: searchParams,
+      results_count: page.pagination.total
+    });
+
+    res.json({
+      success: true,
+      results: page.rows,
+      count: page.pagination.total,
+      criteria: searchParams,
+      pagination: page.pagination
+    });
+
+  } catch (err) {
+    sendServerError(res, err, 'Advanced search failed');
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,10 @@
 --
 -- Database: PostgreSQL (via Supabase)
 -- Companion NoSQL: MongoDB Atlas (for activity logging)
+--
+-- NOTE: The schema is now managed by the versioned migrations in
+-- backend/migrations (run: node backend/migrate.js up). This file is
+-- kept as a reference for the original design and the ER diagram.
 -- ========================================
 
 -- ========================================
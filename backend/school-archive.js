@@ -0,0 +1,249 @@
+// ========== SCHOOL ARCHIVE (Recycle bin) ==========
+// Deleting a school archives it: the Schools row and every row that hangs
+// off it are saved as one JSONB snapshot in Archived_Schools before the
+// school is deleted. Restoring re-inserts the rows under the original
+// school_id. Archives older than the retention period are purged.
+//
+// Like offerings.js, the archive functions work on a client inside the
+// caller's transaction and return { error: { status, message } } for bad
+// input.
+
+const { OFFERING_TYPES, describeOffering } = require('./offerings');
+
+// Days an archived school can be restored; 0 keeps archives forever
+const configuredRetention = parseInt(process.env.SCHOOL_ARCHIVE_RETENTION_DAYS, 10);
+const RETENTION_DAYS = Number.isNaN(configuredRetention) ? 30 : configuredRetention;
+
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Tables with a school_id column saved alongside the school, in restore order
+const RELATED_TABLES = [
+  'raw_general_info',
+  ...Object.values(OFFERING_TYPES).map(definition => definition.table),
+  'School_Name_Aliases'
+];
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// Columns shared by the recycle bin list and the archive responses
+const ARCHIVE_COLUMNS = `
+  archive_id, school_id, school_name, archived_by, archived_at,
+  CASE WHEN $1::int > 0 THEN archived_at + make_interval(days => $1::int) END AS purge_after,
+  jsonb_array_length(snapshot->'School_Subjects') AS subject_count,
+  jsonb_array_length(snapshot->'School_CCAs') AS cca_count,
+  jsonb_array_length(snapshot->'School_Programmes') AS programme_count,
+  jsonb_array_length(snapshot->'School_Distinctives') AS distinctive_count`;
+
+// The Schools row and the school's rows in `tables` as one object:
+// { school, <table>: [rows] }. Returns null when the school does not exist.
+async function snapshotSchool(client, schoolId, tables = RELATED_TABLES) {
+  const school = await client.query(
+    'SELECT to_jsonb(s) AS row FROM Schools s WHERE school_id = $1',
+    [schoolId]
+  );
+  if (school.rows.length === 0) return null;
+
+  const snapshot = { school: school.rows[0].row };
+  for (const table of tables) {
+    const rows = await client.query(
+      `SELECT COALESCE(jsonb_agg(to_jsonb(t)), '[]'::jsonb) AS rows FROM ${table} t WHERE school_id = $1`,
+      [schoolId]
+    );
+    snapshot[table] = rows.rows[0].rows;
+  }
+  return snapshot;
+}
+
+// Save a school and its related rows to the recycle bin, then delete it.
+// Returns { archive }.
+async function archiveSchool(client, schoolId, archivedBy) {
+  const school = await client.query(
+    'SELECT school_name FROM Schools WHERE school_id = $1 FOR UPDATE',
+    [schoolId]
+  );
+  if (school.rows.length === 0) return failure(404, 'School not found');
+
+  const snapshot = await snapshotSchool(client, schoolId);
+
+  const archive = await client.query(
+    `INSERT INTO Archived_Schools (school_id, school_name, snapshot, archived_by)
+     VALUES ($2, $3, $4, $5)
+     RETURNING ${ARCHIVE_COLUMNS}`,
+    [RETENTION_DAYS, schoolId, school.rows[0].school_name, snapshot, archivedBy]
+  );
+
+  // Related rows go with it through ON DELETE CASCADE
+  await client.query('DELETE FROM Schools WHERE school_id = $1', [schoolId]);
+
+  return { archive: archive.rows[0] };
+}
+
+// Re-link snapshot offerings of one type. Links to entries merged since the
+// snapshot follow the merge; links to retired or missing entries are skipped.
+// Returns { restored, skipped }.
+async function restoreOfferings(client, type, rows) {
+  const definition = OFFERING_TYPES[type];
+  const { table, idColumn, master } = definition;
+  if (rows.length === 0) return { restored: 0, skipped: [] };
+
+  const entries = await client.query(
+    `SELECT ${idColumn}, ${master.columns.join(', ')}, retired_at, merged_into
+     FROM ${master.table}
+     WHERE ${idColumn} = ANY($1::int[])`,
+    [rows.map(row => row[idColumn])]
+  );
+  const entriesById = new Map(entries.rows.map(entry => [entry[idColumn], entry]));
+
+  const linked = [];
+  const skipped = [];
+  rows.forEach(row => {
+    const entry = entriesById.get(row[idColumn]);
+    if (entry && entry.merged_into) {
+      linked.push({ ...row, [idColumn]: entry.merged_into });
+    } else if (entry && !entry.retired_at) {
+      linked.push(row);
+    } else {
+      skipped.push({
+        type,
+        [idColumn]: row[idColumn],
+        item: entry ? describeOffering(definition, entry) : null,
+        reason: entry ? 'retired' : 'missing'
+      });
+    }
+  });
+
+  const inserted = await client.query(
+    `INSERT INTO ${table}
+     SELECT * FROM jsonb_populate_recordset(NULL::${table}, $1)
+     ON CONFLICT DO NOTHING`,
+    [JSON.stringify(linked)]
+  );
+
+  return { restored: inserted.rowCount, skipped };
+}
+
+// Put an archived school back under its original school_id.
+// Returns { school, restored: { <type>: count }, skipped: [...] }.
+async function restoreSchool(client, archiveId) {
+  const archive = await client.query(
+    'SELECT * FROM Archived_Schools WHERE archive_id = $1 FOR UPDATE',
+    [archiveId]
+  );
+  if (archive.rows.length === 0) return failure(404, 'Archived school not found');
+
+  const { school_id: schoolId, school_name: schoolName, snapshot } = archive.rows[0];
+
+  const clash = await client.query(
+    'SELECT school_id FROM Schools WHERE school_id = $1 OR UPPER(school_name) = UPPER($2)',
+    [schoolId, schoolName]
+  );
+  if (clash.rows.length > 0) {
+    return failure(409, `A school named '${schoolName}' already exists; rename or delete it before restoring`);
+  }
+
+  const school = await client.query(
+    `INSERT INTO Schools
+     SELECT * FROM jsonb_populate_record(NULL::Schools, $1)
+     RETURNING *`,
+    [snapshot.school]
+  );
+
+  await client.query(
+    `INSERT INTO raw_general_info
+     SELECT * FROM jsonb_populate_recordset(NULL::raw_general_info, $1)`,
+    [JSON.stringify(snapshot.raw_general_info || [])]
+  );
+
+  const restored = {};
+  const skipped = [];
+  for (const [type, definition] of Object.entries(OFFERING_TYPES)) {
+    const result = await restoreOfferings(client, type, snapshot[definition.table] || []);
+    restored[type] = result.restored;
+    skipped.push(...result.skipped);
+  }
+
+  // An alias may have been given to another school in the meantime
+  await client.query(
+    `INSERT INTO School_Name_Aliases
+     SELECT * FROM jsonb_populate_recordset(NULL::School_Name_Aliases, $1)
+     ON CONFLICT DO NOTHING`,
+    [JSON.stringify(snapshot.School_Name_Aliases || [])]
+  );
+
+  await client.query('DELETE FROM Archived_Schools WHERE archive_id = $1', [archiveId]);
+
+  return { school: school.rows[0], restored, skipped };
+}
+
+// Archived schools, most recently deleted first
+async function listArchivedSchools(client) {
+  const result = await client.query(
+    `SELECT ${ARCHIVE_COLUMNS}
+     FROM Archived_Schools
+     ORDER BY archived_at DESC`,
+    [RETENTION_DAYS]
+  );
+  return result.rows;
+}
+
+// Delete one archive for good. Returns { archive }.
+async function purgeArchivedSchool(client, archiveId) {
+  const result = await client.query(
+    `DELETE FROM Archived_Schools WHERE archive_id = $1
+     RETURNING archive_id, school_id, school_name, archived_at`,
+    [archiveId]
+  );
+  return result.rows.length > 0
+    ? { archive: result.rows[0] }
+    : failure(404, 'Archived school not found');
+}
+
+// Delete archives older than the retention period; returns the purged rows
+async function purgeExpiredArchives(client, retentionDays = RETENTION_DAYS) {
+  if (retentionDays <= 0) return [];
+
+  const result = await client.query(
+    `DELETE FROM Archived_Schools
+     WHERE archived_at < NOW() - make_interval(days => $1::int)
+     RETURNING archive_id, school_id, school_name, archived_at`,
+    [retentionDays]
+  );
+  return result.rows;
+}
+
+// Purge expired archives now and once a day; onPurge receives the purged rows
+function scheduleArchivePurge(pool, onPurge = () => {}) {
+  if (RETENTION_DAYS <= 0) {
+    console.log('🗑️  Recycle bin: retention disabled, archived schools are kept');
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredArchives(pool);
+      if (purged.length > 0) {
+        console.log(`🗑️  Recycle bin: purged ${purged.length} school(s) archived over ${RETENTION_DAYS} days ago`);
+        onPurge(purged);
+      }
+    } catch (err) {
+      console.error('Recycle bin purge error:', err.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  snapshotSchool,
+  restoreOfferings,
+  archiveSchool,
+  restoreSchool,
+  listArchivedSchools,
+  purgeArchivedSchool,
+  purgeExpiredArchives,
+  scheduleArchivePurge
+};
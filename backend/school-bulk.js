@@ -0,0 +1,290 @@
+// ========== SCHOOL BULK EDITS ==========
+// Apply one patch to every school matching a filter:
+//   filter - advanced search criteria (see school-filter.js) and/or school_ids
+//   patch  - { fields: { dgp_code: 'X', sap_ind: 'Yes', ... },
+//              offerings: [{ type, action: 'add' | 'remove', ...entry }] }
+//
+// The edit is applied school by school inside the caller's transaction;
+// a dry run is the same call rolled back by the caller, so the preview
+// lists exactly what applying would change. Each changed school gets a
+// 'bulk' entry in its history, linked to one School_Bulk_Edits row.
+// Functions return { error: { status, message } } for bad input, with
+// per-field `errors` for values in a bad format.
+
+const { SCHOOL_COLUMNS, normaliseValue, saveGeneralInfo } = require('./dataset-loader');
+const {
+  OFFERING_TYPES, parseId, readOfferingInput, resolveMaster, applyOfferingChange, describeOffering
+} = require('./offerings');
+const { FILTER_CRITERIA, SPATIAL_CRITERIA, buildSchoolFilter } = require('./school-filter');
+const schoolHistory = require('./school-history');
+const { SCHOOL_FIELD_RULES, SEARCH_CRITERIA_RULES, checkFields } = require('./validation');
+
+// Upper bounds for one bulk edit
+const MAX_BULK_SCHOOLS = 500;
+const MAX_BULK_OFFERINGS = 20;
+
+// school_name is unique, so it cannot be given to many schools at once
+const BULK_FIELDS = schoolHistory.SCHOOL_FIELDS.filter(field => field !== 'school_name');
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// Validate a request body's filter and patch.
+// Returns { filter: { criteria, school_ids }, patch: { fields, offerings } } or { error }.
+function readBulkRequest(body = {}) {
+  const filter = body.filter || {};
+  const patch = body.patch || {};
+
+  const criteria = {};
+  FILTER_CRITERIA
+    .filter(name => filter[name] !== undefined && String(filter[name]).trim() !== '')
+    .forEach(name => {
+      // Spatial shapes are objects and lists, checked as they are
+      criteria[name] = SPATIAL_CRITERIA.includes(name) ? filter[name] : String(filter[name]).trim();
+    });
+
+  let schoolIds = null;
+  if (filter.school_ids !== undefined) {
+    if (!Array.isArray(filter.school_ids) || filter.school_ids.length === 0) {
+      return failure(400, 'filter.school_ids must be a non-empty array');
+    }
+    schoolIds = filter.school_ids.map(parseId);
+    if (schoolIds.includes(null)) return failure(400, 'filter.school_ids must hold school ids');
+  }
+
+  if (Object.keys(criteria).length === 0 && !schoolIds) {
+    return failure(400, 'filter needs at least one search criterion or school_ids');
+  }
+
+  const fields = {};
+  for (const [field, value] of Object.entries(patch.fields || {})) {
+    if (!BULK_FIELDS.includes(field)) {
+      return failure(400, `Field '${field}' cannot be bulk edited`);
+    }
+    fields[field] = normaliseValue(value);
+    if (fields[field] === null && SCHOOL_COLUMNS.includes(field)) {
+      return failure(400, `${field} is required and cannot be cleared`);
+    }
+  }
+
+  // The formats of the advanced search and of POST / PUT /api/schools
+  const invalid = [
+    ...checkFields(SEARCH_CRITERIA_RULES, criteria, 'body', 'filter.'),
+    ...checkFields(SCHOOL_FIELD_RULES, fields, 'body', 'patch.fields.')
+  ];
+  if (invalid.length > 0) {
+    return { error: { status: 400, message: invalid.map(error => error.message).join('; '), errors: invalid } };
+  }
+
+  const offerings = patch.offerings || [];
+  if (!Array.isArray(offerings)) return failure(400, 'patch.offerings must be an array');
+  if (offerings.length > MAX_BULK_OFFERINGS) {
+    return failure(400, `At most ${MAX_BULK_OFFERINGS} offering changes per bulk edit`);
+  }
+  for (const [index, operation] of offerings.entries()) {
+    if (!OFFERING_TYPES[operation.type]) {
+      return failure(400, `Offering change ${index + 1}: unknown type '${operation.type}'`);
+    }
+    if (operation.action !== 'add' && operation.action !== 'remove') {
+      return failure(400, `Offering change ${index + 1}: action must be add or remove`);
+    }
+  }
+
+  if (Object.keys(fields).length === 0 && offerings.length === 0) {
+    return failure(400, 'patch needs at least one field or offering change');
+  }
+
+  return {
+    filter: { criteria, school_ids: schoolIds },
+    patch: { fields, offerings }
+  };
+}
+
+// Resolve each offering change to one master entry, once for all schools.
+// Adds may create the entry; removals only look existing ones up.
+// Returns { operations: [{ type, action, masterId, item, extras, masterCreated }] } or { error }.
+async function resolveOperations(client, offerings) {
+  const operations = [];
+
+  for (const [index, operation] of offerings.entries()) {
+    const definition = OFFERING_TYPES[operation.type];
+    const { label, idColumn, master } = definition;
+    const input = readOfferingInput(definition, { ...operation, [idColumn]: operation[idColumn] ?? operation.item_id });
+
+    let masterId;
+    let masterCreated = false;
+    if (operation.action === 'add' || input.masterId !== undefined) {
+      const resolved = await resolveMaster(client, definition, input);
+      if (resolved.error) {
+        return failure(resolved.error.status, `Offering change ${index + 1}: ${resolved.error.message}`);
+      }
+      masterId = resolved.id;
+      masterCreated = resolved.created;
+    } else if (input.entry) {
+      const conditions = master.columns
+        .map((column, i) => `UPPER(COALESCE(${column}, '')) = UPPER(COALESCE($${i + 1}, ''))`)
+        .join(' AND ');
+      const existing = await client.query(
+        `SELECT ${idColumn} FROM ${master.table}
+         WHERE ${conditions}
+         ORDER BY retired_at IS NOT NULL, ${idColumn}
+         LIMIT 1`,
+        master.columns.map(column => input.entry[column])
+      );
+      if (existing.rows.length === 0) {
+        return failure(404, `Offering change ${index + 1}: no ${label} matches the description`);
+      }
+      masterId = existing.rows[0][idColumn];
+    } else {
+      return failure(400, `Offering change ${index + 1}: ${idColumn} or ${master.columns.join(' / ')} is required`);
+    }
+
+    const entry = await client.query(
+      `SELECT ${master.columns.join(', ')} FROM ${master.table} WHERE ${idColumn} = $1`,
+      [masterId]
+    );
+
+    operations.push({
+      type: operation.type,
+      action: operation.action,
+      masterId,
+      item: describeOffering(definition, entry.rows[0]),
+      extras: operation.action === 'add' ? input.extras : {},
+      masterCreated
+    });
+  }
+
+  return { operations };
+}
+
+// Schools matching the filter, locked for the edit, by name
+async function findSchools(client, filter) {
+  const { from, where, params } = buildSchoolFilter(filter.criteria);
+
+  if (filter.school_ids) {
+    params.push(filter.school_ids);
+    where.push(`s.school_id = ANY($${params.length}::int[])`);
+  }
+
+  const matches = await client.query(
+    `SELECT DISTINCT s.school_id ${from} WHERE ${where.join(' AND ')}`,
+    params
+  );
+  if (matches.rows.length > MAX_BULK_SCHOOLS) {
+    return failure(400, `The filter matches ${matches.rows.length} schools; at most ${MAX_BULK_SCHOOLS} can be edited at once`);
+  }
+
+  // Lock in id order, like master-data.js, so concurrent edits cannot deadlock
+  const locked = await client.query(
+    `SELECT school_id, school_name FROM Schools
+     WHERE school_id = ANY($1::int[])
+     ORDER BY school_id
+     FOR UPDATE`,
+    [matches.rows.map(row => row.school_id)]
+  );
+  const schools = locked.rows.sort((a, b) => a.school_name.localeCompare(b.school_name));
+  return { schools };
+}
+
+// Apply the patch to one school. Offerings it already has (or lacks, for
+// removals) are reported in `unchanged`. Returns { fields, unchanged } or { error }.
+async function patchSchool(client, school, patch, operations) {
+  const { school_id: schoolId } = school;
+
+  const before = await schoolHistory.readSchoolFields(client, schoolId);
+  const fields = schoolHistory.diffSchoolFields(before, { ...before, ...patch.fields });
+
+  if (fields.length > 0) {
+    const columns = SCHOOL_COLUMNS.filter(column => patch.fields[column] !== undefined);
+    const assignments = [...columns.map((column, i) => `${column} = $${i + 2}`), 'version = version + 1'];
+    await client.query(
+      `UPDATE Schools SET ${assignments.join(', ')} WHERE school_id = $1`,
+      [schoolId, ...columns.map(column => patch.fields[column])]
+    );
+    await saveGeneralInfo(client, schoolId, patch.fields);
+  }
+
+  const unchanged = [];
+  for (const operation of operations) {
+    const { idColumn } = OFFERING_TYPES[operation.type];
+    const result = await applyOfferingChange(client, schoolId, operation.action === 'add'
+      ? { type: operation.type, action: 'add', [idColumn]: operation.masterId, ...operation.extras }
+      : { type: operation.type, action: 'remove', item_id: operation.masterId });
+
+    if (result.error) {
+      // Already offered / not offered: nothing to do for this school
+      if ((operation.action === 'add' && result.error.status === 409) ||
+          (operation.action === 'remove' && result.error.status === 404)) {
+        unchanged.push({ type: operation.type, action: operation.action, item: operation.item });
+        continue;
+      }
+      return failure(result.error.status, `${school.school_name}: ${result.error.message}`);
+    }
+    fields.push(...schoolHistory.offeringFieldChanges(result));
+  }
+
+  return { fields, unchanged };
+}
+
+// Apply a request from readBulkRequest to every matching school.
+// Returns { bulk, operations, schools: [{ school_id, school_name, change_id, fields, unchanged }] } or { error }.
+async function applyBulkEdit(client, request, appliedBy) {
+  const resolved = await resolveOperations(client, request.patch.offerings);
+  if (resolved.error) return resolved;
+
+  const found = await findSchools(client, request.filter);
+  if (found.error) return found;
+
+  const bulk = await client.query(
+    `INSERT INTO School_Bulk_Edits (filter, patch, applied_by)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [request.filter, request.patch, appliedBy]
+  );
+  const { bulk_id: bulkId } = bulk.rows[0];
+
+  const schools = [];
+  for (const school of found.schools) {
+    const result = await patchSchool(client, school, request.patch, resolved.operations);
+    if (result.error) return result;
+
+    const change = await schoolHistory.recordChange(client, {
+      schoolId: school.school_id,
+      action: 'bulk',
+      changedBy: appliedBy,
+      fields: result.fields,
+      bulkId
+    });
+
+    schools.push({
+      school_id: school.school_id,
+      school_name: school.school_name,
+      change_id: change ? change.change_id : null,
+      fields: result.fields,
+      unchanged: result.unchanged
+    });
+  }
+
+  const updated = await client.query(
+    'UPDATE School_Bulk_Edits SET school_count = $2 WHERE bulk_id = $1 RETURNING *',
+    [bulkId, schools.filter(school => school.fields.length > 0).length]
+  );
+
+  return {
+    bulk: updated.rows[0],
+    operations: resolved.operations.map(operation => ({
+      type: operation.type,
+      action: operation.action,
+      item_id: operation.masterId,
+      item: operation.item,
+      master_created: operation.masterCreated
+    })),
+    schools
+  };
+}
+
+module.exports = {
+  MAX_BULK_SCHOOLS,
+  BULK_FIELDS,
+  readBulkRequest,
+  applyBulkEdit
+};
@@ -0,0 +1,53 @@
+// ========== SCHOOL COLUMNS ==========
+// Column lists of Schools, raw_general_info and the distinctive programmes,
+// the values they allow, and how incoming values are normalised. Shared by
+// the dataset loader, the school write paths, the offerings and the school
+// history, so none of them needs another's module for these.
+
+// Placeholder values used in the MOE files for "no data"
+const NA_VALUES = ['NA', 'N/A', 'NIL', 'NONE', '-'];
+
+const VALID_ZONES = ['NORTH', 'SOUTH', 'EAST', 'WEST', 'CENTRAL'];
+const VALID_MAINLEVELS = ['PRIMARY', 'SECONDARY', 'JUNIOR COLLEGE', 'CENTRALISED INSTITUTE'];
+
+// Columns stored in Schools (all required)
+const SCHOOL_COLUMNS = [
+  'school_name', 'address', 'postal_code', 'zone_code', 'mainlevel_code', 'principal_name'
+];
+
+// Columns read from the general information file
+const GENERAL_INFO_COLUMNS = [
+  'school_name', 'address', 'postal_code', 'zone_code', 'mainlevel_code', 'principal_name',
+  'type_code', 'nature_code', 'session_code', 'dgp_code',
+  'email_address', 'telephone_no', 'telephone_no_2', 'fax_no', 'url_address',
+  'first_vp_name', 'second_vp_name', 'third_vp_name', 'fourth_vp_name', 'fifth_vp_name', 'sixth_vp_name',
+  'autonomous_ind', 'gifted_ind', 'ip_ind', 'sap_ind',
+  'mothertongue1_code', 'mothertongue2_code', 'mothertongue3_code',
+  'mrt_desc', 'bus_desc'
+];
+
+// Columns stored in raw_general_info, which is keyed by school_id
+const EXTENDED_INFO_COLUMNS = GENERAL_INFO_COLUMNS.filter(column => column !== 'school_name');
+
+const DISTINCTIVE_COLUMNS = ['alp_domain', 'alp_title', 'llp_domain1', 'llp_title'];
+
+// Trim, collapse internal whitespace and turn 'na' style placeholders into null
+function normaliseValue(value) {
+  if (value === null || value === undefined) return null;
+
+  const cleaned = String(value).replace(/\s+/g, ' ').trim();
+  if (cleaned === '' || NA_VALUES.includes(cleaned.toUpperCase())) {
+    return null;
+  }
+  return cleaned;
+}
+
+module.exports = {
+  VALID_ZONES,
+  VALID_MAINLEVELS,
+  SCHOOL_COLUMNS,
+  GENERAL_INFO_COLUMNS,
+  EXTENDED_INFO_COLUMNS,
+  DISTINCTIVE_COLUMNS,
+  normaliseValue
+};
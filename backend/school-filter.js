@@ -0,0 +1,164 @@
+// ========== SCHOOL FILTER (Advanced search criteria) ==========
+// Turns the criteria accepted by POST /api/search/advanced into SQL over
+// Schools s LEFT JOIN raw_general_info r, plus the offering joins the
+// criteria need. Shared by the advanced search and the bulk edit endpoint,
+// so a bulk edit touches exactly the schools the search would list.
+// The spatial criteria (near, bbox, polygon) come from school-locations.js.
+
+const { SPATIAL_CRITERIA, spatialConditions } = require('./school-locations');
+
+// Text criteria matched with LIKE against one column
+const TEXT_CRITERIA = {
+  school_name: 's.school_name',
+  email_address: 'r.email_address',
+  type_code: 'r.type_code',
+  nature_code: 'r.nature_code',
+  session_code: 'r.session_code',
+  dgp_code: 'r.dgp_code',
+  bus_desc: 'r.bus_desc',
+  mrt_desc: 'r.mrt_desc'
+};
+
+// Text criteria matched with LIKE against any of several columns
+const MULTI_COLUMN_CRITERIA = {
+  vp_name: [
+    'r.first_vp_name', 'r.second_vp_name', 'r.third_vp_name',
+    'r.fourth_vp_name', 'r.fifth_vp_name', 'r.sixth_vp_name'
+  ],
+  mothertongue_code: ['r.mothertongue1_code', 'r.mothertongue2_code', 'r.mothertongue3_code']
+};
+
+// Exact-match criteria on Schools, falling back to raw_general_info
+const EXACT_CRITERIA = {
+  zone_code: 'COALESCE(s.zone_code, r.zone_code)',
+  mainlevel_code: 'COALESCE(s.mainlevel_code, r.mainlevel_code)'
+};
+
+// Yes/No indicators
+const INDICATOR_CRITERIA = ['autonomous_ind', 'gifted_ind', 'ip_ind', 'sap_ind'];
+
+// Offering criteria: the join they need and the column they match
+const OFFERING_JOINS = {
+  subjects: `
+        LEFT JOIN School_Subjects ss ON s.school_id = ss.school_id
+        LEFT JOIN Subjects subj ON ss.subject_id = subj.subject_id`,
+  ccas: `
+        LEFT JOIN School_CCAs sc ON s.school_id = sc.school_id
+        LEFT JOIN CCAs c ON sc.cca_id = c.cca_id`,
+  programmes: `
+        LEFT JOIN School_Programmes sp ON s.school_id = sp.school_id
+        LEFT JOIN Programmes p ON sp.programme_id = p.programme_id`,
+  distinctives: `
+        LEFT JOIN School_Distinctives sd ON s.school_id = sd.school_id
+        LEFT JOIN Distinctive_Programmes d ON sd.distinctive_id = d.distinctive_id`
+};
+
+const OFFERING_CRITERIA = {
+  subject_desc: { join: 'subjects', column: 'subj.subject_desc' },
+  cca_generic_name: { join: 'ccas', column: 'c.cca_generic_name' },
+  cca_customized_name: { join: 'ccas', column: 'sc.cca_customized_name' },
+  cca_grouping_desc: { join: 'ccas', column: 'c.cca_grouping_desc' },
+  moe_programme_desc: { join: 'programmes', column: 'p.moe_programme_desc' },
+  alp_domain: { join: 'distinctives', column: 'd.alp_domain' },
+  alp_title: { join: 'distinctives', column: 'd.alp_title' },
+  llp_domain1: { join: 'distinctives', column: 'd.llp_domain1' },
+  llp_title: { join: 'distinctives', column: 'd.llp_title' }
+};
+
+// Every criterion buildSchoolFilter understands
+const FILTER_CRITERIA = [
+  ...Object.keys(TEXT_CRITERIA),
+  'principal_name', 'address', 'postal_code',
+  ...Object.keys(MULTI_COLUMN_CRITERIA),
+  ...Object.keys(EXACT_CRITERIA),
+  ...INDICATOR_CRITERIA,
+  ...Object.keys(OFFERING_CRITERIA),
+  ...SPATIAL_CRITERIA
+];
+
+// Placeholder values the MOE files use for "no data"
+const NA_CHECK = column => `
+          ${column} IS NOT NULL
+          AND TRIM(${column}) != ''
+          AND UPPER(${column}) NOT IN ('NA', 'N/A', 'NIL', 'NONE', '-')`;
+
+// Build the FROM/WHERE part of a school query from advanced search criteria.
+// Unknown criteria are ignored. `firstParam` is the number of the first
+// placeholder, for callers that put parameters of their own before these.
+// Returns { from, where: [conditions], params, criteria: [names used] }.
+function buildSchoolFilter(criteria = {}, firstParam = 1) {
+  const where = [];
+  const params = [];
+  const used = [];
+  const joins = new Set();
+  const next = value => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+
+  Object.entries(TEXT_CRITERIA).forEach(([name, column]) => {
+    if (!criteria[name]) return;
+    used.push(name);
+    where.push(`LOWER(${column}) LIKE LOWER(${next(`%${criteria[name]}%`)}) AND ${NA_CHECK(column)}`);
+  });
+
+  // Schools columns with the raw_general_info copy as a fallback
+  ['principal_name', 'address'].forEach(name => {
+    if (!criteria[name]) return;
+    used.push(name);
+    const column = `COALESCE(s.${name}, r.${name})`;
+    where.push(`(LOWER(${column}) LIKE LOWER(${next(`%${criteria[name]}%`)}) AND ${NA_CHECK(column)})`);
+  });
+
+  if (criteria.postal_code) {
+    used.push('postal_code');
+    const column = 'COALESCE(s.postal_code, r.postal_code)';
+    where.push(`${column} = ${next(criteria.postal_code)} AND ${NA_CHECK(column)}`);
+  }
+
+  Object.entries(EXACT_CRITERIA).forEach(([name, column]) => {
+    if (!criteria[name]) return;
+    used.push(name);
+    where.push(`${column} = ${next(criteria[name])} AND ${NA_CHECK(column)}`);
+  });
+
+  Object.entries(MULTI_COLUMN_CRITERIA).forEach(([name, columns]) => {
+    if (!criteria[name]) return;
+    used.push(name);
+    const param = next(`%${criteria[name]}%`);
+    where.push(`(${columns.map(column => `(LOWER(${column}) LIKE LOWER(${param}) AND ${NA_CHECK(column)})`).join(' OR ')})`);
+  });
+
+  INDICATOR_CRITERIA.forEach(name => {
+    if (!criteria[name]) return;
+    used.push(name);
+    where.push(`r.${name} = ${next(criteria[name])}`);
+  });
+
+  Object.entries(OFFERING_CRITERIA).forEach(([name, { join, column }]) => {
+    if (!criteria[name]) return;
+    used.push(name);
+    joins.add(join);
+    where.push(`
+        LOWER(${column}) LIKE LOWER(${next(`%${criteria[name]}%`)})
+        AND ${column} IS NOT NULL
+        AND TRIM(${column}) != ''`);
+  });
+
+  const spatial = spatialConditions(criteria, next);
+  used.push(...spatial.criteria);
+  where.push(...spatial.where);
+
+  const from = `
+      FROM Schools s
+      LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+      ${[...joins].map(join => OFFERING_JOINS[join]).join('\n')}`;
+
+  return { from, where, params, criteria: used };
+}
+
+module.exports = {
+  FILTER_CRITERIA,
+  SPATIAL_CRITERIA,
+  buildSchoolFilter
+};
@@ -0,0 +1,210 @@
+// ========== SCHOOL GEOCODES ==========
+// Schools store their coordinates (migration 0014), so spatial queries
+// (school-locations.js) and the map need no geocoding per request. A background job
+// fills them in: it takes schools whose geocode_status is 'pending' (new
+// schools, and any school whose postal code changed), or 'failed' with
+// attempts left, and looks their postal codes up one at a time through the
+// configured geocoder (geocoder.js), leaving out approximate providers: a
+// school is either placed exactly or not at all.
+//   ok         coordinates stored
+//   not_found  the geocoder does not know the postal code; not retried
+//              until the postal code changes
+//   failed     the geocoder errored; retried on later runs, up to
+//              MAX_ATTEMPTS times
+
+const { getGeocoder } = require('./geocoder');
+const { geocodePostalCode } = require('./geocode-lookups');
+
+// Minutes between runs of the job; 0 turns it off
+const configuredInterval = parseInt(process.env.SCHOOL_GEOCODE_INTERVAL_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(configuredInterval) ? 15 : configuredInterval;
+
+const BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 5;
+
+// Pause between geocoder calls, to stay well under the service's limits
+const REQUEST_DELAY_MS = 100;
+
+const POSTAL_CODE_PATTERN = /^\d{6}$/;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Within Singapore, as chk_school_coordinates
+const inSingapore = ({ latitude, longitude }) =>
+  latitude >= 1.1 && latitude <= 1.5 && longitude >= 103.6 && longitude <= 104.1;
+
+// ========== GEOCODING ==========
+
+// Store the outcome of a lookup, unless the postal code changed meanwhile
+async function saveOutcome(db, school, geocoderName, outcome) {
+  await db.query(
+    `UPDATE Schools
+     SET latitude = $3, longitude = $4, geocode_status = $5, geocoder = $6,
+         geocoded_at = CURRENT_TIMESTAMP, geocode_error = $7,
+         geocode_attempts = CASE WHEN $5 = 'failed' THEN geocode_attempts + 1 ELSE 0 END
+     WHERE school_id = $1 AND postal_code IS NOT DISTINCT FROM $2`,
+    [
+      school.school_id,
+      school.postal_code,
+      outcome.latitude ?? null,
+      outcome.longitude ?? null,
+      outcome.status,
+      geocoderName,
+      outcome.error ?? null
+    ]
+  );
+}
+
+// Stored coordinates come from exact providers only
+const exactGeocoder = () => getGeocoder({ approximate: false });
+
+// Geocode one school ({ school_id, postal_code }) and store the outcome.
+// Returns { school_id, status, latitude?, longitude?, error? }.
+async function geocodeSchool(db, school, geocoder = exactGeocoder()) {
+  let outcome;
+
+  if (!POSTAL_CODE_PATTERN.test(school.postal_code || '')) {
+    outcome = { status: 'not_found', error: 'No valid postal code' };
+  } else {
+    try {
+      const found = await geocoder.geocode(school.postal_code);
+      if (!found) {
+        outcome = { status: 'not_found', error: `${geocoder.name} does not know postal code ${school.postal_code}` };
+      } else if (!inSingapore(found)) {
+        outcome = { status: 'not_found', error: `${geocoder.name} placed ${school.postal_code} outside Singapore` };
+      } else {
+        outcome = { status: 'ok', latitude: found.latitude, longitude: found.longitude, source: found.source };
+      }
+    } catch (err) {
+      outcome = { status: 'failed', error: err.message };
+    }
+  }
+
+  const { source, ...stored } = outcome;
+  await saveOutcome(db, school, source || geocoder.name, stored);
+  return { school_id: school.school_id, ...stored };
+}
+
+// Geocode a school right away, e.g. after its postal code changed.
+// Returns the outcome, or null when the school does not exist.
+async function geocodeSchoolById(db, schoolId, geocoder = exactGeocoder()) {
+  const result = await db.query('SELECT school_id, postal_code FROM Schools WHERE school_id = $1', [schoolId]);
+  return result.rows.length > 0 ? geocodeSchool(db, result.rows[0], geocoder) : null;
+}
+
+// Geocode a school without holding up the caller (the response to the edit
+// that changed its postal code). A failure stays queued for the job.
+function geocodeInBackground(db, schoolId) {
+  geocodeSchoolById(db, schoolId).catch(err => {
+    console.error(`Geocoding school ${schoolId} failed:`, err.message);
+  });
+}
+
+// Geocode up to `limit` queued schools, oldest attempts last.
+// Returns { processed, ok, not_found, failed }.
+async function geocodePendingSchools(db, { geocoder = exactGeocoder(), limit = BATCH_SIZE, delayMs = REQUEST_DELAY_MS } = {}) {
+  const queued = await db.query(
+    `SELECT school_id, postal_code FROM Schools
+     WHERE geocode_status = 'pending' OR (geocode_status = 'failed' AND geocode_attempts < $1)
+     ORDER BY geocode_attempts, geocoded_at NULLS FIRST, school_id
+     LIMIT $2`,
+    [MAX_ATTEMPTS, limit]
+  );
+
+  const summary = { processed: 0, ok: 0, not_found: 0, failed: 0 };
+  for (const [index, school] of queued.rows.entries()) {
+    if (index > 0 && delayMs > 0) await sleep(delayMs);
+    const { status } = await geocodeSchool(db, school, geocoder);
+    summary.processed++;
+    summary[status]++;
+  }
+  return summary;
+}
+
+// Run the job now and every INTERVAL_MINUTES. A run works through the queue
+// batch by batch and stops early when a whole batch failed (the geocoder is
+// probably down). onRun receives the totals of runs that did something.
+function scheduleGeocoding(pool, onRun = () => {}) {
+  if (INTERVAL_MINUTES <= 0) {
+    console.log('📍 Geocoding: job disabled (SCHOOL_GEOCODE_INTERVAL_MINUTES=0)');
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const totals = { processed: 0, ok: 0, not_found: 0, failed: 0 };
+      let batch;
+      do {
+        batch = await geocodePendingSchools(pool);
+        Object.keys(totals).forEach(key => { totals[key] += batch[key]; });
+      } while (batch.processed === BATCH_SIZE && batch.failed < batch.processed);
+
+      if (totals.processed > 0) {
+        console.log(`📍 Geocoding: ${totals.ok} located, ${totals.not_found} not found, ${totals.failed} failed`);
+        onRun(totals);
+      }
+    } catch (err) {
+      console.error('Geocoding job error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// ========== QUERIES ==========
+
+// Coordinates of a postal code: a school's stored ones when a school has
+// it, else the geocoder's through the geocode cache (possibly approximate).
+// Resolves to { latitude, longitude, address } or null; throws when the
+// geocoder fails.
+async function locatePostalCode(db, postalCode, geocoder = getGeocoder()) {
+  const stored = await db.query(
+    `SELECT latitude, longitude, address FROM Schools
+     WHERE postal_code = $1 AND geocode_status = 'ok'
+     LIMIT 1`,
+    [postalCode]
+  );
+  return stored.rows[0] || geocodePostalCode(db, postalCode, geocoder);
+}
+
+// Schools per geocode status, and the ones without coordinates
+async function geocodeReport(db) {
+  const counts = await db.query(
+    'SELECT geocode_status, COUNT(*)::int AS count FROM Schools GROUP BY geocode_status'
+  );
+  const missing = await db.query(
+    `SELECT school_id, school_name, postal_code, geocode_status, geocoder, geocoded_at,
+            geocode_attempts, geocode_error
+     FROM Schools
+     WHERE geocode_status <> 'ok'
+     ORDER BY geocode_status, school_name`
+  );
+
+  return {
+    counts: Object.fromEntries(['ok', 'pending', 'failed', 'not_found'].map(status => [
+      status,
+      (counts.rows.find(row => row.geocode_status === status) || { count: 0 }).count
+    ])),
+    missing: missing.rows
+  };
+}
+
+module.exports = {
+  INTERVAL_MINUTES,
+  MAX_ATTEMPTS,
+  geocodeSchool,
+  geocodeSchoolById,
+  geocodeInBackground,
+  geocodePendingSchools,
+  scheduleGeocoding,
+  locatePostalCode,
+  geocodeReport
+};
@@ -0,0 +1,323 @@
+// ========== SCHOOL HISTORY (Field-level audit trail) ==========
+// Every write through the school and offering endpoints is recorded in
+// School_Changes with one School_Change_Fields row per changed field:
+//   - Schools / raw_general_info columns: field is the column name
+//   - offerings: field is the type ('subjects', 'ccas', ...) and item_id the
+//     master id; an added offering has only new_value, a removed one only
+//     old_value, each holding the readable description
+//   - junction columns such as a CCA's customised name: field is
+//     '<type>.<column>' with the master id in item_id
+//
+// Each change also keeps a snapshot of the school after the write, which
+// revertSchool can put back.
+//
+// Like offerings.js, the functions work on a client inside the caller's
+// transaction, so a change and its history are committed together, and
+// return { error: { status, message } } for bad input.
+
+const { SCHOOL_COLUMNS, EXTENDED_INFO_COLUMNS } = require('./school-columns');
+const { OFFERING_TYPES, describeOffering } = require('./offerings');
+const { snapshotSchool, restoreOfferings } = require('./school-archive');
+
+// raw_general_info repeats some Schools columns; Schools is the source for those
+const INFO_COLUMNS = EXTENDED_INFO_COLUMNS.filter(column => !SCHOOL_COLUMNS.includes(column));
+
+// Every school field the history tracks, in display order
+const SCHOOL_FIELDS = [...SCHOOL_COLUMNS, ...INFO_COLUMNS];
+
+// Tables saved in a version snapshot besides the Schools row
+const VERSION_TABLES = [
+  'raw_general_info',
+  ...Object.values(OFFERING_TYPES).map(definition => definition.table)
+];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// Values are stored as text; empty strings and null both mean "no value"
+function historyValue(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value);
+  return text === '' ? null : text;
+}
+
+// True when `field` can be used to filter the history
+function isHistoryField(field) {
+  const [name, column] = field.split('.');
+  if (OFFERING_TYPES[name]) {
+    return column === undefined || OFFERING_TYPES[name].extraColumns.includes(column);
+  }
+  return SCHOOL_FIELDS.includes(field);
+}
+
+// The school's tracked fields, or null when the school does not exist
+async function readSchoolFields(client, schoolId) {
+  const columns = [
+    ...SCHOOL_COLUMNS.map(column => `s.${column}`),
+    ...INFO_COLUMNS.map(column => `r.${column}`)
+  ];
+
+  const result = await client.query(
+    `SELECT ${columns.join(', ')}
+     FROM Schools s
+     LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+     WHERE s.school_id = $1`,
+    [schoolId]
+  );
+  return result.rows[0] || null;
+}
+
+// Fields that differ between two readSchoolFields results; pass null as
+// `before` for a new school
+function diffSchoolFields(before, after) {
+  return SCHOOL_FIELDS
+    .map(field => ({
+      field,
+      old_value: before ? historyValue(before[field]) : null,
+      new_value: historyValue(after[field])
+    }))
+    .filter(change => change.old_value !== change.new_value);
+}
+
+// An offering linked to (linked = true) or unlinked from the school
+function linkChange(type, row, linked) {
+  const definition = OFFERING_TYPES[type];
+  const description = describeOffering(definition, row);
+  return {
+    field: type,
+    item_id: row[definition.idColumn],
+    old_value: linked ? null : description,
+    new_value: linked ? description : null
+  };
+}
+
+// Junction columns (e.g. a CCA's customised name) that differ between two rows
+function extraChanges(type, from, to) {
+  const { idColumn, extraColumns } = OFFERING_TYPES[type];
+  return extraColumns
+    .map(column => ({
+      field: `${type}.${column}`,
+      item_id: to[idColumn],
+      old_value: historyValue(from[column]),
+      new_value: historyValue(to[column])
+    }))
+    .filter(change => change.old_value !== change.new_value);
+}
+
+// History fields for one result of applyOfferingChange
+function offeringFieldChanges(result) {
+  const { type, action, offering, before } = result;
+  const { idColumn } = OFFERING_TYPES[type];
+
+  if (action === 'add') return [linkChange(type, offering, true), ...extraChanges(type, {}, offering)];
+  if (action === 'remove') return [linkChange(type, offering, false)];
+
+  // update: pointing at another entry reads as a removal plus an addition
+  if (before[idColumn] !== offering[idColumn]) {
+    return [linkChange(type, before, false), linkChange(type, offering, true), ...extraChanges(type, before, offering)];
+  }
+  return extraChanges(type, before, offering);
+}
+
+// The school's offerings with their descriptions, keyed by type
+async function readOfferings(client, schoolId) {
+  const offerings = {};
+  for (const [type, { table, idColumn, master, extraColumns }] of Object.entries(OFFERING_TYPES)) {
+    const columns = [
+      `j.${idColumn}`,
+      ...master.columns.map(column => `m.${column}`),
+      ...extraColumns.map(column => `j.${column}`)
+    ];
+    const result = await client.query(
+      `SELECT ${columns.join(', ')}
+       FROM ${table} j
+       JOIN ${master.table} m ON m.${idColumn} = j.${idColumn}
+       WHERE j.school_id = $1
+       ORDER BY j.${idColumn}`,
+      [schoolId]
+    );
+    offerings[type] = result.rows;
+  }
+  return offerings;
+}
+
+// History fields between two readOfferings results
+function diffOfferings(before, after) {
+  return Object.keys(OFFERING_TYPES).flatMap(type => {
+    const { idColumn } = OFFERING_TYPES[type];
+    const beforeById = new Map(before[type].map(row => [row[idColumn], row]));
+    const afterById = new Map(after[type].map(row => [row[idColumn], row]));
+
+    return [
+      ...before[type]
+        .filter(row => !afterById.has(row[idColumn]))
+        .map(row => linkChange(type, row, false)),
+      ...after[type].flatMap(row => (beforeById.has(row[idColumn])
+        ? extraChanges(type, beforeById.get(row[idColumn]), row)
+        : [linkChange(type, row, true), ...extraChanges(type, {}, row)]))
+    ];
+  });
+}
+
+// Record one write with a snapshot of the school as it now is (none after
+// a delete). Updates that changed nothing are not recorded.
+// Returns the School_Changes row without its snapshot, or null.
+async function recordChange(client, { schoolId, action, changedBy, fields = [], revertedTo = null, bulkId = null }) {
+  if (fields.length === 0 && ['update', 'offerings', 'bulk'].includes(action)) return null;
+
+  const snapshot = await snapshotSchool(client, schoolId, VERSION_TABLES);
+
+  const change = await client.query(
+    `INSERT INTO School_Changes (school_id, action, changed_by, snapshot, reverted_to, bulk_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING change_id, school_id, action, changed_by, changed_at, reverted_to, bulk_id`,
+    [schoolId, action, changedBy, snapshot, revertedTo, bulkId]
+  );
+  const { change_id: changeId } = change.rows[0];
+
+  if (fields.length > 0) {
+    await client.query(
+      `INSERT INTO School_Change_Fields (change_id, field, item_id, old_value, new_value)
+       SELECT $1, * FROM unnest($2::text[], $3::int[], $4::text[], $5::text[])`,
+      [
+        changeId,
+        fields.map(change => change.field),
+        fields.map(change => change.item_id ?? null),
+        fields.map(change => change.old_value),
+        fields.map(change => change.new_value)
+      ]
+    );
+  }
+
+  return change.rows[0];
+}
+
+// A school's changes, newest first, each with its fields. With `field`,
+// only changes touching that field (or its '<type>.<column>' fields) are
+// returned, with just those fields.
+async function getSchoolHistory(client, schoolId, { field = null, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const result = await client.query(
+    `SELECT c.change_id, c.action, c.changed_by, c.changed_at, c.reverted_to, c.bulk_id,
+            c.snapshot IS NOT NULL AS has_snapshot,
+            COALESCE(
+              json_agg(json_build_object(
+                'field', f.field,
+                'item_id', f.item_id,
+                'old_value', f.old_value,
+                'new_value', f.new_value
+              ) ORDER BY f.change_field_id) FILTER (WHERE f.change_field_id IS NOT NULL),
+              '[]'
+            ) AS fields
+     FROM School_Changes c
+     LEFT JOIN School_Change_Fields f
+       ON f.change_id = c.change_id
+      AND ($2::text IS NULL OR f.field = $2 OR f.field LIKE $2 || '.%')
+     WHERE c.school_id = $1
+     GROUP BY c.change_id
+     HAVING $2::text IS NULL OR COUNT(f.change_field_id) > 0
+     ORDER BY c.changed_at DESC, c.change_id DESC
+     LIMIT $3`,
+    [schoolId, field, limit]
+  );
+  return result.rows;
+}
+
+// Put the school back to the version saved with change `changeId`: its
+// Schools columns, raw_general_info and offerings. Offerings whose entry
+// was merged since follow the merge; retired or missing entries are left
+// out. Records the revert as a change of its own.
+// Returns { school, change, skipped }.
+async function revertSchool(client, schoolId, changeId, revertedBy) {
+  const current = await client.query(
+    'SELECT school_id FROM Schools WHERE school_id = $1 FOR UPDATE',
+    [schoolId]
+  );
+  if (current.rows.length === 0) {
+    const archived = await client.query(
+      'SELECT archive_id FROM Archived_Schools WHERE school_id = $1',
+      [schoolId]
+    );
+    return archived.rows.length > 0
+      ? failure(409, 'The school is in the recycle bin; restore it before reverting')
+      : failure(404, 'School not found');
+  }
+
+  const version = await client.query(
+    'SELECT snapshot FROM School_Changes WHERE change_id = $1 AND school_id = $2',
+    [changeId, schoolId]
+  );
+  if (version.rows.length === 0) return failure(404, 'Change not found for this school');
+
+  const { snapshot } = version.rows[0];
+  if (!snapshot) return failure(409, 'This change has no saved version to revert to');
+
+  const schoolName = snapshot.school.school_name;
+  const clash = await client.query(
+    'SELECT school_id FROM Schools WHERE school_name = $1 AND school_id <> $2',
+    [schoolName, schoolId]
+  );
+  if (clash.rows.length > 0) {
+    return failure(409, `Another school (school_id ${clash.rows[0].school_id}) is now named '${schoolName}'; rename it before reverting`);
+  }
+
+  const beforeFields = await readSchoolFields(client, schoolId);
+  const beforeOfferings = await readOfferings(client, schoolId);
+
+  const school = await client.query(
+    `UPDATE Schools
+     SET (${SCHOOL_COLUMNS.join(', ')}) = (
+           SELECT ${SCHOOL_COLUMNS.join(', ')} FROM jsonb_populate_record(NULL::Schools, $2)
+         ),
+         version = version + 1
+     WHERE school_id = $1
+     RETURNING *`,
+    [schoolId, snapshot.school]
+  );
+
+  await client.query('DELETE FROM raw_general_info WHERE school_id = $1', [schoolId]);
+  await client.query(
+    `INSERT INTO raw_general_info
+     SELECT * FROM jsonb_populate_recordset(NULL::raw_general_info, $1)`,
+    [JSON.stringify(snapshot.raw_general_info || [])]
+  );
+
+  const skipped = [];
+  for (const [type, definition] of Object.entries(OFFERING_TYPES)) {
+    await client.query(`DELETE FROM ${definition.table} WHERE school_id = $1`, [schoolId]);
+    const result = await restoreOfferings(client, type, snapshot[definition.table] || []);
+    skipped.push(...result.skipped);
+  }
+
+  const fields = [
+    ...diffSchoolFields(beforeFields, await readSchoolFields(client, schoolId)),
+    ...diffOfferings(beforeOfferings, await readOfferings(client, schoolId))
+  ];
+  if (fields.length === 0) {
+    return failure(409, 'The school already matches this version');
+  }
+
+  const change = await recordChange(client, {
+    schoolId,
+    action: 'revert',
+    changedBy: revertedBy,
+    fields,
+    revertedTo: changeId
+  });
+
+  return { school: school.rows[0], change: { ...change, fields }, skipped };
+}
+
+module.exports = {
+  SCHOOL_FIELDS,
+  DEFAULT_HISTORY_LIMIT,
+  MAX_HISTORY_LIMIT,
+  isHistoryField,
+  readSchoolFields,
+  diffSchoolFields,
+  offeringFieldChanges,
+  recordChange,
+  getSchoolHistory,
+  revertSchool
+};
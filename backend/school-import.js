@@ -0,0 +1,310 @@
+// ========== SCHOOL SPREADSHEET IMPORT ==========
+// Import new or changed schools from a CSV or .xlsx file uploaded in the
+// admin UI. The columns are those of the MOE general information file
+// (school_name, address, postal_code, ...) plus an optional school_id.
+//
+// Rows go through two steps, both on a client the caller owns:
+//   validateImportRows - a row-by-row report: what each row would do
+//     ('create', 'update' or 'unchanged'), the changed fields, and the
+//     values that would break the Schools constraints (chk_postal_code,
+//     chk_zone_code, chk_mainlevel, uq_school_name). The admin fixes or
+//     skips the bad rows and sends the rest back for another report.
+//   importSchools - validates again and writes the rows with createSchool /
+//     updateSchool, the logic behind POST and PUT /api/schools. The caller
+//     commits only when no row has an error.
+//
+// Rows match existing schools by school_id when given, otherwise by name
+// (case-insensitive). Columns missing from the file are left unchanged.
+
+const path = require('path');
+const {
+  GENERAL_INFO_COLUMNS,
+  normaliseValue, normalisePostalCode, normaliseMainlevel, schoolKey, checkSchoolRecord
+} = require('./dataset-loader');
+const { parseCsvRows } = require('./csv-parser');
+const { readXlsxRows } = require('./xlsx-reader');
+const { parseId } = require('./offerings');
+const schoolHistory = require('./school-history');
+const { createSchool, updateSchool } = require('./school-records');
+const { SCHOOL_FIELD_RULES, checkFields } = require('./validation');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns read from an uploaded file
+const IMPORT_COLUMNS = ['school_id', ...GENERAL_INFO_COLUMNS];
+
+const failure = (status, message) => ({ error: { status, message } });
+
+// 'Postal Code' / 'postal-code' -> 'postal_code'
+const columnKey = header => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// ========== READING THE FILE ==========
+
+// Parse an uploaded file into rows of { row, values }, where row is the
+// spreadsheet line number and values holds the recognised columns.
+// Returns { rows, columns, ignored_columns } or { error }.
+function readSpreadsheet(fileName, buffer) {
+  const extension = path.extname(fileName || '').toLowerCase();
+
+  let cells;
+  try {
+    if (extension === '.csv') {
+      cells = parseCsvRows(buffer.toString('utf8'));
+    } else if (extension === '.xlsx') {
+      cells = readXlsxRows(buffer);
+    } else {
+      return failure(400, 'Upload a .csv or .xlsx file');
+    }
+  } catch (error) {
+    return failure(400, error.message);
+  }
+
+  if (cells.length < 2) return failure(400, 'The file has no rows below its header');
+
+  const headers = cells[0].map(columnKey);
+  const columns = headers.filter(header => IMPORT_COLUMNS.includes(header));
+  if (!columns.includes('school_name') && !columns.includes('school_id')) {
+    return failure(400, 'The file needs a school_name or school_id column');
+  }
+
+  const rows = cells.slice(1)
+    .map((line, index) => {
+      const values = {};
+      headers.forEach((header, column) => {
+        if (IMPORT_COLUMNS.includes(header)) values[header] = line[column] ?? '';
+      });
+      return { row: index + 2, values };
+    })
+    .filter(({ values }) => Object.values(values).some(value => String(value).trim() !== ''));
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return failure(400, `The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  return {
+    rows,
+    columns,
+    ignored_columns: headers.filter(header => header && !IMPORT_COLUMNS.includes(header))
+  };
+}
+
+// Check rows sent back by the client: [{ row, values, version? }].
+// Returns the rows or { error }.
+function readImportRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return failure(400, 'rows must be a non-empty array');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return failure(400, `At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+
+  for (const [index, row] of rows.entries()) {
+    if (!row || typeof row.values !== 'object' || row.values === null || Array.isArray(row.values)) {
+      return failure(400, `rows[${index}].values must be an object`);
+    }
+    const unknown = Object.keys(row.values).find(column => !IMPORT_COLUMNS.includes(column));
+    if (unknown) return failure(400, `rows[${index}]: unknown column '${unknown}'`);
+  }
+
+  return rows.map((row, index) => ({
+    row: parseId(row.row) || index + 1,
+    values: row.values,
+    version: row.version === undefined || row.version === null ? null : parseId(row.version)
+  }));
+}
+
+// ========== VALIDATION ==========
+
+// Normalise a row's values the way the dataset loader does. Level
+// descriptions such as 'SECONDARY (S1-S5)' map onto chk_mainlevel values;
+// an unknown level is kept as typed so the report can show it.
+function normaliseRow(values) {
+  const normalised = {};
+  Object.entries(values).forEach(([column, value]) => {
+    if (column !== 'school_id') normalised[column] = normaliseValue(value);
+  });
+
+  // Restore zeros Excel dropped, but leave typos such as '12a' to be reported
+  if (/^\d+$/.test(normalised.postal_code || '')) {
+    normalised.postal_code = normalisePostalCode(normalised.postal_code);
+  }
+  if (normalised.zone_code) {
+    normalised.zone_code = normalised.zone_code.toUpperCase();
+  }
+  if (normalised.mainlevel_code) {
+    normalised.mainlevel_code = normaliseMainlevel(values.mainlevel_code) || normalised.mainlevel_code;
+  }
+  return normalised;
+}
+
+// Fields whose format checkSchoolRecord already reports, by constraint
+const CONSTRAINT_COLUMNS = ['postal_code', 'zone_code', 'mainlevel_code'];
+
+const FORMAT_RULES = Object.fromEntries(
+  Object.entries(SCHOOL_FIELD_RULES).filter(([field]) => !CONSTRAINT_COLUMNS.includes(field))
+);
+
+// Problems of a row's resulting school, one per field: the Schools
+// constraints, then the formats of the values the file sets (emails,
+// phone numbers, lengths, ...) as checked for POST / PUT /api/schools
+function rowProblems(record, values) {
+  const mainlevelDesc = record.mainlevel_code;
+  const problems = checkSchoolRecord({
+    ...record,
+    mainlevel_code: normaliseMainlevel(mainlevelDesc),
+    mainlevel_desc: mainlevelDesc
+  }).filter((problem, index, all) => problem.constraint ||
+    !all.some(other => other.field === problem.field && other.constraint));
+
+  checkFields(FORMAT_RULES, values).forEach(({ field, code, message }) => {
+    if (!problems.some(problem => problem.field === field)) {
+      problems.push({ field, constraint: null, code, message });
+    }
+  });
+  return problems;
+}
+
+// Row-by-row report for rows from readSpreadsheet or readImportRows.
+// With `lock`, matched schools are locked for the rest of the transaction.
+// Returns { rows: [{ row, action, school_id, school_name, version, values,
+// errors: [{ field, constraint, code, message }], changes }], counts }.
+async function validateImportRows(client, rows, { lock = false } = {}) {
+  const ids = rows.map(row => parseId(row.values.school_id)).filter(Boolean);
+  const keys = rows.map(row => schoolKey(row.values.school_name)).filter(Boolean);
+
+  // Lock in id order, like master-data.js, so concurrent imports cannot deadlock
+  const existing = await client.query(
+    `SELECT school_id, school_name, version FROM Schools
+     WHERE school_id = ANY($1::int[]) OR UPPER(school_name) = ANY($2::text[])
+     ORDER BY school_id
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [ids, keys]
+  );
+  const byId = new Map(existing.rows.map(school => [school.school_id, school]));
+  const byKey = new Map(existing.rows.map(school => [schoolKey(school.school_name), school]));
+
+  const seenKeys = new Map();
+  const seenIds = new Map();
+  const report = [];
+
+  for (const { row, values, version } of rows) {
+    const normalised = normaliseRow(values);
+    const errors = [];
+    const idGiven = values.school_id !== undefined && String(values.school_id).trim() !== '';
+    let target = null;
+
+    if (idGiven) {
+      const schoolId = parseId(values.school_id);
+      target = schoolId && byId.get(schoolId);
+      if (!target) {
+        errors.push({ field: 'school_id', constraint: null, code: 'not_found', message: `no school with school_id '${values.school_id}'` });
+      }
+    } else if (normalised.school_name) {
+      target = byKey.get(schoolKey(normalised.school_name)) || null;
+    }
+
+    const before = target ? await schoolHistory.readSchoolFields(client, target.school_id) : null;
+    const record = { ...before, ...normalised };
+
+    if (!idGiven || target) errors.push(...rowProblems(record, normalised));
+
+    // The same school twice in the file
+    const key = schoolKey(record.school_name);
+    if (key && seenKeys.has(key)) {
+      errors.push({ field: 'school_name', constraint: 'uq_school_name', code: 'duplicate', message: `duplicate of row ${seenKeys.get(key)}` });
+    } else if (target && seenIds.has(target.school_id)) {
+      errors.push({ field: 'school_id', constraint: null, code: 'duplicate', message: `same school as row ${seenIds.get(target.school_id)}` });
+    }
+    if (key && !seenKeys.has(key)) seenKeys.set(key, row);
+    if (target && !seenIds.has(target.school_id)) seenIds.set(target.school_id, row);
+
+    // A rename onto the name of another school
+    if (target && key && key !== schoolKey(target.school_name)) {
+      const clash = await client.query(
+        'SELECT school_id FROM Schools WHERE UPPER(school_name) = $1 AND school_id <> $2',
+        [key, target.school_id]
+      );
+      if (clash.rows.length > 0) {
+        errors.push({
+          field: 'school_name',
+          constraint: 'uq_school_name',
+          code: 'duplicate',
+          message: `school_id ${clash.rows[0].school_id} already has this name`
+        });
+      }
+    }
+
+    // The school was saved again since the report the admin worked from
+    if (target && version && version !== target.version) {
+      errors.push({ field: 'version', constraint: null, code: 'stale', message: 'the school was changed by someone else after validation' });
+    }
+
+    const changes = target ? schoolHistory.diffSchoolFields(before, record) : [];
+    report.push({
+      row,
+      action: !target ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+      school_id: target ? target.school_id : null,
+      school_name: record.school_name || (target && target.school_name) || null,
+      version: target ? target.version : null,
+      values: { ...(idGiven ? { school_id: values.school_id } : {}), ...normalised },
+      errors,
+      changes
+    });
+  }
+
+  const counts = { create: 0, update: 0, unchanged: 0, invalid: 0 };
+  report.forEach(row => {
+    counts[row.errors.length > 0 ? 'invalid' : row.action]++;
+  });
+
+  return { rows: report, counts };
+}
+
+// ========== IMPORT ==========
+
+// Validate `rows` again, with the matched schools locked, and write every
+// row that creates or changes a school. When any row has an error nothing
+// is written and { error, report } is returned; the caller rolls back.
+// Returns { report, created: [...], updated: [...] }.
+async function importSchools(client, rows, importedBy) {
+  const report = await validateImportRows(client, rows, { lock: true });
+
+  if (report.counts.invalid > 0) {
+    const stale = report.rows.some(row => row.errors.some(error => error.field === 'version'));
+    return {
+      ...failure(stale ? 409 : 400, `${report.counts.invalid} row(s) have errors; fix or skip them and try again`),
+      report
+    };
+  }
+
+  const created = [];
+  const updated = [];
+  for (const row of report.rows) {
+    if (row.action === 'create') {
+      const school = await createSchool(client, row.values, importedBy);
+      created.push({ row: row.row, school_id: school.school_id, school_name: school.school_name });
+    } else if (row.action === 'update') {
+      const before = await schoolHistory.readSchoolFields(client, row.school_id);
+      const values = { ...row.values };
+      delete values.school_id;
+      const { school, fields } = await updateSchool(client, row.school_id, before, values, importedBy);
+      updated.push({
+        row: row.row,
+        school_id: school.school_id,
+        school_name: school.school_name,
+        changed_fields: fields.map(change => change.field)
+      });
+    }
+  }
+
+  return { report, created, updated };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  readSpreadsheet,
+  readImportRows,
+  validateImportRows,
+  importSchools
+};
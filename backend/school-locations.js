@@ -0,0 +1,140 @@
+// ========== SCHOOL LOCATIONS (PostGIS) ==========
+// Spatial queries over Schools.location (migration 0015): a PostGIS point
+// that a trigger keeps in step with the latitude/longitude the geocoding job
+// stores (school-geocodes.js). Schools not geocoded yet have no location and
+// match no spatial query.
+//
+// Shapes, in WGS 84 degrees (validation.js checks them):
+//   near     { latitude, longitude, radius_km }
+//   bbox     [west, south, east, north]
+//   polygon  [[longitude, latitude], ...], closed here if the last position
+//            is not the first
+// bbox and polygon positions are in GeoJSON order, longitude first.
+//
+// Distances are on the spheroid (geography), through the GiST index on
+// location::geography; boxes and polygons use the GiST index on location.
+
+const SPATIAL_CRITERIA = ['near', 'bbox', 'polygon'];
+
+// Columns of a school in spatial results
+const LOCATED_SCHOOL_COLUMNS = `
+  s.school_id, s.school_name, s.address, s.postal_code, s.zone_code,
+  s.mainlevel_code, s.principal_name, s.latitude, s.longitude,
+  r.email_address, r.telephone_no, r.type_code, r.nature_code`;
+
+// A `next` that numbers placeholders from $1, and the parameters it took
+function placeholders() {
+  const params = [];
+  return { params, next: value => { params.push(value); return `$${params.length}`; } };
+}
+
+// ========== SQL FRAGMENTS ==========
+// Each takes next(value), which adds a parameter and returns its placeholder.
+
+const pointSql = (next, { latitude, longitude }) =>
+  `ST_SetSRID(ST_MakePoint(${next(longitude)}::float8, ${next(latitude)}::float8), 4326)`;
+
+function polygonSql(next, positions) {
+  const [first] = positions;
+  const last = positions[positions.length - 1];
+  const ring = first[0] === last[0] && first[1] === last[1] ? positions : [...positions, first];
+  // ST_MakeValid repairs self-intersecting outlines (e.g. drawn figures of eight)
+  return `ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(${next(JSON.stringify({ type: 'Polygon', coordinates: [ring] }))}::text), 4326))`;
+}
+
+const distanceKmSql = (column, point) => `ST_Distance(${column}::geography, ${point}::geography) / 1000`;
+
+// Conditions on a location column, by criterion
+const SPATIAL_CONDITIONS = {
+  near: (column, near, next) =>
+    `ST_DWithin(${column}::geography, ${pointSql(next, near)}::geography, ${next(near.radius_km * 1000)}::float8)`,
+  bbox: (column, [west, south, east, north], next) =>
+    `${column} && ST_MakeEnvelope(${[west, south, east, north].map(value => `${next(value)}::float8`).join(', ')}, 4326)`,
+  polygon: (column, positions, next) => `ST_Intersects(${column}, ${polygonSql(next, positions)})`
+};
+
+// Conditions for the spatial criteria given in `criteria`.
+// Returns { where: [conditions], criteria: [names used] }.
+function spatialConditions(criteria, next, column = 's.location') {
+  const used = SPATIAL_CRITERIA.filter(name => criteria[name]);
+  return {
+    where: used.map(name => SPATIAL_CONDITIONS[name](column, criteria[name], next)),
+    criteria: used
+  };
+}
+
+// Rounded to 10 m
+const withDistance = rows => rows.map(school => ({ ...school, distance_km: Math.round(school.distance_km * 100) / 100 }));
+
+// ========== QUERIES ==========
+
+// Schools within `radiusKm` of a point, nearest first
+async function findSchoolsNear(db, { latitude, longitude, radiusKm }) {
+  const { params, next } = placeholders();
+  const point = pointSql(next, { latitude, longitude });
+  const within = SPATIAL_CONDITIONS.near('s.location', { latitude, longitude, radius_km: radiusKm }, next);
+
+  const result = await db.query(
+    `SELECT ${LOCATED_SCHOOL_COLUMNS}, ${distanceKmSql('s.location', point)} AS distance_km
+     FROM Schools s
+     LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+     WHERE ${within}
+     ORDER BY distance_km, s.school_name`,
+    params
+  );
+  return withDistance(result.rows);
+}
+
+// The `limit` schools nearest to a point, nearest first (a KNN scan of the
+// geography index, however far they are)
+async function findNearestSchools(db, { latitude, longitude, limit }) {
+  const { params, next } = placeholders();
+  const point = pointSql(next, { latitude, longitude });
+
+  const result = await db.query(
+    `SELECT ${LOCATED_SCHOOL_COLUMNS}, ${distanceKmSql('s.location', point)} AS distance_km
+     FROM Schools s
+     LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+     WHERE s.location IS NOT NULL
+     ORDER BY s.location::geography <-> ${point}::geography, s.school_name
+     LIMIT ${next(limit)}`,
+    params
+  );
+  return withDistance(result.rows);
+}
+
+// Schools inside a bbox and/or a polygon, by name
+async function findSchoolsInArea(db, { bbox, polygon }) {
+  const { params, next } = placeholders();
+  const { where } = spatialConditions({ bbox, polygon }, next);
+
+  const result = await db.query(
+    `SELECT ${LOCATED_SCHOOL_COLUMNS}
+     FROM Schools s
+     LEFT JOIN raw_general_info r ON r.school_id = s.school_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY s.school_name`,
+    params
+  );
+  return result.rows;
+}
+
+// Schools with and without a location, for the metadata of spatial results:
+// { schools_with_coordinates, schools_without_coordinates }
+async function locationCoverage(db) {
+  const result = await db.query(
+    `SELECT COUNT(location)::int AS schools_with_coordinates,
+            (COUNT(*) - COUNT(location))::int AS schools_without_coordinates
+     FROM Schools`
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  SPATIAL_CRITERIA,
+  spatialConditions,
+  findSchoolsNear,
+  findNearestSchools,
+  findSchoolsInArea,
+  locationCoverage
+};
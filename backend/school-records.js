@@ -0,0 +1,71 @@
+// ========== SCHOOL RECORDS (Create & update) ==========
+// Writes a school's Schools row and raw_general_info fields together with
+// its history entry. Used by POST / PUT /api/schools and the spreadsheet
+// import, so every path records the same history. Like offerings.js, the
+// functions work on a client inside the caller's transaction.
+
+const { SCHOOL_COLUMNS, saveGeneralInfo } = require('./dataset-loader');
+const schoolHistory = require('./school-history');
+
+// Insert a school from `values` (the six Schools columns are required,
+// the raw_general_info fields optional) and record its 'create' change.
+// Returns the new { school_id, school_name, version }.
+async function createSchool(client, values, createdBy) {
+  const result = await client.query(
+    `INSERT INTO Schools (${SCHOOL_COLUMNS.join(', ')})
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING school_id, school_name, version`,
+    SCHOOL_COLUMNS.map(column => values[column])
+  );
+  const school = result.rows[0];
+
+  // Extended attributes, keyed by the new school_id
+  await saveGeneralInfo(client, school.school_id, values);
+
+  // Field history: every value the school starts with
+  await schoolHistory.recordChange(client, {
+    schoolId: school.school_id,
+    action: 'create',
+    changedBy: createdBy,
+    fields: schoolHistory.diffSchoolFields(null, await schoolHistory.readSchoolFields(client, school.school_id))
+  });
+
+  return school;
+}
+
+// Update a school from `values`, read with readSchoolFields as `before`.
+// Schools columns missing from `values` keep their value, as do
+// raw_general_info fields. Records an 'update' change when anything changed.
+// Returns { school, fields }.
+async function updateSchool(client, schoolId, before, values, updatedBy) {
+  const merged = { ...before, ...values };
+
+  const result = await client.query(
+    `UPDATE Schools
+     SET school_name = $1, address = $2, postal_code = $3,
+         zone_code = $4, mainlevel_code = $5, principal_name = $6,
+         version = version + 1
+     WHERE school_id = $7
+     RETURNING *`,
+    [...SCHOOL_COLUMNS.map(column => merged[column]), schoolId]
+  );
+
+  // Keyed by school_id, so a rename keeps them
+  await saveGeneralInfo(client, schoolId, values);
+
+  // Field history: before/after of every field that changed
+  const fields = schoolHistory.diffSchoolFields(before, await schoolHistory.readSchoolFields(client, schoolId));
+  await schoolHistory.recordChange(client, {
+    schoolId,
+    action: 'update',
+    changedBy: updatedBy,
+    fields
+  });
+
+  return { school: result.rows[0], fields };
+}
+
+module.exports = {
+  createSchool,
+  updateSchool
+};
@@ -0,0 +1,366 @@
+// ========== REQUEST VALIDATION ==========
+// Schemas for route params, query strings and bodies, checked by the
+// validate() middleware before a handler runs. A schema maps each field to
+// a rule; failures come back in the error envelope of api-errors.js as
+//   400 { success: false, error, code: 'validation_failed', request_id,
+//         details: [{ location, field, code, message }] }
+// so clients can mark the fields that failed. Fields a schema does not
+// mention are left alone.
+//
+//   router.post('/', validate({ body: { postal_code: required(postalCode()) } }), handler)
+//
+// Each rule also describes itself as a JSON Schema, which openapi.js reads
+// off the validate() middleware to document the route's parameters.
+
+const { ObjectId } = require('mongodb');
+const { VALID_ZONES, VALID_MAINLEVELS } = require('./school-columns');
+const { OFFERING_TYPES } = require('./offerings');
+const { FILTER_CRITERIA } = require('./school-filter');
+const { sendError } = require('./api-errors');
+
+// Absent, null and blank values all count as "not given"
+const isBlank = value => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+// ========== RULES ==========
+// A rule is { required, check, schema }, where check(value) gets a non-blank
+// value and returns [code, message] or null. Messages follow the field name:
+// "postal_code must be 6 digits". `schema` is the rule as a JSON Schema.
+
+const rule = (check, schema = {}) => ({ required: false, check, schema });
+
+// Only the schema keywords that are set
+const keywords = schema => Object.fromEntries(Object.entries(schema).filter(([, value]) => value !== null));
+
+function required(fieldRule) {
+  return { ...fieldRule, required: true };
+}
+
+function text({ max = null, pattern = null, code = 'invalid_format', message = null } = {}) {
+  return rule(value => {
+    if (typeof value !== 'string' && typeof value !== 'number') return ['invalid_type', 'must be text'];
+    const trimmed = String(value).trim();
+    if (max && trimmed.length > max) return ['too_long', `must be at most ${max} characters`];
+    if (pattern && !pattern.test(trimmed)) return [code, message];
+    return null;
+  }, keywords({ type: 'string', maxLength: max, pattern: pattern && pattern.source }));
+}
+
+function oneOf(values, code = 'invalid_value') {
+  return rule(value => (values.includes(value) ? null : [code, `must be one of ${values.join(', ')}`]),
+    { type: 'string', enum: values });
+}
+
+// Whole numbers, given as numbers or numeric strings (query values)
+function integer({ min = null, max = null } = {}) {
+  return rule(value => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || (typeof value === 'string' && !/^-?\d+$/.test(value.trim()))) {
+      return ['invalid_integer', 'must be a whole number'];
+    }
+    if ((min !== null && number < min) || (max !== null && number > max)) {
+      return ['out_of_range', rangeMessage(min, max)];
+    }
+    return null;
+  }, keywords({ type: 'integer', minimum: min, maximum: max }));
+}
+
+function number({ min = null, max = null } = {}) {
+  return rule(value => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return ['invalid_number', 'must be a number'];
+    if ((min !== null && parsed < min) || (max !== null && parsed > max)) {
+      return ['out_of_range', rangeMessage(min, max)];
+    }
+    return null;
+  }, keywords({ type: 'number', minimum: min, maximum: max }));
+}
+
+function rangeMessage(min, max) {
+  if (min !== null && max !== null) return `must be between ${min} and ${max}`;
+  return min !== null ? `must be at least ${min}` : `must be at most ${max}`;
+}
+
+// Database ids: positive integers
+const recordId = () => integer({ min: 1 });
+
+function boolean() {
+  return rule(value => ([true, false, 'true', 'false'].includes(value)
+    ? null
+    : ['invalid_boolean', 'must be true or false']), { type: 'boolean' });
+}
+
+function array({ max = null } = {}) {
+  return rule(value => {
+    if (!Array.isArray(value)) return ['invalid_type', 'must be a list'];
+    if (max !== null && value.length > max) return ['too_many', `must have at most ${max} items`];
+    return null;
+  }, keywords({ type: 'array', maxItems: max }));
+}
+
+function object() {
+  return rule(value => (typeof value === 'object' && !Array.isArray(value)
+    ? null
+    : ['invalid_type', 'must be an object']), { type: 'object' });
+}
+
+// MongoDB document ids
+function objectId() {
+  return rule(value => (ObjectId.isValid(value) ? null : ['invalid_id', 'must be a document id']),
+    { type: 'string', pattern: '^[0-9a-fA-F]{24}$' });
+}
+
+// ?sort= of a list endpoint: one of `keys`, with a leading - for descending
+function sortKey(keys) {
+  return rule(value => (typeof value === 'string' && keys.includes(value.trim().replace(/^-/, ''))
+    ? null
+    : ['invalid_sort', `must be one of ${keys.join(', ')} (prefix - to sort descending)`]),
+    { type: 'string', enum: keys.flatMap(key => [key, `-${key}`]) });
+}
+
+// ?fields= of a list endpoint: a comma-separated list of `names`
+function fieldList(names) {
+  return rule(value => {
+    if (typeof value !== 'string') return ['invalid_type', 'must be a comma-separated list'];
+    const unknown = value.split(',').map(name => name.trim()).filter(name => !names.includes(name));
+    return unknown.length === 0
+      ? null
+      : ['invalid_fields', `can only list ${names.join(', ')} (not ${unknown.join(', ')})`];
+  }, { type: 'string', description: `Comma-separated, from: ${names.join(', ')}` });
+}
+
+// ========== SCHOOL FIELD FORMATS ==========
+
+const postalCode = () => text({
+  pattern: /^\d{6}$/, code: 'invalid_postal_code', message: 'must be 6 digits'
+});
+const zone = () => oneOf(VALID_ZONES, 'invalid_zone');
+const mainlevel = () => oneOf(VALID_MAINLEVELS, 'invalid_mainlevel');
+const indicator = () => oneOf(['Yes', 'No'], 'invalid_indicator');
+const email = () => text({
+  max: 200, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, code: 'invalid_email', message: 'must be an email address'
+});
+// MOE numbers: '67561234', '6756 1234' or '67561234 (Secondary)'
+const phone = () => text({
+  max: 50,
+  pattern: /^(\+65 ?)?\d{4} ?\d{4}( \([^)]*\))?$/,
+  code: 'invalid_phone',
+  message: 'must be an 8-digit phone number'
+});
+const url = () => text({
+  max: 300,
+  pattern: /^(https?:\/\/)?[\w-]+(\.[\w-]+)+(:\d+)?([/?#]\S*)?$/i,
+  code: 'invalid_url',
+  message: 'must be a web address'
+});
+
+// Every Schools / raw_general_info field, with the column sizes of the schema
+const SCHOOL_FIELD_RULES = {
+  school_name: text({ max: 200 }),
+  address: text({ max: 300 }),
+  postal_code: postalCode(),
+  zone_code: zone(),
+  mainlevel_code: mainlevel(),
+  principal_name: text({ max: 150 }),
+  type_code: text({ max: 50 }),
+  nature_code: text({ max: 50 }),
+  session_code: text({ max: 50 }),
+  dgp_code: text({ max: 100 }),
+  email_address: email(),
+  telephone_no: phone(),
+  telephone_no_2: phone(),
+  fax_no: phone(),
+  url_address: url(),
+  first_vp_name: text({ max: 150 }),
+  second_vp_name: text({ max: 150 }),
+  third_vp_name: text({ max: 150 }),
+  fourth_vp_name: text({ max: 150 }),
+  fifth_vp_name: text({ max: 150 }),
+  sixth_vp_name: text({ max: 150 }),
+  autonomous_ind: indicator(),
+  gifted_ind: indicator(),
+  ip_ind: indicator(),
+  sap_ind: indicator(),
+  mothertongue1_code: text({ max: 50 }),
+  mothertongue2_code: text({ max: 50 }),
+  mothertongue3_code: text({ max: 50 }),
+  mrt_desc: text(),
+  bus_desc: text()
+};
+
+// Body of POST / PUT /api/schools: the six Schools columns are required
+const SCHOOL_BODY = {
+  ...SCHOOL_FIELD_RULES,
+  school_name: required(SCHOOL_FIELD_RULES.school_name),
+  address: required(SCHOOL_FIELD_RULES.address),
+  postal_code: required(SCHOOL_FIELD_RULES.postal_code),
+  zone_code: required(SCHOOL_FIELD_RULES.zone_code),
+  mainlevel_code: required(SCHOOL_FIELD_RULES.mainlevel_code),
+  principal_name: required(SCHOOL_FIELD_RULES.principal_name)
+};
+
+// ========== SPATIAL FORMATS ==========
+// Shapes of the spatial queries (school-locations.js), in degrees. bbox and
+// polygon positions are in GeoJSON order, longitude first.
+
+const isLongitude = value => typeof value === 'number' && value >= -180 && value <= 180;
+const isLatitude = value => typeof value === 'number' && value >= -90 && value <= 90;
+const isPosition = value => Array.isArray(value) && value.length === 2 && isLongitude(value[0]) && isLatitude(value[1]);
+
+const POSITION_SCHEMA = { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 };
+
+// { latitude, longitude, radius_km }
+function circle({ maxRadius = 50 } = {}) {
+  return rule(value => {
+    if (typeof value !== 'object' || Array.isArray(value)) return ['invalid_type', 'must be an object'];
+    if (!isLatitude(value.latitude) || !isLongitude(value.longitude)) {
+      return ['invalid_coordinates', 'must have a numeric latitude and longitude'];
+    }
+    if (typeof value.radius_km !== 'number' || value.radius_km <= 0 || value.radius_km > maxRadius) {
+      return ['out_of_range', `must have a radius_km above 0 and at most ${maxRadius}`];
+    }
+    return null;
+  }, {
+    type: 'object',
+    properties: { latitude: { type: 'number' }, longitude: { type: 'number' }, radius_km: { type: 'number', maximum: maxRadius } },
+    required: ['latitude', 'longitude', 'radius_km']
+  });
+}
+
+// [west, south, east, north]
+function bbox() {
+  return rule(value => {
+    if (!Array.isArray(value) || value.length !== 4 ||
+        !isLongitude(value[0]) || !isLatitude(value[1]) || !isLongitude(value[2]) || !isLatitude(value[3])) {
+      return ['invalid_bbox', 'must be [west, south, east, north] in degrees'];
+    }
+    if (value[0] >= value[2] || value[1] >= value[3]) {
+      return ['invalid_bbox', 'must have west below east and south below north'];
+    }
+    return null;
+  }, { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4, description: '[west, south, east, north]' });
+}
+
+// [[longitude, latitude], ...]: at least 3 distinct positions
+function polygon({ max = 500 } = {}) {
+  return rule(value => {
+    if (!Array.isArray(value) || !value.every(isPosition)) {
+      return ['invalid_polygon', 'must be a list of [longitude, latitude] positions'];
+    }
+    if (value.length > max) return ['too_many', `must have at most ${max} positions`];
+    if (new Set(value.map(position => position.join(','))).size < 3) {
+      return ['invalid_polygon', 'must have at least 3 distinct positions'];
+    }
+    return null;
+  }, { type: 'array', items: POSITION_SCHEMA, minItems: 3, maxItems: max, description: '[[longitude, latitude], ...]' });
+}
+
+// Advanced search criteria (school-filter.js): partial text, except the
+// exact-match codes and indicators, which must be values a school can have,
+// and the spatial shapes
+const SEARCH_CRITERIA_RULES = {
+  ...Object.fromEntries(FILTER_CRITERIA.map(name => [name, text({ max: 200 })])),
+  postal_code: postalCode(),
+  zone_code: zone(),
+  mainlevel_code: mainlevel(),
+  autonomous_ind: indicator(),
+  gifted_ind: indicator(),
+  ip_ind: indicator(),
+  sap_ind: indicator(),
+  near: circle(),
+  bbox: bbox(),
+  polygon: polygon()
+};
+
+const offeringType = () => oneOf(Object.keys(OFFERING_TYPES), 'invalid_type');
+
+// ========== CHECKING ==========
+
+// Errors for `data` against `schema`, as [{ location, field, code, message }].
+// `prefix` names nested objects, e.g. 'patch.fields.'.
+function checkFields(schema, data = {}, location = 'body', prefix = '') {
+  const errors = [];
+  Object.entries(schema).forEach(([field, fieldRule]) => {
+    const value = data ? data[field] : undefined;
+    const name = `${prefix}${field}`;
+
+    if (isBlank(value)) {
+      if (fieldRule.required) errors.push({ location, field: name, code: 'required', message: `${name} is required` });
+      return;
+    }
+
+    const problem = fieldRule.check(value);
+    if (problem) errors.push({ location, field: name, code: problem[0], message: `${name} ${problem[1]}` });
+  });
+  return errors;
+}
+
+// Respond to failed validation, with the field errors as details
+function sendValidationError(res, errors, status = 400) {
+  sendError(res, status, 'validation_failed', errors.map(error => error.message).join('; '), errors);
+}
+
+// Middleware checking req.params, req.query and req.body against a schema each.
+// The schemas stay on the middleware (.schemas) for the API document.
+function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = ['params', 'query', 'body']
+      .filter(location => schemas[location])
+      .flatMap(location => checkFields(schemas[location], req[location] || {}, location));
+
+    if (errors.length === 0) return next();
+    sendValidationError(res, errors);
+  };
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+// Schools constraints the database enforces, by name
+const CONSTRAINT_FIELDS = {
+  chk_postal_code: { field: 'postal_code', code: 'invalid_postal_code', message: 'postal_code must be 6 digits' },
+  chk_zone_code: { field: 'zone_code', code: 'invalid_zone', message: `zone_code must be one of ${VALID_ZONES.join(', ')}` },
+  chk_mainlevel: { field: 'mainlevel_code', code: 'invalid_mainlevel', message: `mainlevel_code must be one of ${VALID_MAINLEVELS.join(', ')}` },
+  uq_school_name: { field: 'school_name', code: 'duplicate', message: 'school_name is already used by another school' }
+};
+
+// Field errors for a PostgreSQL error that broke one of the Schools
+// constraints, for writes that reach the database anyway (e.g. a race on
+// uq_school_name). Returns null for other errors.
+function constraintErrors(err) {
+  const known = CONSTRAINT_FIELDS[err.constraint];
+  if (!known || !['23505', '23514'].includes(err.code)) return null;
+  return [{ location: 'body', ...known }];
+}
+
+module.exports = {
+  required,
+  text,
+  oneOf,
+  integer,
+  number,
+  recordId,
+  boolean,
+  array,
+  object,
+  objectId,
+  sortKey,
+  fieldList,
+  postalCode,
+  zone,
+  mainlevel,
+  indicator,
+  email,
+  phone,
+  url,
+  circle,
+  bbox,
+  polygon,
+  offeringType,
+  SCHOOL_FIELD_RULES,
+  SCHOOL_BODY,
+  SEARCH_CRITERIA_RULES,
+  checkFields,
+  sendValidationError,
+  validate,
+  constraintErrors
+};
@@ -0,0 +1,159 @@
+// ========== XLSX READER ==========
+// Minimal reader for the first worksheet of an .xlsx workbook, enough for
+// spreadsheets of school records saved from Excel, Numbers or LibreOffice.
+// Reads cell values only: shared strings, inline strings, numbers and
+// booleans. Formulas give their cached value; styles and dates are ignored.
+
+const zlib = require('zlib');
+
+// ========== ZIP ==========
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Read every file of a zip archive into a Map of name -> Buffer
+function readZipEntries(buffer) {
+  // The end of central directory record sits in the last 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not an .xlsx file (no zip directory found)');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt .xlsx file (bad zip directory)');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error('Corrupt .xlsx file (bad zip entry)');
+    }
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported compression in .xlsx file (method ${method})`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// ========== XML ==========
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+// Text of every <t> element inside a fragment (rich text has several runs)
+function textOf(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(match => decodeXml(match[1]))
+    .join('');
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// 'AB12' -> 27 (zero-based column index)
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// ========== WORKBOOK ==========
+
+// Path of the workbook's first sheet, following workbook.xml.rels
+function firstSheetPath(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+  if (!workbook) throw new Error('Not an .xlsx file (no workbook)');
+
+  const sheet = workbook.toString('utf8').match(/<sheet\s[^>]*>/);
+  const relationId = sheet && attribute(sheet[0], 'r:id');
+  if (relationId && rels) {
+    const relation = [...rels.toString('utf8').matchAll(/<Relationship\s[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => attribute(tag, 'Id') === relationId);
+    if (relation) {
+      const target = attribute(relation, 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+// Read the first worksheet of an .xlsx buffer into an array of rows (each
+// an array of strings), like parseCsvRows. Blank rows are dropped.
+function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+
+  const sharedXml = entries.get('xl/sharedStrings.xml');
+  const sharedStrings = sharedXml
+    ? [...sharedXml.toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1]))
+    : [];
+
+  const sheetPath = firstSheetPath(entries);
+  const sheet = entries.get(sheetPath);
+  if (!sheet) throw new Error(`Worksheet ${sheetPath} not found in the .xlsx file`);
+
+  const rows = [];
+  for (const rowMatch of sheet.toString('utf8').matchAll(/<row[\s>][\s\S]*?<\/row>|<row\s[^>]*\/>/g)) {
+    const row = [];
+    for (const cellMatch of rowMatch[0].matchAll(/<c\s([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = ` ${cellMatch[1]}`;
+      const body = cellMatch[2] || '';
+      const type = attribute(tag, 't');
+      const reference = attribute(tag, 'r');
+      const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+      const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+      let value;
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else value = raw;
+
+      const index = reference ? columnIndex(reference) : row.length;
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+  }
+
+  return rows;
+}
+
+module.exports = { readXlsxRows };
@@ -13,9 +13,9 @@ async function loadDropdownOptions(endpoint, selectId, defaultOption = 'Select..
 
   try {
     const response = await fetch(endpoint);
-    const data = await response.json();
+    const data = await readApiResponse(response);
 
-    if (data.success && data.data) {
+    if (data.data) {
       // Cache the data
       dropdownCache[endpoint] = data.data;
       populateDropdown(selectId, data.data, defaultOption);
@@ -186,16 +186,17 @@ function runAdvancedQuery(event) {
   })
     .then(response => {
       console.log('Response status:', response.status);
-      return response.json();
+      return readApiResponse(response);
     })
     .then(data => {
       console.log('Response data:', data);
       document.getElementById('loadingSpinner').style.display = 'none';
 
-      if (data.success && data.results && data.results.length > 0) {
+      if (data.results && data.results.length > 0) {
         displayAdvancedSearchResults(data.results, data.criteria);
+        const shown = data.pagination.count < data.count ? ` (showing first ${data.pagination.count})` : '';
         document.getElementById('resultsMeta').textContent =
-          `Found ${data.count} school(s) matching ${Object.keys(data.criteria).length} criteria`;
+          `Found ${data.count} school(s) matching ${Object.keys(data.criteria).length} criteria${shown}`;
         showToast(`Found ${data.count} matching school(s)`, 'success');
       } else {
         document.getElementById('resultsTable').innerHTML = `
@@ -223,10 +224,12 @@ function runAdvancedQuery(event) {
           <path d="M32 20v24M20 32h24" stroke="#DC2626" stroke-width="4" stroke-linecap="round"/>
         </svg>
         <h3>Search Error</h3>
-        <p>${error.message || 'Failed to perform search. Please try again.'}</p>
+        <p>${escapeHtml(apiErrorMessage(error)) || 'Failed to perform search. Please try again.'}</p>
       </div>
     `;
-      showToast('Search failed. Please try again.', 'error');
+      showToast(error.code === 'validation_failed'
+        ? 'Some search criteria are not valid'
+        : 'Search failed. Please try again.', 'error');
     });
 }
 
@@ -245,6 +248,7 @@ function displayAdvancedSearchResults(results, criteria) {
             <table class="data-table">
                 <thead>
                     <tr>
+                        ${bulkSelectHeader()}
                         <th>School Name</th>
                         <th>Zone Code</th>
                         <th>Level</th>
@@ -287,6 +291,7 @@ function displayAdvancedSearchResults(results, criteria) {
                 data-school-id="${school.school_id}"
                 onclick="viewItemDetails('schools', ${school.school_id})" 
                 style="cursor: pointer;">
+                ${bulkSelectCell(school.school_id, school.school_name)}
                 <td><strong>${school.school_name || 'N/A'}</strong></td>
                 <td><span class="badge">${school.zone_code || 'N/A'}</span></td>
                 <td>${school.mainlevel_code || 'N/A'}</td>
@@ -302,6 +307,7 @@ function displayAdvancedSearchResults(results, criteria) {
     `;
 
   document.getElementById('resultsTable').innerHTML = html;
+  setBulkSearchCriteria(criteria);
 
   // Check if comparison mode is active and add listeners
   if (typeof comparisonMode !== 'undefined' && comparisonMode.active) {
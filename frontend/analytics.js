@@ -6,28 +6,8 @@ window.loadZoneStatistics = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/schools-by-zone', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/schools-by-zone');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       let html = '<table class="analytics-table">';
@@ -50,7 +30,7 @@ window.loadZoneStatistics = async function() {
     }
   } catch (err) {
     console.error('Zone statistics error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -60,28 +40,8 @@ window.loadSubjectCount = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/schools-subject-count', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/schools-subject-count?limit=10');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       let html = `<div class="analytics-summary">
@@ -99,7 +59,7 @@ window.loadSubjectCount = async function() {
       html += '<thead><tr><th>School Name</th><th>Zone</th><th>Subjects</th><th>Diversity</th></tr></thead>';
       html += '<tbody>';
       
-      result.data.slice(0, 10).forEach(row => {
+      result.data.forEach(row => {
         const diversityClass = row.subject_diversity.toLowerCase();
         html += `<tr>
           <td>${row.school_name}</td>
@@ -111,8 +71,8 @@ window.loadSubjectCount = async function() {
       
       html += '</tbody></table>';
       
-      if (result.data.length > 10) {
-        html += `<div class="table-footer">Showing top 10 of ${result.data.length} schools</div>`;
+      if (result.pagination.next_offset !== null) {
+        html += `<div class="table-footer">Showing top ${result.data.length} of ${result.pagination.total} schools</div>`;
       }
       
       container.innerHTML = html;
@@ -121,7 +81,7 @@ window.loadSubjectCount = async function() {
     }
   } catch (err) {
     console.error('Subject count error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -131,28 +91,8 @@ window.loadAboveAverage = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/above-average-subjects', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/above-average-subjects?limit=10');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       const avgCount = result.data[0].system_average;
@@ -164,7 +104,7 @@ window.loadAboveAverage = async function() {
         </div>
         <div class="summary-item">
           <span class="summary-label">Above Average:</span>
-          <span class="summary-value">${result.data.length} schools</span>
+          <span class="summary-value">${result.pagination.total} schools</span>
         </div>
       </div>`;
       
@@ -172,7 +112,7 @@ window.loadAboveAverage = async function() {
       html += '<thead><tr><th>School Name</th><th>Zone</th><th>Subjects</th><th>+/- Avg</th></tr></thead>';
       html += '<tbody>';
       
-      result.data.slice(0, 10).forEach(row => {
+      result.data.forEach(row => {
         html += `<tr>
           <td>${row.school_name}</td>
           <td><span class="zone-badge zone-${row.zone_code.toLowerCase()}">${row.zone_code}</span></td>
@@ -183,8 +123,8 @@ window.loadAboveAverage = async function() {
       
       html += '</tbody></table>';
       
-      if (result.data.length > 10) {
-        html += `<div class="table-footer">Showing top 10 of ${result.data.length} schools</div>`;
+      if (result.pagination.next_offset !== null) {
+        html += `<div class="table-footer">Showing top ${result.data.length} of ${result.pagination.total} schools</div>`;
       }
       
       container.innerHTML = html;
@@ -193,7 +133,7 @@ window.loadAboveAverage = async function() {
     }
   } catch (err) {
     console.error('Above average error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -203,28 +143,8 @@ window.loadCCAParticipation = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/cca-participation', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/cca-participation');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       let html = '<table class="analytics-table compact">';
@@ -255,7 +175,7 @@ window.loadCCAParticipation = async function() {
     }
   } catch (err) {
     console.error('CCA participation error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -265,28 +185,8 @@ window.loadDataCompleteness = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/data-completeness', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/data-completeness?limit=15');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       let html = `<div class="analytics-summary">
@@ -312,7 +212,7 @@ window.loadDataCompleteness = async function() {
       html += '<thead><tr><th>School Name</th><th>Score</th><th>Status</th><th>S/C/P/D</th></tr></thead>';
       html += '<tbody>';
       
-      result.data.slice(0, 15).forEach(row => {
+      result.data.forEach(row => {
         const statusClass = row.completeness_status.toLowerCase();
         html += `<tr>
           <td>${row.school_name}</td>
@@ -329,8 +229,8 @@ window.loadDataCompleteness = async function() {
       
       html += '</tbody></table>';
       
-      if (result.data.length > 15) {
-        html += `<div class="table-footer">Showing top 15 of ${result.data.length} schools</div>`;
+      if (result.pagination.next_offset !== null) {
+        html += `<div class="table-footer">Showing top ${result.data.length} of ${result.pagination.total} schools</div>`;
       }
       
       container.innerHTML = html;
@@ -339,7 +239,7 @@ window.loadDataCompleteness = async function() {
     }
   } catch (err) {
     console.error('Data completeness error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -349,28 +249,8 @@ window.loadZoneComparison = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/zone-comparison', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/zone-comparison');
+    if (!result) return;
     
     if (result.success && result.data.length > 0) {
       let html = '<table class="analytics-table">';
@@ -404,7 +284,7 @@ window.loadZoneComparison = async function() {
     }
   } catch (err) {
     console.error('Zone comparison error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -416,41 +296,17 @@ window.loadPopularSearches = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/popular', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (res.status === 403) {
-      container.innerHTML = '<div class="empty-state-small">Admin access required for search analytics</div>';
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const result = await res.json();
+    const result = await fetchAnalytics('/api/analytics/popular');
+    if (!result) return;
+    const searches = result.data;
     
-    if (result.length > 0) {
+    if (searches.length > 0) {
       let html = '<table class="analytics-table compact">';
       html += '<thead><tr><th>Search Term</th><th>Count</th><th>Popularity</th></tr></thead>';
       html += '<tbody>';
       
-      result.forEach((item, index) => {
-        const maxCount = result[0].count;
+      searches.forEach((item, index) => {
+        const maxCount = searches[0].count;
         const percentage = (item.count / maxCount) * 100;
         
         html += `<tr>
@@ -471,8 +327,12 @@ window.loadPopularSearches = async function() {
       container.innerHTML = '<div class="empty-state-small">No search data available</div>';
     }
   } catch (err) {
+    if (err.code === 'admin_required') {
+      container.innerHTML = '<div class="empty-state-small">Admin access required for search analytics</div>';
+      return;
+    }
     console.error('Popular searches error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -484,40 +344,16 @@ window.loadActivityLogs = async function() {
   container.innerHTML = '<div class="loading-spinner"><div class="spinner"></div></div>';
   
   try {
-    const token = getAuthToken();
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const res = await fetch('/api/analytics/logs', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (res.status === 401) {
-      handleAuthError();
-      return;
-    }
-
-    if (res.status === 403) {
-      container.innerHTML = '<div class="empty-state-small">Admin access required for activity logs</div>';
-      return;
-    }
-
-    if (!res.ok) {
-      throw new Error(`HTTP error! status: ${res.status}`);
-    }
-
-    const logs = await res.json();
+    const result = await fetchAnalytics('/api/analytics/logs?limit=20');
+    if (!result) return;
+    const logs = result.data;
     
     if (logs.length > 0) {
       let html = '<table class="analytics-table compact">';
       html += '<thead><tr><th>Time</th><th>Action</th><th>User</th><th>Details</th></tr></thead>';
       html += '<tbody>';
       
-      logs.slice(0, 20).forEach(log => {
+      logs.forEach(log => {
         const time = new Date(log.timestamp).toLocaleString();
         const username = log.data?.username || log.data?.admin_username || 'System';
         
@@ -531,8 +367,8 @@ window.loadActivityLogs = async function() {
       
       html += '</tbody></table>';
       
-      if (logs.length > 20) {
-        html += `<div class="table-footer">Showing latest 20 of ${logs.length} activities</div>`;
+      if (result.pagination.next_offset !== null) {
+        html += `<div class="table-footer">Showing latest ${logs.length} of ${result.pagination.total} activities</div>`;
       }
       
       container.innerHTML = html;
@@ -540,8 +376,12 @@ window.loadActivityLogs = async function() {
       container.innerHTML = '<div class="empty-state-small">No activity logs available</div>';
     }
   } catch (err) {
+    if (err.code === 'admin_required') {
+      container.innerHTML = '<div class="empty-state-small">Admin access required for activity logs</div>';
+      return;
+    }
     console.error('Activity logs error:', err);
-    container.innerHTML = '<div class="error-state">Failed to load data: ' + err.message + '</div>';
+    container.innerHTML = '<div class="error-state">Failed to load data: ' + apiErrorMessage(err) + '</div>';
   }
 };
 
@@ -564,6 +404,30 @@ function handleAuthError() {
   }, 2000);
 }
 
+// GET an analytics endpoint with the session token. Returns null after
+// sending an expired session to the login page; other errors are thrown
+// by readApiResponse with their code.
+async function fetchAnalytics(path) {
+  const token = getAuthToken();
+  if (!token) {
+    throw new Error('Authentication required');
+  }
+
+  const res = await fetch(path, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (res.status === 401) {
+    handleAuthError();
+    return null;
+  }
+
+  return readApiResponse(res);
+}
+
 function formatLogDetails(data) {
   if (!data) return '-';
   
@@ -0,0 +1,337 @@
+// ========== API v1 EXPLORER ==========
+// Lists the operations of /api/v1/openapi.json by tag and sends requests to
+// them from a form built out of each operation's parameters and body schema.
+
+const API_DOCUMENT_URL = '/api/v1/openapi.json';
+
+let apiDocument = null;
+let selectedOperation = null;
+
+document.addEventListener('DOMContentLoaded', loadApiDocument);
+
+async function loadApiDocument() {
+  try {
+    const response = await fetch(API_DOCUMENT_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    apiDocument = await response.json();
+
+    renderIntro();
+    renderOperationList();
+  } catch (error) {
+    console.error('API document error:', error);
+    document.getElementById('explorerOperations').innerHTML =
+      `<div class="explorer-error">Failed to load the API document: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// Operations as [{ method, path, operation }], in document order
+function listOperations() {
+  return Object.entries(apiDocument.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ method, path, operation }))
+  );
+}
+
+// ========== Sidebar ==========
+
+function renderIntro() {
+  const { info, servers } = apiDocument;
+  document.getElementById('explorerIntro').innerHTML = `
+    <h2>${escapeHtml(info.title)} <span class="explorer-version">${escapeHtml(info.version)}</span></h2>
+    <p>${escapeHtml(info.description)}</p>
+    <p>Base URL: <code>${escapeHtml(servers[0].url)}</code>. Pick an operation to try it.
+       Operations need an API key (<code>X-API-Key</code>) with their scope, or a token; admin operations
+       need an admin token. The token is filled in from your session when you are logged in.</p>
+  `;
+}
+
+window.renderOperationList = function () {
+  const filter = document.getElementById('explorerFilter').value.trim().toLowerCase();
+  const operations = listOperations().filter(({ method, path, operation }) =>
+    !filter || `${method} ${path} ${operation.summary}`.toLowerCase().includes(filter)
+  );
+
+  const html = apiDocument.tags.map(tag => {
+    const tagged = operations.filter(({ operation }) => operation.tags.includes(tag.name));
+    if (tagged.length === 0) return '';
+
+    return `
+      <div class="explorer-tag">
+        <h3 title="${escapeHtml(tag.description)}">${escapeHtml(tag.name)}</h3>
+        ${tagged.map(({ method, path, operation }) => `
+          <button type="button" class="explorer-operation-link ${isSelected(operation) ? 'active' : ''}"
+                  onclick="selectOperation('${method}', '${escapeHtml(path)}')" title="${escapeHtml(operation.summary)}">
+            <span class="method-badge method-${method}">${method.toUpperCase()}</span>
+            <span class="explorer-path">${escapeHtml(path)}</span>
+            ${operation['x-admin-only'] ? '<span class="admin-badge">Admin</span>' : ''}
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('explorerOperations').innerHTML =
+    html || '<div class="explorer-empty">No operations match</div>';
+};
+
+function isSelected(operation) {
+  return selectedOperation !== null && selectedOperation.operation === operation;
+}
+
+// ========== Operation ==========
+
+window.selectOperation = function (method, path) {
+  selectedOperation = { method, path, operation: apiDocument.paths[path][method] };
+  renderOperationList();
+  renderOperation();
+};
+
+function renderOperation() {
+  const { method, path, operation } = selectedOperation;
+  const parameters = operation.parameters || [];
+  const body = operation.requestBody ? resolveSchema(operation.requestBody.content['application/json'].schema) : null;
+
+  document.getElementById('explorerIntro').style.display = 'none';
+  const container = document.getElementById('explorerOperation');
+  container.style.display = 'block';
+  container.innerHTML = `
+    <div class="explorer-operation-header">
+      <span class="method-badge method-${method}">${method.toUpperCase()}</span>
+      <code class="explorer-operation-path">${escapeHtml(apiDocument.servers[0].url + path)}</code>
+      ${operation['x-admin-only'] ? '<span class="admin-badge">Admin</span>' : ''}
+    </div>
+    <h2>${escapeHtml(operation.summary)}</h2>
+    ${operation.description ? `<p class="explorer-description">${escapeHtml(operation.description)}</p>` : ''}
+
+    <form id="explorerForm" onsubmit="sendExplorerRequest(event)">
+      ${operation.security ? `
+        <div class="explorer-section">
+          <h4>Authorization</h4>
+          ${operation['x-api-key-scope'] ? `
+            <input type="text" id="explorerApiKey" class="explorer-input" placeholder="API key (X-API-Key)"
+                   value="${escapeHtml(sessionStorage.getItem('apiExplorerKey') || '')}">
+            <div class="explorer-hint">Needs the <code>${escapeHtml(operation['x-api-key-scope'])}</code> scope. Or use a token:</div>
+          ` : ''}
+          <input type="text" id="explorerToken" class="explorer-input" placeholder="Bearer token"
+                 value="${escapeHtml(localStorage.getItem('authToken') || '')}">
+        </div>
+      ` : ''}
+
+      ${parameters.length > 0 ? `
+        <div class="explorer-section">
+          <h4>Parameters</h4>
+          <table class="explorer-params">
+            <tbody>${parameters.map(renderParameter).join('')}</tbody>
+          </table>
+        </div>
+      ` : ''}
+
+      ${body ? `
+        <div class="explorer-section">
+          <h4>Request body <span class="explorer-hint">application/json</span></h4>
+          <textarea id="explorerBody" class="explorer-body" rows="10" spellcheck="false">${escapeHtml(JSON.stringify(exampleValue(body), null, 2))}</textarea>
+          ${renderBodyFields(body)}
+        </div>
+      ` : ''}
+
+      <div class="explorer-section">
+        <h4>Responses</h4>
+        <ul class="explorer-responses">
+          ${Object.entries(operation.responses).map(([status, response]) => `
+            <li><span class="status-code status-${status.charAt(0)}xx">${status}</span> ${escapeHtml(response.description)}</li>
+          `).join('')}
+        </ul>
+      </div>
+
+      <button type="submit" class="btn-primary" id="explorerSend">Send request</button>
+    </form>
+
+    <div id="explorerResult" class="explorer-result" style="display: none;"></div>
+  `;
+}
+
+function renderParameter(parameter) {
+  const { schema } = parameter;
+  const id = parameterInputId(parameter);
+  const input = schema.enum
+    ? `<select id="${id}" class="explorer-input">
+         ${parameter.required ? '' : '<option value="">(not set)</option>'}
+         ${schema.enum.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('')}
+       </select>`
+    : `<input type="text" id="${id}" class="explorer-input" ${parameter.required ? 'required' : ''}
+              placeholder="${escapeHtml(describeSchema(schema))}">`;
+
+  return `
+    <tr>
+      <td class="explorer-param-name">
+        <code>${escapeHtml(parameter.name)}</code>${parameter.required ? '<span class="required">*</span>' : ''}
+        <div class="explorer-hint">${parameter.in}</div>
+      </td>
+      <td>
+        ${input}
+        ${schema.description ? `<div class="explorer-hint">${escapeHtml(schema.description)}</div>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+function renderBodyFields(schema) {
+  if (!schema.properties || Object.keys(schema.properties).length === 0) return '';
+  const required = schema.required || [];
+  return `
+    <details class="explorer-body-fields">
+      <summary>Body fields</summary>
+      <ul>
+        ${Object.entries(schema.properties).map(([name, property]) => `
+          <li><code>${escapeHtml(name)}</code>${required.includes(name) ? '<span class="required">*</span>' : ''}
+            <span class="explorer-hint">${escapeHtml(describeSchema(resolveSchema(property)))}</span></li>
+        `).join('')}
+      </ul>
+    </details>
+  `;
+}
+
+const parameterInputId = parameter => `param-${parameter.in}-${parameter.name}`;
+
+// ========== Schemas ==========
+
+// Follow a $ref into components.schemas
+function resolveSchema(schema) {
+  if (!schema || !schema.$ref) return schema || {};
+  return resolveSchema(apiDocument.components.schemas[schema.$ref.split('/').pop()]);
+}
+
+// One line about a schema, e.g. "integer, 1 to 500" or "string, at most 200 characters"
+function describeSchema(schema) {
+  const parts = [schema.type || 'any'];
+  if (schema.enum) parts.push(`one of ${schema.enum.slice(0, 6).join(', ')}${schema.enum.length > 6 ? ', ...' : ''}`);
+  if (schema.minimum !== undefined && schema.maximum !== undefined) parts.push(`${schema.minimum} to ${schema.maximum}`);
+  else if (schema.minimum !== undefined) parts.push(`at least ${schema.minimum}`);
+  if (schema.maxLength) parts.push(`at most ${schema.maxLength} characters`);
+  if (schema.pattern) parts.push(`pattern ${schema.pattern}`);
+  if (schema.description) parts.push(schema.description);
+  return parts.join(', ');
+}
+
+// A starting body: the required fields, with placeholder values
+function exampleValue(schema) {
+  schema = resolveSchema(schema);
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object': {
+      const names = schema.required || [];
+      return Object.fromEntries(names.map(name => [name, exampleValue(schema.properties[name])]));
+    }
+    case 'array': return [];
+    case 'integer': return schema.minimum !== undefined ? schema.minimum : 1;
+    case 'number': return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean': return true;
+    default: return '';
+  }
+}
+
+// ========== Requests ==========
+
+window.sendExplorerRequest = async function (event) {
+  event.preventDefault();
+  const { method, path, operation } = selectedOperation;
+  const parameters = operation.parameters || [];
+
+  const valueOf = parameter => document.getElementById(parameterInputId(parameter)).value.trim();
+
+  let url = apiDocument.servers[0].url + path;
+  parameters.filter(parameter => parameter.in === 'path').forEach(parameter => {
+    url = url.replace(`{${parameter.name}}`, encodeURIComponent(valueOf(parameter)));
+  });
+
+  const query = new URLSearchParams();
+  parameters.filter(parameter => parameter.in === 'query' && valueOf(parameter) !== '').forEach(parameter => {
+    query.set(parameter.name, valueOf(parameter));
+  });
+  if ([...query].length > 0) url += `?${query}`;
+
+  const headers = {};
+  const options = { method: method.toUpperCase(), headers };
+
+  // The key is kept for this tab only
+  const apiKeyInput = document.getElementById('explorerApiKey');
+  if (apiKeyInput && apiKeyInput.value.trim()) {
+    headers['X-API-Key'] = apiKeyInput.value.trim();
+    sessionStorage.setItem('apiExplorerKey', apiKeyInput.value.trim());
+  }
+
+  const tokenInput = document.getElementById('explorerToken');
+  if (tokenInput && tokenInput.value.trim()) {
+    headers.Authorization = `Bearer ${tokenInput.value.trim().replace(/^Bearer\s+/i, '')}`;
+  }
+
+  const bodyInput = document.getElementById('explorerBody');
+  if (bodyInput) {
+    try {
+      JSON.parse(bodyInput.value);
+    } catch (error) {
+      showToast('The request body is not valid JSON', 'error');
+      return;
+    }
+    headers['Content-Type'] = 'application/json';
+    options.body = bodyInput.value;
+  }
+
+  const sendButton = document.getElementById('explorerSend');
+  sendButton.disabled = true;
+  const started = performance.now();
+
+  try {
+    const response = await fetch(url, options);
+    const text = await response.text();
+    renderResult(options.method, url, response, text, Math.round(performance.now() - started));
+  } catch (error) {
+    console.error('Explorer request error:', error);
+    showToast('Request failed: ' + error.message, 'error');
+  } finally {
+    sendButton.disabled = false;
+  }
+};
+
+function renderResult(method, url, response, text, elapsed) {
+  let body = text;
+  try {
+    body = JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    // Not JSON: show as sent
+  }
+
+  const result = document.getElementById('explorerResult');
+  result.style.display = 'block';
+  result.innerHTML = `
+    <div class="explorer-result-header">
+      <span class="status-code status-${String(response.status).charAt(0)}xx">${response.status} ${escapeHtml(response.statusText)}</span>
+      <span class="explorer-hint">${elapsed} ms</span>
+      <span class="explorer-hint">X-Request-Id: ${escapeHtml(response.headers.get('X-Request-Id') || '-')}</span>
+      ${response.headers.get('RateLimit-Limit') ? `<span class="explorer-hint">Rate limit: ${escapeHtml(response.headers.get('RateLimit-Remaining'))} of ${escapeHtml(response.headers.get('RateLimit-Limit'))} left</span>` : ''}
+    </div>
+    <code class="explorer-request-line">${escapeHtml(method)} ${escapeHtml(url)}</code>
+    <pre class="explorer-response">${escapeHtml(body)}</pre>
+  `;
+}
+
+// ========== Helpers ==========
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function showToast(message, type = 'info') {
+  const toast = document.getElementById('toast');
+  document.getElementById('toastMessage').textContent = message;
+  toast.className = 'toast show ' + type;
+
+  setTimeout(() => {
+    toast.classList.remove('show');
+  }, 3000);
+}
@@ -0,0 +1,325 @@
+// ========== API Keys ==========
+// Issue, edit, rotate and revoke keys for partner applications calling
+// /api/v1, from the Manage view. A key is shown once, right after it is
+// created or rotated; afterwards only its prefix is known.
+
+const API_KEY_SCOPE_LABELS = {
+  read: 'Read (schools, offerings, search)',
+  analytics: 'Analytics reports',
+  geo: 'Geo (postal codes, map)'
+};
+
+const apiKeyState = {
+  keys: [],
+  scopes: [],
+  defaultRateLimit: null,
+  editingId: null      // key_id being edited in the form, or null for a new key
+};
+
+window.showApiKeysModal = function () {
+  if (!isUserAdmin()) {
+    showToast('Admin privileges required to manage API keys', 'error');
+    return;
+  }
+
+  closeApiKeysModal();
+  apiKeyState.editingId = null;
+
+  const html = `
+    <div class="modal active" id="apiKeysModal">
+      <div class="modal-overlay" onclick="closeApiKeysModal()"></div>
+      <div class="modal-content api-keys-modal">
+        <div class="modal-header">
+          <h3>API Keys</h3>
+          <button class="modal-close" type="button" onclick="closeApiKeysModal()">×</button>
+        </div>
+        <div class="api-keys-body">
+          <p class="api-keys-hint">
+            Partner applications send a key in the <code>X-API-Key</code> header to call
+            <a href="/api/v1/docs" target="_blank">/api/v1</a>. Each key only reaches the operations of its scopes
+            and is limited to its requests per minute.
+          </p>
+          <div id="apiKeyIssued"></div>
+          <div id="apiKeysList" class="api-keys-list"><p class="api-keys-hint">Loading...</p></div>
+          <div id="apiKeyUsage"></div>
+          <form id="apiKeyForm" class="api-key-form" onsubmit="submitApiKeyForm(event)"></form>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', html);
+  document.body.style.overflow = 'hidden';
+  loadApiKeys();
+};
+
+window.closeApiKeysModal = function () {
+  const modal = document.getElementById('apiKeysModal');
+  if (modal) {
+    modal.remove();
+    document.body.style.overflow = 'auto';
+  }
+};
+
+async function loadApiKeys() {
+  try {
+    const response = await fetch('/api/admin/api-keys', { headers: getAuthHeaders() });
+    const data = await readApiResponse(response);
+
+    apiKeyState.keys = data.keys;
+    apiKeyState.scopes = data.scopes;
+    apiKeyState.defaultRateLimit = data.default_rate_limit;
+    renderApiKeys();
+    renderApiKeyForm();
+  } catch (error) {
+    console.error('API keys error:', error);
+    document.getElementById('apiKeysList').innerHTML =
+      `<p class="api-keys-error">${escapeHtml(apiErrorMessage(error))}</p>`;
+  }
+}
+
+// ========== List ==========
+
+function renderApiKeys() {
+  const formatDate = value => (value ? new Date(value).toLocaleString('en-SG') : '-');
+
+  if (apiKeyState.keys.length === 0) {
+    document.getElementById('apiKeysList').innerHTML = '<p class="api-keys-hint">No API keys yet.</p>';
+    return;
+  }
+
+  const rows = apiKeyState.keys.map(apiKey => {
+    const revoked = Boolean(apiKey.revoked_at);
+    return `
+      <tr class="${revoked ? 'revoked' : ''}">
+        <td>
+          <strong>${escapeHtml(apiKey.name)}</strong>
+          <div class="api-keys-hint"><code>eq_${escapeHtml(apiKey.key_prefix)}_…</code></div>
+        </td>
+        <td>${apiKey.scopes.map(scope => `<span class="api-key-scope">${escapeHtml(scope)}</span>`).join(' ')}</td>
+        <td>${apiKey.rate_limit
+          ? `${apiKey.rate_limit}/min`
+          : `<span class="api-keys-hint">${apiKeyState.defaultRateLimit}/min (default)</span>`}</td>
+        <td>
+          ${apiKey.usage.today} today · ${apiKey.usage.requests} in 30 days
+          ${apiKey.usage.rejected > 0 ? `<div class="api-keys-hint">${apiKey.usage.rejected} rate limited</div>` : ''}
+          <div class="api-keys-hint">Last used ${formatDate(apiKey.usage.last_used_at)}</div>
+        </td>
+        <td>
+          ${revoked
+            ? `<span class="api-key-status revoked">Revoked</span><div class="api-keys-hint">${formatDate(apiKey.revoked_at)}</div>`
+            : `<span class="api-key-status active">Active</span><div class="api-keys-hint">Since ${formatDate(apiKey.rotated_at || apiKey.created_at)}</div>`}
+        </td>
+        <td class="api-key-actions">
+          <button type="button" class="btn-secondary" onclick="showApiKeyUsage(${apiKey.key_id})">Usage</button>
+          ${revoked ? '' : `
+            <button type="button" class="btn-secondary" onclick="editApiKey(${apiKey.key_id})">Edit</button>
+            <button type="button" class="btn-secondary" onclick="rotateApiKey(${apiKey.key_id})">Rotate</button>
+            <button type="button" class="btn-danger" onclick="revokeApiKey(${apiKey.key_id})">Revoke</button>
+          `}
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('apiKeysList').innerHTML = `
+    <table class="data-table">
+      <thead><tr><th>Key</th><th>Scopes</th><th>Rate limit</th><th>Requests</th><th>Status</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// The key from a create or rotate response, shown once with a copy button
+function showIssuedApiKey(apiKey, key) {
+  document.getElementById('apiKeyIssued').innerHTML = `
+    <div class="api-key-issued">
+      <p><strong>${escapeHtml(apiKey.name)}</strong>: copy this key now. It will not be shown again.</p>
+      <div class="api-key-issued-value">
+        <code id="apiKeyIssuedValue">${escapeHtml(key)}</code>
+        <button type="button" class="btn-secondary" onclick="copyIssuedApiKey()">Copy</button>
+      </div>
+    </div>
+  `;
+}
+
+window.copyIssuedApiKey = async function () {
+  try {
+    await navigator.clipboard.writeText(document.getElementById('apiKeyIssuedValue').textContent);
+    showToast('✓ API key copied', 'success');
+  } catch (error) {
+    showToast('Could not copy: select the key and copy it by hand', 'error');
+  }
+};
+
+window.showApiKeyUsage = async function (keyId) {
+  const apiKey = apiKeyState.keys.find(entry => entry.key_id === keyId);
+  const container = document.getElementById('apiKeyUsage');
+  container.innerHTML = '<p class="api-keys-hint">Loading usage...</p>';
+
+  try {
+    const response = await fetch(`/api/admin/api-keys/${keyId}/usage?days=30`, { headers: getAuthHeaders() });
+    const data = await readApiResponse(response);
+
+    const rows = data.usage.map(day => {
+      const routes = Object.entries(day.routes || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([route, count]) => `<li><code>${escapeHtml(route)}</code> ${count}</li>`)
+        .join('');
+      return `
+        <tr>
+          <td>${escapeHtml(day.day)}</td>
+          <td>${day.requests}</td>
+          <td>${day.errors}</td>
+          <td>${day.rejected}</td>
+          <td><ul class="api-key-routes">${routes}</ul></td>
+        </tr>
+      `;
+    }).join('');
+
+    container.innerHTML = `
+      <div class="api-key-usage">
+        <h4>Usage of ${escapeHtml(apiKey ? apiKey.name : `key ${keyId}`)}, last ${data.days} days
+          <button type="button" class="modal-close" onclick="document.getElementById('apiKeyUsage').innerHTML = ''">×</button>
+        </h4>
+        ${rows ? `
+          <table class="data-table">
+            <thead><tr><th>Day</th><th>Requests</th><th>Errors</th><th>Rate limited</th><th>Routes</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : '<p class="api-keys-hint">No requests in this period.</p>'}
+      </div>
+    `;
+  } catch (error) {
+    console.error('API key usage error:', error);
+    container.innerHTML = `<p class="api-keys-error">${escapeHtml(apiErrorMessage(error))}</p>`;
+  }
+};
+
+// ========== Create & edit ==========
+
+function renderApiKeyForm() {
+  const editing = apiKeyState.keys.find(apiKey => apiKey.key_id === apiKeyState.editingId);
+  const scopes = editing ? editing.scopes : ['read'];
+
+  document.getElementById('apiKeyForm').innerHTML = `
+    <h4>${editing ? `Edit ${escapeHtml(editing.name)}` : 'New API key'}</h4>
+    <div class="api-key-form-fields">
+      <div class="form-group">
+        <label for="apiKeyName">Name *</label>
+        <input type="text" id="apiKeyName" maxlength="100" required placeholder="Application or partner"
+               value="${escapeHtml(editing ? editing.name : '')}">
+      </div>
+      <div class="form-group">
+        <label for="apiKeyRateLimit">Requests per minute</label>
+        <input type="number" id="apiKeyRateLimit" min="1" max="100000"
+               placeholder="${apiKeyState.defaultRateLimit} (default)" value="${editing && editing.rate_limit ? editing.rate_limit : ''}">
+      </div>
+    </div>
+    <fieldset class="api-key-scopes">
+      <legend>Scopes *</legend>
+      ${apiKeyState.scopes.map(scope => `
+        <label>
+          <input type="checkbox" name="apiKeyScope" value="${escapeHtml(scope)}" ${scopes.includes(scope) ? 'checked' : ''}>
+          ${escapeHtml(API_KEY_SCOPE_LABELS[scope] || scope)}
+        </label>
+      `).join('')}
+    </fieldset>
+    <div class="api-key-form-actions">
+      ${editing ? '<button type="button" class="btn-secondary" onclick="cancelApiKeyEdit()">Cancel</button>' : ''}
+      <button type="submit" class="btn-primary" id="apiKeySubmit">${editing ? 'Save changes' : 'Create key'}</button>
+    </div>
+  `;
+}
+
+window.editApiKey = function (keyId) {
+  apiKeyState.editingId = keyId;
+  renderApiKeyForm();
+  document.getElementById('apiKeyName').focus();
+};
+
+window.cancelApiKeyEdit = function () {
+  apiKeyState.editingId = null;
+  renderApiKeyForm();
+};
+
+window.submitApiKeyForm = async function (event) {
+  event.preventDefault();
+
+  const scopes = [...document.querySelectorAll('input[name="apiKeyScope"]:checked')].map(input => input.value);
+  if (scopes.length === 0) {
+    showToast('Pick at least one scope', 'error');
+    return;
+  }
+
+  const rateLimit = document.getElementById('apiKeyRateLimit').value.trim();
+  const body = {
+    name: document.getElementById('apiKeyName').value.trim(),
+    scopes,
+    rate_limit: rateLimit ? parseInt(rateLimit, 10) : null
+  };
+
+  const editingId = apiKeyState.editingId;
+  const submit = document.getElementById('apiKeySubmit');
+  submit.disabled = true;
+
+  try {
+    const response = await fetch(editingId ? `/api/admin/api-keys/${editingId}` : '/api/admin/api-keys', {
+      method: editingId ? 'PUT' : 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(body)
+    });
+    const data = await readApiResponse(response);
+
+    if (data.key) showIssuedApiKey(data.api_key, data.key);
+    showToast(`✓ ${data.message}`, 'success');
+    apiKeyState.editingId = null;
+    await loadApiKeys();
+  } catch (error) {
+    console.error('Save API key error:', error);
+    showToast(apiErrorMessage(error), 'error');
+    submit.disabled = false;
+  }
+};
+
+// ========== Rotate & revoke ==========
+
+window.rotateApiKey = async function (keyId) {
+  const apiKey = apiKeyState.keys.find(entry => entry.key_id === keyId);
+  if (!confirm(`Rotate the key of "${apiKey.name}"? The current key stops working at once.`)) return;
+
+  try {
+    const response = await fetch(`/api/admin/api-keys/${keyId}/rotate`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const data = await readApiResponse(response);
+
+    showIssuedApiKey(data.api_key, data.key);
+    showToast('✓ API key rotated', 'success');
+    await loadApiKeys();
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    showToast(apiErrorMessage(error), 'error');
+  }
+};
+
+window.revokeApiKey = async function (keyId) {
+  const apiKey = apiKeyState.keys.find(entry => entry.key_id === keyId);
+  if (!confirm(`Revoke the key of "${apiKey.name}"? Applications using it will be refused. This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`/api/admin/api-keys/${keyId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+    await readApiResponse(response);
+
+    showToast('✓ API key revoked', 'success');
+    if (apiKeyState.editingId === keyId) apiKeyState.editingId = null;
+    await loadApiKeys();
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    showToast(apiErrorMessage(error), 'error');
+  }
+};
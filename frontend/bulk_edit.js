@@ -0,0 +1,326 @@
+// ========== Bulk Edit ==========
+// Multi-select on the results tables and a modal that applies one patch to
+// many schools through POST /api/schools/bulk: either the ticked schools or
+// every school matching the current search. Preview runs the edit as a dry
+// run; Apply is enabled once the same edit has been previewed.
+
+// Fields a bulk edit can set: the school fields of the history labels,
+// except school_name, which is unique per school
+const BULK_EDIT_FIELDS = Object.keys(HISTORY_FIELD_LABELS)
+  .filter(field => field !== 'school_name' && !field.startsWith('ccas') &&
+    !['subjects', 'programmes', 'distinctives'].includes(field));
+
+// Description inputs for offerings added or removed in bulk
+const BULK_OFFERING_INPUTS = {
+  subjects: [['subject_desc', 'Subject']],
+  ccas: [['cca_grouping_desc', 'CCA'], ['cca_generic_name', 'Category']],
+  programmes: [['moe_programme_desc', 'Programme']],
+  distinctives: [['alp_domain', 'ALP domain'], ['alp_title', 'ALP title'], ['llp_domain1', 'LLP domain'], ['llp_title', 'LLP title']]
+};
+
+const bulkEdit = {
+  selected: new Map(),     // school_id -> school_name
+  searchCriteria: null,    // advanced search criteria of the current results
+  previewedBody: null      // JSON of the last previewed request
+};
+
+// ========== Selection ==========
+
+/**
+ * Header cell with a select-all checkbox (admins only)
+ */
+function bulkSelectHeader() {
+  if (!isUserAdmin()) return '';
+  return `<th class="bulk-select-cell"><input type="checkbox" title="Select all" onchange="toggleBulkSelectAll(this)"></th>`;
+}
+
+/**
+ * Row cell with the school's checkbox (admins only)
+ */
+function bulkSelectCell(schoolId, schoolName) {
+  if (!isUserAdmin() || !schoolId) return isUserAdmin() ? '<td class="bulk-select-cell"></td>' : '';
+  const checked = bulkEdit.selected.has(schoolId) ? 'checked' : '';
+  return `
+    <td class="bulk-select-cell" onclick="event.stopPropagation()">
+      <input type="checkbox" class="bulk-select" data-school-id="${schoolId}"
+             data-school-name="${escapeHtml(schoolName || '')}" ${checked}
+             onchange="toggleBulkSelection(this)">
+    </td>`;
+}
+
+/**
+ * New results were rendered: remember the criteria behind them and
+ * start a new selection
+ */
+function setBulkSearchCriteria(criteria) {
+  bulkEdit.searchCriteria = criteria && Object.keys(criteria).length > 0 ? criteria : null;
+  bulkEdit.selected.clear();
+  updateBulkActionBar();
+}
+
+window.toggleBulkSelection = function (checkbox) {
+  const schoolId = Number(checkbox.dataset.schoolId);
+  if (checkbox.checked) {
+    bulkEdit.selected.set(schoolId, checkbox.dataset.schoolName);
+  } else {
+    bulkEdit.selected.delete(schoolId);
+  }
+  updateBulkActionBar();
+};
+
+window.toggleBulkSelectAll = function (master) {
+  document.querySelectorAll('#resultsTable .bulk-select').forEach(checkbox => {
+    checkbox.checked = master.checked;
+    toggleBulkSelection(checkbox);
+  });
+};
+
+window.clearBulkSelection = function () {
+  bulkEdit.selected.clear();
+  document.querySelectorAll('#resultsTable .bulk-select, #resultsTable .bulk-select-cell input')
+    .forEach(checkbox => { checkbox.checked = false; });
+  updateBulkActionBar();
+};
+
+function updateBulkActionBar() {
+  const bar = document.getElementById('bulkActionBar');
+  if (!bar) return;
+
+  if (!isUserAdmin() || (bulkEdit.selected.size === 0 && !bulkEdit.searchCriteria)) {
+    bar.style.display = 'none';
+    return;
+  }
+
+  const count = bulkEdit.selected.size;
+  bar.style.display = 'flex';
+  bar.innerHTML = `
+    <span class="bulk-action-count">${count > 0 ? `${count} school(s) selected` : 'Select schools to edit them together'}</span>
+    <button type="button" class="btn-primary" onclick="showBulkEditModal()">Bulk Edit</button>
+    ${count > 0 ? '<button type="button" class="btn-secondary" onclick="clearBulkSelection()">Clear</button>' : ''}
+  `;
+}
+
+// ========== Modal ==========
+
+window.showBulkEditModal = function () {
+  if (!isUserAdmin()) {
+    showToast('Admin privileges required for bulk edits', 'error');
+    return;
+  }
+
+  closeBulkEditModal();
+  bulkEdit.previewedBody = null;
+
+  const count = bulkEdit.selected.size;
+  const criteria = bulkEdit.searchCriteria;
+  const criteriaText = criteria
+    ? Object.entries(criteria).map(([key, value]) => `${key.replace(/_/g, ' ')}: ${escapeHtml(value)}`).join(', ')
+    : '';
+
+  const html = `
+    <div class="modal active" id="bulkEditModal">
+      <div class="modal-overlay" onclick="closeBulkEditModal()"></div>
+      <div class="modal-content bulk-edit-modal">
+        <div class="modal-header">
+          <h3>Bulk Edit Schools</h3>
+          <button class="modal-close" type="button" onclick="closeBulkEditModal()">×</button>
+        </div>
+        <div class="bulk-edit-body">
+          <h4>Schools</h4>
+          <div class="bulk-edit-targets">
+            <label ${count === 0 ? 'class="disabled"' : ''}>
+              <input type="radio" name="bulkTarget" value="selected" ${count > 0 ? 'checked' : 'disabled'} onchange="resetBulkPreview()">
+              The ${count} selected school(s)
+            </label>
+            <label ${criteria ? '' : 'class="disabled"'}>
+              <input type="radio" name="bulkTarget" value="search" ${count === 0 && criteria ? 'checked' : ''} ${criteria ? '' : 'disabled'} onchange="resetBulkPreview()">
+              Every school matching the current search${criteriaText ? ` <span class="bulk-edit-hint">(${criteriaText})</span>` : ''}
+            </label>
+          </div>
+
+          <h4>Set fields</h4>
+          <div id="bulkFieldRows" class="bulk-edit-rows"></div>
+          <button type="button" class="btn-secondary bulk-edit-add" onclick="addBulkFieldRow()">+ Field</button>
+
+          <h4>Offerings</h4>
+          <div id="bulkOfferingRows" class="bulk-edit-rows"></div>
+          <button type="button" class="btn-secondary bulk-edit-add" onclick="addBulkOfferingRow()">+ Offering</button>
+
+          <div id="bulkEditPreview" class="bulk-edit-preview"></div>
+
+          <div class="bulk-edit-actions">
+            <button type="button" class="btn-secondary" onclick="closeBulkEditModal()">Cancel</button>
+            <button type="button" class="btn-secondary" onclick="runBulkEdit(true)">Preview</button>
+            <button type="button" class="btn-primary" id="bulkEditApply" onclick="runBulkEdit(false)" disabled>Apply</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', html);
+  document.body.style.overflow = 'hidden';
+  addBulkFieldRow();
+};
+
+window.closeBulkEditModal = function () {
+  const modal = document.getElementById('bulkEditModal');
+  if (modal) {
+    modal.remove();
+    document.body.style.overflow = 'auto';
+  }
+};
+
+window.addBulkFieldRow = function () {
+  const options = BULK_EDIT_FIELDS
+    .map(field => `<option value="${field}">${HISTORY_FIELD_LABELS[field]}</option>`)
+    .join('');
+
+  document.getElementById('bulkFieldRows').insertAdjacentHTML('beforeend', `
+    <div class="bulk-edit-row bulk-field-row">
+      <select class="bulk-field-name" onchange="resetBulkPreview()">${options}</select>
+      <input type="text" class="bulk-field-value" placeholder="New value (empty clears it)" oninput="resetBulkPreview()">
+      <button type="button" class="bulk-edit-remove" title="Remove" onclick="this.parentElement.remove(); resetBulkPreview()">×</button>
+    </div>
+  `);
+};
+
+window.addBulkOfferingRow = function () {
+  document.getElementById('bulkOfferingRows').insertAdjacentHTML('beforeend', `
+    <div class="bulk-edit-row bulk-offering-row">
+      <select class="bulk-offering-action" onchange="resetBulkPreview()">
+        <option value="add">Add</option>
+        <option value="remove">Remove</option>
+      </select>
+      <select class="bulk-offering-type" onchange="renderBulkOfferingInputs(this); resetBulkPreview()">
+        <option value="subjects">Subject</option>
+        <option value="ccas">CCA</option>
+        <option value="programmes">Programme</option>
+        <option value="distinctives">ALP / LLP</option>
+      </select>
+      <span class="bulk-offering-inputs"></span>
+      <button type="button" class="bulk-edit-remove" title="Remove" onclick="this.parentElement.remove(); resetBulkPreview()">×</button>
+    </div>
+  `);
+
+  const rows = document.querySelectorAll('#bulkOfferingRows .bulk-offering-type');
+  renderBulkOfferingInputs(rows[rows.length - 1]);
+};
+
+window.renderBulkOfferingInputs = function (typeSelect) {
+  const container = typeSelect.parentElement.querySelector('.bulk-offering-inputs');
+  container.innerHTML = BULK_OFFERING_INPUTS[typeSelect.value]
+    .map(([column, label]) => `<input type="text" data-column="${column}" placeholder="${label}" oninput="resetBulkPreview()">`)
+    .join('');
+};
+
+// Any change to the form invalidates the preview
+window.resetBulkPreview = function () {
+  bulkEdit.previewedBody = null;
+  const apply = document.getElementById('bulkEditApply');
+  if (apply) apply.disabled = true;
+};
+
+// Request body from the modal, or null (with a toast) when it is incomplete
+function readBulkEditForm() {
+  const target = document.querySelector('input[name="bulkTarget"]:checked');
+  if (!target) {
+    showToast('Select schools in the results or run a search first', 'error');
+    return null;
+  }
+
+  const filter = target.value === 'selected'
+    ? { school_ids: [...bulkEdit.selected.keys()] }
+    : { ...bulkEdit.searchCriteria };
+
+  const fields = {};
+  document.querySelectorAll('#bulkFieldRows .bulk-field-row').forEach(row => {
+    fields[row.querySelector('.bulk-field-name').value] = row.querySelector('.bulk-field-value').value.trim() || null;
+  });
+
+  const offerings = [];
+  document.querySelectorAll('#bulkOfferingRows .bulk-offering-row').forEach(row => {
+    const offering = {
+      type: row.querySelector('.bulk-offering-type').value,
+      action: row.querySelector('.bulk-offering-action').value
+    };
+    row.querySelectorAll('.bulk-offering-inputs input').forEach(input => {
+      if (input.value.trim()) offering[input.dataset.column] = input.value.trim();
+    });
+    offerings.push(offering);
+  });
+
+  if (Object.keys(fields).length === 0 && offerings.length === 0) {
+    showToast('Add at least one field or offering change', 'error');
+    return null;
+  }
+
+  return { filter, patch: { fields, offerings } };
+}
+
+window.runBulkEdit = async function (dryRun) {
+  const request = readBulkEditForm();
+  if (!request) return;
+
+  const body = JSON.stringify(request);
+  if (!dryRun) {
+    if (body !== bulkEdit.previewedBody) {
+      showToast('Preview the edit before applying it', 'error');
+      return;
+    }
+    if (!confirm('Apply this edit to the schools listed in the preview?')) return;
+  }
+
+  const preview = document.getElementById('bulkEditPreview');
+  preview.innerHTML = `<p class="bulk-edit-hint">${dryRun ? 'Previewing...' : 'Applying...'}</p>`;
+
+  try {
+    const response = await fetch('/api/schools/bulk', {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ ...request, dry_run: dryRun })
+    });
+    const data = await readApiResponse(response);
+
+    if (dryRun) {
+      bulkEdit.previewedBody = body;
+      document.getElementById('bulkEditApply').disabled = data.changed_count === 0;
+      preview.innerHTML = renderBulkPreview(data);
+      return;
+    }
+
+    showToast(`✓ ${data.message}`, 'success');
+    closeBulkEditModal();
+    clearBulkSelection();
+    if (typeof loadSchoolStats === 'function') loadSchoolStats();
+  } catch (error) {
+    console.error('Bulk edit error:', error);
+    preview.innerHTML = `<p class="bulk-edit-error">${escapeHtml(apiErrorMessage(error))}</p>`;
+    resetBulkPreview();
+  }
+};
+
+// Table of the schools a dry run would change
+function renderBulkPreview(data) {
+  const created = data.operations.filter(operation => operation.master_created);
+  const rows = data.schools.map(school => `
+    <tr class="${school.fields.length === 0 ? 'bulk-preview-unchanged' : ''}">
+      <td><strong>${escapeHtml(school.school_name)}</strong></td>
+      <td>
+        ${school.fields.length === 0 ? 'No change' : `<ul>${school.fields.map(renderHistoryField).join('')}</ul>`}
+        ${school.unchanged.length > 0 ? `<div class="bulk-edit-hint">Already ${school.unchanged.map(item => `${item.action === 'add' ? 'has' : 'lacks'} ${escapeHtml(item.item)}`).join(', ')}</div>` : ''}
+      </td>
+    </tr>
+  `).join('');
+
+  return `
+    <h4>${escapeHtml(data.message)}</h4>
+    ${created.length > 0 ? `<p class="bulk-edit-hint">New entries will be created: ${created.map(operation => escapeHtml(operation.item)).join(', ')}</p>` : ''}
+    ${data.schools.length > 0 ? `
+      <table class="data-table">
+        <thead><tr><th>School</th><th>Changes</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    ` : '<p class="bulk-edit-hint">No schools match.</p>'}
+  `;
+}
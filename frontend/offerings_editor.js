@@ -0,0 +1,542 @@
+// ========== School Offerings Editor ==========
+// Editor for a school's subjects, CCAs, MOE programmes and ALP/LLP entries,
+// shown inside the Edit School modal. Additions, removals and CCA edits are
+// kept as pending changes and saved in one batch when the school is updated.
+
+const OFFERING_EDITOR_TYPES = {
+  subjects: {
+    title: 'Subjects',
+    noun: 'subject',
+    idField: 'subject_id',
+    label: item => item.subject_desc,
+    newEntry: term => ({ subject_desc: term })
+  },
+  ccas: {
+    title: 'CCAs',
+    noun: 'CCA',
+    idField: 'cca_id',
+    label: item => item.cca_grouping_desc,
+    detail: item => item.cca_generic_name,
+    newEntry: term => {
+      const category = document.getElementById('offeringNewCcaCategory').value;
+      if (!category) {
+        showToast('Pick a category for the new CCA first', 'error');
+        return null;
+      }
+      return { cca_grouping_desc: term, cca_generic_name: category };
+    }
+  },
+  programmes: {
+    title: 'MOE Programmes',
+    noun: 'programme',
+    idField: 'programme_id',
+    label: item => item.moe_programme_desc,
+    newEntry: term => ({ moe_programme_desc: term })
+  },
+  distinctives: {
+    title: 'ALP / LLP',
+    noun: 'ALP/LLP entry',
+    idField: 'distinctive_id',
+    label: item => [item.alp_title, item.llp_title].filter(Boolean).join(' · ') ||
+      [item.alp_domain, item.llp_domain1].filter(Boolean).join(' · '),
+    detail: item => [
+      item.alp_domain && `ALP: ${item.alp_domain}`,
+      item.llp_domain1 && `LLP: ${item.llp_domain1}`
+    ].filter(Boolean).join(' | '),
+    newEntry: term => {
+      const kind = document.getElementById('offeringNewDistinctiveKind').value;
+      const domain = document.getElementById('offeringNewDistinctiveDomain').value.trim();
+      if (!domain) {
+        showToast(`Enter the ${kind} domain for the new entry first`, 'error');
+        return null;
+      }
+      return kind === 'ALP'
+        ? { alp_domain: domain, alp_title: term }
+        : { llp_domain1: domain, llp_title: term };
+    }
+  }
+};
+
+// School section values used in the MOE CCA file
+const CCA_SCHOOL_SECTIONS = [
+  'PRIMARY', 'SECONDARY (S1-S4)', 'SECONDARY (S1-S5)', 'JUNIOR COLLEGE',
+  'MIXED LEVEL (P1-S4)', 'MIXED LEVEL (S1-JC2)', 'MIXED LEVEL (S1-S5, JC1-JC2)',
+  'CENTRALISED INSTITUTE'
+];
+
+// Editor state for the school currently open in the edit modal
+const offeringsEditor = {
+  schoolId: null,
+  current: { subjects: [], ccas: [], programmes: [], distinctives: [] },
+  pending: [],
+  nextKey: 1,
+  // Value lists for new CCAs and ALP/LLP entries, loaded once
+  options: null
+};
+
+let offeringSearchTimer = null;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// ========== Loading ==========
+
+/**
+ * Load a school's offerings into the editor (called from showEditModal)
+ */
+async function loadOfferingsEditor(schoolId) {
+  const container = document.getElementById('offeringsEditor');
+  if (!container) return;
+
+  offeringsEditor.schoolId = schoolId;
+  offeringsEditor.pending = [];
+  container.innerHTML = '<p class="offerings-loading">Loading offerings...</p>';
+
+  try {
+    const types = Object.keys(OFFERING_EDITOR_TYPES);
+    const responses = await Promise.all(
+      types.map(type => fetch(`/api/schools/${schoolId}/${type}`))
+    );
+
+    for (const [index, response] of responses.entries()) {
+      const body = await readApiResponse(response);
+      offeringsEditor.current[types[index]] = body.data;
+    }
+
+    // Ignore a late response if another school was opened meanwhile
+    if (offeringsEditor.schoolId !== schoolId) return;
+
+    renderOfferingsEditor();
+
+    if (!offeringsEditor.options) {
+      offeringsEditor.options = await loadNewEntryOptions();
+      renderOfferingsEditor();
+    }
+  } catch (error) {
+    console.error('Error loading offerings editor:', error);
+    container.innerHTML = '<p class="offerings-error">Failed to load offerings. Close and reopen the editor to retry.</p>';
+  }
+}
+
+// Category / domain lists used when creating new CCAs and ALP/LLP entries
+async function loadNewEntryOptions() {
+  const endpoints = {
+    ccaCategories: '/api/dropdown/cca-categories',
+    alpDomains: '/api/dropdown/alp-domains',
+    llpDomains: '/api/dropdown/llp-domains'
+  };
+  const options = {};
+
+  for (const [name, endpoint] of Object.entries(endpoints)) {
+    try {
+      const response = await fetch(endpoint);
+      const data = await response.json();
+      options[name] = data.success ? data.data : [];
+    } catch (error) {
+      console.error(`Failed to load ${endpoint}:`, error);
+      options[name] = [];
+    }
+  }
+
+  return options;
+}
+
+function renderOptions(values = []) {
+  return values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+}
+
+// ========== Pending Changes ==========
+
+function hasPendingOfferingChanges() {
+  return offeringsEditor.pending.length > 0;
+}
+
+function findPending(type, action, itemId) {
+  return offeringsEditor.pending.find(change =>
+    change.type === type && change.action === action && String(change.item_id) === String(itemId)
+  );
+}
+
+// Queue adding an existing master entry (fields has its id) or a new one (fields has its columns)
+function queueOfferingAdd(type, fields, label, detail) {
+  const config = OFFERING_EDITOR_TYPES[type];
+  const id = fields[config.idField];
+
+  const alreadyOffered = id !== undefined &&
+    offeringsEditor.current[type].some(item => item[config.idField] === id && !findPending(type, 'remove', id));
+  const alreadyQueued = offeringsEditor.pending.some(change =>
+    change.type === type && change.action === 'add' &&
+    (id !== undefined ? change.fields[config.idField] === id : change.label.toUpperCase() === label.toUpperCase())
+  );
+
+  if (alreadyOffered || alreadyQueued) {
+    showToast(`This ${config.noun} is already in the list`, 'info');
+    return;
+  }
+
+  // Re-adding something queued for removal just cancels the removal
+  const removal = id !== undefined && findPending(type, 'remove', id);
+  if (removal) {
+    discardPendingOffering(removal.key);
+    return;
+  }
+
+  if (type === 'ccas') {
+    const section = document.getElementById('offeringCcaSection').value.trim();
+    const customName = document.getElementById('offeringCcaCustomName').value.trim();
+    if (section) fields.school_section = section;
+    if (customName) fields.cca_customized_name = customName;
+  }
+
+  offeringsEditor.pending.push({ key: offeringsEditor.nextKey++, type, action: 'add', fields, label, detail });
+  renderOfferingsEditor();
+}
+
+function queueOfferingRemove(type, itemId) {
+  const config = OFFERING_EDITOR_TYPES[type];
+  const item = offeringsEditor.current[type].find(entry => String(entry[config.idField]) === String(itemId));
+  if (!item || findPending(type, 'remove', itemId)) return;
+
+  // An edit of a removed CCA is pointless
+  const update = findPending(type, 'update', itemId);
+  if (update) offeringsEditor.pending = offeringsEditor.pending.filter(change => change !== update);
+
+  offeringsEditor.pending.push({
+    key: offeringsEditor.nextKey++,
+    type,
+    action: 'remove',
+    item_id: item[config.idField],
+    label: config.label(item)
+  });
+  renderOfferingsEditor();
+}
+
+// Record an edit of an existing CCA's customised name or school section
+function queueCcaUpdate(itemId, field, value) {
+  const item = offeringsEditor.current.ccas.find(entry => String(entry.cca_id) === String(itemId));
+  if (!item) return;
+
+  let update = findPending('ccas', 'update', itemId);
+  if (!update) {
+    update = { key: offeringsEditor.nextKey++, type: 'ccas', action: 'update', item_id: item.cca_id, fields: {}, label: item.cca_grouping_desc };
+    offeringsEditor.pending.push(update);
+  }
+
+  const trimmed = value.trim();
+  if (trimmed === (item[field] || '')) {
+    delete update.fields[field];
+  } else {
+    update.fields[field] = trimmed || null;
+  }
+
+  // Nothing left to change
+  if (Object.keys(update.fields).length === 0) {
+    offeringsEditor.pending = offeringsEditor.pending.filter(change => change !== update);
+  }
+  renderPendingOfferings();
+}
+
+function discardPendingOffering(key) {
+  offeringsEditor.pending = offeringsEditor.pending.filter(change => change.key !== key);
+  renderOfferingsEditor();
+}
+
+/**
+ * Save all pending offering changes in one request.
+ * Returns true when there was nothing to save or the batch succeeded.
+ */
+async function saveOfferingChanges() {
+  if (!hasPendingOfferingChanges()) return true;
+
+  const changes = offeringsEditor.pending.map(change => ({
+    type: change.type,
+    action: change.action,
+    ...(change.item_id !== undefined && { item_id: change.item_id }),
+    ...change.fields
+  }));
+
+  try {
+    const response = await fetch(`/api/schools/${offeringsEditor.schoolId}/offerings`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ changes })
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      showToast('Offerings not saved: ' + (result.error || 'Unknown error'), 'error');
+      return false;
+    }
+
+    offeringsEditor.pending = [];
+    showToast(`✓ ${result.results.length} offering change(s) saved`, 'success');
+    return true;
+  } catch (error) {
+    console.error('Save offerings error:', error);
+    showToast('Offerings not saved: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// ========== Typeahead ==========
+
+function onOfferingSearchInput(type) {
+  clearTimeout(offeringSearchTimer);
+  offeringSearchTimer = setTimeout(() => searchOfferingEntries(type), 250);
+}
+
+// Enter picks the first suggestion instead of submitting the edit form
+function onOfferingSearchKeydown(event, type) {
+  if (event.key === 'Escape') {
+    hideOfferingSuggestions(type);
+  }
+  if (event.key !== 'Enter') return;
+
+  event.preventDefault();
+  const first = document.querySelector(`#offeringSuggestions-${type} .offering-suggestion:not(.disabled)`);
+  if (first) first.click();
+}
+
+async function searchOfferingEntries(type) {
+  const input = document.getElementById(`offeringSearch-${type}`);
+  const list = document.getElementById(`offeringSuggestions-${type}`);
+  if (!input || !list) return;
+
+  const term = input.value.trim();
+  if (!term) {
+    hideOfferingSuggestions(type);
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/dropdown/offerings/${type}?q=${encodeURIComponent(term)}&limit=15`);
+    const data = await response.json();
+
+    // Input changed while the request was in flight
+    if (input.value.trim() !== term) return;
+
+    renderOfferingSuggestions(type, term, data.success ? data.data : []);
+  } catch (error) {
+    console.error('Offering search error:', error);
+  }
+}
+
+function renderOfferingSuggestions(type, term, entries) {
+  const config = OFFERING_EDITOR_TYPES[type];
+  const list = document.getElementById(`offeringSuggestions-${type}`);
+  const offeredIds = new Set(
+    offeringsEditor.current[type]
+      .filter(item => !findPending(type, 'remove', item[config.idField]))
+      .map(item => item[config.idField])
+  );
+
+  // Keep the entries on the element so a click can look them up by index
+  list.entries = entries;
+  list.term = term;
+
+  const exactMatch = entries.some(entry => (config.label(entry) || '').toUpperCase() === term.toUpperCase());
+
+  let html = entries.map((entry, index) => {
+    const offered = offeredIds.has(entry[config.idField]);
+    const detail = config.detail ? config.detail(entry) : '';
+    return `
+      <div class="offering-suggestion ${offered ? 'disabled' : ''}"
+           ${offered ? '' : `onclick="pickOfferingSuggestion('${type}', ${index})"`}>
+        <span class="offering-suggestion-label">${escapeHtml(config.label(entry))}</span>
+        ${detail ? `<span class="offering-suggestion-detail">${escapeHtml(detail)}</span>` : ''}
+        <span class="offering-suggestion-count">${offered ? 'already offered' : `${entry.school_count} school(s)`}</span>
+      </div>
+    `;
+  }).join('');
+
+  if (!exactMatch) {
+    html += `
+      <div class="offering-suggestion new-entry" onclick="pickOfferingSuggestion('${type}', -1)">
+        ➕ Add new ${config.noun} "${escapeHtml(term)}"
+      </div>
+    `;
+  }
+
+  list.innerHTML = html;
+  list.style.display = 'block';
+}
+
+function pickOfferingSuggestion(type, index) {
+  const config = OFFERING_EDITOR_TYPES[type];
+  const list = document.getElementById(`offeringSuggestions-${type}`);
+
+  if (index >= 0) {
+    const entry = list.entries[index];
+    queueOfferingAdd(type, { [config.idField]: entry[config.idField] }, config.label(entry),
+      config.detail ? config.detail(entry) : '');
+  } else {
+    const fields = config.newEntry(list.term);
+    if (!fields) return;
+    const detail = config.detail ? config.detail(fields) : '';
+    queueOfferingAdd(type, fields, config.label(fields), detail ? `${detail} (new)` : 'new');
+  }
+}
+
+function hideOfferingSuggestions(type) {
+  const list = document.getElementById(`offeringSuggestions-${type}`);
+  if (list) list.style.display = 'none';
+}
+
+// ========== Rendering ==========
+
+function renderOfferingsEditor() {
+  const container = document.getElementById('offeringsEditor');
+  if (!container) return;
+
+  const options = offeringsEditor.options || {};
+  container.innerHTML = `
+    ${Object.keys(OFFERING_EDITOR_TYPES).map(renderOfferingSection).join('')}
+    <datalist id="offeringCcaSections">
+      ${CCA_SCHOOL_SECTIONS.map(section => `<option value="${section}"></option>`).join('')}
+    </datalist>
+    <datalist id="offeringAlpDomains">${renderOptions(options.alpDomains)}</datalist>
+    <datalist id="offeringLlpDomains">${renderOptions(options.llpDomains)}</datalist>
+    <div id="offeringsPending" class="offerings-pending"></div>
+  `;
+
+  renderPendingOfferings();
+}
+
+function renderOfferingSection(type) {
+  const config = OFFERING_EDITOR_TYPES[type];
+  const items = offeringsEditor.current[type];
+  const added = offeringsEditor.pending.filter(change => change.type === type && change.action === 'add');
+
+  const rows = items.map(item => {
+    const id = item[config.idField];
+    const removed = Boolean(findPending(type, 'remove', id));
+    const detail = config.detail ? config.detail(item) : '';
+
+    return `
+      <li class="offering-item ${removed ? 'removed' : ''}">
+        <div class="offering-item-text">
+          <span>${escapeHtml(config.label(item))}</span>
+          ${detail ? `<small>${escapeHtml(detail)}</small>` : ''}
+        </div>
+        ${type === 'ccas' && !removed ? renderCcaFields(item) : ''}
+        ${removed
+          ? `<button type="button" class="offering-item-action" onclick="discardPendingOffering(${findPending(type, 'remove', id).key})">Undo</button>`
+          : `<button type="button" class="offering-item-action remove" title="Remove" onclick="queueOfferingRemove('${type}', ${id})">✕</button>`}
+      </li>
+    `;
+  }).join('');
+
+  const addedRows = added.map(change => `
+    <li class="offering-item added">
+      <div class="offering-item-text">
+        <span>${escapeHtml(change.label)}</span>
+        ${change.detail ? `<small>${escapeHtml(change.detail)}</small>` : ''}
+      </div>
+      <button type="button" class="offering-item-action" onclick="discardPendingOffering(${change.key})">Undo</button>
+    </li>
+  `).join('');
+
+  return `
+    <div class="offering-section">
+      <div class="offering-section-header">
+        <h5>${config.title}</h5>
+        <span class="offering-count">${items.length}</span>
+      </div>
+      <ul class="offering-list">
+        ${rows || addedRows ? rows + addedRows : `<li class="offering-empty">No ${config.title.toLowerCase()} recorded</li>`}
+      </ul>
+      <div class="offering-add">
+        <div class="offering-typeahead">
+          <input type="text" id="offeringSearch-${type}" autocomplete="off"
+                 placeholder="Search or add ${escapeHtml(config.noun)}..."
+                 oninput="onOfferingSearchInput('${type}')"
+                 onkeydown="onOfferingSearchKeydown(event, '${type}')"
+                 onblur="setTimeout(() => hideOfferingSuggestions('${type}'), 200)" />
+          <div class="offering-suggestions" id="offeringSuggestions-${type}"></div>
+        </div>
+        ${renderAddOptions(type)}
+      </div>
+    </div>
+  `;
+}
+
+// Extra inputs next to the typeahead: CCA details and new-entry attributes
+function renderAddOptions(type) {
+  if (type === 'ccas') {
+    return `
+      <div class="offering-add-options">
+        <input type="text" id="offeringCcaSection" list="offeringCcaSections" placeholder="School section" />
+        <input type="text" id="offeringCcaCustomName" placeholder="Customised name (optional)" />
+        <select id="offeringNewCcaCategory">
+          <option value="">Category for new CCA</option>
+          ${renderOptions((offeringsEditor.options || {}).ccaCategories)}
+        </select>
+      </div>
+    `;
+  }
+  if (type === 'distinctives') {
+    return `
+      <div class="offering-add-options">
+        <select id="offeringNewDistinctiveKind"
+                onchange="document.getElementById('offeringNewDistinctiveDomain').setAttribute('list', this.value === 'ALP' ? 'offeringAlpDomains' : 'offeringLlpDomains')">
+          <option value="ALP">New entry is an ALP</option>
+          <option value="LLP">New entry is an LLP</option>
+        </select>
+        <input type="text" id="offeringNewDistinctiveDomain" list="offeringAlpDomains" placeholder="Domain for new entry" />
+      </div>
+    `;
+  }
+  return '';
+}
+
+// Inline inputs for an existing CCA's customised name and school section
+function renderCcaFields(item) {
+  const update = findPending('ccas', 'update', item.cca_id);
+  const valueOf = field => (update && field in update.fields ? update.fields[field] : item[field]) || '';
+
+  return `
+    <div class="offering-item-fields">
+      <input type="text" value="${escapeHtml(valueOf('cca_customized_name'))}" placeholder="Customised name"
+             onchange="queueCcaUpdate(${item.cca_id}, 'cca_customized_name', this.value)" />
+      <input type="text" value="${escapeHtml(valueOf('school_section'))}" placeholder="School section"
+             list="offeringCcaSections"
+             onchange="queueCcaUpdate(${item.cca_id}, 'school_section', this.value)" />
+    </div>
+  `;
+}
+
+function renderPendingOfferings() {
+  const container = document.getElementById('offeringsPending');
+  if (!container) return;
+
+  const pending = offeringsEditor.pending;
+  if (pending.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const verbs = { add: 'Add', remove: 'Remove', update: 'Update' };
+  container.innerHTML = `
+    <div class="offerings-pending-header">
+      <strong>Pending changes (${pending.length})</strong>
+      <small>Saved when you click Update School</small>
+    </div>
+    <ul>
+      ${pending.map(change => `
+        <li class="pending-${change.action}">
+          <span>${verbs[change.action]} ${OFFERING_EDITOR_TYPES[change.type].noun}: ${escapeHtml(change.label)}</span>
+          ${change.action === 'update'
+            ? `<small>${Object.entries(change.fields).map(([field, value]) => `${field.replace(/_/g, ' ')} → ${escapeHtml(value || 'empty')}`).join(', ')}</small>`
+            : ''}
+          <button type="button" class="offering-item-action" onclick="discardPendingOffering(${change.key})">Undo</button>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
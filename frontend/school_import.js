@@ -0,0 +1,267 @@
+// ========== School Spreadsheet Import ==========
+// Upload a CSV or .xlsx file of new or changed schools from the Manage view.
+// The server validates it row by row (POST /api/schools/import/validate);
+// bad rows can be fixed in place and validated again, or skipped. Import
+// sends the remaining rows to POST /api/schools/import, which writes them
+// in one transaction.
+
+const IMPORT_ACTION_LABELS = {
+  create: 'New',
+  update: 'Update',
+  unchanged: 'Unchanged'
+};
+
+const schoolImport = {
+  fileName: null,
+  rows: [],            // report rows from the server
+  skipped: new Set(),  // row numbers the admin chose to skip
+  edited: false        // values changed since the last validation
+};
+
+window.showImportModal = function () {
+  if (!isUserAdmin()) {
+    showToast('Admin privileges required to import schools', 'error');
+    return;
+  }
+
+  closeImportModal();
+  schoolImport.fileName = null;
+  schoolImport.rows = [];
+  schoolImport.skipped.clear();
+  schoolImport.edited = false;
+
+  const html = `
+    <div class="modal active" id="importModal">
+      <div class="modal-overlay" onclick="closeImportModal()"></div>
+      <div class="modal-content school-import-modal">
+        <div class="modal-header">
+          <h3>Import Schools from a Spreadsheet</h3>
+          <button class="modal-close" type="button" onclick="closeImportModal()">×</button>
+        </div>
+        <div class="school-import-body">
+          <p class="school-import-hint">
+            A CSV or .xlsx file with a header row. Columns are named like the MOE general information file:
+            <code>school_name</code>, <code>address</code>, <code>postal_code</code>, <code>zone_code</code>,
+            <code>mainlevel_code</code>, <code>principal_name</code>, and optionally contacts, vice-principals
+            and indicators. Rows update the school with the same name (or <code>school_id</code>); other rows
+            add a new school. Columns left out of the file are not changed.
+          </p>
+          <input type="file" id="importFile" accept=".csv,.xlsx" onchange="uploadImportFile(this)">
+          <div id="importReport" class="school-import-report"></div>
+          <div class="school-import-actions">
+            <button type="button" class="btn-secondary" onclick="closeImportModal()">Cancel</button>
+            <button type="button" class="btn-secondary" id="importRevalidate" onclick="revalidateImportRows()" disabled>Validate again</button>
+            <button type="button" class="btn-primary" id="importSubmit" onclick="submitImportRows()" disabled>Import</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', html);
+  document.body.style.overflow = 'hidden';
+};
+
+window.closeImportModal = function () {
+  const modal = document.getElementById('importModal');
+  if (modal) {
+    modal.remove();
+    document.body.style.overflow = 'auto';
+  }
+};
+
+// File contents as base64, without the data: URL prefix
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1] || '');
+    reader.onerror = () => reject(new Error('Could not read the file'));
+    reader.readAsDataURL(file);
+  });
+}
+
+window.uploadImportFile = async function (input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  schoolImport.fileName = file.name;
+  schoolImport.skipped.clear();
+
+  try {
+    const content = await readFileAsBase64(file);
+    await validateImport({ file_name: file.name, content });
+  } catch (error) {
+    console.error('Import upload error:', error);
+    showImportError(apiErrorMessage(error));
+  }
+};
+
+// Rows as sent to the server: the current values, minus skipped rows
+function importRequestRows({ includeSkipped }) {
+  return schoolImport.rows
+    .filter(row => includeSkipped || !schoolImport.skipped.has(row.row))
+    .map(row => ({ row: row.row, values: row.values, version: row.version }));
+}
+
+window.revalidateImportRows = async function () {
+  try {
+    await validateImport({ rows: importRequestRows({ includeSkipped: true }) });
+  } catch (error) {
+    console.error('Import validation error:', error);
+    showImportError(apiErrorMessage(error));
+  }
+};
+
+async function validateImport(body) {
+  document.getElementById('importReport').innerHTML = '<p class="school-import-hint">Validating...</p>';
+
+  const response = await fetch('/api/schools/import/validate', {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(body)
+  });
+  const data = await readApiResponse(response);
+
+  schoolImport.rows = data.rows;
+  schoolImport.edited = false;
+  renderImportReport(data.ignored_columns || []);
+}
+
+window.submitImportRows = async function () {
+  const rows = importRequestRows({ includeSkipped: false })
+    .filter(row => schoolImport.rows.find(report => report.row === row.row).action !== 'unchanged');
+
+  if (!confirm(`Import ${rows.length} row(s) from ${schoolImport.fileName}?`)) return;
+
+  const submit = document.getElementById('importSubmit');
+  submit.disabled = true;
+
+  try {
+    const response = await fetch('/api/schools/import', {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ rows })
+    });
+    const data = await readApiResponse(response).catch(error => {
+      // Rows that failed the final check come back with the report
+      if (error.details && error.details.rows) {
+        mergeImportReport(error.details.rows);
+        renderImportReport([]);
+      }
+      throw error;
+    });
+
+    showToast(`✓ ${data.message}`, 'success');
+    closeImportModal();
+    loadSchoolStats();
+  } catch (error) {
+    console.error('Import error:', error);
+    showToast(apiErrorMessage(error), 'error');
+    updateImportButtons();
+  }
+};
+
+// Replace the reported rows, keeping skipped rows as they were
+function mergeImportReport(rows) {
+  const byRow = new Map(rows.map(row => [row.row, row]));
+  schoolImport.rows = schoolImport.rows.map(row => byRow.get(row.row) || row);
+}
+
+window.toggleImportSkip = function (rowNumber, checked) {
+  if (checked) {
+    schoolImport.skipped.add(rowNumber);
+  } else {
+    schoolImport.skipped.delete(rowNumber);
+  }
+  document.querySelector(`#importReport tr[data-row="${rowNumber}"]`).classList.toggle('skipped', checked);
+  updateImportButtons();
+};
+
+window.editImportValue = function (input) {
+  const row = schoolImport.rows.find(report => report.row === Number(input.dataset.row));
+  row.values[input.dataset.field] = input.value;
+  schoolImport.edited = true;
+  updateImportButtons();
+};
+
+// Import needs every row that is not skipped to be valid and validated
+function updateImportButtons() {
+  const active = schoolImport.rows.filter(row => !schoolImport.skipped.has(row.row));
+  const invalid = active.filter(row => row.errors.length > 0).length;
+  const writes = active.filter(row => row.action !== 'unchanged').length;
+
+  const revalidate = document.getElementById('importRevalidate');
+  const submit = document.getElementById('importSubmit');
+  if (!submit) return;
+
+  revalidate.disabled = schoolImport.rows.length === 0;
+  submit.disabled = schoolImport.edited || invalid > 0 || writes === 0;
+  submit.textContent = schoolImport.edited
+    ? 'Validate again to import'
+    : invalid > 0 ? `Fix or skip ${invalid} row(s)` : `Import ${writes} row(s)`;
+}
+
+// Inputs for the fields a row's errors point at
+function renderImportFixes(row) {
+  const fields = [...new Set(row.errors.map(error => error.field))]
+    .filter(field => field && field !== 'version');
+
+  return fields.map(field => `
+    <label class="school-import-fix">
+      ${HISTORY_FIELD_LABELS[field] || field}
+      <input type="text" value="${escapeHtml(row.values[field] ?? '')}"
+             data-row="${row.row}" data-field="${field}" oninput="editImportValue(this)">
+    </label>
+  `).join('');
+}
+
+function renderImportReport(ignoredColumns) {
+  const counts = { create: 0, update: 0, unchanged: 0, invalid: 0 };
+  schoolImport.rows.forEach(row => {
+    counts[row.errors.length > 0 ? 'invalid' : row.action]++;
+  });
+
+  const rows = schoolImport.rows.map(row => {
+    const invalid = row.errors.length > 0;
+    const skipped = schoolImport.skipped.has(row.row);
+    const details = invalid
+      ? `<ul class="school-import-errors">${row.errors.map(error => `
+          <li>${escapeHtml(error.message)}${error.constraint ? ` <span class="school-import-hint">(${error.constraint})</span>` : ''}</li>
+        `).join('')}</ul>${renderImportFixes(row)}`
+      : row.action === 'update'
+        ? `<ul>${row.changes.map(renderHistoryField).join('')}</ul>`
+        : row.action === 'create' ? 'New school' : 'No changes';
+
+    return `
+      <tr data-row="${row.row}" class="${invalid ? 'invalid' : row.action}${skipped ? ' skipped' : ''}">
+        <td>${row.row}</td>
+        <td><span class="school-import-action ${invalid ? 'invalid' : row.action}">${invalid ? 'Error' : IMPORT_ACTION_LABELS[row.action]}</span></td>
+        <td><strong>${escapeHtml(row.school_name || '-')}</strong></td>
+        <td>${details}</td>
+        <td class="school-import-skip">
+          <input type="checkbox" title="Skip this row" ${skipped ? 'checked' : ''}
+                 onchange="toggleImportSkip(${row.row}, this.checked)">
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('importReport').innerHTML = `
+    <p class="school-import-summary">
+      <strong>${escapeHtml(schoolImport.fileName || '')}</strong>:
+      ${counts.create} new · ${counts.update} changed · ${counts.unchanged} unchanged · ${counts.invalid} with errors
+    </p>
+    ${ignoredColumns.length > 0 ? `<p class="school-import-hint">Ignored columns: ${ignoredColumns.map(escapeHtml).join(', ')}</p>` : ''}
+    <table class="data-table">
+      <thead><tr><th>Row</th><th></th><th>School</th><th>Details</th><th>Skip</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  updateImportButtons();
+}
+
+function showImportError(message) {
+  document.getElementById('importReport').innerHTML = `<p class="school-import-error">${escapeHtml(message)}</p>`;
+  schoolImport.rows = [];
+  updateImportButtons();
+}
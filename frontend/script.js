@@ -1,5 +1,7 @@
 let pendingDeleteId = null;
 let pendingDeleteName = null;
+// School values the edit modal was opened with, for merging edit conflicts
+let editSchoolOriginal = null;
 
 // ========== ADMIN AUTHENTICATION MANAGEMENT ==========
 
@@ -79,6 +81,35 @@ function getAuthHeaders() {
   };
 }
 
+// ========== API RESPONSES ==========
+
+/**
+ * Read the JSON body of an API response. Resolves with the body when the
+ * request succeeded; otherwise throws an Error with the server's message and
+ * the fields of the error envelope: status, code, details and requestId.
+ * Non-JSON error pages (e.g. from a proxy) are handled too.
+ */
+async function readApiResponse(response) {
+  const body = await response.json().catch(() => null);
+  if (response.ok && (!body || body.success !== false)) return body;
+
+  const message = body && typeof body.error === 'string' ? body.error : null;
+  const error = new Error(message || `Request failed (HTTP ${response.status})`);
+  error.status = response.status;
+  error.code = (body && body.code) || null;
+  error.details = (body && body.details) || [];
+  error.requestId = (body && body.request_id) || response.headers.get('X-Request-Id');
+  error.body = body || {};
+  throw error;
+}
+
+// Message to show for a failed request; server errors quote the request id
+function apiErrorMessage(error) {
+  return error.status >= 500 && error.requestId
+    ? `${error.message} (request ${error.requestId})`
+    : error.message;
+}
+
 // Check if current user is admin
 function isUserAdmin() {
   const token = getAuthToken();
@@ -197,18 +228,7 @@ async function sendLoginRequest(username, password) {
       }),
     });
 
-    if (!response.ok) {
-      let errorMsg = `Server responded with status: ${response.status}`;
-      try {
-        const errorData = await response.json();
-        errorMsg = errorData.message || errorMsg;
-      } catch (e) {
-        errorMsg = response.statusText || errorMsg;
-      }
-      throw new Error(errorMsg);
-    }
-
-    const data = await response.json();
+    const data = await readApiResponse(response);
     return data;
 
   } catch (error) {
@@ -515,18 +535,7 @@ async function sendAdminLoginRequest(username, password) {
       method: 'POST'
     });
 
-    if (!response.ok) {
-      let errorMsg = `Server responded with status: ${response.status}`;
-      try {
-        const errorData = await response.json();
-        errorMsg = errorData.message || errorMsg;
-      } catch (e) {
-        errorMsg = response.statusText || errorMsg;
-      }
-      throw new Error(errorMsg);
-    }
-
-    const data = await response.json();
+    const data = await readApiResponse(response);
 
     console.log('Admin login response received:', {
       timestamp: new Date().toISOString(),
@@ -777,7 +786,7 @@ function loadZoneStatistics() {
   fetch('/api/analytics/schools-by-zone', {
     headers: getAuthHeaders()
   })
-    .then(res => res.json())
+    .then(readApiResponse)
     .then(data => {
       console.log('Zone statistics:', data);
       // Update zone statistics chart/table
@@ -791,7 +800,7 @@ function loadSubjectDiversity() {
   fetch('/api/analytics/schools-subject-count', {
     headers: getAuthHeaders()
   })
-    .then(res => res.json())
+    .then(readApiResponse)
     .then(data => {
       console.log('Subject diversity:', data);
       // Update subject diversity chart/table
@@ -805,7 +814,7 @@ function loadCCAParticipation() {
   fetch('/api/analytics/cca-participation', {
     headers: getAuthHeaders()
   })
-    .then(res => res.json())
+    .then(readApiResponse)
     .then(data => {
       console.log('CCA participation:', data);
       // Update CCA participation chart/table
@@ -819,7 +828,7 @@ function loadDataCompleteness() {
   fetch('/api/analytics/data-completeness', {
     headers: getAuthHeaders()
   })
-    .then(res => res.json())
+    .then(readApiResponse)
     .then(data => {
       console.log('Data completeness:', data);
       // Update data completeness chart/table
@@ -896,8 +905,8 @@ document.addEventListener('DOMContentLoaded', () => {
       searchTimeout = setTimeout(async () => {
         try {
           const res = await fetch(`/api/search/universal?query=${encodeURIComponent(query)}`);
-          const data = await res.json();
-          if (!data.success || !data.results) return;
+          const data = await readApiResponse(res);
+          if (!data.results) return;
 
           const results = [
             ...data.results.schools,
@@ -976,58 +985,134 @@ window.runQuery = async function () {
     return;
   }
 
-  // Original search logic for specific queries
-  let url = "";
-  if (queryType === "all") url = `/api/schools?name=${encodeURIComponent(school)}`;
-  if (queryType === "subjects") url = `/api/schools/subjects?name=${encodeURIComponent(school)}`;
-  if (queryType === "ccas") url = `/api/schools/ccas?name=${encodeURIComponent(school)}`;
-  if (queryType === "programmes") url = `/api/schools/programmes?name=${encodeURIComponent(school)}`;
-  if (queryType === "distinctives") url = `/api/schools/distinctives?name=${encodeURIComponent(school)}`;
+  // A new search starts on the first page in the server's order
+  resultsPaging.term = school;
+  resultsPaging.queryType = queryType;
+  resultsPaging.sort = null;
+
+  const pagination = await loadResultsPage(0);
+  if (!pagination) return;
+
+  setBulkSearchCriteria(school ? { school_name: school } : null);
+
+  // Show appropriate toast
+  if (pagination.total === 0) {
+    showToast('No results found', 'info');
+  } else {
+    showToast(`Found ${pagination.total} result(s)`, 'success');
+  }
+};
+
+// ========== Results Paging ==========
+// School and offering searches come a page at a time. resultsPaging keeps
+// the current search so the pager and the sortable headers can fetch
+// other pages of it.
+
+const RESULTS_ENDPOINTS = {
+  all: '/api/schools',
+  subjects: '/api/schools/subjects',
+  ccas: '/api/schools/ccas',
+  programmes: '/api/schools/programmes',
+  distinctives: '/api/schools/distinctives'
+};
+
+const RESULTS_PAGE_SIZES = [25, 50, 100];
+
+const resultsPaging = {
+  term: '',
+  queryType: 'all',
+  limit: 50,
+  sort: null,       // e.g. 'zone_code' or '-zone_code'; null for the server's default
+  pagination: null  // of the page on screen
+};
+
+// Fetch and show one page of the current search; returns its pagination,
+// or null if the request failed
+async function loadResultsPage(offset) {
+  const { term, queryType, limit, sort } = resultsPaging;
+  const params = new URLSearchParams({ name: term, limit, offset });
+  if (sort) params.set('sort', sort);
 
   // Show loading spinner
   showLoading(true);
 
   try {
-    const res = await fetch(url, {
+    const res = await fetch(`${RESULTS_ENDPOINTS[queryType]}?${params}`, {
       headers: getAuthHeaders()
     });
 
-    console.log('🔍 API Response status:', res.status); // FIXED: Changed response to res
+    console.log('🔍 API Response status:', res.status);
 
-    const data = await res.json();
+    const data = await readApiResponse(res);
 
     hideLoading();
 
-    if (data.error) {
-      showToast(data.error, 'error');
-      renderEmpty('Error loading data');
-      updateResultsMeta(0, school);
-      return;
-    }
-
     // Render results
-    renderTable(data, queryType);
-    updateResultsMeta(data.length, school);
+    resultsPaging.pagination = data.pagination;
+    renderTable(data.data, queryType);
+    renderResultsPager(data.pagination);
+    updateResultsMeta(data.pagination, term);
 
     // **RE-ATTACH COMPARISON LISTENERS IF COMPARISON MODE IS ACTIVE**
     if (comparisonMode.active) {
       addComparisonClickListeners();
     }
 
-    // Show appropriate toast
-    if (data.length === 0) {
-      showToast('No results found', 'info');
-    } else {
-      showToast(`Found ${data.length} result(s)`, 'success');
-    }
+    return data.pagination;
   } catch (err) {
     hideLoading();
-    showToast('Failed to fetch data: ' + err.message, 'error');
-    renderEmpty('Connection error');
-    updateResultsMeta(0, school);
+    showToast('Failed to fetch data: ' + apiErrorMessage(err), 'error');
+    renderEmpty(err.status ? 'Error loading data' : 'Connection error');
+    updateResultsMeta(null, term);
+    return null;
   }
+}
+
+window.goToResultsPage = function (offset) {
+  loadResultsPage(Math.max(offset, 0));
+  document.querySelector('.results-section').scrollIntoView({ behavior: 'smooth' });
+};
+
+window.changeResultsPageSize = function (limit) {
+  resultsPaging.limit = Number(limit);
+  loadResultsPage(0);
 };
 
+// Clicking a header sorts by it; clicking it again reverses the order
+window.sortResults = function (key) {
+  resultsPaging.sort = resultsPaging.sort === key ? `-${key}` : key;
+  loadResultsPage(0);
+};
+
+// A header cell that sorts the results by `key`, with an arrow when it does
+function sortableHeader(label, key) {
+  const { sort } = resultsPaging;
+  const arrow = sort === key ? ' ▲' : sort === `-${key}` ? ' ▼' : '';
+  return `<th class="sortable" onclick="sortResults('${key}')" title="Sort by ${label}">${label}${arrow}</th>`;
+}
+
+function renderResultsPager(pagination) {
+  if (!pagination || pagination.total === 0) return;
+
+  const { total, limit, offset, next_offset: nextOffset } = pagination;
+  const page = Math.floor(offset / limit) + 1;
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  const sizes = RESULTS_PAGE_SIZES.map(size =>
+    `<option value="${size}" ${size === limit ? 'selected' : ''}>${size} per page</option>`
+  ).join('');
+
+  document.getElementById('resultsTable').insertAdjacentHTML('beforeend', `
+    <div class="results-pager">
+      <button type="button" class="btn-secondary" onclick="goToResultsPage(0)" ${offset === 0 ? 'disabled' : ''}>« First</button>
+      <button type="button" class="btn-secondary" onclick="goToResultsPage(${Math.max(offset - limit, 0)})" ${offset === 0 ? 'disabled' : ''}>‹ Previous</button>
+      <span class="results-pager-status">Page ${page} of ${pages}</span>
+      <button type="button" class="btn-secondary" onclick="goToResultsPage(${nextOffset})" ${nextOffset === null ? 'disabled' : ''}>Next ›</button>
+      <button type="button" class="btn-secondary" onclick="goToResultsPage(${(pages - 1) * limit})" ${nextOffset === null ? 'disabled' : ''}>Last »</button>
+      <select class="results-pager-size" onchange="changeResultsPageSize(this.value)">${sizes}</select>
+    </div>
+  `);
+}
+
 function showLoading(show) {
   const spinner = document.getElementById('loadingSpinner');
   const resultsTable = document.getElementById('resultsTable');
@@ -1044,11 +1129,11 @@ function hideLoading() {
   showLoading(false);
 }
 
-function updateResultsMeta(count, query) {
+function updateResultsMeta(pagination, query) {
   const meta = document.getElementById('resultsMeta');
   const queryType = document.getElementById('queryType').value;
 
-  if (!count || count === 0) {
+  if (!pagination || pagination.total === 0) {
     meta.textContent = `No results found for "${query}"`;
   } else {
     const typeLabel = {
@@ -1059,7 +1144,9 @@ function updateResultsMeta(count, query) {
       'distinctives': 'distinctive programme result(s)'
     }[queryType] || 'result(s)';
 
-    meta.textContent = `Found ${count} ${typeLabel} matching "${query}"`;
+    const { total, offset, count } = pagination;
+    const shown = count < total ? ` (showing ${offset + 1}–${offset + count})` : '';
+    meta.textContent = `Found ${total} ${typeLabel} matching "${query}"${shown}`;
   }
 }
 
@@ -1087,8 +1174,9 @@ function renderTable(data, queryType) {
   }
 
   let html = '<div style="overflow-x: auto;"><table class="data-table"><thead><tr>';
+  html += bulkSelectHeader();
 
-  // Define columns based on query type
+  // Define columns based on query type; headers sort the results
   if (queryType === 'all') {
     // School search - show all school fields + actions (admin only)
     const keys = Object.keys(data[0]);
@@ -1096,33 +1184,25 @@ function renderTable(data, queryType) {
       const formattedKey = k.split('_').map(word =>
         word.charAt(0).toUpperCase() + word.slice(1)
       ).join(' ');
-      html += `<th>${formattedKey}</th>`;
+      html += sortableHeader(formattedKey, k);
     });
 
     // Add actions column only if user is admin
     if (isUserAdmin()) {
       // html += '<th>Actions</th>';
     }
-  } else if (queryType === 'subjects') {
-    html += '<th>School Name</th>';
-    html += '<th>Zone Code</th>';
-    html += '<th>Level</th>';
-    html += '<th>Subject</th>';
-  } else if (queryType === 'ccas') {
-    html += '<th>School Name</th>';
-    html += '<th>Zone Code</th>';
-    html += '<th>Level</th>';
-    html += '<th>CCA</th>';
-  } else if (queryType === 'programmes') {
-    html += '<th>School Name</th>';
-    html += '<th>Zone Code</th>';
-    html += '<th>Level</th>';
-    html += '<th>Programme</th>';
-  } else if (queryType === 'distinctives') {
-    html += '<th>School Name</th>';
-    html += '<th>Zone Code</th>';
-    html += '<th>Level</th>';
-    html += '<th>Distinctive Programme</th>';
+  } else {
+    const offeringColumn = {
+      subjects: ['Subject', 'subject_desc'],
+      ccas: ['CCA', 'cca_category'],
+      programmes: ['Programme', 'moe_programme_desc'],
+      distinctives: ['Distinctive Programme', 'distinctive_name']
+    }[queryType];
+
+    html += sortableHeader('School Name', 'school_name');
+    html += sortableHeader('Zone Code', 'zone_code');
+    html += sortableHeader('Level', 'mainlevel_code');
+    html += sortableHeader(...offeringColumn);
   }
 
   html += '</tr></thead><tbody>';
@@ -1139,6 +1219,7 @@ function renderTable(data, queryType) {
                          viewItemDetails('schools', ${row.school_id}); 
                        }" 
               style="cursor: pointer">`;
+      html += bulkSelectCell(row.school_id, row.school_name);
       const keys = Object.keys(data[0]);
 
       keys.forEach(k => {
@@ -1187,6 +1268,7 @@ function renderTable(data, queryType) {
     } else {
       // Make the row clickable for non-"all" searches
       html += `<tr data-clickable="true" data-school-id="${row.school_id}" onclick="viewItemDetails('schools', ${row.school_id})" style="cursor: pointer">`;
+      html += bulkSelectCell(row.school_id, row.school_name);
 
       if (queryType === 'subjects') {
         html += `<td><strong>${row.school_name || '-'}</strong></td>`;
@@ -1237,22 +1319,16 @@ async function performUniversalSearch(query) {
 
   try {
     const response = await fetch(`/api/search/universal?query=${encodeURIComponent(query)}`);
-    const data = await response.json();
+    const data = await readApiResponse(response);
 
     loading.style.display = 'none';
-
-    if (!data.success) {
-      showToast(data.message || 'Search failed', 'error');
-      renderEmpty('No results found');
-      meta.textContent = `No results found for "${query}"`;
-      return;
-    }
+    universalSearchQuery = query;
 
     // Update summary
-    updateUniversalSearchSummary(data.results);
+    updateUniversalSearchSummary(data.results, data.pagination);
 
     // Render results
-    renderUniversalSearchResults(data.results, query);
+    renderUniversalSearchResults(data.results, query, data.pagination);
 
     // Update meta
     if (data.results.total === 0) {
@@ -1266,30 +1342,31 @@ async function performUniversalSearch(query) {
   } catch (error) {
     loading.style.display = 'none';
     console.error('Universal search error:', error);
-    showToast('Search failed: ' + error.message, 'error');
-    renderEmpty('Connection error');
+    showToast('Search failed: ' + apiErrorMessage(error), 'error');
+    renderEmpty(error.status ? 'No results found' : 'Connection error');
     meta.textContent = 'Search failed';
   }
 }
 
 // ========== Update Universal Search Summary ==========
-function updateUniversalSearchSummary(results) {
+// Counts are of all matches; each category shows its first page
+function updateUniversalSearchSummary(results, pagination) {
   const summary = document.getElementById('universalSearchSummary');
 
   if (!summary) return;
 
   document.getElementById('totalResults').textContent = results.total;
-  document.getElementById('schoolResults').textContent = results.schools.length;
-  document.getElementById('subjectResults').textContent = results.subjects.length;
-  document.getElementById('ccaResults').textContent = results.ccas.length;
-  document.getElementById('programmeResults').textContent = results.programmes.length;
-  document.getElementById('distinctiveResults').textContent = results.distinctives.length;
+  document.getElementById('schoolResults').textContent = pagination.schools.total;
+  document.getElementById('subjectResults').textContent = pagination.subjects.total;
+  document.getElementById('ccaResults').textContent = pagination.ccas.total;
+  document.getElementById('programmeResults').textContent = pagination.programmes.total;
+  document.getElementById('distinctiveResults').textContent = pagination.distinctives.total;
 
   summary.style.display = 'block';
 }
 
 // ========== Render Universal Search Results ==========
-function renderUniversalSearchResults(results, query) {
+function renderUniversalSearchResults(results, query, pagination) {
   const container = document.getElementById('resultsTable');
 
   if (results.total === 0) {
@@ -1301,27 +1378,27 @@ function renderUniversalSearchResults(results, query) {
 
   // Schools
   if (results.schools.length > 0) {
-    html += renderCategory('schools', 'Schools', results.schools, query);
+    html += renderCategory('schools', 'Schools', results.schools, query, pagination.schools);
   }
 
   // Subjects
   if (results.subjects.length > 0) {
-    html += renderCategory('subjects', 'Subjects', results.subjects, query);
+    html += renderCategory('subjects', 'Subjects', results.subjects, query, pagination.subjects);
   }
 
   // CCAs
   if (results.ccas.length > 0) {
-    html += renderCategory('ccas', 'CCAs', results.ccas, query);
+    html += renderCategory('ccas', 'CCAs', results.ccas, query, pagination.ccas);
   }
 
   // Programmes
   if (results.programmes.length > 0) {
-    html += renderCategory('programmes', 'Programmes', results.programmes, query);
+    html += renderCategory('programmes', 'Programmes', results.programmes, query, pagination.programmes);
   }
 
   // Distinctives
   if (results.distinctives.length > 0) {
-    html += renderCategory('distinctives', 'Distinctive Programmes', results.distinctives, query);
+    html += renderCategory('distinctives', 'Distinctive Programmes', results.distinctives, query, pagination.distinctives);
   }
 
   html += '</div>';
@@ -1334,7 +1411,7 @@ function renderUniversalSearchResults(results, query) {
 }
 
 // ========== Render Category ==========
-function renderCategory(type, title, items, query) {
+function renderCategory(type, title, items, query, pagination) {
   const icons = {
     schools: '<path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z"/>',
     subjects: '<path d="M9 4.804A7.968 7.968 0 005.5 4c-1.255 0-2.443.29-3.5.804v10A7.969 7.969 0 015.5 14c1.669 0 3.218.51 4.5 1.385A7.962 7.962 0 0114.5 14c1.255 0 2.443.29 3.5.804v-10A7.968 7.968 0 0014.5 4c-1.255 0-2.443.29-3.5.804V12a1 1 0 11-2 0V4.804z"/>',
@@ -1354,9 +1431,9 @@ function renderCategory(type, title, items, query) {
           </div>
           <h3>${title}</h3>
         </div>
-        <span class="category-count">${items.length} result${items.length !== 1 ? 's' : ''}</span>
+        <span class="category-count">${pagination.total} result${pagination.total !== 1 ? 's' : ''}</span>
       </div>
-      <div class="results-list">
+      <div class="results-list" id="universalList-${type}">
   `;
 
   items.forEach(item => {
@@ -1366,10 +1443,52 @@ function renderCategory(type, title, items, query) {
     }
   });
 
-  html += '</div></div>';
+  html += `</div>${renderShowMoreButton(type, pagination)}</div>`;
   return html;
 }
 
+// ========== Universal Search Paging ==========
+// Categories start with one page each; "Show more" appends the next page
+let universalSearchQuery = '';
+
+function renderShowMoreButton(type, pagination) {
+  if (pagination.next_offset === null) return '';
+  const remaining = pagination.total - pagination.next_offset;
+  return `
+    <button type="button" class="btn-secondary results-show-more" id="universalMore-${type}"
+            onclick="loadMoreUniversalResults('${type}', ${pagination.next_offset})">
+      Show more (${remaining} remaining)
+    </button>
+  `;
+}
+
+window.loadMoreUniversalResults = async function (type, offset) {
+  const button = document.getElementById(`universalMore-${type}`);
+  if (button) button.disabled = true;
+
+  try {
+    const params = new URLSearchParams({ query: universalSearchQuery, type, offset });
+    const response = await fetch(`/api/search/universal?${params}`);
+    const data = await readApiResponse(response);
+
+    const list = document.getElementById(`universalList-${type}`);
+    list.insertAdjacentHTML('beforeend', data.results[type]
+      .map(item => renderResultItem(type, item, universalSearchQuery))
+      .join(''));
+
+    if (button) button.remove();
+    list.insertAdjacentHTML('afterend', renderShowMoreButton(type, data.pagination[type]));
+
+    if (comparisonMode.active) {
+      addComparisonClickListeners();
+    }
+  } catch (error) {
+    console.error('Load more results error:', error);
+    showToast('Failed to load more results: ' + apiErrorMessage(error), 'error');
+    if (button) button.disabled = false;
+  }
+};
+
 // ========== Render Result Item (FIXED) ==========
 function renderResultItem(type, item, query) {
   console.log('Rendering item:', type, item); // Debug log
@@ -1523,19 +1642,14 @@ window.viewItemDetails = async function (type, id) {
         displayEnhancedSchoolModal(fullData);
       }
     } else {
-      let response = await fetch(`/api/search/details/${type}/${id}`);
-      const data = await response.json();
-
-      if (!data.success) {
-        showToast(data.error || 'Failed to load details', 'error');
-        return;
-      }
+      const response = await fetch(`/api/search/details/${type}/${id}`);
+      const data = await readApiResponse(response);
 
       displayItemDetailsModal(type, data.data);
     }
   } catch (error) {
     console.error('Error loading details:', error);
-    showToast(`Failed to load details: ${error.message}`, 'error');
+    showToast(`Failed to load details: ${apiErrorMessage(error)}`, 'error');
   }
 }
 
@@ -1722,10 +1836,23 @@ window.hideAddModal = function () {
   if (modal) {
     modal.classList.remove('active');
     document.getElementById('addSchoolForm').reset();
+    clearFieldErrors(ADD_FORM_FIELDS);
     document.body.style.overflow = 'auto';
   }
 };
 
+// Select a value, adding it as an option if the list does not have it
+// (e.g. 'FULL DAY' sessions), so saving the form does not clear it
+function setSelectValue(selectId, value) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+
+  if (value && !Array.from(select.options).some(option => option.value === value)) {
+    select.add(new Option(value, value));
+  }
+  select.value = value || '';
+}
+
 // Edit Modal Management
 window.showEditModal = function (school) {
   if (!isUserAdmin()) {
@@ -1739,8 +1866,12 @@ window.showEditModal = function (school) {
     return;
   }
 
+  editSchoolOriginal = { ...school };
+  clearFieldErrors(EDIT_FORM_FIELDS);
+
   // Basic info
   document.getElementById('editSchoolId').value        = school.school_id || '';
+  document.getElementById('editSchoolVersion').value   = school.version || '';
   document.getElementById('editSchoolName').value      = school.school_name || '';
   document.getElementById('editPrincipalName').value   = school.principal_name || '';
   document.getElementById('editAddress').value         = school.address || '';
@@ -1751,12 +1882,22 @@ window.showEditModal = function (school) {
   // Additional info
   document.getElementById('editEmailAddress').value    = school.email_address || '';
   document.getElementById('editTelephoneNo').value     = school.telephone_no || '';
-  document.getElementById('editTypeCode').value        = school.type_code || '';
-  document.getElementById('editNatureCode').value      = school.nature_code || '';
-  document.getElementById('editSessionCode').value     = school.session_code || '';
+  setSelectValue('editTypeCode', school.type_code);
+  setSelectValue('editNatureCode', school.nature_code);
+  setSelectValue('editSessionCode', school.session_code);
   document.getElementById('editMrtDesc').value         = school.mrt_desc || '';
   document.getElementById('editBusDesc').value         = school.bus_desc || '';
 
+  // Vice principals
+  document.getElementById('editFirstVpName').value     = school.first_vp_name || '';
+  document.getElementById('editSecondVpName').value    = school.second_vp_name || '';
+  document.getElementById('editThirdVpName').value     = school.third_vp_name || '';
+  document.getElementById('editFourthVpName').value    = school.fourth_vp_name || '';
+  document.getElementById('editFifthVpName').value     = school.fifth_vp_name || '';
+
+  // Subjects, CCAs, programmes and ALP/LLP (offerings_editor.js)
+  loadOfferingsEditor(school.school_id);
+
   // Show modal – **only via class**, no inline display
   modal.style.display = '';           // clear any previous inline styles
   modal.classList.add('active');
@@ -1764,6 +1905,10 @@ window.showEditModal = function (school) {
 };
 
 window.hideEditModal = function () {
+  if (hasPendingOfferingChanges() && !confirm('Discard unsaved changes to subjects, CCAs and programmes?')) {
+    return;
+  }
+
   console.log('Closing edit modal');
   const modal = document.getElementById('editModal');
   if (modal) {
@@ -1806,6 +1951,64 @@ window.hideDeleteModal = function () {
   }
 };
 
+// ========== Field Validation Errors ==========
+
+// Mark the inputs a 400 response's `errors` ([{ field, code, message }])
+// point at and show each message under its input, until the input is
+// edited. `formFields` maps school fields to input ids (EDIT_FORM_FIELDS,
+// ADD_FORM_FIELDS). Returns the inputs that were marked.
+function showFieldErrors(formFields, errors) {
+  clearFieldErrors(formFields);
+
+  const marked = [];
+  (errors || []).forEach(({ field, message }) => {
+    const input = document.getElementById(formFields[field]);
+    if (!input || marked.includes(input)) return;
+
+    const label = HISTORY_FIELD_LABELS[field] || field;
+    input.classList.add('field-invalid');
+    input.insertAdjacentHTML('afterend',
+      `<small class="field-error" data-for="${input.id}">${escapeHtml(message.replace(field, label))}</small>`);
+    input.addEventListener('input', () => clearFieldError(input), { once: true });
+    marked.push(input);
+  });
+
+  if (marked.length > 0) marked[0].focus();
+  return marked;
+}
+
+function clearFieldError(input) {
+  input.classList.remove('field-invalid');
+  const message = document.querySelector(`.field-error[data-for="${input.id}"]`);
+  if (message) message.remove();
+}
+
+function clearFieldErrors(formFields) {
+  Object.values(formFields).forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (input) clearFieldError(input);
+  });
+}
+
+// Add form inputs by school field
+const ADD_FORM_FIELDS = {
+  school_name: 'schoolName',
+  address: 'address',
+  postal_code: 'postalCode',
+  zone_code: 'zoneCode',
+  mainlevel_code: 'mainlevelCode',
+  principal_name: 'principalName',
+
+  // Additional info
+  email_address: 'emailAddress',
+  telephone_no: 'telephoneNo',
+  type_code: 'typeCode',
+  nature_code: 'natureCode',
+  session_code: 'sessionCode',
+  mrt_desc: 'mrtDesc',
+  bus_desc: 'busDesc'
+};
+
 // Create Operation
 window.addSchool = async function (event) {
   event.preventDefault();
@@ -1817,14 +2020,11 @@ window.addSchool = async function (event) {
 
   console.log('Adding school...');
 
-  const schoolData = {
-    school_name: document.getElementById('schoolName').value,
-    address: document.getElementById('address').value,
-    postal_code: document.getElementById('postalCode').value,
-    zone_code: document.getElementById('zoneCode').value,
-    mainlevel_code: document.getElementById('mainlevelCode').value,
-    principal_name: document.getElementById('principalName').value
-  };
+  clearFieldErrors(ADD_FORM_FIELDS);
+  const schoolData = {};
+  Object.entries(ADD_FORM_FIELDS).forEach(([field, inputId]) => {
+    schoolData[field] = document.getElementById(inputId).value;
+  });
 
   console.log('School data:', schoolData);
 
@@ -1840,24 +2040,31 @@ window.addSchool = async function (event) {
       return;
     }
 
-    const result = await res.json();
+    const result = await readApiResponse(res);
     console.log('Server response:', result);
 
-    if (result.success || res.ok) {
-      showToast('✓ School added successfully!', 'success');
-      hideAddModal();
-      loadSchoolStats();
+    showToast('✓ School added successfully!', 'success');
+    hideAddModal();
+    loadSchoolStats();
 
-      const searchBox = document.getElementById('searchBox');
-      if (searchBox.value.trim()) {
-        setTimeout(() => runQuery(), 500);
-      }
-    } else {
-      showToast('Error: ' + (result.error || 'Failed to add school'), 'error');
+    const searchBox = document.getElementById('searchBox');
+    if (searchBox.value.trim()) {
+      setTimeout(() => runQuery(), 500);
     }
   } catch (err) {
+    if (err.code === 'validation_failed') {
+      const marked = showFieldErrors(ADD_FORM_FIELDS, err.details);
+
+      // Open the optional section if a field in it was rejected
+      const additional = document.getElementById('additionalInfoSection');
+      if (additional.style.display === 'none' && marked.some(input => additional.contains(input))) {
+        toggleAdditionalInfo();
+      }
+      showToast('Please correct the highlighted fields', 'error');
+      return;
+    }
     console.error('Add school error:', err);
-    showToast('Error: ' + err.message, 'error');
+    showToast('Error: ' + apiErrorMessage(err), 'error');
   }
 };
 
@@ -1886,6 +2093,38 @@ window.editSchool = function (school) {
   showEditModal(school);
 };
 
+// Edit form inputs by school field (fields not in the form are kept by the server)
+const EDIT_FORM_FIELDS = {
+  school_name: 'editSchoolName',
+  address: 'editAddress',
+  postal_code: 'editPostalCode',
+  zone_code: 'editZoneCode',
+  mainlevel_code: 'editMainlevelCode',
+  principal_name: 'editPrincipalName',
+
+  // Additional info
+  type_code: 'editTypeCode',
+  nature_code: 'editNatureCode',
+  session_code: 'editSessionCode',
+  email_address: 'editEmailAddress',
+  telephone_no: 'editTelephoneNo',
+  first_vp_name: 'editFirstVpName',
+  second_vp_name: 'editSecondVpName',
+  third_vp_name: 'editThirdVpName',
+  fourth_vp_name: 'editFourthVpName',
+  fifth_vp_name: 'editFifthVpName',
+  mrt_desc: 'editMrtDesc',
+  bus_desc: 'editBusDesc'
+};
+
+function readEditForm() {
+  const values = {};
+  Object.entries(EDIT_FORM_FIELDS).forEach(([field, inputId]) => {
+    values[field] = document.getElementById(inputId).value;
+  });
+  return values;
+}
+
 // Update Operation (form submission)
 window.updateSchool = async function (event) {
   event.preventDefault();
@@ -1899,14 +2138,11 @@ window.updateSchool = async function (event) {
   console.log('Updating school...');
 
   const schoolId = document.getElementById('editSchoolId').value;
-  const updatedData = {
-    school_name: document.getElementById('editSchoolName').value,
-    address: document.getElementById('editAddress').value,
-    postal_code: document.getElementById('editPostalCode').value,
-    zone_code: document.getElementById('editZoneCode').value,
-    mainlevel_code: document.getElementById('editMainlevelCode').value,
-    principal_name: document.getElementById('editPrincipalName').value
-  };
+  clearFieldErrors(EDIT_FORM_FIELDS);
+  const updatedData = readEditForm();
+
+  // The version the form was loaded from; a stale one is refused with 409
+  updatedData.version = Number(document.getElementById('editSchoolVersion').value);
 
   console.log('Updated data:', updatedData);
 
@@ -1922,21 +2158,154 @@ window.updateSchool = async function (event) {
       return;
     }
 
-    const result = await res.json();
+    await readApiResponse(res);
+    showToast('✓ School updated successfully!', 'success');
 
-    if (result.success || res.ok) {
-      showToast('✓ School updated successfully!', 'success');
-      hideEditModal();
-      runQuery(); // Refresh results
-    } else {
-      showToast('Error: ' + (result.error || 'Failed to update school'), 'error');
-    }
+    // Keep the modal open with the pending list if the offerings batch fails
+    if (!(await saveOfferingChanges())) return;
+
+    hideEditModal();
+    runQuery(); // Refresh results
   } catch (err) {
+    if (err.code === 'version_conflict') {
+      showEditConflictDialog(updatedData, err.details);
+      return;
+    }
+    if (err.code === 'validation_failed') {
+      showFieldErrors(EDIT_FORM_FIELDS, err.details);
+      showToast('Please correct the highlighted fields', 'error');
+      return;
+    }
     console.error('Update school error:', err);
-    showToast('Error: ' + err.message, 'error');
+    showToast('Error: ' + apiErrorMessage(err), 'error');
   }
 };
 
+// ========== Edit Conflicts (Merge dialog) ==========
+
+/**
+ * Someone saved the school after this edit modal was opened. Fields changed
+ * only on one side are merged automatically; fields both sides changed are
+ * listed for the admin to pick a value. The merged values go back into the
+ * edit form with the server's version, ready to save again.
+ */
+function showEditConflictDialog(mine, conflict) {
+  const { current, last_change: lastChange } = conflict;
+  const original = editSchoolOriginal || {};
+  const text = value => (value === null || value === undefined ? '' : String(value));
+
+  const conflicts = [];
+  const merged = {};
+  Object.keys(EDIT_FORM_FIELDS).forEach(field => {
+    const ours = text(mine[field]);
+    const theirs = text(current[field]);
+    const base = text(original[field]);
+
+    if (ours === theirs || theirs === base) {
+      merged[field] = ours;
+    } else if (ours === base) {
+      merged[field] = theirs;
+    } else {
+      conflicts.push({ field, ours, theirs });
+    }
+  });
+
+  const takenFromServer = Object.keys(merged)
+    .filter(field => merged[field] !== text(mine[field]));
+  const label = field => HISTORY_FIELD_LABELS[field] || field;
+  const shown = value => (value === '' ? '<em style="color: #9CA3AF;">(empty)</em>' : escapeHtml(value));
+
+  closeEditConflictDialog();
+
+  const html = `
+    <div class="modal active" id="editConflictModal" style="z-index: 1100;">
+      <div class="modal-overlay" onclick="closeEditConflictDialog()"></div>
+      <div class="modal-content" style="max-width: 760px; max-height: 85vh; overflow-y: auto;">
+        <div class="modal-header">
+          <h3>Merge Changes</h3>
+          <button class="modal-close" type="button" onclick="closeEditConflictDialog()">×</button>
+        </div>
+        <div style="padding: 1.5rem;">
+          <p style="margin-bottom: 1rem; color: #4B5563;">
+            This school was changed${lastChange ? ` by <strong>${escapeHtml(lastChange.changed_by)}</strong> on ${new Date(lastChange.changed_at).toLocaleString('en-SG')}` : ''}
+            after you opened it. Nothing has been saved yet.
+          </p>
+
+          ${conflicts.length > 0 ? `
+            <h4 style="margin-bottom: 0.5rem;">Changed by both (${conflicts.length})</h4>
+            <table class="data-table" style="width: 100%; margin-bottom: 1rem;">
+              <thead><tr><th>Field</th><th>Your value</th><th>Current value</th></tr></thead>
+              <tbody>
+                ${conflicts.map(({ field, ours, theirs }) => `
+                  <tr>
+                    <td><strong>${label(field)}</strong></td>
+                    <td><label><input type="radio" name="conflict_${field}" value="ours" checked> ${shown(ours)}</label></td>
+                    <td><label><input type="radio" name="conflict_${field}" value="theirs"> ${shown(theirs)}</label></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : ''}
+
+          ${takenFromServer.length > 0 ? `
+            <h4 style="margin-bottom: 0.5rem;">Taken from the current version</h4>
+            <ul style="margin: 0 0 1rem 1.25rem; color: #4B5563;">
+              ${takenFromServer.map(field => `<li>${label(field)}: ${shown(merged[field])}</li>`).join('')}
+            </ul>
+          ` : ''}
+
+          <div style="display: flex; justify-content: flex-end; gap: 0.5rem;">
+            <button type="button" class="btn-secondary" onclick="closeEditConflictDialog()">Cancel</button>
+            <button type="button" class="btn-secondary" id="conflictUseCurrent">Discard my changes</button>
+            <button type="button" class="btn-primary" id="conflictApply">Use merged values</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', html);
+
+  // Fill the edit form and rebase it on the server's version
+  const applyToForm = values => {
+    Object.entries(values).forEach(([field, value]) => {
+      const input = document.getElementById(EDIT_FORM_FIELDS[field]);
+      if (input.tagName === 'SELECT') {
+        setSelectValue(input.id, value);
+      } else {
+        input.value = value;
+      }
+    });
+    document.getElementById('editSchoolVersion').value = current.version;
+    editSchoolOriginal = { ...current };
+    closeEditConflictDialog();
+  };
+
+  document.getElementById('conflictApply').addEventListener('click', () => {
+    const values = { ...merged };
+    conflicts.forEach(({ field, ours, theirs }) => {
+      const choice = document.querySelector(`input[name="conflict_${field}"]:checked`);
+      values[field] = choice && choice.value === 'theirs' ? theirs : ours;
+    });
+    applyToForm(values);
+    showToast('Merged values are in the form; review them and save again', 'info');
+  });
+
+  document.getElementById('conflictUseCurrent').addEventListener('click', () => {
+    const values = {};
+    Object.keys(EDIT_FORM_FIELDS).forEach(field => {
+      values[field] = text(current[field]);
+    });
+    applyToForm(values);
+    showToast('The form now shows the current values', 'info');
+  });
+}
+
+window.closeEditConflictDialog = function () {
+  const modal = document.getElementById('editConflictModal');
+  if (modal) modal.remove();
+};
+
 // Delete Operation - Now uses modal
 window.deleteSchool = function (schoolId, schoolName) {
   // Check if user is admin
@@ -1972,19 +2341,14 @@ window.confirmDelete = async function () {
       return;
     }
 
-    const result = await res.json();
-
-    if (result.success || res.ok) {
-      showToast('✓ School deleted successfully!', 'success');
-      hideDeleteModal();
-      runQuery(); // Refresh results
-      loadSchoolStats();
-    } else {
-      showToast('Error: ' + (result.error || 'Failed to delete school'), 'error');
-    }
+    await readApiResponse(res);
+    showToast('✓ School moved to the recycle bin', 'success');
+    hideDeleteModal();
+    runQuery(); // Refresh results
+    loadSchoolStats();
   } catch (err) {
     console.error('Delete school error:', err);
-    showToast('Error: ' + err.message, 'error');
+    showToast('Error: ' + apiErrorMessage(err), 'error');
   }
 };
 
@@ -1992,17 +2356,21 @@ window.confirmDelete = async function () {
 function loadSchoolStats() {
   console.log('Loading school stats...');
 
-  fetch('/api/schools?name=', {
+  if (isUserAdmin()) refreshRecycleBinCount();
+
+  // One row is enough: the count is in the pagination block
+  fetch('/api/schools?limit=1&fields=school_id', {
     headers: getAuthHeaders()
   })
-    .then(res => res.json())
+    .then(readApiResponse)
     .then(data => {
       const totalSchools = document.getElementById('totalSchools');
       if (totalSchools) {
-        totalSchools.textContent = data.length || '0';
+        totalSchools.textContent = data.pagination.total;
       }
-      console.log('Total schools:', data.length);
+      console.log('Total schools:', data.pagination.total);
     })
+
     .catch(err => {
       console.error('Failed to load stats:', err);
       const totalSchools = document.getElementById('totalSchools');
@@ -2025,15 +2393,12 @@ async function loadFullSchoolDetails(schoolId) {
       fetch(`/api/schools/${schoolId}/distinctives`)
     ]);
 
-    if (!schoolResponse.ok) {
-      throw new Error('Failed to load school details');
-    }
-
-    const school = await schoolResponse.json();
-    const subjects = subjectsResponse.ok ? await subjectsResponse.json() : [];
-    const ccas = ccasResponse.ok ? await ccasResponse.json() : [];
-    const programmes = programmesResponse.ok ? await programmesResponse.json() : [];
-    const distinctives = distinctivesResponse.ok ? await distinctivesResponse.json() : [];
+    const school = await readApiResponse(schoolResponse);
+    // A list that failed to load shows as empty rather than failing the modal
+    const readOfferings = response => readApiResponse(response).then(body => body.data, () => []);
+    const [subjects, ccas, programmes, distinctives] = await Promise.all(
+      [subjectsResponse, ccasResponse, programmesResponse, distinctivesResponse].map(readOfferings)
+    );
 
     return {
       school: school.school || school,
@@ -2110,6 +2475,7 @@ function displayEnhancedSchoolModal(data) {
           ${renderCCAsList(ccas)}
           ${renderProgrammesList(programmes)}
           ${renderDistinctivesList(distinctives)}
+          ${isAdmin ? renderHistorySection(school.school_id) : ''}
         </div>
       </div>
     </div>
@@ -2118,8 +2484,10 @@ function displayEnhancedSchoolModal(data) {
   document.body.insertAdjacentHTML('beforeend', html);
   document.body.style.overflow = 'hidden';
 
-  // Wire up Edit/Delete buttons (admin only)
+  // Wire up Edit/Delete buttons and load the change history (admin only)
   if (isAdmin) {
+    loadSchoolHistory(school.school_id);
+
     const modal = document.getElementById('detailsModal');
     if (modal) {
       const editBtn = modal.querySelector('[data-action="edit-school"]');
@@ -2417,18 +2785,9 @@ async function executeComparison() {
       })
     });
 
-    if (!response.ok) {
-      throw new Error(`Server responded with status ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await readApiResponse(response);
     console.log('Comparison data received:', data);
 
-    if (!data.success) {
-      showToast(data.message || 'Comparison failed', 'error');
-      return;
-    }
-
     displaySideBySideComparison(data.school1, data.school2);
     showToast('Comparison loaded successfully', 'success');
 
@@ -2441,7 +2800,7 @@ async function executeComparison() {
 
   } catch (error) {
     console.error('Comparison error:', error);
-    showToast('Failed to compare schools: ' + error.message, 'error');
+    showToast('Failed to compare schools: ' + apiErrorMessage(error), 'error');
 
     // Check if it's a network error
     if (error.message.includes('Failed to fetch') || error.message.includes('ERR_CONNECTION_REFUSED')) {
@@ -2702,14 +3061,10 @@ window.useCurrentLocation = function () {
         // Call our backend API for reverse geocoding
         const response = await fetch(`/api/reverse-geocode?lat=${latitude}&lng=${longitude}`);
 
-        const result = await response.json();
+        const result = await readApiResponse(response);
 
         console.log('Reverse geocode result:', result);
 
-        if (!result.success) {
-          throw new Error(result.message || 'Failed to get postal code');
-        }
-
         // Fill the postal code input field
         postalInput.value = result.data.postalCode;
 
@@ -2720,7 +3075,7 @@ window.useCurrentLocation = function () {
 
       } catch (error) {
         console.error('Geocoding error:', error);
-        showToast(`Failed to get postal code: ${error.message}`, 'error');
+        showToast(`Failed to get postal code: ${apiErrorMessage(error)}`, 'error');
         postalInput.focus();
       } finally {
         // Reset button state
@@ -2834,24 +3189,10 @@ window.executeDistanceSearch = async function () {
 
     console.log('Server response status:', response.status);
 
-    // Check if response is successful
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Server error response:', errorText);
-      throw new Error(`Server error: ${response.status} - ${errorText}`);
-    }
-
-    // Parse JSON response
-    const data = await response.json();
+    // Parse the response; error envelopes are thrown
+    const data = await readApiResponse(response);
     console.log('Distance search results:', data);
 
-    // Check if search was successful
-    if (!data.success) {
-      showToast(data.message || 'Search failed', 'error');
-      displayEmptyDistanceResults(postal_code, radius_km);
-      return;
-    }
-
     // ===== DISPLAY RESULTS =====
     displayDistanceResults(data.results, data.search_params);
 
@@ -2865,7 +3206,7 @@ window.executeDistanceSearch = async function () {
   } catch (error) {
     // Handle any errors that occurred during the search
     console.error('Distance search error:', error);
-    showToast('Failed to search schools: ' + error.message, 'error');
+    showToast('Failed to search schools: ' + apiErrorMessage(error), 'error');
     displayEmptyDistanceResults(postal_code, radius_km);
   }
 };
@@ -3285,6 +3626,180 @@ function renderDistinctivesList(distinctives) {
     `;
 }
 
+// ========== Change History (Admin only) ==========
+
+// Labels for the fields recorded by GET /api/schools/:id/history
+const HISTORY_FIELD_LABELS = {
+  school_name: 'School name',
+  address: 'Address',
+  postal_code: 'Postal code',
+  zone_code: 'Zone',
+  mainlevel_code: 'Level',
+  principal_name: 'Principal',
+  type_code: 'Type',
+  nature_code: 'Nature',
+  session_code: 'Session',
+  dgp_code: 'DGP',
+  email_address: 'Email',
+  telephone_no: 'Telephone',
+  telephone_no_2: 'Telephone 2',
+  fax_no: 'Fax',
+  url_address: 'Website',
+  first_vp_name: 'Vice Principal 1',
+  second_vp_name: 'Vice Principal 2',
+  third_vp_name: 'Vice Principal 3',
+  fourth_vp_name: 'Vice Principal 4',
+  fifth_vp_name: 'Vice Principal 5',
+  sixth_vp_name: 'Vice Principal 6',
+  autonomous_ind: 'Autonomous',
+  gifted_ind: 'Gifted',
+  ip_ind: 'IP',
+  sap_ind: 'SAP',
+  mothertongue1_code: 'Mother tongue 1',
+  mothertongue2_code: 'Mother tongue 2',
+  mothertongue3_code: 'Mother tongue 3',
+  mrt_desc: 'MRT',
+  bus_desc: 'Bus',
+  subjects: 'Subject',
+  ccas: 'CCA',
+  'ccas.cca_customized_name': 'CCA name',
+  'ccas.school_section': 'CCA section',
+  programmes: 'Programme',
+  distinctives: 'Distinctive programme'
+};
+
+const HISTORY_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  offerings: 'Offerings changed',
+  delete: 'Moved to the recycle bin',
+  restore: 'Restored from the recycle bin',
+  revert: 'Reverted',
+  bulk: 'Bulk edit'
+};
+
+/**
+ * Container for the change history; filled by loadSchoolHistory once the modal is open
+ */
+function renderHistorySection(schoolId) {
+  const options = Object.entries(HISTORY_FIELD_LABELS)
+    .filter(([field]) => !field.includes('.'))
+    .map(([field, label]) => `<option value="${field}">${label}</option>`)
+    .join('');
+
+  return `
+        <div class="info-section" style="margin-top: 1.5rem;">
+            <h4 style="display: flex; align-items: center; gap: 0.75rem; margin-bottom: 1rem; color: #1F2937; border-bottom: 2px solid #6B7280; padding-bottom: 0.5rem;">
+                <span style="flex: 1;">Change History</span>
+                <select onchange="loadSchoolHistory(${schoolId}, this.value)" style="font-size: 0.8rem; padding: 0.25rem 0.5rem;">
+                    <option value="">All fields</option>
+                    ${options}
+                </select>
+            </h4>
+            <div id="schoolHistoryList" style="color: #6B7280; font-size: 0.875rem;">Loading change history...</div>
+        </div>
+    `;
+}
+
+/**
+ * One changed field as "Label: old → new"; offerings read as added / removed
+ */
+function renderHistoryField(change) {
+  const label = HISTORY_FIELD_LABELS[change.field] || change.field;
+  const oldValue = change.old_value !== null ? escapeHtml(change.old_value) : '';
+  const newValue = change.new_value !== null ? escapeHtml(change.new_value) : '';
+
+  let text;
+  if (!change.field.includes('.') && change.item_id !== null) {
+    text = change.new_value !== null ? `added <strong>${newValue}</strong>` : `removed <strong>${oldValue}</strong>`;
+  } else if (change.old_value === null) {
+    text = `set to <strong>${newValue}</strong>`;
+  } else if (change.new_value === null) {
+    text = `cleared (was <span style="text-decoration: line-through;">${oldValue}</span>)`;
+  } else {
+    text = `<span style="text-decoration: line-through; color: #9CA3AF;">${oldValue}</span> → <strong>${newValue}</strong>`;
+  }
+
+  return `<li style="margin: 0.2rem 0;">${label}: ${text}</li>`;
+}
+
+/**
+ * Fetch and show a school's change history, optionally for one field
+ */
+window.loadSchoolHistory = async function (schoolId, field = '') {
+  const container = document.getElementById('schoolHistoryList');
+  if (!container) return;
+
+  container.textContent = 'Loading change history...';
+
+  try {
+    const query = field ? `?field=${encodeURIComponent(field)}` : '';
+    const response = await fetch(`/api/schools/${schoolId}/history${query}`, {
+      headers: getAuthHeaders()
+    });
+    const data = await readApiResponse(response);
+
+    if (data.changes.length === 0) {
+      container.textContent = field ? 'No recorded changes to this field.' : 'No recorded changes yet.';
+      return;
+    }
+
+    // Without a field filter the first change is the current version
+    container.innerHTML = data.changes.map((change, index) => `
+        <div style="position: relative; padding: 0 0 1rem 1.25rem; border-left: 2px solid #E5E7EB;">
+            <span style="position: absolute; left: -6px; top: 0.25rem; width: 10px; height: 10px; border-radius: 50%; background: #6B7280;"></span>
+            <div style="display: flex; align-items: baseline; gap: 0.5rem; color: #1F2937;">
+                <span style="flex: 1;">
+                    <strong>${HISTORY_ACTION_LABELS[change.action] || change.action}</strong>
+                    ${change.reverted_to ? ` to change #${change.reverted_to}` : ''}
+                    ${change.bulk_id ? ` #${change.bulk_id}` : ''}
+                    by ${escapeHtml(change.changed_by)}
+                    <span style="color: #9CA3AF;">· #${change.change_id} · ${new Date(change.changed_at).toLocaleString('en-SG')}</span>
+                </span>
+                ${change.has_snapshot && (field || index > 0) ? `
+                    <button type="button" class="btn-secondary" style="padding: 0.15rem 0.5rem; font-size: 0.75rem;"
+                            onclick="revertSchoolToChange(${schoolId}, ${change.change_id})">
+                        ↩ Revert to this version
+                    </button>
+                ` : ''}
+            </div>
+            ${change.fields.length > 0 ? `
+                <ul style="margin: 0.25rem 0 0; padding-left: 1.1rem; color: #4B5563;">
+                    ${change.fields.map(renderHistoryField).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `).join('');
+  } catch (error) {
+    console.error('Failed to load school history:', error);
+    container.textContent = `Could not load the change history: ${apiErrorMessage(error)}`;
+  }
+};
+
+/**
+ * Revert a school to the version saved with one of its changes, then reopen its details
+ */
+window.revertSchoolToChange = async function (schoolId, changeId) {
+  if (!confirm(`Revert this school to its version after change #${changeId}?\n\nThe school's details and offerings will be replaced; the revert itself is kept in the history.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/schools/${schoolId}/history/${changeId}/revert`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const data = await readApiResponse(response);
+
+    showToast(`✓ ${data.message}`, 'success');
+    closeDetailsModal();
+    viewItemDetails('schools', schoolId);
+  } catch (error) {
+    console.error('Revert school error:', error);
+    showToast(apiErrorMessage(error), 'error');
+  }
+};
+
 // ========== Toast Notifications ==========
 function showToast(message, type = 'info') {
   console.log('Toast:', type, message);
@@ -3317,9 +3832,9 @@ window.showRecentSchools = async function() {
       headers: getAuthHeaders()
     });
     
-    const data = await response.json();
+    const data = await readApiResponse(response);
     
-    if (!data.success || !data.schools || data.schools.length === 0) {
+    if (!data.schools || data.schools.length === 0) {
       showToast('No recent schools found', 'info');
       return;
     }
@@ -3328,7 +3843,7 @@ window.showRecentSchools = async function() {
     
   } catch (error) {
     console.error('Failed to load recent schools:', error);
-    showToast('Failed to load recent schools', 'error');
+    showToast('Failed to load recent schools: ' + apiErrorMessage(error), 'error');
   }
 };
 
@@ -3398,6 +3913,148 @@ window.closeRecentSchoolsModal = function() {
   }
 };
 
+// ========== Recycle Bin (Archived Schools) ==========
+let recycleBinSchools = [];
+
+async function fetchRecycleBin() {
+  const response = await fetch('/api/admin/recycle-bin', {
+    headers: getAuthHeaders()
+  });
+  return readApiResponse(response);
+}
+
+// Show the number of archived schools on the Manage view
+async function refreshRecycleBinCount() {
+  const counter = document.getElementById('recycleBinCount');
+  if (!counter) return;
+
+  try {
+    const data = await fetchRecycleBin();
+    counter.textContent = data.count;
+  } catch (error) {
+    console.error('Failed to load recycle bin count:', error);
+    counter.textContent = '-';
+  }
+}
+
+window.showRecycleBin = async function() {
+  if (!isUserAdmin()) {
+    showToast('Admin access required', 'error');
+    return;
+  }
+
+  try {
+    const data = await fetchRecycleBin();
+    recycleBinSchools = data.schools;
+    closeRecycleBinModal();
+    displayRecycleBinModal(data.schools, data.retention_days);
+  } catch (error) {
+    console.error('Failed to load recycle bin:', error);
+    showToast(apiErrorMessage(error), 'error');
+  }
+};
+
+function displayRecycleBinModal(schools, retentionDays) {
+  const formatDate = value => new Date(value).toLocaleDateString('en-SG', {
+    day: 'numeric', month: 'short', year: 'numeric'
+  });
+
+  const retentionNote = retentionDays > 0
+    ? `Deleted schools are kept for ${retentionDays} days, then purged permanently.`
+    : 'Deleted schools are kept until they are purged manually.';
+
+  const items = schools.map(school => `
+    <div class="recycle-bin-item"
+         style="padding: 1rem; border: 1px solid #E5E7EB; border-radius: 0.5rem;">
+      <div style="display: flex; justify-content: space-between; align-items: start; gap: 1rem;">
+        <div>
+          <h4 style="margin: 0 0 0.5rem 0; color: #1F2937;">${escapeHtml(school.school_name)}</h4>
+          <p style="margin: 0; color: #6B7280; font-size: 0.875rem;">
+            Deleted ${formatDate(school.archived_at)} by ${escapeHtml(school.archived_by)}
+            ${school.purge_after ? ` · purged on ${formatDate(school.purge_after)}` : ''}
+          </p>
+          <p style="margin: 0.25rem 0 0 0; color: #6B7280; font-size: 0.8125rem;">
+            ${school.subject_count} subjects · ${school.cca_count} CCAs ·
+            ${school.programme_count} programmes · ${school.distinctive_count} distinctive programmes
+          </p>
+        </div>
+        <div style="display: flex; gap: 0.5rem; flex-shrink: 0;">
+          <button type="button" class="btn-secondary" onclick="restoreArchivedSchool(${school.archive_id})">Restore</button>
+          <button type="button" class="btn-danger" onclick="purgeArchivedSchool(${school.archive_id})">Delete forever</button>
+        </div>
+      </div>
+    </div>
+  `).join('');
+
+  const html = `
+    <div class="modal active" id="recycleBinModal">
+      <div class="modal-overlay" onclick="closeRecycleBinModal()"></div>
+      <div class="modal-content" style="max-width: 800px;">
+        <div class="modal-header">
+          <h3>Recycle Bin (${schools.length})</h3>
+          <button class="modal-close" onclick="closeRecycleBinModal()">×</button>
+        </div>
+        <div class="modal-body" style="padding: 1.5rem; max-height: 60vh; overflow-y: auto;">
+          <p style="margin: 0 0 1rem 0; color: #6B7280; font-size: 0.875rem;">${retentionNote}</p>
+          <div style="display: flex; flex-direction: column; gap: 1rem;">
+            ${items || '<p style="color: #6B7280;">The recycle bin is empty.</p>'}
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML('beforeend', html);
+  document.body.style.overflow = 'hidden';
+}
+
+window.closeRecycleBinModal = function() {
+  const modal = document.getElementById('recycleBinModal');
+  if (modal) {
+    modal.remove();
+    document.body.style.overflow = 'auto';
+  }
+};
+
+window.restoreArchivedSchool = async function(archiveId) {
+  try {
+    const response = await fetch(`/api/admin/recycle-bin/${archiveId}/restore`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+    const result = await readApiResponse(response);
+
+    showToast(`✓ ${result.school.school_name}: ${result.message}`, 'success');
+    await showRecycleBin();
+    runQuery();
+    loadSchoolStats();
+  } catch (error) {
+    console.error('Restore school error:', error);
+    showToast('Error: ' + apiErrorMessage(error), 'error');
+  }
+};
+
+window.purgeArchivedSchool = async function(archiveId) {
+  const school = recycleBinSchools.find(item => item.archive_id === archiveId);
+  const schoolName = school ? school.school_name : 'this school';
+  if (!confirm(`Permanently delete ${schoolName}? This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`/api/admin/recycle-bin/${archiveId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+    await readApiResponse(response);
+
+    showToast('✓ School permanently deleted', 'success');
+    await showRecycleBin();
+    refreshRecycleBinCount();
+  } catch (error) {
+    console.error('Purge school error:', error);
+    showToast('Error: ' + apiErrorMessage(error), 'error');
+  }
+};
+
 // ========== Utility Functions (GLOBAL) ==========
 window.showAbout = function () {
   alert(